@@ -12,9 +12,15 @@ importScripts('lib/firebase-firestore-compat.js');
 importScripts('firebase-config.js');
 
 // Import storage functions (using importScripts for service worker)
+// Chat markers and reminders live in IndexedDB, everything else in chrome.storage.local
+importScripts('utils/indexed-store.js');
 importScripts('utils/storage.js');
 
-// Import cloud sync functions
+// Import encryption helpers (end-to-end encrypted sync)
+importScripts('utils/crypto.js');
+
+// Import cloud sync functions (providers first: Firestore or a self-hosted server)
+importScripts('sync-providers.js');
 importScripts('firestore-sync.js');
 
 // Initialize Firebase and auth for background service worker
@@ -38,11 +44,30 @@ let currentUser = null;
       console.log('[ChatMarker Background] Current user loaded:', currentUser.email);
     }
 
+    // Sync with the signed-in account or a configured self-hosted server (no-op otherwise)
+    startRealtimeSync();
+    // Upload changes left in the outbox by a previous service worker instance
+    retryPendingSync();
+
     // Listen for auth state changes in storage
     chrome.storage.onChanged.addListener((changes, namespace) => {
       if (namespace === 'local' && changes.currentUser) {
         currentUser = changes.currentUser.newValue;
         console.log('[ChatMarker Background] User state changed:', currentUser ? currentUser.email : 'signed out');
+
+        // Live multi-device updates follow the signed-in user (restarts or stops)
+        startRealtimeSync();
+
+        // Undo entries refer to the previous account's data
+        chrome.storage.session.remove(UNDO_HISTORY_KEY);
+      }
+
+      // A self-hosted sync server was connected or disconnected,
+      // or the encryption key was set, changed or unlocked: reconnect
+      const syncConfigChanged = changes.syncProvider ||
+        Object.keys(changes).some(key => key.startsWith('syncEncryption_'));
+      if (namespace === 'local' && syncConfigChanged) {
+        startRealtimeSync();
       }
     });
 
@@ -62,6 +87,9 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   } else if (details.reason === 'update') {
     // Extension updated
     console.log('[ChatMarker] Extension updated to version:', chrome.runtime.getManifest().version);
+
+    // Upgrade data saved by older versions (restored from backup if a step fails)
+    await migrateStoredData();
   }
 
   // Set up daily cleanup alarm
@@ -70,6 +98,11 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     periodInMinutes: 24 * 60 // Repeat every 24 hours
   });
 
+  // Wake the service worker periodically so realtime sync reconnects and pending uploads are retried after suspension
+  chrome.alarms.create('realtime_sync', {
+    periodInMinutes: 1
+  });
+
   // Create context menus
   createContextMenus();
 
@@ -77,6 +110,25 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   await updateBadge();
 });
 
+// A migration that failed (or was cut short when the service worker stopped) is retried
+// whenever the service worker starts
+migrateStoredData();
+
+/**
+ * Upgrade stored data to the current schema if it isn't already
+ * A failed run keeps the previous data and is recorded for the popup and badge to show
+ */
+async function migrateStoredData() {
+  try {
+    if (await getSchemaVersion() < CURRENT_SCHEMA_VERSION) {
+      await runSchemaMigrations();
+    }
+  } catch (error) {
+    console.error('[ChatMarker] Storage migration failed, keeping previous data:', error);
+  }
+  await updateBadge();
+}
+
 /**
  * Handle extension icon click - open side panel
  */
@@ -96,7 +148,8 @@ async function initializeExtension() {
     markIcon: 'star',
     defaultView: 'popup',
     fontSize: 'medium',
-    autoCategorizationEnabled: false
+    autoCategorizationEnabled: false,
+    trashRetentionDays: 30
   };
 
   await chrome.storage.local.set({ settings: defaultSettings });
@@ -112,6 +165,9 @@ async function initializeExtension() {
 
   await chrome.storage.local.set({ labels: defaultLabels });
 
+  // Fresh installs start on the current storage schema
+  await initSchemaVersion();
+
   console.log('[ChatMarker] Extension initialized successfully');
 }
 
@@ -128,6 +184,14 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
   } else if (alarm.name === 'daily_cleanup') {
     console.log('[ChatMarker] This is a cleanup alarm, handling...');
     await performDailyCleanup();
+  } else if (alarm.name === 'realtime_sync') {
+    if (await loadSyncProvider()) {
+      if (!isRealtimeSyncActive()) {
+        console.log('[ChatMarker] Realtime sync not running, reconnecting...');
+        await startRealtimeSync();
+      }
+      await retryPendingSync();
+    }
   } else {
     console.log('[ChatMarker] Unknown alarm type:', alarm.name);
   }
@@ -148,8 +212,8 @@ async function handleReminder(reminderId) {
 
     console.log('[ChatMarker] Reminder found:', reminder);
 
-    // Get associated marker
-    const marker = await getMarker(reminder.messageId);
+    // Get associated chat marker (a reminder's messageId is its chat marker's ID)
+    const marker = await getChatMarker(reminder.messageId);
 
     if (!marker) {
       console.log('[ChatMarker] Marker not found for reminder:', reminderId);
@@ -160,12 +224,15 @@ async function handleReminder(reminderId) {
 
     // Create notification using Chrome Notifications API
     const notificationTitle = '🔔 ChatMarker Reminder';
-    const chatName = reminder.chatName || 'Unknown Chat';
+    const [openedReminder] = await openVaultRecords(STORAGE_KEYS.REMINDERS, [reminder]);
+    const chatName = isSealedValue(openedReminder.chatName) ? '🔒 Locked chat' : (openedReminder.chatName || 'Unknown Chat');
 
-    // Get note from marker if available
+    // Get the latest note from marker if available (a note locked in the vault isn't shown)
     let noteText = '';
-    if (marker && marker.notes) {
-      noteText = marker.notes.length > 100 ? marker.notes.substring(0, 100) + '...' : marker.notes;
+    const [openedMarker] = marker ? await openVaultRecords(STORAGE_KEYS.CHAT_MARKERS, [marker]) : [];
+    const [latestNote] = openedMarker ? getChatNotes(openedMarker) : [];
+    if (latestNote && !isSealedValue(latestNote.text)) {
+      noteText = latestNote.text.length > 100 ? latestNote.text.substring(0, 100) + '...' : latestNote.text;
     }
 
     const notificationOptions = {
@@ -287,58 +354,6 @@ async function navigateToChatByReminder(reminder) {
   }
 }
 
-/**
- * Navigate to a message in its platform
- */
-async function navigateToMessage(messageId) {
-  try {
-    const marker = await getMarker(messageId);
-    if (!marker) return;
-
-    // Determine the URL based on platform
-    let url = '';
-    switch (marker.platform) {
-      case 'whatsapp':
-        url = 'https://web.whatsapp.com/';
-        break;
-      case 'messenger':
-        url = 'https://www.messenger.com/';
-        break;
-      case 'instagram':
-        url = 'https://www.instagram.com/direct/inbox/';
-        break;
-      case 'linkedin':
-        url = 'https://www.linkedin.com/messaging/';
-        break;
-      case 'reddit':
-        url = 'https://www.reddit.com/chat';
-        break;
-    }
-
-    if (!url) return;
-
-    // Find or create a tab for the platform
-    const tabs = await chrome.tabs.query({ url: url + '*' });
-
-    if (tabs.length > 0) {
-      // Platform tab exists, switch to it
-      await chrome.tabs.update(tabs[0].id, { active: true });
-      await chrome.windows.update(tabs[0].windowId, { focused: true });
-
-      // Send message to content script to scroll to message
-      chrome.tabs.sendMessage(tabs[0].id, {
-        action: 'scrollToMessage',
-        messageId: messageId
-      });
-    } else {
-      // Create new tab
-      await chrome.tabs.create({ url: url });
-    }
-  } catch (error) {
-    console.error('[ChatMarker] Error navigating to message:', error);
-  }
-}
-
 /**
  * Snooze a reminder
  */
@@ -371,7 +386,6 @@ async function performDailyCleanup() {
   try {
     console.log('[ChatMarker] Performing daily cleanup...');
 
-    const markers = await getAllMarkers();
     const reminders = await getAllReminders();
 
     // Clean up old reminders (older than 30 days and already fired)
@@ -386,7 +400,18 @@ async function performDailyCleanup() {
       }
     }
 
-    console.log(`[ChatMarker] Cleanup complete. Removed ${cleanedReminders} old reminders.`);
+    // Permanently delete chat markers that have been in the trash past the retention period
+    const purgedTrash = await purgeExpiredTrash();
+
+    // Garbage-collect old deletion tombstones (local and cloud)
+    const purgedTombstones = await purgeExpiredTombstones(TOMBSTONE_RETENTION_MS);
+    try {
+      await purgeCloudTombstones(TOMBSTONE_RETENTION_MS);
+    } catch (error) {
+      console.error('[ChatMarker] Error purging cloud tombstones:', error);
+    }
+
+    console.log(`[ChatMarker] Cleanup complete. Removed ${cleanedReminders} old reminders, ${purgedTrash} expired trash entries and ${purgedTombstones} expired tombstones.`);
 
   } catch (error) {
     console.error('[ChatMarker] Error during cleanup:', error);
@@ -398,6 +423,13 @@ async function performDailyCleanup() {
  */
 async function updateBadge() {
   try {
+    // Data that couldn't be upgraded is flagged until a migration succeeds
+    if (await getSchemaMigrationError()) {
+      chrome.action.setBadgeText({ text: '!' });
+      chrome.action.setBadgeBackgroundColor({ color: '#EF4444' }); // Red (needs attention)
+      return;
+    }
+
     const chatMarkers = await getAllChatMarkers();
     const chatMarkerCount = Object.keys(chatMarkers).length;
 
@@ -424,6 +456,254 @@ async function updateBadge() {
   }
 }
 
+/**
+ * Tell content scripts in open platform tabs to refresh their chat-list indicators
+ */
+async function notifyPlatformTabs() {
+  try {
+    const urlPatterns = chrome.runtime.getManifest().content_scripts.flatMap(script => script.matches);
+    const tabs = await chrome.tabs.query({ url: urlPatterns });
+
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, { action: 'chatMarkerUpdated' }).catch(() => {
+        // Content script not injected in this tab (e.g. tab opened before install)
+      });
+    });
+
+    console.log(`[ChatMarker] Notified ${tabs.length} platform tabs of chat marker changes`);
+  } catch (error) {
+    console.error('[ChatMarker] Error notifying platform tabs:', error);
+  }
+}
+
+/**
+ * Refresh badge and open tabs whenever chat markers, reminders or labels change
+ * (covers side panel edits and changes arriving from other devices)
+ */
+let storageChangeTimeout = null;
+chrome.storage.onChanged.addListener(async (changes, namespace) => {
+  if (namespace !== 'local') return;
+
+  // Signing in or out switches to another account's data
+  const keys = await getStorageKeys();
+  if (changes[keys.LABELS] || changes.currentUser) {
+    createContextMenus();
+  }
+  if (changes[keys.SETTINGS] || changes.currentUser) {
+    updateVaultAutoLock();
+  }
+  if (!changes[keys.DATA_REVISION] && !changes[keys.LABELS] && !changes.currentUser) return;
+
+  // Debounce bursts of writes (e.g. a sync applying many documents)
+  clearTimeout(storageChangeTimeout);
+  storageChangeTimeout = setTimeout(async () => {
+    await updateBadge();
+    await notifyPlatformTabs();
+  }, 300);
+});
+
+/**
+ * Vault auto-lock: the unlocked key is dropped once the computer has been idle for the
+ * vault's auto-lock time, or as soon as the screen locks
+ */
+async function updateVaultAutoLock() {
+  const vault = await getVault();
+  const minutes = (vault && vault.autoLockMinutes) || VAULT_AUTO_LOCK_MINUTES;
+  chrome.idle.setDetectionInterval(minutes * 60);
+}
+
+chrome.idle.onStateChanged.addListener(async (state) => {
+  if (state === 'active') return;
+
+  if (await getVaultStatus() === 'unlocked') {
+    console.log('[ChatMarker] Computer is', state, '- locking the vault');
+    await lockVault();
+  }
+});
+
+updateVaultAutoLock();
+
+/**
+ * Undo history: inverse operations for chat marker and reminder changes made from any page or
+ * the side panel. Kept in session storage so it survives the service worker being suspended.
+ * Each entry is { undoId, type: 'chatMarker' | 'reminder', id, before, after, created, description, updatedAt }
+ * where before/after are the record before and after the change (null when it didn't exist), and
+ * updatedAt is the record's updatedAt after the entry was last applied (null when it was deleted).
+ */
+const UNDO_HISTORY_KEY = 'undoHistory';
+const UNDO_HISTORY_LIMIT = 50;
+
+// Serializes undo/redo steps so two quick presses can't apply the same entry twice
+let undoQueue = Promise.resolve();
+
+/**
+ * Get the undo and redo stacks
+ */
+async function getUndoHistory() {
+  const result = await chrome.storage.session.get(UNDO_HISTORY_KEY);
+  return result[UNDO_HISTORY_KEY] || { undo: [], redo: [] };
+}
+
+/**
+ * Record a change that can be undone (clears the redo stack)
+ * States are kept as they are stored, so notes stay sealed while the vault is on
+ * @returns {Promise<string>} ID of the entry, for toasts offering to undo this change
+ */
+async function recordUndo(entry) {
+  const undoId = `undo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const vault = await getVault();
+  const collection = entry.type === 'reminder' ? STORAGE_KEYS.REMINDERS : STORAGE_KEYS.CHAT_MARKERS;
+  const [before, after] = await Promise.all([entry.before, entry.after].map(async state => {
+    return state && (await sealVaultRecords(collection, [state], vault))[0];
+  }));
+
+  const history = await getUndoHistory();
+  history.undo.push({ created: false, ...entry, undoId, before, after, updatedAt: after ? after.updatedAt : null });
+  history.undo = history.undo.slice(-UNDO_HISTORY_LIMIT);
+  history.redo = [];
+  await chrome.storage.session.set({ [UNDO_HISTORY_KEY]: history });
+  return undoId;
+}
+
+/**
+ * Restore a deleted chat marker from the trash and reschedule its reminders
+ */
+async function restoreChatMarkerWithReminders(chatMarkerId) {
+  const restored = await restoreChatMarker(chatMarkerId);
+
+  // Deleting the chat left its reminder alarms to fire into nothing; schedule them again
+  restored.reminders
+    .filter(r => r.active && r.reminderTime > Date.now())
+    .forEach(r => chrome.alarms.create(r.reminderId, { when: r.reminderTime }));
+
+  return restored;
+}
+
+/**
+ * Name a chat in undo messages (chat names sealed in the locked vault aren't shown)
+ */
+function quoteChatName(chatName) {
+  return isSealedValue(chatName) ? 'a locked chat' : `"${chatName}"`;
+}
+
+/**
+ * Get the stored chat marker or reminder an undo entry refers to
+ */
+function getUndoRecord(entry) {
+  return entry.type === 'reminder' ? getReminder(entry.id) : getChatMarker(entry.id);
+}
+
+/**
+ * Put a chat marker or reminder back into the given state (null deletes it)
+ */
+async function applyUndoState(entry, state) {
+  if (entry.type === 'reminder') {
+    if (state) {
+      await saveReminder({ ...state });
+      if (state.active && state.reminderTime > Date.now()) {
+        chrome.alarms.create(state.reminderId, { when: state.reminderTime });
+      }
+    } else {
+      await deleteReminder(entry.id);
+      chrome.alarms.clear(entry.id);
+    }
+    return;
+  }
+
+  if (state) {
+    // A deleted chat comes back from the trash together with its reminders
+    if (!await getChatMarker(entry.id) && await getTrashedChatMarker(entry.id)) {
+      await restoreChatMarkerWithReminders(entry.id);
+    } else {
+      await saveChatMarker({ ...state });
+    }
+  } else {
+    await deleteChatMarker(entry.id);
+
+    // Undoing a mark leaves nothing worth restoring
+    if (entry.created) {
+      await deleteTrashedChatMarkers([entry.id]);
+    }
+  }
+}
+
+/**
+ * Undo the last change, or redo the last undone one
+ * @param {string} direction - 'undo' or 'redo'
+ * @param {string} [undoId] - Entry a toast offered to undo; refused unless it is still the last change
+ * @returns {Promise<Object>} { success, message } to show in a toast
+ */
+function stepUndoHistory(direction, undoId) {
+  const run = async () => {
+    const history = await getUndoHistory();
+    const [from, to] = direction === 'undo' ? [history.undo, history.redo] : [history.redo, history.undo];
+    const entry = from[from.length - 1];
+
+    if (!entry) {
+      return { success: false, message: direction === 'undo' ? 'Nothing to undo' : 'Nothing to redo' };
+    }
+
+    // Already undone, or followed by other changes that would be undone instead
+    if (undoId && entry.undoId !== undoId) {
+      return { success: false, message: '❌ This change can no longer be undone' };
+    }
+
+    // Restoring a whole state would throw away edits made since (from another page or device)
+    const current = await getUndoRecord(entry);
+    if ((current ? current.updatedAt : null) !== entry.updatedAt) {
+      const changed = entry.type === 'reminder' ? 'reminder' : 'chat';
+      return {
+        success: false,
+        message: `❌ Not ${direction === 'undo' ? 'undone' : 'redone'}, the ${changed} was changed since: ${entry.description}`
+      };
+    }
+
+    // The history is only saved once the change was applied, so a failed step can be retried
+    await applyUndoState(entry, direction === 'undo' ? entry.before : entry.after);
+    const applied = await getUndoRecord(entry);
+    entry.updatedAt = applied ? applied.updatedAt : null;
+    from.pop();
+    to.push(entry);
+    await chrome.storage.session.set({ [UNDO_HISTORY_KEY]: history });
+    await updateBadge();
+
+    console.log(`[ChatMarker] ${direction === 'undo' ? 'Undid' : 'Redid'}: ${entry.description}`);
+    return {
+      success: true,
+      message: direction === 'undo' ? `↩️ Undone: ${entry.description}` : `↪️ Redone: ${entry.description}`
+    };
+  };
+
+  const result = undoQueue.then(run);
+  undoQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Handle the undo/redo keyboard shortcuts, showing the result in the current tab and the side panel
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command !== 'undo' && command !== 'redo') return;
+
+  let result;
+  try {
+    result = await stepUndoHistory(command);
+  } catch (error) {
+    console.error(`[ChatMarker] Error during ${command}:`, error);
+    result = { success: false, message: `❌ Could not ${command}` };
+  }
+
+  const message = { action: 'showToast', message: result.message };
+  if (tab && tab.id) {
+    chrome.tabs.sendMessage(tab.id, message).catch(() => {
+      // Not a platform tab
+    });
+  }
+  chrome.runtime.sendMessage(message).catch(() => {
+    // Side panel not open
+  });
+});
+
 /**
  * Listen for messages from content scripts and popup
  */
@@ -434,32 +714,18 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   (async () => {
     try {
       switch (request.action) {
-        case 'saveMarker':
-          const marker = await saveMarker(request.data);
-          await updateBadge(); // Update badge when marker is saved
-          sendResponse({ success: true, marker });
-          break;
-
-        case 'deleteMarker':
-          await deleteMarker(request.messageId);
-          await updateBadge(); // Update badge when marker is deleted
-          sendResponse({ success: true });
-          break;
-
-        case 'getMarker':
-          const fetchedMarker = await getMarker(request.data.messageId);
-          sendResponse({ success: true, data: fetchedMarker });
-          break;
-
-        case 'getAllMarkers':
-          const allMarkers = await getAllMarkers();
-          sendResponse({ success: true, data: allMarkers });
-          break;
-
         case 'createReminder':
           console.log('[ChatMarker] Creating reminder with data:', request.data);
+          const previousReminder = request.data.reminderId ? await getReminder(request.data.reminderId) : null;
           const reminder = await saveReminder(request.data);
           console.log('[ChatMarker] Reminder saved:', reminder.reminderId);
+          const reminderUndoId = await recordUndo({
+            type: 'reminder',
+            id: reminder.reminderId,
+            before: previousReminder,
+            after: reminder,
+            description: `Set reminder for ${quoteChatName(reminder.chatName)}`
+          });
 
           // Create Chrome alarm
           const alarmTime = reminder.reminderTime;
@@ -498,7 +764,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 }
               });
 
-              sendResponse({ success: true, reminder });
+              sendResponse({ success: true, reminder, undoId: reminderUndoId });
             }
           });
 
@@ -506,10 +772,18 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           return true; // Will respond asynchronously
 
         case 'deleteReminder':
+          const deletedReminder = await getReminder(request.reminderId);
           await deleteReminder(request.reminderId);
           chrome.alarms.clear(request.reminderId);
+          const deleteReminderUndoId = deletedReminder && await recordUndo({
+            type: 'reminder',
+            id: request.reminderId,
+            before: deletedReminder,
+            after: null,
+            description: `Delete reminder for ${quoteChatName(deletedReminder.chatName)}`
+          });
           await updateBadge();
-          sendResponse({ success: true });
+          sendResponse({ success: true, undoId: deleteReminderUndoId });
           break;
 
         case 'updateSettings':
@@ -517,11 +791,6 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           sendResponse({ success: true, settings });
           break;
 
-        case 'navigateToMessage':
-          await navigateToMessage(request.messageId);
-          sendResponse({ success: true });
-          break;
-
         case 'testNotification':
           // Test notification immediately
           console.log('[ChatMarker] Testing notification...');
@@ -600,15 +869,96 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           return true; // Will respond asynchronously
 
         case 'saveChatMarker':
+          const previousChatMarker = request.data.chatMarkerId ? await getChatMarker(request.data.chatMarkerId) : null;
           const chatMarker = await saveChatMarker(request.data);
+          const saveUndoId = await recordUndo({
+            type: 'chatMarker',
+            id: chatMarker.chatMarkerId,
+            before: previousChatMarker,
+            after: chatMarker,
+            created: !previousChatMarker,
+            description: `${previousChatMarker ? 'Update' : 'Mark'} chat ${quoteChatName(chatMarker.chatName)}`
+          });
           await updateBadge();
-          sendResponse({ success: true, chatMarker });
+          sendResponse({ success: true, chatMarker, undoId: saveUndoId });
+          break;
+
+        case 'updateChatMarker':
+          const chatMarkerBeforeUpdate = await getChatMarker(request.chatMarkerId);
+          const updatedChatMarker = await updateChatMarker(request.chatMarkerId, request.data);
+          const updateUndoId = await recordUndo({
+            type: 'chatMarker',
+            id: request.chatMarkerId,
+            before: chatMarkerBeforeUpdate,
+            after: updatedChatMarker,
+            description: `Update chat ${quoteChatName(updatedChatMarker.chatName)}`
+          });
+          sendResponse({ success: true, chatMarker: updatedChatMarker, undoId: updateUndoId });
+          break;
+
+        case 'saveChatNote':
+          const chatMarkerBeforeNote = await getChatMarker(request.chatMarkerId);
+          const notedChatMarker = await saveChatNote(request.chatMarkerId, request.data);
+          const noteUndoId = await recordUndo({
+            type: 'chatMarker',
+            id: request.chatMarkerId,
+            before: chatMarkerBeforeNote,
+            after: notedChatMarker,
+            description: `${request.data.id ? 'Edit' : 'Add'} note on ${quoteChatName(notedChatMarker.chatName)}`
+          });
+          sendResponse({ success: true, chatMarker: notedChatMarker, undoId: noteUndoId });
+          break;
+
+        case 'deleteChatNote':
+          const chatMarkerBeforeNoteDelete = await getChatMarker(request.chatMarkerId);
+          const chatMarkerAfterNoteDelete = await deleteChatNote(request.chatMarkerId, request.noteId);
+          const noteDeleteUndoId = await recordUndo({
+            type: 'chatMarker',
+            id: request.chatMarkerId,
+            before: chatMarkerBeforeNoteDelete,
+            after: chatMarkerAfterNoteDelete,
+            description: `Delete note on ${quoteChatName(chatMarkerAfterNoteDelete.chatName)}`
+          });
+          sendResponse({ success: true, chatMarker: chatMarkerAfterNoteDelete, undoId: noteDeleteUndoId });
           break;
 
         case 'deleteChatMarker':
+          const deletedChatMarker = await getChatMarker(request.chatMarkerId);
           await deleteChatMarker(request.chatMarkerId);
+          const unmarkUndoId = deletedChatMarker && await recordUndo({
+            type: 'chatMarker',
+            id: request.chatMarkerId,
+            before: deletedChatMarker,
+            after: null,
+            description: `Unmark chat ${quoteChatName(deletedChatMarker.chatName)}`
+          });
           await updateBadge();
-          sendResponse({ success: true });
+          sendResponse({ success: true, undoId: unmarkUndoId });
+          break;
+
+        case 'restoreChatMarker':
+          const restored = await restoreChatMarkerWithReminders(request.chatMarkerId);
+          const restoreUndoId = await recordUndo({
+            type: 'chatMarker',
+            id: request.chatMarkerId,
+            before: null,
+            after: restored.chatMarker,
+            description: `Restore chat ${quoteChatName(restored.chatMarker.chatName)}`
+          });
+
+          await updateBadge();
+          sendResponse({ success: true, chatMarker: restored.chatMarker, undoId: restoreUndoId });
+          break;
+
+        case 'undo':
+        case 'redo':
+          sendResponse(await stepUndoHistory(request.action, request.undoId));
+          break;
+
+        case 'retrySchemaMigrations':
+          await migrateStoredData();
+          const migrationError = await getSchemaMigrationError();
+          sendResponse({ success: !migrationError, error: migrationError && migrationError.message });
           break;
 
         case 'getChatMarker':
@@ -616,11 +966,26 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           sendResponse({ success: true, data: fetchedChatMarker });
           break;
 
+        case 'openChatMarker':
+          // Note modals ask for the opened note; content scripts otherwise only see sealed values
+          const chatMarkerToOpen = await getChatMarkerByChatId(request.chatId, request.platform);
+          sendResponse({ success: true, data: chatMarkerToOpen && await openChatMarker(chatMarkerToOpen) });
+          break;
+
         case 'getAllChatMarkers':
           const allChatMarkers = await getAllChatMarkers();
           sendResponse({ success: true, data: allChatMarkers });
           break;
 
+        case 'getLabels':
+          // Content scripts can't read account-scoped storage keys, and show labels as emojis
+          const userLabels = await getLabels();
+          sendResponse({
+            success: true,
+            data: userLabels.map(label => ({ ...label, emoji: getLabelEmoji(label.color) }))
+          });
+          break;
+
         case 'openSidebarWithNote':
           // Store the pending action and chat marker data
           await chrome.storage.local.set({
@@ -648,7 +1013,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       }
     } catch (error) {
       console.error('[ChatMarker] Error handling message:', error);
-      sendResponse({ success: false, error: error.message });
+      sendResponse({ success: false, error: error.message, code: error.code });
     }
   })();
 
@@ -664,378 +1029,375 @@ function capitalizeFirst(str) {
   return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
+// Serializes menu rebuilds so two quick label changes can't create duplicate menu IDs
+let contextMenusQueue = Promise.resolve();
+
 /**
  * Create context menus - Chat-only version
+ * The label submenus list the user's labels, so menus are rebuilt whenever labels change
  */
 function createContextMenus() {
-  // Remove all existing menus first
-  chrome.contextMenus.removeAll(() => {
-    // Main ChatMarker menu (for WhatsApp and Messenger only)
-    // Facebook, Reddit, Instagram, and LinkedIn have their own menus with contexts: ['all'] below
-    chrome.contextMenus.create({
-      id: 'chatmarker-main',
-      title: 'ChatMarker',
-      contexts: ['page'],
-      documentUrlPatterns: [
-        'https://web.whatsapp.com/*',
-        'https://www.messenger.com/*'
-      ]
-    });
-
-    // Mark/Unmark chat
-    chrome.contextMenus.create({
-      id: 'chatmarker-mark-chat',
-      parentId: 'chatmarker-main',
-      title: '⭐ Mark/Unmark Chat',
-      contexts: ['page']
-    });
-
-    // Separator
-    chrome.contextMenus.create({
-      id: 'chatmarker-separator-1',
-      parentId: 'chatmarker-main',
-      type: 'separator',
-      contexts: ['page']
-    });
+  contextMenusQueue = contextMenusQueue
+    .then(() => buildContextMenus())
+    .catch(error => console.error('[ChatMarker] Error creating context menus:', error));
+  return contextMenusQueue;
+}
 
-    // Add labels submenu
-    chrome.contextMenus.create({
-      id: 'chatmarker-labels',
-      parentId: 'chatmarker-main',
-      title: '🏷️ Add Label',
-      contexts: ['page']
-    });
+/**
+ * Create the items of a label submenu
+ * A label with nested labels becomes a submenu whose first item toggles the label itself
+ * @param {Array} labels - The user's labels
+ * @param {string} menuId - ID of the label submenu
+ * @param {string} suffix - Platform suffix of the menu IDs ('' for WhatsApp and Messenger)
+ * @param {Array<string>} contexts - Menu contexts
+ */
+function createLabelMenuItems(labels, menuId, suffix, contexts) {
+  const tree = getLabelTree(labels);
+
+  tree.forEach(({ label, parentId }) => {
+    const parentMenuId = parentId ? `chatmarker-labelgroup-${parentId}${suffix}` : menuId;
+    const title = `${getLabelEmoji(label.color)} ${label.name}`;
+    const itemId = `chatmarker-label-${label.id}${suffix}`;
+
+    if (tree.some(entry => entry.parentId === label.id)) {
+      const groupId = `chatmarker-labelgroup-${label.id}${suffix}`;
+      chrome.contextMenus.create({ id: groupId, parentId: parentMenuId, title, contexts });
+      chrome.contextMenus.create({ id: itemId, parentId: groupId, title, contexts });
+    } else {
+      chrome.contextMenus.create({ id: itemId, parentId: parentMenuId, title, contexts });
+    }
+  });
+}
 
-    // Label options
-    const labels = [
-      { id: 'urgent', name: 'Urgent', emoji: '🔴' },
-      { id: 'important', name: 'Important', emoji: '🟡' },
-      { id: 'completed', name: 'Completed', emoji: '🟢' },
-      { id: 'followup', name: 'Follow-up', emoji: '🔵' },
-      { id: 'question', name: 'Question', emoji: '🟣' }
-    ];
-
-    labels.forEach(label => {
-      chrome.contextMenus.create({
-        id: `chatmarker-label-${label.id}`,
-        parentId: 'chatmarker-labels',
-        title: `${label.emoji} ${label.name}`,
-        contexts: ['page']
-      });
-    });
+/**
+ * Remove all context menus and create them from the stored labels
+ */
+async function buildContextMenus() {
+  const labels = await getLabels();
+  await chrome.contextMenus.removeAll();
+
+  // Main ChatMarker menu (for WhatsApp and Messenger only)
+  // Facebook, Reddit, Instagram, and LinkedIn have their own menus with contexts: ['all'] below
+  chrome.contextMenus.create({
+    id: 'chatmarker-main',
+    title: 'ChatMarker',
+    contexts: ['page'],
+    documentUrlPatterns: [
+      'https://web.whatsapp.com/*',
+      'https://www.messenger.com/*'
+    ]
+  });
 
-    // Separator
-    chrome.contextMenus.create({
-      id: 'chatmarker-separator-2',
-      parentId: 'chatmarker-main',
-      type: 'separator',
-      contexts: ['page']
-    });
+  // Mark/Unmark chat
+  chrome.contextMenus.create({
+    id: 'chatmarker-mark-chat',
+    parentId: 'chatmarker-main',
+    title: '⭐ Mark/Unmark Chat',
+    contexts: ['page']
+  });
 
-    // Add note
-    chrome.contextMenus.create({
-      id: 'chatmarker-note',
-      parentId: 'chatmarker-main',
-      title: '📝 Add/Edit Note',
-      contexts: ['page']
-    });
+  // Separator
+  chrome.contextMenus.create({
+    id: 'chatmarker-separator-1',
+    parentId: 'chatmarker-main',
+    type: 'separator',
+    contexts: ['page']
+  });
 
-    // Set reminder
-    chrome.contextMenus.create({
-      id: 'chatmarker-reminder',
-      parentId: 'chatmarker-main',
-      title: '⏰ Set/Edit Reminder',
-      contexts: ['page']
-    });
+  // Add labels submenu
+  chrome.contextMenus.create({
+    id: 'chatmarker-labels',
+    parentId: 'chatmarker-main',
+    title: '🏷️ Add Label',
+    contexts: ['page']
+  });
 
-    // ========== Facebook-specific context menus with 'all' contexts ==========
-    // Facebook needs 'all' contexts to work on chat list items
+  // Label options
+  createLabelMenuItems(labels, 'chatmarker-labels', '', ['page']);
 
-    // Main ChatMarker menu for Facebook
-    chrome.contextMenus.create({
-      id: 'chatmarker-main-facebook',
-      title: 'ChatMarker',
-      contexts: ['all'],
-      documentUrlPatterns: [
-        'https://www.facebook.com/*'
-      ]
-    });
+  // Separator
+  chrome.contextMenus.create({
+    id: 'chatmarker-separator-2',
+    parentId: 'chatmarker-main',
+    type: 'separator',
+    contexts: ['page']
+  });
 
-    // Mark/Unmark chat (Facebook)
-    chrome.contextMenus.create({
-      id: 'chatmarker-mark-chat-facebook',
-      parentId: 'chatmarker-main-facebook',
-      title: '⭐ Mark/Unmark Chat',
-      contexts: ['all']
-    });
+  // Add note
+  chrome.contextMenus.create({
+    id: 'chatmarker-note',
+    parentId: 'chatmarker-main',
+    title: '📝 Add/Edit Note',
+    contexts: ['page']
+  });
 
-    // Separator
-    chrome.contextMenus.create({
-      id: 'chatmarker-separator-1-facebook',
-      parentId: 'chatmarker-main-facebook',
-      type: 'separator',
-      contexts: ['all']
-    });
+  // Set reminder
+  chrome.contextMenus.create({
+    id: 'chatmarker-reminder',
+    parentId: 'chatmarker-main',
+    title: '⏰ Set/Edit Reminder',
+    contexts: ['page']
+  });
 
-    // Add labels submenu (Facebook)
-    chrome.contextMenus.create({
-      id: 'chatmarker-labels-facebook',
-      parentId: 'chatmarker-main-facebook',
-      title: '🏷️ Add Label',
-      contexts: ['all']
-    });
+  // ========== Facebook-specific context menus with 'all' contexts ==========
+  // Facebook needs 'all' contexts to work on chat list items
+
+  // Main ChatMarker menu for Facebook
+  chrome.contextMenus.create({
+    id: 'chatmarker-main-facebook',
+    title: 'ChatMarker',
+    contexts: ['all'],
+    documentUrlPatterns: [
+      'https://www.facebook.com/*'
+    ]
+  });
 
-    // Label options for Facebook (with unique IDs)
-    labels.forEach(label => {
-      chrome.contextMenus.create({
-        id: `chatmarker-label-${label.id}-facebook`,
-        parentId: 'chatmarker-labels-facebook',
-        title: `${label.emoji} ${label.name}`,
-        contexts: ['all']
-      });
-    });
+  // Mark/Unmark chat (Facebook)
+  chrome.contextMenus.create({
+    id: 'chatmarker-mark-chat-facebook',
+    parentId: 'chatmarker-main-facebook',
+    title: '⭐ Mark/Unmark Chat',
+    contexts: ['all']
+  });
 
-    // Separator
-    chrome.contextMenus.create({
-      id: 'chatmarker-separator-2-facebook',
-      parentId: 'chatmarker-main-facebook',
-      type: 'separator',
-      contexts: ['all']
-    });
+  // Separator
+  chrome.contextMenus.create({
+    id: 'chatmarker-separator-1-facebook',
+    parentId: 'chatmarker-main-facebook',
+    type: 'separator',
+    contexts: ['all']
+  });
 
-    // Add note (Facebook)
-    chrome.contextMenus.create({
-      id: 'chatmarker-note-facebook',
-      parentId: 'chatmarker-main-facebook',
-      title: '📝 Add/Edit Note',
-      contexts: ['all']
-    });
+  // Add labels submenu (Facebook)
+  chrome.contextMenus.create({
+    id: 'chatmarker-labels-facebook',
+    parentId: 'chatmarker-main-facebook',
+    title: '🏷️ Add Label',
+    contexts: ['all']
+  });
 
-    // Set reminder (Facebook)
-    chrome.contextMenus.create({
-      id: 'chatmarker-reminder-facebook',
-      parentId: 'chatmarker-main-facebook',
-      title: '⏰ Set/Edit Reminder',
-      contexts: ['all']
-    });
+  // Label options for Facebook (with unique IDs)
+  createLabelMenuItems(labels, 'chatmarker-labels-facebook', '-facebook', ['all']);
 
-    // ========== Reddit-specific context menus with 'all' contexts ==========
-    // Reddit needs 'all' contexts to work on chat list items
-
-    // Main ChatMarker menu for Reddit
-    chrome.contextMenus.create({
-      id: 'chatmarker-main-reddit',
-      title: 'ChatMarker',
-      contexts: ['all'],
-      documentUrlPatterns: [
-        'https://www.reddit.com/*',
-        'https://old.reddit.com/*',
-        'https://chat.reddit.com/*'
-      ]
-    });
+  // Separator
+  chrome.contextMenus.create({
+    id: 'chatmarker-separator-2-facebook',
+    parentId: 'chatmarker-main-facebook',
+    type: 'separator',
+    contexts: ['all']
+  });
 
-    // Mark/Unmark chat (Reddit)
-    chrome.contextMenus.create({
-      id: 'chatmarker-mark-chat-reddit',
-      parentId: 'chatmarker-main-reddit',
-      title: '⭐ Mark/Unmark Chat',
-      contexts: ['all']
-    });
+  // Add note (Facebook)
+  chrome.contextMenus.create({
+    id: 'chatmarker-note-facebook',
+    parentId: 'chatmarker-main-facebook',
+    title: '📝 Add/Edit Note',
+    contexts: ['all']
+  });
 
-    // Separator
-    chrome.contextMenus.create({
-      id: 'chatmarker-separator-1-reddit',
-      parentId: 'chatmarker-main-reddit',
-      type: 'separator',
-      contexts: ['all']
-    });
+  // Set reminder (Facebook)
+  chrome.contextMenus.create({
+    id: 'chatmarker-reminder-facebook',
+    parentId: 'chatmarker-main-facebook',
+    title: '⏰ Set/Edit Reminder',
+    contexts: ['all']
+  });
 
-    // Add labels submenu (Reddit)
-    chrome.contextMenus.create({
-      id: 'chatmarker-labels-reddit',
-      parentId: 'chatmarker-main-reddit',
-      title: '🏷️ Add Label',
-      contexts: ['all']
-    });
+  // ========== Reddit-specific context menus with 'all' contexts ==========
+  // Reddit needs 'all' contexts to work on chat list items
+
+  // Main ChatMarker menu for Reddit
+  chrome.contextMenus.create({
+    id: 'chatmarker-main-reddit',
+    title: 'ChatMarker',
+    contexts: ['all'],
+    documentUrlPatterns: [
+      'https://www.reddit.com/*',
+      'https://old.reddit.com/*',
+      'https://chat.reddit.com/*'
+    ]
+  });
 
-    // Label options for Reddit (with unique IDs)
-    labels.forEach(label => {
-      chrome.contextMenus.create({
-        id: `chatmarker-label-${label.id}-reddit`,
-        parentId: 'chatmarker-labels-reddit',
-        title: `${label.emoji} ${label.name}`,
-        contexts: ['all']
-      });
-    });
+  // Mark/Unmark chat (Reddit)
+  chrome.contextMenus.create({
+    id: 'chatmarker-mark-chat-reddit',
+    parentId: 'chatmarker-main-reddit',
+    title: '⭐ Mark/Unmark Chat',
+    contexts: ['all']
+  });
 
-    // Separator
-    chrome.contextMenus.create({
-      id: 'chatmarker-separator-2-reddit',
-      parentId: 'chatmarker-main-reddit',
-      type: 'separator',
-      contexts: ['all']
-    });
+  // Separator
+  chrome.contextMenus.create({
+    id: 'chatmarker-separator-1-reddit',
+    parentId: 'chatmarker-main-reddit',
+    type: 'separator',
+    contexts: ['all']
+  });
 
-    // Add note (Reddit)
-    chrome.contextMenus.create({
-      id: 'chatmarker-note-reddit',
-      parentId: 'chatmarker-main-reddit',
-      title: '📝 Add/Edit Note',
-      contexts: ['all']
-    });
+  // Add labels submenu (Reddit)
+  chrome.contextMenus.create({
+    id: 'chatmarker-labels-reddit',
+    parentId: 'chatmarker-main-reddit',
+    title: '🏷️ Add Label',
+    contexts: ['all']
+  });
 
-    // Set reminder (Reddit)
-    chrome.contextMenus.create({
-      id: 'chatmarker-reminder-reddit',
-      parentId: 'chatmarker-main-reddit',
-      title: '⏰ Set/Edit Reminder',
-      contexts: ['all']
-    });
+  // Label options for Reddit (with unique IDs)
+  createLabelMenuItems(labels, 'chatmarker-labels-reddit', '-reddit', ['all']);
 
-    // ========== Instagram-specific context menus with 'all' contexts ==========
-    // Instagram needs 'all' contexts to work on chat list items
+  // Separator
+  chrome.contextMenus.create({
+    id: 'chatmarker-separator-2-reddit',
+    parentId: 'chatmarker-main-reddit',
+    type: 'separator',
+    contexts: ['all']
+  });
 
-    // Main ChatMarker menu for Instagram
-    chrome.contextMenus.create({
-      id: 'chatmarker-main-instagram',
-      title: 'ChatMarker',
-      contexts: ['all'],
-      documentUrlPatterns: [
-        'https://www.instagram.com/*'
-      ]
-    });
+  // Add note (Reddit)
+  chrome.contextMenus.create({
+    id: 'chatmarker-note-reddit',
+    parentId: 'chatmarker-main-reddit',
+    title: '📝 Add/Edit Note',
+    contexts: ['all']
+  });
 
-    // Mark/Unmark chat (Instagram)
-    chrome.contextMenus.create({
-      id: 'chatmarker-mark-chat-instagram',
-      parentId: 'chatmarker-main-instagram',
-      title: '⭐ Mark/Unmark Chat',
-      contexts: ['all']
-    });
+  // Set reminder (Reddit)
+  chrome.contextMenus.create({
+    id: 'chatmarker-reminder-reddit',
+    parentId: 'chatmarker-main-reddit',
+    title: '⏰ Set/Edit Reminder',
+    contexts: ['all']
+  });
 
-    // Separator
-    chrome.contextMenus.create({
-      id: 'chatmarker-separator-1-instagram',
-      parentId: 'chatmarker-main-instagram',
-      type: 'separator',
-      contexts: ['all']
-    });
+  // ========== Instagram-specific context menus with 'all' contexts ==========
+  // Instagram needs 'all' contexts to work on chat list items
+
+  // Main ChatMarker menu for Instagram
+  chrome.contextMenus.create({
+    id: 'chatmarker-main-instagram',
+    title: 'ChatMarker',
+    contexts: ['all'],
+    documentUrlPatterns: [
+      'https://www.instagram.com/*'
+    ]
+  });
 
-    // Add labels submenu (Instagram)
-    chrome.contextMenus.create({
-      id: 'chatmarker-labels-instagram',
-      parentId: 'chatmarker-main-instagram',
-      title: '🏷️ Add Label',
-      contexts: ['all']
-    });
+  // Mark/Unmark chat (Instagram)
+  chrome.contextMenus.create({
+    id: 'chatmarker-mark-chat-instagram',
+    parentId: 'chatmarker-main-instagram',
+    title: '⭐ Mark/Unmark Chat',
+    contexts: ['all']
+  });
 
-    // Label options for Instagram (with unique IDs)
-    labels.forEach(label => {
-      chrome.contextMenus.create({
-        id: `chatmarker-label-${label.id}-instagram`,
-        parentId: 'chatmarker-labels-instagram',
-        title: `${label.emoji} ${label.name}`,
-        contexts: ['all']
-      });
-    });
+  // Separator
+  chrome.contextMenus.create({
+    id: 'chatmarker-separator-1-instagram',
+    parentId: 'chatmarker-main-instagram',
+    type: 'separator',
+    contexts: ['all']
+  });
 
-    // Separator
-    chrome.contextMenus.create({
-      id: 'chatmarker-separator-2-instagram',
-      parentId: 'chatmarker-main-instagram',
-      type: 'separator',
-      contexts: ['all']
-    });
+  // Add labels submenu (Instagram)
+  chrome.contextMenus.create({
+    id: 'chatmarker-labels-instagram',
+    parentId: 'chatmarker-main-instagram',
+    title: '🏷️ Add Label',
+    contexts: ['all']
+  });
 
-    // Add note (Instagram)
-    chrome.contextMenus.create({
-      id: 'chatmarker-note-instagram',
-      parentId: 'chatmarker-main-instagram',
-      title: '📝 Add/Edit Note',
-      contexts: ['all']
-    });
+  // Label options for Instagram (with unique IDs)
+  createLabelMenuItems(labels, 'chatmarker-labels-instagram', '-instagram', ['all']);
 
-    // Set reminder (Instagram)
-    chrome.contextMenus.create({
-      id: 'chatmarker-reminder-instagram',
-      parentId: 'chatmarker-main-instagram',
-      title: '⏰ Set/Edit Reminder',
-      contexts: ['all']
-    });
+  // Separator
+  chrome.contextMenus.create({
+    id: 'chatmarker-separator-2-instagram',
+    parentId: 'chatmarker-main-instagram',
+    type: 'separator',
+    contexts: ['all']
+  });
 
-    // ========== LinkedIn-specific context menus with 'all' contexts ==========
-    // LinkedIn needs 'all' contexts to work on chat list items
+  // Add note (Instagram)
+  chrome.contextMenus.create({
+    id: 'chatmarker-note-instagram',
+    parentId: 'chatmarker-main-instagram',
+    title: '📝 Add/Edit Note',
+    contexts: ['all']
+  });
 
-    // Main ChatMarker menu for LinkedIn
-    chrome.contextMenus.create({
-      id: 'chatmarker-main-linkedin',
-      title: 'ChatMarker',
-      contexts: ['all'],
-      documentUrlPatterns: [
-        'https://www.linkedin.com/*'
-      ]
-    });
+  // Set reminder (Instagram)
+  chrome.contextMenus.create({
+    id: 'chatmarker-reminder-instagram',
+    parentId: 'chatmarker-main-instagram',
+    title: '⏰ Set/Edit Reminder',
+    contexts: ['all']
+  });
 
-    // Mark/Unmark chat (LinkedIn)
-    chrome.contextMenus.create({
-      id: 'chatmarker-mark-chat-linkedin',
-      parentId: 'chatmarker-main-linkedin',
-      title: '⭐ Mark/Unmark Chat',
-      contexts: ['all']
-    });
+  // ========== LinkedIn-specific context menus with 'all' contexts ==========
+  // LinkedIn needs 'all' contexts to work on chat list items
+
+  // Main ChatMarker menu for LinkedIn
+  chrome.contextMenus.create({
+    id: 'chatmarker-main-linkedin',
+    title: 'ChatMarker',
+    contexts: ['all'],
+    documentUrlPatterns: [
+      'https://www.linkedin.com/*'
+    ]
+  });
 
-    // Separator
-    chrome.contextMenus.create({
-      id: 'chatmarker-separator-1-linkedin',
-      parentId: 'chatmarker-main-linkedin',
-      type: 'separator',
-      contexts: ['all']
-    });
+  // Mark/Unmark chat (LinkedIn)
+  chrome.contextMenus.create({
+    id: 'chatmarker-mark-chat-linkedin',
+    parentId: 'chatmarker-main-linkedin',
+    title: '⭐ Mark/Unmark Chat',
+    contexts: ['all']
+  });
 
-    // Add labels submenu (LinkedIn)
-    chrome.contextMenus.create({
-      id: 'chatmarker-labels-linkedin',
-      parentId: 'chatmarker-main-linkedin',
-      title: '🏷️ Add Label',
-      contexts: ['all']
-    });
+  // Separator
+  chrome.contextMenus.create({
+    id: 'chatmarker-separator-1-linkedin',
+    parentId: 'chatmarker-main-linkedin',
+    type: 'separator',
+    contexts: ['all']
+  });
 
-    // Label options for LinkedIn (with unique IDs)
-    labels.forEach(label => {
-      chrome.contextMenus.create({
-        id: `chatmarker-label-${label.id}-linkedin`,
-        parentId: 'chatmarker-labels-linkedin',
-        title: `${label.emoji} ${label.name}`,
-        contexts: ['all']
-      });
-    });
+  // Add labels submenu (LinkedIn)
+  chrome.contextMenus.create({
+    id: 'chatmarker-labels-linkedin',
+    parentId: 'chatmarker-main-linkedin',
+    title: '🏷️ Add Label',
+    contexts: ['all']
+  });
 
-    // Separator
-    chrome.contextMenus.create({
-      id: 'chatmarker-separator-2-linkedin',
-      parentId: 'chatmarker-main-linkedin',
-      type: 'separator',
-      contexts: ['all']
-    });
+  // Label options for LinkedIn (with unique IDs)
+  createLabelMenuItems(labels, 'chatmarker-labels-linkedin', '-linkedin', ['all']);
 
-    // Add note (LinkedIn)
-    chrome.contextMenus.create({
-      id: 'chatmarker-note-linkedin',
-      parentId: 'chatmarker-main-linkedin',
-      title: '📝 Add/Edit Note',
-      contexts: ['all']
-    });
+  // Separator
+  chrome.contextMenus.create({
+    id: 'chatmarker-separator-2-linkedin',
+    parentId: 'chatmarker-main-linkedin',
+    type: 'separator',
+    contexts: ['all']
+  });
 
-    // Set reminder (LinkedIn)
-    chrome.contextMenus.create({
-      id: 'chatmarker-reminder-linkedin',
-      parentId: 'chatmarker-main-linkedin',
-      title: '⏰ Set/Edit Reminder',
-      contexts: ['all']
-    });
+  // Add note (LinkedIn)
+  chrome.contextMenus.create({
+    id: 'chatmarker-note-linkedin',
+    parentId: 'chatmarker-main-linkedin',
+    title: '📝 Add/Edit Note',
+    contexts: ['all']
+  });
 
-    console.log('[ChatMarker] Chat-only context menus created (including Facebook, Reddit, Instagram, and LinkedIn-specific menus)');
+  // Set reminder (LinkedIn)
+  chrome.contextMenus.create({
+    id: 'chatmarker-reminder-linkedin',
+    parentId: 'chatmarker-main-linkedin',
+    title: '⏰ Set/Edit Reminder',
+    contexts: ['all']
   });
+
+  console.log('[ChatMarker] Chat-only context menus created (including Facebook, Reddit, Instagram, and LinkedIn-specific menus)');
 }
 
 /**
@@ -1044,33 +1406,7 @@ function createContextMenus() {
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   console.log('[ChatMarker] Context menu clicked:', info.menuItemId);
 
-  // Check if user is authenticated
-  const { currentUser } = await chrome.storage.local.get(['currentUser']);
-
-  if (!currentUser) {
-    console.log('[ChatMarker] User not authenticated, showing notification');
-
-    // Show notification to sign in
-    chrome.notifications.create('auth_required', {
-      type: 'basic',
-      iconUrl: 'icons/icon128.png',
-      title: '🔒 Sign In Required',
-      message: 'Please sign in to use ChatMarker features.',
-      priority: 2,
-      requireInteraction: false
-    });
-
-    // Open side panel to auth screen
-    try {
-      await chrome.sidePanel.open({ windowId: tab.windowId });
-    } catch (error) {
-      console.error('[ChatMarker] Error opening side panel:', error);
-    }
-
-    return; // Stop execution
-  }
-
-  console.log('[ChatMarker] User authenticated:', currentUser.email);
+  // No sign-in check: all data lives in chrome.storage.local, and sync (if any) follows later
 
   // Normalize platform-specific menu IDs by removing '-facebook', '-reddit', '-instagram', or '-linkedin' suffix
   // This allows content scripts to handle both regular and platform-specific menus with same logic
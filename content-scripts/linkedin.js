@@ -4,7 +4,7 @@
  *
  * Features:
  * - Mark/unmark chats from chat list
- * - Add labels (Urgent, Important, etc.)
+ * - Add labels (the user's own, managed in the side panel)
  * - Add notes to chats
  * - Set reminders
  * - Inline indicators (⭐ before time) in chat list
@@ -17,6 +17,9 @@ console.log('[ChatMarker] LinkedIn content script initializing...');
 
 const PLATFORM = 'linkedin';
 
+// Notes shown in the note modal (the side panel lists them all)
+const RECENT_NOTES_SHOWN = 3;
+
 const SELECTORS = {
   // Full-screen chat list (messaging page)
   chatList: 'ul.msg-conversations-container__conversations-list',
@@ -39,6 +42,7 @@ const SELECTORS = {
 let lastRightClickedElement = null;
 let chatListObserver = null;
 let floatingChatObserver = null;
+let userLabels = []; // The user's labels with their emojis (see loadLabels)
 
 // ==================== INITIALIZATION ====================
 
@@ -58,9 +62,56 @@ function init() {
   // Listen for context menu actions from background
   chrome.runtime.onMessage.addListener(handleContextMenuAction);
 
+  // Listen for marker changes made in the side panel or on another device
+  chrome.runtime.onMessage.addListener(handleChatMarkerUpdated);
+
+  // Show the result of the undo/redo keyboard shortcut
+  chrome.runtime.onMessage.addListener(handleShowToast);
+
+  // Labels are needed for the chat list indicators
+  loadLabels();
+
   console.log('[ChatMarker] ✅ LinkedIn content script initialized');
 }
 
+// ==================== LABELS ====================
+
+/**
+ * Load the user's labels from the background
+ */
+async function loadLabels() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getLabels' });
+    if (response && response.success) {
+      userLabels = response.data;
+    }
+  } catch (error) {
+    console.error('[ChatMarker] Error loading labels:', error);
+  }
+}
+
+/**
+ * Get a label by ID (labels deleted since are shown by their ID)
+ */
+function getLabelInfo(labelId) {
+  return userLabels.find(label => label.id === labelId) || { id: labelId, name: labelId, emoji: '🏷️' };
+}
+
+/**
+ * Check whether a note or chat name is sealed in the vault (only opened on request, while unlocked)
+ */
+function isVaultSealed(value) {
+  return typeof value === 'string' && value.startsWith('vault:');
+}
+
+/**
+ * Get a chat's note entries, newest first
+ */
+function getChatNotes(chatMarker) {
+  const entries = Array.isArray(chatMarker.noteEntries) ? chatMarker.noteEntries : [];
+  return [...entries].sort((a, b) => b.createdAt - a.createdAt);
+}
+
 // ==================== CONTEXT MENU HANDLING ====================
 
 /**
@@ -95,6 +146,27 @@ function handleContextMenuAction(request, sender, sendResponse) {
   }
 }
 
+/**
+ * Refresh indicators when chat markers change outside this tab
+ */
+function handleChatMarkerUpdated(request, sender, sendResponse) {
+  if (request.action !== 'chatMarkerUpdated') return;
+
+  // Labels may have been renamed or recolored too
+  loadLabels().then(() => setTimeout(() => updateChatListIndicators(), 200));
+  sendResponse({ success: true });
+}
+
+/**
+ * Show a toast requested by the background
+ */
+function handleShowToast(request, sender, sendResponse) {
+  if (request.action !== 'showToast') return;
+
+  showToast(request.message);
+  sendResponse({ success: true });
+}
+
 // ==================== CHAT IDENTIFICATION ====================
 
 /**
@@ -189,12 +261,12 @@ async function markCurrentChat() {
 
     if (response.success && response.data) {
       // Already marked - unmark it
-      await chrome.runtime.sendMessage({
+      const deleteResponse = await chrome.runtime.sendMessage({
         action: 'deleteChatMarker',
         chatMarkerId: response.data.chatMarkerId
       });
 
-      showToast(`✅ Unmarked: ${chatName}`);
+      showToast(`✅ Unmarked: ${chatName}`, 'success', { undoId: deleteResponse.undoId });
       console.log('[ChatMarker] Chat unmarked successfully');
 
       // Update indicators
@@ -207,17 +279,17 @@ async function markCurrentChat() {
         chatId: chatId,
         chatName: chatName,
         labels: [],
-        notes: '',
+        noteEntries: [],
         createdAt: Date.now(),
         updatedAt: Date.now()
       };
 
-      await chrome.runtime.sendMessage({
+      const saveResponse = await chrome.runtime.sendMessage({
         action: 'saveChatMarker',
         data: chatMarker
       });
 
-      showToast(`⭐ Marked: ${chatName}`);
+      showToast(`⭐ Marked: ${chatName}`, 'success', { undoId: saveResponse.undoId });
       console.log('[ChatMarker] Chat marked successfully');
 
       // Update indicators
@@ -264,7 +336,7 @@ async function toggleChatLabel(labelId) {
         chatId: chatId,
         chatName: chatName,
         labels: [],
-        notes: '',
+        noteEntries: [],
         createdAt: Date.now(),
         updatedAt: Date.now()
       };
@@ -274,22 +346,27 @@ async function toggleChatLabel(labelId) {
     if (!chatMarker.labels) chatMarker.labels = [];
     const labelIndex = chatMarker.labels.indexOf(labelId);
 
+    const labelName = getLabelInfo(labelId).name;
+    const labelMessage = labelIndex > -1
+      ? `🏷️ Removed label: ${labelName}`
+      : `🏷️ Added label: ${labelName}`;
+
     if (labelIndex > -1) {
       chatMarker.labels.splice(labelIndex, 1);
-      showToast(`🏷️ Removed label: ${labelId}`);
     } else {
       chatMarker.labels.push(labelId);
-      showToast(`🏷️ Added label: ${labelId}`);
     }
 
     chatMarker.updatedAt = Date.now();
 
     // Save
-    await chrome.runtime.sendMessage({
+    const saveResponse = await chrome.runtime.sendMessage({
       action: 'saveChatMarker',
       data: chatMarker
     });
 
+    showToast(labelMessage, 'success', { undoId: saveResponse.undoId });
+
     console.log('[ChatMarker] Label toggled successfully');
 
     // Update indicators
@@ -317,17 +394,21 @@ async function openChatNoteEditor() {
   try {
     // Get current chat marker
     const response = await chrome.runtime.sendMessage({
-      action: 'getChatMarker',
+      action: 'openChatMarker',
       chatId: chatId,
       platform: PLATFORM
     });
 
+    if (response.code === 'vault-locked') {
+      showToast('🔒 Notes are locked. Unlock them in the ChatMarker side panel', 'error');
+      return;
+    }
+
     let chatMarker;
-    let existingNote = '';
+    const isMarked = !!(response.success && response.data);
 
-    if (response.success && response.data) {
+    if (isMarked) {
       chatMarker = response.data;
-      existingNote = chatMarker.notes || '';
     } else {
       // Create new marker
       chatMarker = {
@@ -336,23 +417,34 @@ async function openChatNoteEditor() {
         chatId: chatId,
         chatName: chatName,
         labels: [],
-        notes: '',
+        noteEntries: [],
         createdAt: Date.now(),
         updatedAt: Date.now()
       };
     }
 
     // Show note modal
-    showInlineNoteModal(chatName, existingNote, async (noteText) => {
-      chatMarker.notes = noteText;
-      chatMarker.updatedAt = Date.now();
+    showInlineNoteModal(chatName, chatMarker, async (noteText) => {
+      // Mark the chat first if needed
+      if (!isMarked) {
+        const saveResponse = await chrome.runtime.sendMessage({
+          action: 'saveChatMarker',
+          data: chatMarker
+        });
+        chatMarker = saveResponse.chatMarker;
+      }
 
-      await chrome.runtime.sendMessage({
-        action: 'saveChatMarker',
-        data: chatMarker
+      const noteResponse = await chrome.runtime.sendMessage({
+        action: 'saveChatNote',
+        chatMarkerId: chatMarker.chatMarkerId,
+        data: { text: noteText }
       });
+      if (!noteResponse.success) {
+        showToast('❌ Failed to save note', 'error');
+        return;
+      }
 
-      showToast('📝 Note saved successfully');
+      showToast('📝 Note saved successfully', 'success', { undoId: noteResponse.undoId });
       setTimeout(() => updateChatListIndicators(), 200);
     });
 
@@ -396,7 +488,7 @@ async function openChatReminderPicker() {
         chatId: chatId,
         chatName: chatName,
         labels: [],
-        notes: '',
+        noteEntries: [],
         createdAt: Date.now(),
         updatedAt: Date.now()
       };
@@ -423,12 +515,12 @@ async function openChatReminderPicker() {
         createdAt: Date.now()
       };
 
-      await chrome.runtime.sendMessage({
+      const reminderResponse = await chrome.runtime.sendMessage({
         action: 'createReminder',
         data: reminder
       });
 
-      showToast('⏰ Reminder set successfully');
+      showToast('⏰ Reminder set successfully', 'success', { undoId: reminderResponse.undoId });
       setTimeout(() => updateChatListIndicators(), 200);
     });
 
@@ -607,28 +699,20 @@ function addChatListIndicator(chatElement, chatMarker, type = 'fullscreen') {
     return;
   }
 
-  // Label emoji mapping
-  const labelEmojis = {
-    urgent: '🔴',
-    important: '🟡',
-    completed: '🟢',
-    followup: '🔵',
-    question: '🟣'
-  };
-
   // Determine what to display
   let displayContent = '⭐'; // Default star
   let titleText = 'Marked chat';
 
   if (chatMarker.labels && chatMarker.labels.length > 0) {
     // Show label emojis instead of star
-    displayContent = chatMarker.labels.map(label => labelEmojis[label] || '🏷️').join('');
-    titleText = `Labels: ${chatMarker.labels.join(', ')}`;
+    displayContent = chatMarker.labels.map(label => getLabelInfo(label).emoji).join('');
+    titleText = `Labels: ${chatMarker.labels.map(label => getLabelInfo(label).name).join(', ')}`;
   }
 
-  // Add notes to tooltip if present
-  if (chatMarker.notes && chatMarker.notes.trim()) {
-    titleText += `\n\nNote: ${chatMarker.notes}`;
+  // Add the latest note to tooltip if present
+  const [latestNote] = getChatNotes(chatMarker);
+  if (latestNote) {
+    titleText += isVaultSealed(latestNote.text) ? '\n\nNote: 🔒 locked' : `\n\nNote: ${latestNote.text}`;
   }
 
   // Create indicator
@@ -653,7 +737,7 @@ function addChatListIndicator(chatElement, chatMarker, type = 'fullscreen') {
 /**
  * Show inline note modal
  */
-function showInlineNoteModal(chatName, existingNote, onSave) {
+function showInlineNoteModal(chatName, chatMarker, onSave) {
   const colors = getThemeColors();
 
   // Create modal overlay
@@ -697,8 +781,10 @@ function showInlineNoteModal(chatName, existingNote, onSave) {
       <p style="margin: 4px 0 0 0; color: ${colors.infoText};">${chatName}</p>
     </div>
 
-    <label style="display: block; margin-bottom: 8px; font-weight: 500; color: ${colors.textPrimary};">Your Note:</label>
-    <textarea class="chatmarker-note-textarea" placeholder="Add your note here..." maxlength="500" style="
+    <div class="chatmarker-recent-notes"></div>
+
+    <label style="display: block; margin-bottom: 8px; font-weight: 500; color: ${colors.textPrimary};">New Note:</label>
+    <textarea class="chatmarker-note-textarea" placeholder="Add your note here..." maxlength="2000" style="
       width: 100%;
       min-height: 120px;
       padding: 12px;
@@ -710,12 +796,14 @@ function showInlineNoteModal(chatName, existingNote, onSave) {
       background: ${colors.inputBg};
       color: ${colors.textPrimary};
       box-sizing: border-box;
-    ">${existingNote}</textarea>
+    "></textarea>
 
     <div style="text-align: right; margin-top: 8px; color: ${colors.textSecondary}; font-size: 12px;">
-      <span class="chatmarker-char-counter">${existingNote.length}</span> / 500
+      <span class="chatmarker-char-counter">0</span> / 2000
     </div>
 
+    <div class="chatmarker-note-preview chatmarker-markdown" style="display: none; margin-top: 12px; padding: 10px 12px; max-height: 160px; overflow-y: auto; background: ${colors.infoBg}; border-radius: 6px; font-size: 13px; color: ${colors.textPrimary};"></div>
+
     <div style="display: flex; gap: 12px; margin-top: 20px; justify-content: flex-end;">
       <button class="chatmarker-cancel-btn" style="
         padding: 10px 20px;
@@ -743,6 +831,8 @@ function showInlineNoteModal(chatName, existingNote, onSave) {
   overlay.appendChild(modal);
   document.body.appendChild(overlay);
 
+  renderRecentNotes(modal.querySelector('.chatmarker-recent-notes'), chatMarker, colors);
+
   // Get elements
   const textarea = modal.querySelector('.chatmarker-note-textarea');
   const charCounter = modal.querySelector('.chatmarker-char-counter');
@@ -755,6 +845,17 @@ function showInlineNoteModal(chatName, existingNote, onSave) {
     charCounter.textContent = textarea.value.length;
   });
 
+  // Live preview of the note's Markdown (its checkboxes toggle the text)
+  const preview = modal.querySelector('.chatmarker-note-preview');
+  const updatePreview = () => {
+    preview.style.display = textarea.value.trim() ? 'block' : 'none';
+    renderMarkdownInto(preview, textarea.value, (text) => {
+      textarea.value = text;
+      updatePreview();
+    });
+  };
+  textarea.addEventListener('input', updatePreview);
+
   // Close handlers
   const closeModal = () => overlay.remove();
   closeBtn.addEventListener('click', closeModal);
@@ -766,13 +867,71 @@ function showInlineNoteModal(chatName, existingNote, onSave) {
   // Save handler
   saveBtn.addEventListener('click', () => {
     const noteText = textarea.value.trim();
+    if (!noteText) {
+      showToast('⚠️ Please write a note first', 'error');
+      return;
+    }
     onSave(noteText);
     closeModal();
   });
 
   // Focus textarea
   textarea.focus();
-  textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+}
+
+/**
+ * Show a chat's most recent notes above the new note (older ones are listed in the side panel)
+ */
+function renderRecentNotes(container, chatMarker, colors) {
+  const notes = getChatNotes(chatMarker);
+  if (notes.length === 0) return;
+
+  container.style.cssText = 'margin-bottom: 16px; max-height: 200px; overflow-y: auto;';
+  notes.slice(0, RECENT_NOTES_SHOWN).forEach(entry => {
+    const item = document.createElement('div');
+    item.style.cssText = `padding: 8px 12px; margin-bottom: 8px; border-left: 3px solid ${colors.primary}; background: ${colors.infoBg}; border-radius: 4px;`;
+
+    // Notes are rendered from sanitized Markdown (see utils/markdown.js)
+    const time = document.createElement('div');
+    time.style.cssText = `font-size: 11px; color: ${colors.textSecondary}; margin-bottom: 2px;`;
+    time.textContent = new Date(entry.createdAt).toLocaleString();
+    const text = document.createElement('div');
+    text.className = 'chatmarker-markdown';
+    text.style.cssText = `font-size: 13px; color: ${colors.textPrimary}; word-break: break-word;`;
+
+    // Toggling a checkbox saves the note
+    let noteText = entry.text;
+    const renderText = () => renderMarkdownInto(text, noteText, async (toggled) => {
+      try {
+        const response = await chrome.runtime.sendMessage({
+          action: 'saveChatNote',
+          chatMarkerId: chatMarker.chatMarkerId,
+          data: { id: entry.id, text: toggled }
+        });
+        if (response && response.success) {
+          noteText = toggled;
+        } else {
+          showToast('❌ Failed to update checklist', 'error');
+        }
+      } catch (error) {
+        console.error('[ChatMarker] Error updating checklist:', error);
+        showToast('❌ Failed to update checklist', 'error');
+      }
+      renderText();
+    });
+    renderText();
+
+    item.append(time, text);
+    container.appendChild(item);
+  });
+
+  if (notes.length > RECENT_NOTES_SHOWN) {
+    const older = document.createElement('div');
+    older.style.cssText = `font-size: 12px; color: ${colors.textSecondary};`;
+    const count = notes.length - RECENT_NOTES_SHOWN;
+    older.textContent = `${count} older note${count === 1 ? '' : 's'} in the ChatMarker side panel`;
+    container.appendChild(older);
+  }
 }
 
 /**
@@ -958,8 +1117,9 @@ function getThemeColors() {
 
 /**
  * Show toast notification
+ * Pass { undoId } from the background's response to a change to offer an Undo button
  */
-function showToast(message, type = 'success') {
+function showToast(message, type = 'success', { undoId = null } = {}) {
   const colors = getThemeColors();
 
   // Remove existing toast
@@ -990,12 +1150,46 @@ function showToast(message, type = 'success') {
     max-width: 400px;
   `;
 
+  if (undoId) {
+    toast.appendChild(createUndoButton(toast, undoId));
+  }
+
   document.body.appendChild(toast);
 
   setTimeout(() => {
     toast.style.animation = 'slideOut 0.3s ease';
     setTimeout(() => toast.remove(), 300);
-  }, 3000);
+  }, undoId ? 5000 : 3000);
+}
+
+/**
+ * Create the Undo button of a toast
+ * The background only undoes the change while it is still the last one
+ */
+function createUndoButton(toast, undoId) {
+  const button = document.createElement('button');
+  button.textContent = 'Undo';
+  button.style.cssText = `
+    margin-left: 12px;
+    padding: 0;
+    background: none;
+    border: none;
+    color: inherit;
+    font: inherit;
+    font-weight: 700;
+    text-decoration: underline;
+    cursor: pointer;
+  `;
+  button.addEventListener('click', async () => {
+    toast.remove();
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'undo', undoId });
+      showToast((response && response.message) || '❌ Could not undo', response && response.success ? 'success' : 'error');
+    } catch (error) {
+      showToast('❌ Could not undo', 'error');
+    }
+  });
+  return button;
 }
 
 // ==================== START ====================
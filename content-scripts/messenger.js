@@ -12,6 +12,12 @@ console.log('[ChatMarker] Facebook Messenger content script loaded');
 // Store the last right-clicked element to extract chat info from
 let lastRightClickedElement = null;
 
+// The user's labels with their emojis (see loadLabels)
+let userLabels = [];
+
+// Notes shown in the note modal (the side panel lists them all)
+const RECENT_NOTES_SHOWN = 3;
+
 // ==========================================
 // INITIALIZATION
 // ==========================================
@@ -34,6 +40,9 @@ function init() {
   // Listen for messages from background script
   setupMessageListener();
 
+  // Labels are needed for the chat list indicators
+  loadLabels();
+
   // Listen for right-clicks to capture the clicked element
   setupContextMenuCapture();
 
@@ -325,28 +334,20 @@ function addChatListIndicator(chatElement, chatMarker) {
   // Use overlay positioning (like Reddit) to prevent Facebook from removing it
   chatElement.style.position = 'relative';
 
-  // Label emoji mapping
-  const labelEmojis = {
-    urgent: '🔴',
-    important: '🟡',
-    completed: '🟢',
-    followup: '🔵',
-    question: '🟣'
-  };
-
   // Determine what to display
   let displayContent = '⭐'; // Default star
   let titleText = 'Marked chat';
 
   if (chatMarker && chatMarker.labels && chatMarker.labels.length > 0) {
     // Show label emojis instead of star
-    displayContent = chatMarker.labels.map(label => labelEmojis[label] || '🏷️').join('');
-    titleText = `Labels: ${chatMarker.labels.join(', ')}`;
+    displayContent = chatMarker.labels.map(label => getLabelInfo(label).emoji).join('');
+    titleText = `Labels: ${chatMarker.labels.map(label => getLabelInfo(label).name).join(', ')}`;
   }
 
-  // Add notes to tooltip if present
-  if (chatMarker && chatMarker.notes && chatMarker.notes.trim()) {
-    titleText += `\n\nNote: ${chatMarker.notes}`;
+  // Add the latest note to tooltip if present
+  const [latestNote] = chatMarker ? getChatNotes(chatMarker) : [];
+  if (latestNote) {
+    titleText += isVaultSealed(latestNote.text) ? '\n\nNote: 🔒 locked' : `\n\nNote: ${latestNote.text}`;
   }
 
   const indicator = document.createElement('div');
@@ -390,6 +391,40 @@ function safeSendMessage(message, callback) {
   }
 }
 
+/**
+ * Load the user's labels from the background
+ */
+function loadLabels(callback) {
+  safeSendMessage({ action: 'getLabels' }, (response) => {
+    if (response && response.success) {
+      userLabels = response.data;
+    }
+    if (callback) callback();
+  });
+}
+
+/**
+ * Get a label by ID (labels deleted since are shown by their ID)
+ */
+function getLabelInfo(labelId) {
+  return userLabels.find(label => label.id === labelId) || { id: labelId, name: labelId, emoji: '🏷️' };
+}
+
+/**
+ * Check whether a note or chat name is sealed in the vault (only opened on request, while unlocked)
+ */
+function isVaultSealed(value) {
+  return typeof value === 'string' && value.startsWith('vault:');
+}
+
+/**
+ * Get a chat's note entries, newest first
+ */
+function getChatNotes(chatMarker) {
+  const entries = Array.isArray(chatMarker.noteEntries) ? chatMarker.noteEntries : [];
+  return [...entries].sort((a, b) => b.createdAt - a.createdAt);
+}
+
 /**
  * Set up listener for messages from background script
  */
@@ -410,9 +445,13 @@ function setupMessageListener() {
       case 'setReminder':
         handleSetReminder();
         break;
+      case 'showToast':
+        // Result of the undo/redo keyboard shortcut
+        showToast(request.message);
+        break;
       case 'chatMarkerUpdated':
-        // Refresh indicators when markers are updated
-        setTimeout(() => updateChatListIndicators(), 200);
+        // Refresh indicators when markers or labels are updated
+        loadLabels(() => setTimeout(() => updateChatListIndicators(), 200));
         break;
     }
 
@@ -470,7 +509,7 @@ function handleAddLabel(labelId) {
           chatId: chatInfo.chatId,
           chatName: chatInfo.chatName,
           labels: [],
-          notes: '',
+          noteEntries: [],
           timestamp: Date.now(),
           createdAt: Date.now(),
           updatedAt: Date.now()
@@ -480,14 +519,16 @@ function handleAddLabel(labelId) {
       // Toggle label
       if (!chatMarker.labels) chatMarker.labels = [];
 
+      let labelMessage;
+      const labelName = getLabelInfo(labelId).name;
       if (chatMarker.labels.includes(labelId)) {
         // Remove label
         chatMarker.labels = chatMarker.labels.filter(l => l !== labelId);
-        showToast(`🏷️ Label removed`);
+        labelMessage = `🏷️ Label "${labelName}" removed`;
       } else {
         // Add label
         chatMarker.labels.push(labelId);
-        showToast(`🏷️ Label added`);
+        labelMessage = `🏷️ Label "${labelName}" added`;
       }
 
       // Save
@@ -498,7 +539,10 @@ function handleAddLabel(labelId) {
         },
         (response) => {
           if (response && response.success) {
+            showToast(labelMessage, { undoId: response.undoId });
             setTimeout(() => updateChatListIndicators(), 200);
+          } else {
+            showToast('❌ Failed to update label');
           }
         }
       );
@@ -536,7 +580,7 @@ function handleMarkChat() {
           chatId: chatInfo.chatId,
           chatName: chatInfo.chatName,
           labels: [],
-          notes: '',
+          noteEntries: [],
           timestamp: Date.now(),
           createdAt: Date.now(),
           updatedAt: Date.now()
@@ -549,7 +593,7 @@ function handleMarkChat() {
           },
           (response) => {
             if (response && response.success) {
-              showToast('⭐ Chat marked');
+              showToast('⭐ Chat marked', { undoId: response.undoId });
               setTimeout(() => updateChatListIndicators(), 200);
             } else {
               showToast('❌ Failed to mark chat');
@@ -566,7 +610,8 @@ function handleMarkChat() {
  */
 function showChatMarkerOptions(chatMarker) {
   // For now, just show a simple confirm to unmark
-  if (confirm(`Chat "${chatMarker.chatName}" is marked.\n\nUnmark it?`)) {
+  const chatLabel = isVaultSealed(chatMarker.chatName) ? 'This chat' : `Chat "${chatMarker.chatName}"`;
+  if (confirm(`${chatLabel} is marked.\n\nUnmark it?`)) {
     safeSendMessage(
       {
         action: 'deleteChatMarker',
@@ -574,7 +619,7 @@ function showChatMarkerOptions(chatMarker) {
       },
       (response) => {
         if (response && response.success) {
-          showToast('✓ Chat unmarked');
+          showToast('✓ Chat unmarked', { undoId: response.undoId });
           setTimeout(() => updateChatListIndicators(), 200);
         } else {
           showToast('❌ Failed to unmark chat');
@@ -598,27 +643,44 @@ function handleAddNote() {
   // Get existing marker or create new one
   safeSendMessage(
     {
-      action: 'getChatMarker',
+      action: 'openChatMarker',
       chatId: chatInfo.chatId,
       platform: 'facebook'
     },
     (response) => {
+      if (response && response.code === 'vault-locked') {
+        showToast('🔒 Notes are locked. Unlock them in the ChatMarker side panel');
+        return;
+      }
       if (response && response.success && response.data) {
         showInlineNoteModal(response.data);
       } else {
-        // Create new marker
+        // Chat not marked yet - mark it first, then show note modal
         const markerData = {
           chatMarkerId: chatInfo.chatId,
           platform: 'facebook',
           chatId: chatInfo.chatId,
           chatName: chatInfo.chatName,
           labels: [],
-          notes: '',
+          noteEntries: [],
           timestamp: Date.now(),
           createdAt: Date.now(),
           updatedAt: Date.now()
         };
-        showInlineNoteModal(markerData);
+
+        safeSendMessage(
+          {
+            action: 'saveChatMarker',
+            data: markerData
+          },
+          (saveResponse) => {
+            if (saveResponse && saveResponse.success) {
+              showInlineNoteModal(saveResponse.chatMarker);
+            } else {
+              showToast('❌ Failed to mark chat');
+            }
+          }
+        );
       }
     }
   );
@@ -653,7 +715,7 @@ function handleSetReminder() {
           chatId: chatInfo.chatId,
           chatName: chatInfo.chatName,
           labels: [],
-          notes: '',
+          noteEntries: [],
           timestamp: Date.now(),
           createdAt: Date.now(),
           updatedAt: Date.now()
@@ -709,7 +771,7 @@ function showInlineNoteModal(chatMarker) {
 
   modal.innerHTML = `
     <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
-      <h2 style="margin: 0; font-size: 20px; font-weight: 600; color: ${theme.textPrimary};">Add Note to Chat</h2>
+      <h2 style="margin: 0; font-size: 20px; font-weight: 600; color: ${theme.textPrimary};">Add Note</h2>
       <button class="chatmarker-close-btn" style="background: none; border: none; font-size: 24px; color: ${theme.textSecondary}; cursor: pointer; padding: 0; width: 30px; height: 30px; display: flex; align-items: center; justify-content: center; border-radius: 4px;">×</button>
     </div>
     <div style="margin-bottom: 16px;">
@@ -717,11 +779,13 @@ function showInlineNoteModal(chatMarker) {
         <strong style="color: ${theme.infoText};">Chat:</strong>
         <div style="color: ${theme.textSecondary}; margin-top: 4px;">${chatMarker.chatName}</div>
       </div>
-      <label style="display: block; margin-bottom: 8px; font-weight: 500; color: ${theme.textPrimary};">Your Note:</label>
-      <textarea class="chatmarker-note-textarea" placeholder="Add your note here..." maxlength="500" style="width: 100%; box-sizing: border-box; min-height: 120px; padding: 12px; border: 1px solid ${theme.inputBorder}; border-radius: 6px; font-family: inherit; font-size: 14px; resize: vertical; background: ${theme.inputBg}; color: ${theme.textPrimary}; transition: border-color 0.2s, box-shadow 0.2s;">${chatMarker.notes || ''}</textarea>
+      <div class="chatmarker-recent-notes"></div>
+      <label style="display: block; margin-bottom: 8px; font-weight: 500; color: ${theme.textPrimary};">New Note:</label>
+      <textarea class="chatmarker-note-textarea" placeholder="Add your note here..." maxlength="2000" style="width: 100%; box-sizing: border-box; min-height: 120px; padding: 12px; border: 1px solid ${theme.inputBorder}; border-radius: 6px; font-family: inherit; font-size: 14px; resize: vertical; background: ${theme.inputBg}; color: ${theme.textPrimary}; transition: border-color 0.2s, box-shadow 0.2s;"></textarea>
       <div style="text-align: right; margin-top: 4px; font-size: 12px; color: ${theme.textSecondary};">
-        <span class="chatmarker-char-count">0</span> / 500
+        <span class="chatmarker-char-count">0</span> / 2000
       </div>
+      <div class="chatmarker-note-preview chatmarker-markdown" style="display: none; margin-top: 12px; padding: 10px 12px; max-height: 160px; overflow-y: auto; background: ${theme.infoBg}; border-radius: 6px; font-size: 13px; color: ${theme.textPrimary};"></div>
     </div>
     <div style="display: flex; gap: 12px; justify-content: flex-end; margin-top: 20px;">
       <button class="chatmarker-cancel-btn" style="padding: 10px 20px; border: 1px solid ${theme.buttonSecondaryBorder}; background: ${theme.buttonSecondaryBg}; color: ${theme.buttonSecondaryText}; border-radius: 6px; font-weight: 500; cursor: pointer; font-size: 14px; transition: all 0.2s;">Cancel</button>
@@ -732,6 +796,8 @@ function showInlineNoteModal(chatMarker) {
   overlay.appendChild(modal);
   document.body.appendChild(overlay);
 
+  renderRecentNotes(modal.querySelector('.chatmarker-recent-notes'), chatMarker, theme);
+
   // Get elements
   const textarea = modal.querySelector('.chatmarker-note-textarea');
   const charCount = modal.querySelector('.chatmarker-char-count');
@@ -746,6 +812,17 @@ function showInlineNoteModal(chatMarker) {
   updateCharCount();
   textarea.addEventListener('input', updateCharCount);
 
+  // Live preview of the note's Markdown (its checkboxes toggle the text)
+  const preview = modal.querySelector('.chatmarker-note-preview');
+  const updatePreview = () => {
+    preview.style.display = textarea.value.trim() ? 'block' : 'none';
+    renderMarkdownInto(preview, textarea.value, (text) => {
+      textarea.value = text;
+      updatePreview();
+    });
+  };
+  textarea.addEventListener('input', updatePreview);
+
   // Add focus/blur effects for textarea
   textarea.addEventListener('focus', () => {
     textarea.style.borderColor = '#6366F1';
@@ -793,15 +870,20 @@ function showInlineNoteModal(chatMarker) {
   // Save handler
   saveBtn.addEventListener('click', () => {
     const noteText = textarea.value.trim();
+    if (!noteText) {
+      showToast('⚠️ Please write a note first');
+      return;
+    }
 
     safeSendMessage(
       {
-        action: 'saveChatMarker',
-        data: { ...chatMarker, notes: noteText, updatedAt: Date.now() }
+        action: 'saveChatNote',
+        chatMarkerId: chatMarker.chatMarkerId,
+        data: { text: noteText }
       },
       (response) => {
         if (response && response.success) {
-          showToast('✅ Note saved');
+          showToast('✅ Note saved', { undoId: response.undoId });
           closeModal();
           setTimeout(() => updateChatListIndicators(), 200);
         } else {
@@ -815,6 +897,60 @@ function showInlineNoteModal(chatMarker) {
   textarea.focus();
 }
 
+/**
+ * Show a chat's most recent notes above the new note (older ones are listed in the side panel)
+ */
+function renderRecentNotes(container, chatMarker, theme) {
+  const notes = getChatNotes(chatMarker);
+  if (notes.length === 0) return;
+
+  container.style.cssText = 'margin-bottom: 16px; max-height: 200px; overflow-y: auto;';
+  notes.slice(0, RECENT_NOTES_SHOWN).forEach(entry => {
+    const item = document.createElement('div');
+    item.style.cssText = `padding: 8px 12px; margin-bottom: 8px; border-left: 3px solid ${theme.primary}; background: ${theme.infoBg}; border-radius: 4px;`;
+
+    // Notes are rendered from sanitized Markdown (see utils/markdown.js)
+    const time = document.createElement('div');
+    time.style.cssText = `font-size: 11px; color: ${theme.textSecondary}; margin-bottom: 2px;`;
+    time.textContent = new Date(entry.createdAt).toLocaleString();
+    const text = document.createElement('div');
+    text.className = 'chatmarker-markdown';
+    text.style.cssText = `font-size: 13px; color: ${theme.textPrimary}; word-break: break-word;`;
+
+    // Toggling a checkbox saves the note
+    let noteText = entry.text;
+    const renderText = () => renderMarkdownInto(text, noteText, (toggled) => {
+      safeSendMessage(
+        {
+          action: 'saveChatNote',
+          chatMarkerId: chatMarker.chatMarkerId,
+          data: { id: entry.id, text: toggled }
+        },
+        (response) => {
+          if (response && response.success) {
+            noteText = toggled;
+          } else {
+            showToast('❌ Failed to update checklist');
+          }
+          renderText();
+        }
+      );
+    });
+    renderText();
+
+    item.append(time, text);
+    container.appendChild(item);
+  });
+
+  if (notes.length > RECENT_NOTES_SHOWN) {
+    const older = document.createElement('div');
+    older.style.cssText = `font-size: 12px; color: ${theme.textSecondary};`;
+    const count = notes.length - RECENT_NOTES_SHOWN;
+    older.textContent = `${count} older note${count === 1 ? '' : 's'} in the ChatMarker side panel`;
+    container.appendChild(older);
+  }
+}
+
 // ==========================================
 // INLINE REMINDER MODAL
 // ==========================================
@@ -875,7 +1011,7 @@ function showInlineReminderModal(chatMarker) {
     <div style="margin-bottom: 16px;">
       <div style="padding: 12px; background: ${theme.infoBg}; border-radius: 6px; margin-bottom: 16px;">
         <strong style="color: ${theme.infoText};">Chat:</strong>
-        <div style="color: ${theme.textSecondary}; margin-top: 4px;">${chatMarker.chatName}</div>
+        <div style="color: ${theme.textSecondary}; margin-top: 4px;">${isVaultSealed(chatMarker.chatName) ? '🔒 Locked chat' : chatMarker.chatName}</div>
       </div>
       <label style="display: block; margin-bottom: 8px; font-weight: 500; color: ${theme.textPrimary};">Quick Options:</label>
       <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin-bottom: 16px;">
@@ -1012,11 +1148,12 @@ function showInlineReminderModal(chatMarker) {
   });
 
   function saveReminder(reminderTime) {
+    const [latestNote] = getChatNotes(chatMarker);
     const reminderData = {
       messageId: chatMarker.chatMarkerId,
       reminderTime: reminderTime,
       title: `Reminder: ${chatMarker.chatName}`,
-      body: chatMarker.notes || 'Check this chat',
+      body: latestNote && !isVaultSealed(latestNote.text) ? latestNote.text : 'Check this chat',
       chatName: chatMarker.chatName,
       platform: 'facebook',
       active: true
@@ -1030,7 +1167,7 @@ function showInlineReminderModal(chatMarker) {
       (response) => {
         if (response && response.success) {
           const date = new Date(reminderTime);
-          showToast(`✅ Reminder set for ${date.toLocaleString()}`);
+          showToast(`✅ Reminder set for ${date.toLocaleString()}`, { undoId: response.undoId });
           closeModal();
           setTimeout(() => updateChatListIndicators(), 200);
         } else {
@@ -1047,8 +1184,9 @@ function showInlineReminderModal(chatMarker) {
 
 /**
  * Show toast notification
+ * Pass { undoId } from the background's response to a change to offer an Undo button
  */
-function showToast(message) {
+function showToast(message, { undoId = null } = {}) {
   // Remove existing toast if any
   const existingToast = document.querySelector('.chatmarker-toast');
   if (existingToast) existingToast.remove();
@@ -1075,10 +1213,41 @@ function showToast(message) {
     border: 1px solid ${theme.border};
   `;
 
+  if (undoId) {
+    toast.appendChild(createUndoButton(toast, undoId));
+  }
+
   document.body.appendChild(toast);
 
   setTimeout(() => {
     toast.style.animation = 'slideOut 0.3s ease-out';
     setTimeout(() => toast.remove(), 300);
-  }, 3000);
+  }, undoId ? 5000 : 3000);
+}
+
+/**
+ * Create the Undo button of a toast
+ * The background only undoes the change while it is still the last one
+ */
+function createUndoButton(toast, undoId) {
+  const button = document.createElement('button');
+  button.textContent = 'Undo';
+  button.style.cssText = `
+    margin-left: 12px;
+    padding: 0;
+    background: none;
+    border: none;
+    color: inherit;
+    font: inherit;
+    font-weight: 700;
+    text-decoration: underline;
+    cursor: pointer;
+  `;
+  button.addEventListener('click', () => {
+    toast.remove();
+    safeSendMessage({ action: 'undo', undoId }, (response) => {
+      showToast((response && response.message) || '❌ Could not undo');
+    });
+  });
+  return button;
 }
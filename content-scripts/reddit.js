@@ -33,10 +33,14 @@ const SELECTORS = {
   oldRedditInbox: '.content[role="main"]',
 };
 
+// Notes shown in the note modal (the side panel lists them all)
+const RECENT_NOTES_SHOWN = 3;
+
 // State management
 let isInitialized = false;
 let currentChatId = null;
 let lastRightClickedElement = null;
+let userLabels = []; // The user's labels with their emojis (see loadLabels)
 
 /**
  * Check if extension context is valid
@@ -87,6 +91,50 @@ function safeSendMessage(message, callback) {
   }
 }
 
+/**
+ * Load the user's labels from the background
+ */
+function loadLabels(callback) {
+  safeSendMessage({ action: "getLabels" }, (response) => {
+    if (response && response.success) {
+      userLabels = response.data;
+    }
+    if (callback) {
+      callback();
+    }
+  });
+}
+
+/**
+ * Get a label by ID (labels deleted since are shown by their ID)
+ */
+function getLabelInfo(labelId) {
+  return (
+    userLabels.find((label) => label.id === labelId) || {
+      id: labelId,
+      name: labelId,
+      emoji: "🏷️",
+    }
+  );
+}
+
+/**
+ * Check whether a note or chat name is sealed in the vault (only opened on request, while unlocked)
+ */
+function isVaultSealed(value) {
+  return typeof value === "string" && value.startsWith("vault:");
+}
+
+/**
+ * Get a chat's note entries, newest first
+ */
+function getChatNotes(chatMarker) {
+  const entries = Array.isArray(chatMarker.noteEntries)
+    ? chatMarker.noteEntries
+    : [];
+  return [...entries].sort((a, b) => b.createdAt - a.createdAt);
+}
+
 /**
  * Detect if Reddit is in dark mode
  */
@@ -171,6 +219,9 @@ async function init() {
     // Listen for messages from background
     chrome.runtime.onMessage.addListener(handleBackgroundMessage);
 
+    // Labels are needed for the chat list indicators
+    loadLabels();
+
     // Set up right-click capture for chat list marking
     setupContextMenuCapture();
 
@@ -642,21 +693,18 @@ function getChatName() {
 function handleContextMenuAction(menuItemId, selectionText) {
   console.log("[ChatMarker] Context menu action:", menuItemId);
 
+  // Label items are built from the user's labels
+  if (menuItemId.startsWith("chatmarker-label-")) {
+    toggleChatLabel(menuItemId.replace("chatmarker-label-", ""));
+    return;
+  }
+
   // All actions are chat-level only
   switch (menuItemId) {
     case "chatmarker-mark-chat":
       markCurrentChat();
       break;
 
-    case "chatmarker-label-urgent":
-    case "chatmarker-label-important":
-    case "chatmarker-label-completed":
-    case "chatmarker-label-followup":
-    case "chatmarker-label-question":
-      const labelId = menuItemId.replace("chatmarker-label-", "");
-      toggleChatLabel(labelId);
-      break;
-
     case "chatmarker-note":
       openChatNoteEditor();
       break;
@@ -680,6 +728,23 @@ function handleBackgroundMessage(request, sender, sendResponse) {
       sendResponse({ success: true });
       break;
 
+    case "showToast":
+      // Result of the undo/redo keyboard shortcut
+      showToast(request.message);
+      sendResponse({ success: true });
+      break;
+
+    case "chatMarkerUpdated":
+      // Markers or labels changed in the side panel or on another device
+      loadLabels(() =>
+        setTimeout(() => {
+          updateChatListIndicators();
+          updateOpenChatIndicator();
+        }, 200),
+      );
+      sendResponse({ success: true });
+      break;
+
     default:
       sendResponse({ success: false, error: "Unknown action" });
   }
@@ -718,7 +783,7 @@ async function markCurrentChat() {
             (deleteResponse) => {
               if (deleteResponse && deleteResponse.success) {
                 console.log("[ChatMarker] Chat unmarked:", chatName);
-                showToast(`✅ Chat "${chatName}" unmarked`);
+                showToast(`✅ Chat "${chatName}" unmarked`, { undoId: deleteResponse.undoId });
                 setTimeout(() => {
                   updateChatListIndicators();
                   updateOpenChatIndicator();
@@ -736,7 +801,7 @@ async function markCurrentChat() {
             chatId: chatId,
             chatName: chatName,
             labels: [],
-            notes: "",
+            noteEntries: [],
             createdAt: Date.now(),
           };
 
@@ -748,7 +813,7 @@ async function markCurrentChat() {
             (saveResponse) => {
               if (saveResponse && saveResponse.success) {
                 console.log("[ChatMarker] Chat marked successfully:", chatName);
-                showToast(`✅ Chat "${chatName}" marked`);
+                showToast(`✅ Chat "${chatName}" marked`, { undoId: saveResponse.undoId });
                 setTimeout(() => {
                   updateChatListIndicators();
                   updateOpenChatIndicator();
@@ -774,8 +839,9 @@ async function markCurrentChat() {
 /**
  * Toggle a label on the current chat
  */
-async function toggleChatLabel(labelName) {
+async function toggleChatLabel(labelId) {
   try {
+    const labelName = getLabelInfo(labelId).name;
     const chatId = getCurrentChatId();
     const chatName = getChatName();
 
@@ -796,16 +862,17 @@ async function toggleChatLabel(labelName) {
           // Chat is marked - toggle label
           const chatMarker = response.data;
           const labels = chatMarker.labels || [];
-          const index = labels.indexOf(labelName);
+          const index = labels.indexOf(labelId);
+          let labelMessage;
 
           if (index > -1) {
             // Remove label
             labels.splice(index, 1);
-            showToast(`🏷️ Label "${labelName}" removed`);
+            labelMessage = `🏷️ Label "${labelName}" removed`;
           } else {
             // Add label
-            labels.push(labelName);
-            showToast(`🏷️ Label "${labelName}" added`);
+            labels.push(labelId);
+            labelMessage = `🏷️ Label "${labelName}" added`;
           }
 
           // Update chat marker
@@ -819,6 +886,7 @@ async function toggleChatLabel(labelName) {
                 console.error("[ChatMarker] Failed to update labels");
                 showToast("❌ Failed to update label");
               } else {
+                showToast(labelMessage, { undoId: saveResponse.undoId });
                 setTimeout(() => {
                   updateChatListIndicators();
                   updateOpenChatIndicator();
@@ -832,8 +900,8 @@ async function toggleChatLabel(labelName) {
             platform: "reddit",
             chatId: chatId,
             chatName: chatName,
-            labels: [labelName],
-            notes: "",
+            labels: [labelId],
+            noteEntries: [],
             createdAt: Date.now(),
           };
 
@@ -844,7 +912,9 @@ async function toggleChatLabel(labelName) {
             },
             (saveResponse) => {
               if (saveResponse && saveResponse.success) {
-                showToast(`✅ Chat marked with "${labelName}" label`);
+                showToast(`✅ Chat marked with "${labelName}" label`, {
+                  undoId: saveResponse.undoId,
+                });
                 setTimeout(() => {
                   updateChatListIndicators();
                   updateOpenChatIndicator();
@@ -878,11 +948,17 @@ function openChatNoteEditor() {
   // Get current chat marker
   safeSendMessage(
     {
-      action: "getChatMarker",
+      action: "openChatMarker",
       chatId: chatId,
       platform: "reddit",
     },
     (response) => {
+      if (response && response.code === "vault-locked") {
+        showToast(
+          "🔒 Notes are locked. Unlock them in the ChatMarker side panel",
+        );
+        return;
+      }
       if (response && response.success && response.data) {
         // Chat is marked - show inline note modal
         showInlineNoteModal(response.data);
@@ -893,7 +969,7 @@ function openChatNoteEditor() {
           chatId: chatId,
           chatName: chatName,
           labels: [],
-          notes: "",
+          noteEntries: [],
           createdAt: Date.now(),
         };
 
@@ -945,7 +1021,7 @@ function openChatReminderPicker() {
           chatId: chatId,
           chatName: chatName,
           labels: [],
-          notes: "",
+          noteEntries: [],
           createdAt: Date.now(),
         };
 
@@ -1008,7 +1084,7 @@ function showInlineNoteModal(chatMarker) {
 
   modal.innerHTML = `
     <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
-      <h2 style="margin: 0; font-size: 20px; font-weight: 600; color: ${theme.textPrimary};">Add Note to Chat</h2>
+      <h2 style="margin: 0; font-size: 20px; font-weight: 600; color: ${theme.textPrimary};">Add Note</h2>
       <button class="chatmarker-close-btn" style="background: none; border: none; font-size: 24px; color: ${theme.textSecondary}; cursor: pointer; padding: 0; width: 30px; height: 30px; display: flex; align-items: center; justify-content: center; border-radius: 4px;">×</button>
     </div>
     <div style="margin-bottom: 16px;">
@@ -1016,11 +1092,13 @@ function showInlineNoteModal(chatMarker) {
         <strong style="color: ${theme.infoText};">Chat:</strong>
         <div style="color: ${theme.textSecondary}; margin-top: 4px;">${chatMarker.chatName}</div>
       </div>
-      <label style="display: block; margin-bottom: 8px; font-weight: 500; color: ${theme.textPrimary};">Your Note:</label>
-      <textarea class="chatmarker-note-textarea" placeholder="Add your note here..." maxlength="500" style="width: 100%; box-sizing: border-box; min-height: 120px; padding: 12px; border: 1px solid ${theme.inputBorder}; border-radius: 6px; font-family: inherit; font-size: 14px; resize: vertical; background: ${theme.inputBg}; color: ${theme.textPrimary}; transition: border-color 0.2s, box-shadow 0.2s;">${chatMarker.notes || ""}</textarea>
+      <div class="chatmarker-recent-notes"></div>
+      <label style="display: block; margin-bottom: 8px; font-weight: 500; color: ${theme.textPrimary};">New Note:</label>
+      <textarea class="chatmarker-note-textarea" placeholder="Add your note here..." maxlength="2000" style="width: 100%; box-sizing: border-box; min-height: 120px; padding: 12px; border: 1px solid ${theme.inputBorder}; border-radius: 6px; font-family: inherit; font-size: 14px; resize: vertical; background: ${theme.inputBg}; color: ${theme.textPrimary}; transition: border-color 0.2s, box-shadow 0.2s;"></textarea>
       <div style="text-align: right; margin-top: 4px; font-size: 12px; color: ${theme.textSecondary};">
-        <span class="chatmarker-char-count">0</span> / 500
+        <span class="chatmarker-char-count">0</span> / 2000
       </div>
+      <div class="chatmarker-note-preview chatmarker-markdown" style="display: none; margin-top: 12px; padding: 10px 12px; max-height: 160px; overflow-y: auto; background: ${theme.infoBg}; border-radius: 6px; font-size: 13px; color: ${theme.textPrimary};"></div>
     </div>
     <div style="display: flex; gap: 12px; justify-content: flex-end; margin-top: 20px;">
       <button class="chatmarker-cancel-btn" style="padding: 10px 20px; border: 1px solid ${theme.buttonSecondaryBorder}; background: ${theme.buttonSecondaryBg}; color: ${theme.buttonSecondaryText}; border-radius: 6px; font-weight: 500; cursor: pointer; font-size: 14px; transition: all 0.2s;">Cancel</button>
@@ -1031,6 +1109,12 @@ function showInlineNoteModal(chatMarker) {
   overlay.appendChild(modal);
   document.body.appendChild(overlay);
 
+  renderRecentNotes(
+    modal.querySelector(".chatmarker-recent-notes"),
+    chatMarker,
+    theme,
+  );
+
   // Get elements
   const textarea = modal.querySelector(".chatmarker-note-textarea");
   const charCount = modal.querySelector(".chatmarker-char-count");
@@ -1045,6 +1129,17 @@ function showInlineNoteModal(chatMarker) {
   updateCharCount();
   textarea.addEventListener("input", updateCharCount);
 
+  // Live preview of the note's Markdown (its checkboxes toggle the text)
+  const preview = modal.querySelector(".chatmarker-note-preview");
+  const updatePreview = () => {
+    preview.style.display = textarea.value.trim() ? "block" : "none";
+    renderMarkdownInto(preview, textarea.value, (text) => {
+      textarea.value = text;
+      updatePreview();
+    });
+  };
+  textarea.addEventListener("input", updatePreview);
+
   // Add focus/blur effects for textarea
   textarea.addEventListener("focus", () => {
     textarea.style.borderColor = "#6366F1";
@@ -1092,15 +1187,20 @@ function showInlineNoteModal(chatMarker) {
   // Save handler
   saveBtn.addEventListener("click", () => {
     const noteText = textarea.value.trim();
+    if (!noteText) {
+      showToast("⚠️ Please write a note first");
+      return;
+    }
 
     safeSendMessage(
       {
-        action: "saveChatMarker",
-        data: { ...chatMarker, notes: noteText, updatedAt: Date.now() },
+        action: "saveChatNote",
+        chatMarkerId: chatMarker.chatMarkerId,
+        data: { text: noteText },
       },
       (response) => {
         if (response && response.success) {
-          showToast("✅ Note saved");
+          showToast("✅ Note saved", { undoId: response.undoId });
           closeModal();
           setTimeout(() => {
             updateChatListIndicators();
@@ -1117,6 +1217,62 @@ function showInlineNoteModal(chatMarker) {
   textarea.focus();
 }
 
+/**
+ * Show a chat's most recent notes above the new note (older ones are listed in the side panel)
+ */
+function renderRecentNotes(container, chatMarker, theme) {
+  const notes = getChatNotes(chatMarker);
+  if (notes.length === 0) return;
+
+  container.style.cssText =
+    "margin-bottom: 16px; max-height: 200px; overflow-y: auto;";
+  notes.slice(0, RECENT_NOTES_SHOWN).forEach((entry) => {
+    const item = document.createElement("div");
+    item.style.cssText = `padding: 8px 12px; margin-bottom: 8px; border-left: 3px solid ${theme.primary}; background: ${theme.infoBg}; border-radius: 4px;`;
+
+    // Notes are rendered from sanitized Markdown (see utils/markdown.js)
+    const time = document.createElement("div");
+    time.style.cssText = `font-size: 11px; color: ${theme.textSecondary}; margin-bottom: 2px;`;
+    time.textContent = new Date(entry.createdAt).toLocaleString();
+    const text = document.createElement("div");
+    text.className = "chatmarker-markdown";
+    text.style.cssText = `font-size: 13px; color: ${theme.textPrimary}; word-break: break-word;`;
+
+    // Toggling a checkbox saves the note
+    let noteText = entry.text;
+    const renderText = () =>
+      renderMarkdownInto(text, noteText, (toggled) => {
+        safeSendMessage(
+          {
+            action: "saveChatNote",
+            chatMarkerId: chatMarker.chatMarkerId,
+            data: { id: entry.id, text: toggled },
+          },
+          (response) => {
+            if (response && response.success) {
+              noteText = toggled;
+            } else {
+              showToast("❌ Failed to update checklist");
+            }
+            renderText();
+          },
+        );
+      });
+    renderText();
+
+    item.append(time, text);
+    container.appendChild(item);
+  });
+
+  if (notes.length > RECENT_NOTES_SHOWN) {
+    const older = document.createElement("div");
+    older.style.cssText = `font-size: 12px; color: ${theme.textSecondary};`;
+    const count = notes.length - RECENT_NOTES_SHOWN;
+    older.textContent = `${count} older note${count === 1 ? "" : "s"} in the ChatMarker side panel`;
+    container.appendChild(older);
+  }
+}
+
 /**
  * Show inline reminder modal on Reddit page
  */
@@ -1173,7 +1329,7 @@ function showInlineReminderModal(chatMarker) {
     <div style="margin-bottom: 16px;">
       <div style="padding: 12px; background: ${theme.infoBg}; border-radius: 6px; margin-bottom: 16px;">
         <strong style="color: ${theme.infoText};">Chat:</strong>
-        <div style="color: ${theme.textSecondary}; margin-top: 4px;">${chatMarker.chatName}</div>
+        <div style="color: ${theme.textSecondary}; margin-top: 4px;">${isVaultSealed(chatMarker.chatName) ? "🔒 Locked chat" : chatMarker.chatName}</div>
       </div>
       <label style="display: block; margin-bottom: 8px; font-weight: 500; color: ${theme.textPrimary};">Quick Options:</label>
       <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin-bottom: 16px;">
@@ -1310,11 +1466,15 @@ function showInlineReminderModal(chatMarker) {
   });
 
   function saveReminder(reminderTime) {
+    const [latestNote] = getChatNotes(chatMarker);
     const reminderData = {
       messageId: chatMarker.chatMarkerId,
       reminderTime: reminderTime,
       title: `Reminder: ${chatMarker.chatName}`,
-      body: chatMarker.notes || "Check this chat",
+      body:
+        latestNote && !isVaultSealed(latestNote.text)
+          ? latestNote.text
+          : "Check this chat",
       chatName: chatMarker.chatName,
       platform: "reddit",
       active: true,
@@ -1328,7 +1488,9 @@ function showInlineReminderModal(chatMarker) {
       (response) => {
         if (response && response.success) {
           const date = new Date(reminderTime);
-          showToast(`✅ Reminder set for ${date.toLocaleString()}`);
+          showToast(`✅ Reminder set for ${date.toLocaleString()}`, {
+            undoId: response.undoId,
+          });
           closeModal();
           setTimeout(() => {
             updateChatListIndicators();
@@ -1483,15 +1645,6 @@ function addChatListIndicator(listItem, chatMarker) {
     existingIndicator.remove();
   }
 
-  // Label emoji mapping
-  const labelEmojis = {
-    urgent: "🔴",
-    important: "🟡",
-    completed: "🟢",
-    followup: "🔵",
-    question: "🟣",
-  };
-
   // Determine what to display
   let displayContent = "⭐"; // Default star
   let titleText = "Marked chat";
@@ -1499,14 +1652,19 @@ function addChatListIndicator(listItem, chatMarker) {
   if (chatMarker.labels && chatMarker.labels.length > 0) {
     // Show label emojis instead of star
     displayContent = chatMarker.labels
-      .map((label) => labelEmojis[label] || "🏷️")
+      .map((label) => getLabelInfo(label).emoji)
       .join("");
-    titleText = `Labels: ${chatMarker.labels.join(", ")}`;
+    titleText = `Labels: ${chatMarker.labels
+      .map((label) => getLabelInfo(label).name)
+      .join(", ")}`;
   }
 
-  // Add notes to tooltip if present
-  if (chatMarker.notes && chatMarker.notes.trim()) {
-    titleText += `\n\nNote: ${chatMarker.notes}`;
+  // Add the latest note to tooltip if present
+  const [latestNote] = getChatNotes(chatMarker);
+  if (latestNote) {
+    titleText += isVaultSealed(latestNote.text)
+      ? "\n\nNote: 🔒 locked"
+      : `\n\nNote: ${latestNote.text}`;
   }
 
   // Create indicator as inline element
@@ -1654,15 +1812,6 @@ function addOpenChatIndicator(chatHeader, chatMarker) {
     existingIndicator.remove();
   }
 
-  // Label emoji mapping
-  const labelEmojis = {
-    urgent: "🔴",
-    important: "🟡",
-    completed: "🟢",
-    followup: "🔵",
-    question: "🟣",
-  };
-
   // Determine what to display
   let displayContent = "⭐"; // Default star
   let titleText = "Marked chat";
@@ -1670,14 +1819,19 @@ function addOpenChatIndicator(chatHeader, chatMarker) {
   if (chatMarker.labels && chatMarker.labels.length > 0) {
     // Show label emojis instead of star
     displayContent = chatMarker.labels
-      .map((label) => labelEmojis[label] || "🏷️")
+      .map((label) => getLabelInfo(label).emoji)
       .join("");
-    titleText = `Labels: ${chatMarker.labels.join(", ")}`;
+    titleText = `Labels: ${chatMarker.labels
+      .map((label) => getLabelInfo(label).name)
+      .join(", ")}`;
   }
 
-  // Add notes to tooltip if present
-  if (chatMarker.notes && chatMarker.notes.trim()) {
-    titleText += `\n\nNote: ${chatMarker.notes}`;
+  // Add the latest note to tooltip if present
+  const [latestNote] = getChatNotes(chatMarker);
+  if (latestNote) {
+    titleText += isVaultSealed(latestNote.text)
+      ? "\n\nNote: 🔒 locked"
+      : `\n\nNote: ${latestNote.text}`;
   }
 
   // Create indicator as inline element
@@ -1706,8 +1860,9 @@ function addOpenChatIndicator(chatHeader, chatMarker) {
 
 /**
  * Show a toast notification
+ * Pass { undoId } from the background's response to a change to offer an Undo button
  */
-function showToast(message) {
+function showToast(message, { undoId = null } = {}) {
   // Remove existing toast if any
   const existingToast = document.querySelector(".chatmarker-toast");
   if (existingToast) existingToast.remove();
@@ -1732,13 +1887,44 @@ function showToast(message) {
     animation: slideIn 0.3s ease;
   `;
 
+  if (undoId) {
+    toast.appendChild(createUndoButton(toast, undoId));
+  }
+
   document.body.appendChild(toast);
 
-  // Auto-remove after 3 seconds
+  // Auto-remove after 3 seconds (5 when it can be undone)
   setTimeout(() => {
     toast.style.animation = "slideOut 0.3s ease";
     setTimeout(() => toast.remove(), 300);
-  }, 3000);
+  }, undoId ? 5000 : 3000);
+}
+
+/**
+ * Create the Undo button of a toast
+ * The background only undoes the change while it is still the last one
+ */
+function createUndoButton(toast, undoId) {
+  const button = document.createElement("button");
+  button.textContent = "Undo";
+  button.style.cssText = `
+    margin-left: 12px;
+    padding: 0;
+    background: none;
+    border: none;
+    color: inherit;
+    font: inherit;
+    font-weight: 700;
+    text-decoration: underline;
+    cursor: pointer;
+  `;
+  button.addEventListener("click", () => {
+    toast.remove();
+    safeSendMessage({ action: "undo", undoId }, (response) => {
+      showToast((response && response.message) || "❌ Could not undo");
+    });
+  });
+  return button;
 }
 
 // Listen for extension unload/reload
@@ -1,14 +1,138 @@
-// Firestore Cloud Sync for ChatMarker
+// Cloud Sync for ChatMarker
+// Provider-independent sync engine; the cloud store itself is a provider from sync-providers.js
 
 // Sync status
 let isUploading = false;
 let isDownloading = false;
 let lastSyncTime = null;
 
-// Get sync session key for current user
+// Realtime listener unsubscribe functions (empty when not listening)
+let realtimeUnsubscribers = [];
+// Bumped on every start/stop so a superseded start can drop its listeners
+let realtimeGeneration = 0;
+
+// Set when a sync is requested while one is running, so it is re-run afterwards
+let syncRequestedDuringUpload = false;
+
+// Pending outbox entries shown in the sync status when idle
+let pendingSyncCount = 0;
+
+// Provider for the account being synced, loaded by loadSyncProvider()
+let activeSyncProvider = null;
+// Local data synced with it: the signed-in user's storage, or signed-out storage (null)
+let activeStorageAccountId = null;
+
+// Fields encrypted before upload when end-to-end encryption is on (structural fields stay queryable)
+// Note entries are encrypted one by one; `notes` is the single note of documents from older devices
+const ENCRYPTED_SYNC_FIELDS = {
+  chatMarkers: ['chatName', 'noteEntries', 'notes'],
+  reminders: ['chatName', 'title', 'body', 'note'],
+  savedSearches: ['name', 'query']
+};
+// Known plaintext stored encrypted in the cloud so a passphrase can be verified
+const ENCRYPTION_KEY_CHECK = 'chatmarker-key-check';
+
+// Retry backoff for failed uploads (persisted so it survives service worker restarts)
+const SYNC_RETRY_KEY = 'syncRetry';
+const SYNC_RETRY_BASE_DELAY = 5 * 1000;
+const SYNC_RETRY_MAX_DELAY = 5 * 60 * 1000;
+let syncRetryTimeout = null;
+
+// Load the sync provider for this device (null when signed out and no server is configured)
+async function loadSyncProvider() {
+  activeStorageAccountId = await getStorageAccountId();
+  activeSyncProvider = await getSyncProvider();
+  if (activeSyncProvider) {
+    await initLocalDataChoice();
+  }
+  return activeSyncProvider;
+}
+
+// The first time an account syncs on this device, local data created before sign-in
+// is held back ('pending') until the user decides whether to upload it
+async function initLocalDataChoice() {
+  const meta = await getSyncMeta();
+  if (meta.localDataChoice) return;
+
+  // Accounts that were already syncing on this device predate the offer
+  if (meta.lastPulledAt || meta.lastPushedAt) {
+    await updateSyncMeta({ localDataChoice: 'none' });
+    return;
+  }
+
+  const counts = {
+    chatMarkers: Object.keys(await getAllChatMarkers() || {}).length,
+    reminders: Object.keys(await getAllReminders() || {}).length
+  };
+  const hasLocalData = counts.chatMarkers + counts.reminders > 0;
+
+  await updateSyncMeta({
+    localDataChoice: hasLocalData ? 'pending' : 'none',
+    localDataCounts: counts,
+    localDataSince: Date.now()
+  });
+}
+
+// Get the pending upload offer ({ chatMarkers, reminders } counts), or null if there is nothing to decide
+async function getLocalDataUploadOffer() {
+  if (!await loadSyncProvider()) return null;
+
+  const meta = await getSyncMeta();
+  return meta.localDataChoice === 'pending' ? meta.localDataCounts : null;
+}
+
+// Apply the user's answer to the upload offer, then sync
+async function resolveLocalDataUpload(upload) {
+  await requireSyncProvider();
+
+  if (upload) {
+    await updateSyncMeta({ localDataChoice: 'upload' });
+  } else {
+    const { localDataSince } = await getSyncMeta();
+
+    // Keep earlier markers and reminders off the account: drop their queued changes
+    // and skip the initial full upload (labels, saved searches and settings still roam)
+    await runSyncStorageTask(async () => {
+      const keys = await getSyncStorageKeys();
+      const outbox = await getSyncOutbox();
+      ['chatMarkers', 'reminders'].forEach(collection => {
+        Object.entries(outbox[collection]).forEach(([id, queuedAt]) => {
+          if (queuedAt < localDataSince) delete outbox[collection][id];
+        });
+      });
+      await chrome.storage.local.set({ [keys.SYNC_OUTBOX]: outbox });
+    });
+
+    await updateSyncMeta({ localDataChoice: 'keep', seededCollections: ['chatMarkers', 'reminders'] });
+  }
+
+  console.log('[ChatMarker Sync] Local data upload choice:', upload ? 'upload' : 'keep on this device');
+  await syncToCloud();
+}
+
+// Load the sync provider, failing when there is nowhere to sync to
+async function requireSyncProvider() {
+  const provider = await loadSyncProvider();
+  if (!provider) {
+    console.error('[ChatMarker Sync] ERROR: Not signed in and no sync server configured');
+    throw new Error('Not signed in and no sync server configured');
+  }
+  return provider;
+}
+
+// Storage keys of the local data being synced
+// Fails if the user signed in or out since the provider was loaded, so one account's data never reaches another
+async function getSyncStorageKeys() {
+  if (await getStorageAccountId() !== activeStorageAccountId) {
+    throw new Error('Signed-in account changed during sync');
+  }
+  return getAccountStorageKeys(activeStorageAccountId);
+}
+
+// Get sync session key for current account
 function getSyncSessionKey() {
-  if (!currentUser) return null;
-  return `syncSession_${currentUser.uid}`;
+  if (!activeSyncProvider) return null;
+  return getAccountStorageKey(`syncSession_${activeSyncProvider.accountId}`, activeStorageAccountId);
 }
 
 // Check if initial sync completed for current session
@@ -29,111 +153,520 @@ async function markInitialSyncCompleted() {
   }
 }
 
-// Get Firestore reference for user's chat markers
-function getUserChatMarkersRef() {
-  console.log('[ChatMarker Sync] getUserChatMarkersRef - db:', !!db, 'currentUser:', !!currentUser);
-  if (!db || !currentUser) {
-    console.error('[ChatMarker Sync] ERROR: Firestore not initialized or user not signed in', { db: !!db, currentUser: !!currentUser });
-    throw new Error('Firestore not initialized or user not signed in');
+// Get sync metadata key for current account (persists across sessions)
+// Kept with the local data it describes, since a self-hosted server can sync either signed-in or signed-out storage
+function getSyncMetaKey() {
+  if (!activeSyncProvider) return null;
+  return getAccountStorageKey(`syncMeta_${activeSyncProvider.accountId}`, activeStorageAccountId);
+}
+
+// Get sync metadata: lastPushedAt is local time, lastPulledAt is server time (syncedAt)
+// seededCollections lists collections whose pre-existing local data has been queued for upload
+// reminderFieldsEncrypted is set once reminders have been re-uploaded with their title, body and note encrypted
+async function getSyncMeta() {
+  const key = getSyncMetaKey();
+  const defaults = { lastPushedAt: 0, lastPulledAt: 0, seededCollections: [], reminderFieldsEncrypted: false };
+  if (!key) return defaults;
+
+  const result = await chrome.storage.local.get(key);
+  return { ...defaults, ...result[key] };
+}
+
+// Save sync metadata
+async function updateSyncMeta(updates) {
+  const key = getSyncMetaKey();
+  if (!key) return;
+
+  const meta = await getSyncMeta();
+  await chrome.storage.local.set({ [key]: { ...meta, ...updates } });
+}
+
+// Get local storage key for this device's end-to-end encryption key
+function getSyncEncryptionKey() {
+  if (!activeSyncProvider) return null;
+  return `syncEncryption_${activeSyncProvider.accountId}`;
+}
+
+// Error raised when the cloud data can't be read or written without the current passphrase
+function createSyncLockedError() {
+  const error = new Error('Sync is locked: enter the encryption passphrase');
+  error.code = 'sync-locked';
+  return error;
+}
+
+// Check the account's encryption settings against this device's key before syncing
+// Returns { key, keyVersion }, or null when encryption is off; throws a sync-locked error without the current key
+async function prepareSyncEncryption() {
+  const cloud = await activeSyncProvider.getMeta('encryption');
+  const localKey = getSyncEncryptionKey();
+  const { [localKey]: local } = await chrome.storage.local.get(localKey);
+
+  if (!cloud || !cloud.enabled) {
+    // Turned off on another device
+    if (local) {
+      await chrome.storage.local.remove(localKey);
+    }
+    return null;
+  }
+
+  if (!local || local.keyVersion !== cloud.keyVersion) {
+    throw createSyncLockedError();
   }
-  console.log('[ChatMarker Sync] Returning chat markers ref for user:', currentUser.uid);
-  return db.collection('users').doc(currentUser.uid).collection('chatMarkers');
+
+  return { key: await importCryptoKey(local.key), keyVersion: local.keyVersion };
 }
 
-// Get Firestore reference for user's reminders
-function getUserRemindersRef() {
-  console.log('[ChatMarker Sync] getUserRemindersRef - db:', !!db, 'currentUser:', !!currentUser);
-  if (!db || !currentUser) {
-    console.error('[ChatMarker Sync] ERROR: Firestore not initialized or user not signed in', { db: !!db, currentUser: !!currentUser });
-    throw new Error('Firestore not initialized or user not signed in');
+// Get encryption state for the settings UI: 'off', 'unlocked' or 'locked'
+async function getSyncEncryptionStatus() {
+  await requireSyncProvider();
+  try {
+    return await prepareSyncEncryption() ? 'unlocked' : 'off';
+  } catch (error) {
+    if (error.code === 'sync-locked') return 'locked';
+    throw error;
   }
-  console.log('[ChatMarker Sync] Returning reminders ref for user:', currentUser.uid);
-  return db.collection('users').doc(currentUser.uid).collection('reminders');
 }
 
-// Upload local data to Firestore
-async function syncToCloud() {
-  console.log('[ChatMarker Sync] ⬆️ syncToCloud() called');
-  console.log('[ChatMarker Sync] isUploading:', isUploading, 'isDownloading:', isDownloading);
+// Encrypt the private fields of documents before upload
+async function encryptSyncDocs(collection, docs, encryption) {
+  const fields = ENCRYPTED_SYNC_FIELDS[collection];
+  if (!encryption || !fields) return docs;
 
-  if (isUploading) {
-    console.log('[ChatMarker Sync] Upload already in progress, skipping');
-    return;
+  return Promise.all(docs.map(async ([id, doc]) => {
+    const encrypted = { ...doc };
+    for (const field of fields.filter(field => field in doc)) {
+      encrypted[field] = await mapFieldText(doc[field], text => encryptString(encryption.key, text, encryption.keyVersion));
+    }
+    return [id, encrypted];
+  }));
+}
+
+// Decrypt the private fields of downloaded documents
+// Throws a sync-locked error for data encrypted with a key this device doesn't have,
+// so the pull checkpoint isn't advanced past it
+async function decryptSyncDocs(collection, docs, encryption) {
+  const fields = ENCRYPTED_SYNC_FIELDS[collection];
+  if (!fields) return docs;
+
+  const decrypted = {};
+  for (const [id, doc] of Object.entries(docs)) {
+    decrypted[id] = { ...doc };
+    for (const field of fields.filter(field => field in doc)) {
+      decrypted[id][field] = await mapFieldText(doc[field], text => {
+        if (!isEncryptedValue(text)) return text;
+
+        if (!encryption || getEncryptedValueKeyId(text) !== String(encryption.keyVersion)) {
+          throw createSyncLockedError();
+        }
+        return decryptString(encryption.key, text);
+      });
+    }
   }
+  return decrypted;
+}
+
+// Turn on end-to-end encryption or change the passphrase, then re-upload everything with the new key
+async function setSyncPassphrase(passphrase) {
+  // Merge everything from the cloud first so no document is left behind under the old key
+  await syncToCloud();
+
+  const cloud = await activeSyncProvider.getMeta('encryption');
+  const previousVersion = cloud ? cloud.keyVersion || 0 : 0;
+  const keyVersion = previousVersion + 1;
+  const salt = generateSalt();
+  const key = await deriveKeyFromPassphrase(passphrase, salt);
+
+  await activeSyncProvider.setMeta('encryption', {
+    enabled: true,
+    keyVersion,
+    salt,
+    keyCheck: await encryptString(key, ENCRYPTION_KEY_CHECK, keyVersion),
+    updatedAt: Date.now()
+  });
+  await chrome.storage.local.set({
+    [getSyncEncryptionKey()]: { keyVersion, key: await exportCryptoKey(key) }
+  });
+
+  console.log(`[ChatMarker Sync] 🔐 Encryption key version ${keyVersion} set, re-uploading data`);
+  await reuploadEncryptedCollections();
+}
 
+// Turn off end-to-end encryption and re-upload everything in plaintext
+async function disableSyncEncryption() {
+  await syncToCloud();
+
+  const cloud = await activeSyncProvider.getMeta('encryption');
+  const keyVersion = cloud ? cloud.keyVersion || 0 : 0;
+  await activeSyncProvider.setMeta('encryption', { enabled: false, keyVersion, updatedAt: Date.now() });
+  await chrome.storage.local.remove(getSyncEncryptionKey());
+
+  console.log('[ChatMarker Sync] 🔓 Encryption turned off, re-uploading data');
+  await reuploadEncryptedCollections();
+}
+
+// Unlock sync on this device with the passphrase set on another device
+// Returns false if the passphrase is wrong
+async function unlockSyncEncryption(passphrase) {
+  const provider = await requireSyncProvider();
+  const cloud = await provider.getMeta('encryption');
+  if (!cloud || !cloud.enabled) return true;
+
+  const key = await deriveKeyFromPassphrase(passphrase, cloud.salt);
   try {
-    isUploading = true;
-    console.log('[ChatMarker Sync] Starting upload to cloud...');
-    updateSyncStatus('⬆️ Syncing to cloud...');
+    if (await decryptString(key, cloud.keyCheck) !== ENCRYPTION_KEY_CHECK) return false;
+  } catch (error) {
+    return false;
+  }
 
-    // Get local data
-    const chatMarkers = await getAllChatMarkers() || {};
-    const reminders = await getAllReminders() || {};
+  await chrome.storage.local.set({
+    [getSyncEncryptionKey()]: { keyVersion: cloud.keyVersion, key: await exportCryptoKey(key) }
+  });
 
-    console.log(`[ChatMarker Sync] ⬆️ Uploading ${Object.keys(chatMarkers).length} chat markers and ${Object.keys(reminders).length} reminders to cloud...`);
+  console.log('[ChatMarker Sync] 🔓 Sync unlocked with key version', cloud.keyVersion);
+  await syncToCloud();
+  return true;
+}
 
-    const chatMarkersRef = getUserChatMarkersRef();
-    const remindersRef = getUserRemindersRef();
-    const batch = db.batch();
+// Queue every document with encrypted fields for upload and push them
+async function reuploadEncryptedCollections() {
+  await queueAllLocalChanges(Object.keys(ENCRYPTED_SYNC_FIELDS));
+  await syncToCloud();
+}
 
-    // Delete all existing cloud chat markers (full replace strategy)
-    console.log('[ChatMarker Sync] Fetching existing cloud chat markers...');
-    const existingChatMarkers = await chatMarkersRef.get();
-    console.log(`[ChatMarker Sync] Found ${existingChatMarkers.size} existing chat markers, deleting...`);
-    existingChatMarkers.forEach(doc => {
-      batch.delete(doc.ref);
-    });
+// Get the version timestamp used for last-writer-wins comparisons
+function getVersionTime(doc) {
+  return (doc && (doc.updatedAt || doc.createdAt)) || 0;
+}
 
-    // Delete all existing cloud reminders
-    console.log('[ChatMarker Sync] Fetching existing cloud reminders...');
-    const existingReminders = await remindersRef.get();
-    console.log(`[ChatMarker Sync] Found ${existingReminders.size} existing reminders, deleting...`);
-    existingReminders.forEach(doc => {
-      batch.delete(doc.ref);
-    });
+// Last-writer-wins: true if candidate should replace current
+function isNewerVersion(candidate, current) {
+  if (!current) return true;
+  return getVersionTime(candidate) > getVersionTime(current);
+}
+
+// Build the cloud document that marks a deletion
+function createTombstoneDoc(deletedAt) {
+  return { deleted: true, deletedAt, updatedAt: deletedAt };
+}
+
+// Merge cloud documents into a local map, keeping the newer version of each
+// Cloud tombstones delete the local copy; local tombstones block older cloud copies
+function mergeCloudDocs(localDocs, localTombstones, cloudDocs) {
+  const merged = { ...localDocs };
+  const tombstones = { ...localTombstones };
+  const appliedIds = [];
+
+  Object.entries(cloudDocs).forEach(([id, cloudDoc]) => {
+    const localVersion = merged[id] || (tombstones[id] ? createTombstoneDoc(tombstones[id]) : null);
+
+    // Nothing to delete locally
+    if (cloudDoc.deleted && !localVersion) return;
+
+    if (!isNewerVersion(cloudDoc, localVersion)) return;
+
+    if (cloudDoc.deleted) {
+      delete merged[id];
+      tombstones[id] = cloudDoc.deletedAt;
+    } else {
+      merged[id] = cloudDoc;
+      delete tombstones[id];
+    }
+    appliedIds.push(id);
+  });
+
+  return { merged, tombstones, appliedIds };
+}
+
+// Run a sync write to local storage under the storage lock (pulls, snapshots and pushes can
+// overlap with each other and with edits made in the popup or background)
+function runSyncStorageTask(task) {
+  return withStorageLock(task);
+}
+
+// Merge cloud changes ({ collection: { id: doc } }) into local storage and advance the pull checkpoint
+// Returns the number of documents that replaced local versions
+function applyCloudChanges(cloudChanges, newestSyncedAt) {
+  const run = async () => {
+    // Read local data as late as possible to avoid overwriting concurrent edits
+    const keys = await getSyncStorageKeys();
+    const localTombstones = await getTombstones();
+    const outbox = await getSyncOutbox();
+    const updates = {};
+    const indexedWrites = [];
+    const summary = [];
+    let appliedCount = 0;
+    let labelsApplied = false;
+
+    for (const [collection, cloudDocs] of Object.entries(cloudChanges)) {
+      const localDocs = await getSyncDocs(collection);
+      const merge = mergeCloudDocs(localDocs, localTombstones[collection], cloudDocs);
+      if (merge.appliedIds.length === 0) continue;
+
+      if (INDEXED_COLLECTIONS.includes(collection)) {
+        // Only the applied documents are rewritten
+        const docs = {};
+        const deletedIds = [];
+        merge.appliedIds.forEach(id => {
+          if (merge.merged[id]) {
+            docs[id] = merge.merged[id];
+          } else {
+            deletedIds.push(id);
+          }
+        });
+        indexedWrites.push([collection, docs, deletedIds]);
+      } else {
+        Object.assign(updates, buildSyncDocsUpdate(collection, merge.merged, keys));
+        labelsApplied = labelsApplied || collection === 'labels';
+      }
+      localTombstones[collection] = merge.tombstones;
+
+      // Pending local changes that lost to a newer cloud version must not be pushed; local
+      // edits newer than the cloud copy were not applied over, so they stay queued
+      merge.appliedIds.forEach(id => delete outbox[collection][id]);
+
+      summary.push(`${merge.appliedIds.length} ${collection}`);
+      appliedCount += merge.appliedIds.length;
+    }
+
+    if (appliedCount > 0) {
+      updates[keys.TOMBSTONES] = localTombstones;
+      updates[keys.SYNC_OUTBOX] = outbox;
+      await chrome.storage.local.set(updates);
+
+      for (const [collection, docs, deletedIds] of indexedWrites) {
+        await saveIndexedSyncDocs(collection, docs, deletedIds, activeStorageAccountId);
+      }
+
+      // Chats are searchable by label name, so renamed labels need a re-index
+      if (labelsApplied) {
+        await refreshSearchIndex(activeStorageAccountId);
+      }
+    }
+
+    console.log(`[ChatMarker Sync] Applied ${summary.join(', ') || 'nothing'} from cloud (newer wins)`);
+
+    // Never move the checkpoint backwards
+    const { lastPulledAt } = await getSyncMeta();
+    await updateSyncMeta({ lastPulledAt: Math.max(lastPulledAt, newestSyncedAt) });
+
+    return appliedCount;
+  };
+
+  return runSyncStorageTask(run);
+}
+
+// Pull cloud changes since the last pull and merge them into local storage
+async function pullCloudChanges(encryption) {
+  const { lastPulledAt } = await getSyncMeta();
+
+  console.log('[ChatMarker Sync] Fetching cloud changes since', lastPulledAt ? new Date(lastPulledAt) : 'the beginning');
+  const cloudChanges = {};
+  let newestSyncedAt = lastPulledAt;
+
+  for (const collection of SYNCED_COLLECTIONS) {
+    const changes = await activeSyncProvider.fetchChanges(collection, lastPulledAt);
+    cloudChanges[collection] = await decryptSyncDocs(collection, changes.docs, encryption);
+    newestSyncedAt = Math.max(newestSyncedAt, changes.newestSyncedAt);
+    console.log(`[ChatMarker Sync] ⬇️ Received ${Object.keys(changes.docs).length} changed ${collection}`);
+  }
+
+  const appliedCount = await applyCloudChanges(cloudChanges, newestSyncedAt);
+
+  return { appliedCount };
+}
+
+// Queue every local document and tombstone of the given collections for upload (first push for this account)
+function queueAllLocalChanges(collections) {
+  return runSyncStorageTask(async () => {
+    const keys = await getSyncStorageKeys();
+    const tombstones = await getTombstones();
+    const outbox = await getSyncOutbox();
+
+    for (const collection of collections) {
+      const docs = await getSyncDocs(collection);
+      addToSyncOutbox(outbox, collection, [...Object.keys(docs), ...Object.keys(tombstones[collection])]);
+    }
+
+    await chrome.storage.local.set({ [keys.SYNC_OUTBOX]: outbox });
+  });
+}
+
+// Resolve outbox entries to the documents to upload
+// Deletions are returned as tombstone documents
+function getOutboxDocs(outboxEntries, localDocs, localTombstones) {
+  const docs = [];
+
+  Object.keys(outboxEntries).forEach(id => {
+    if (localDocs[id]) {
+      docs.push([id, localDocs[id]]);
+    } else if (localTombstones[id]) {
+      docs.push([id, createTombstoneDoc(localTombstones[id])]);
+    }
+    // Otherwise the tombstone was already garbage-collected, nothing left to send
+  });
 
-    // Add all local chat markers
-    console.log('[ChatMarker Sync] Adding local chat markers to batch...');
-    Object.entries(chatMarkers).forEach(([id, marker]) => {
-      const docRef = chatMarkersRef.doc(id);
-      batch.set(docRef, {
-        ...marker,
-        syncedAt: firebase.firestore.FieldValue.serverTimestamp()
+  return docs;
+}
+
+// Remove uploaded entries from the outbox, keeping any re-queued during the upload
+function removeFromSyncOutbox(sentOutbox) {
+  return runSyncStorageTask(async () => {
+    const keys = await getSyncStorageKeys();
+    const outbox = await getSyncOutbox();
+
+    Object.entries(sentOutbox).forEach(([collection, entries]) => {
+      Object.entries(entries).forEach(([id, queuedAt]) => {
+        if (outbox[collection] && outbox[collection][id] === queuedAt) {
+          delete outbox[collection][id];
+        }
       });
     });
 
-    // Add all local reminders
-    console.log('[ChatMarker Sync] Adding local reminders to batch...');
-    Object.entries(reminders).forEach(([id, reminder]) => {
-      const docRef = remindersRef.doc(id);
-      batch.set(docRef, {
-        ...reminder,
-        syncedAt: firebase.firestore.FieldValue.serverTimestamp()
-      });
+    await chrome.storage.local.set({ [keys.SYNC_OUTBOX]: outbox });
+  });
+}
+
+// Commit write operations in batches no larger than the provider allows
+// onChunkCommitted(chunk, committedCount) runs after each batch, so work done before a failure is kept
+async function commitInBatches(operations, onChunkCommitted) {
+  const { batchLimit } = activeSyncProvider;
+  let committedCount = 0;
+
+  for (let start = 0; start < operations.length; start += batchLimit) {
+    const chunk = operations.slice(start, start + batchLimit);
+    await activeSyncProvider.commit(chunk);
+    committedCount += chunk.length;
+
+    if (onChunkCommitted) {
+      await onChunkCommitted(chunk, committedCount);
+    }
+  }
+
+  return committedCount;
+}
+
+// Build write operations that upload documents (the provider stamps the server sync time)
+function createUploadOperations(collection, docs) {
+  return docs.map(([id, doc]) => ({ type: 'set', collection, id, data: doc }));
+}
+
+// Push pending local changes recorded in the sync outbox
+// Each committed batch is removed from the outbox, so a failed push resumes where it stopped
+async function pushLocalChanges(encryption) {
+  const { lastPushedAt, seededCollections, localDataChoice, reminderFieldsEncrypted } = await getSyncMeta();
+
+  // Nothing goes up until the user decides whether pre-sign-in data belongs to this account
+  if (localDataChoice === 'pending') {
+    console.log('[ChatMarker Sync] ⏸️ Waiting for the local data upload choice, not pushing yet');
+    return 0;
+  }
+
+  // Accounts that pushed before seeding was tracked already uploaded their markers and reminders
+  const seeded = lastPushedAt ? [...seededCollections, 'chatMarkers', 'reminders'] : seededCollections;
+  const unseeded = SYNCED_COLLECTIONS.filter(collection => !seeded.includes(collection));
+
+  // Nothing has been pushed for these collections yet, so everything local is pending
+  if (unseeded.length > 0) {
+    await queueAllLocalChanges(unseeded);
+    await updateSyncMeta({ seededCollections: [...SYNCED_COLLECTIONS] });
+  }
+
+  // Older versions only encrypted the chat name of reminders, so upload them again with every private field encrypted
+  if (encryption && !reminderFieldsEncrypted) {
+    await queueAllLocalChanges(['reminders']);
+    await updateSyncMeta({ reminderFieldsEncrypted: true });
+  }
+
+  // Read this account's local data only
+  await getSyncStorageKeys();
+  const outbox = await getSyncOutbox();
+  const tombstones = await getTombstones();
+  const operations = [];
+
+  for (const collection of SYNCED_COLLECTIONS) {
+    const changedDocs = getOutboxDocs(outbox[collection], await getSyncDocs(collection), tombstones[collection]);
+    const docs = await encryptSyncDocs(collection, changedDocs, encryption);
+    operations.push(...createUploadOperations(collection, docs));
+  }
+
+  console.log(`[ChatMarker Sync] ⬆️ Pushing ${operations.length} changed documents`);
+
+  await commitInBatches(operations, async (chunk, committedCount) => {
+    // Only drop the entries that were actually uploaded in this batch
+    const sent = createCollectionMap();
+    chunk.forEach(op => {
+      sent[op.collection][op.id] = outbox[op.collection][op.id];
     });
+    await removeFromSyncOutbox(sent);
 
-    console.log('[ChatMarker Sync] Committing batch to Firestore...');
-    await batch.commit();
+    if (operations.length > activeSyncProvider.batchLimit) {
+      console.log(`[ChatMarker Sync] ⬆️ Pushed ${committedCount}/${operations.length} changes`);
+      updateSyncStatus(`⬆️ Syncing ${committedCount}/${operations.length}...`);
+    }
+  });
+
+  // Entries whose documents no longer exist locally (e.g. expired tombstones) have nothing to upload
+  await removeFromSyncOutbox(outbox);
+  await updateSyncMeta({ lastPushedAt: Date.now() });
+
+  return operations.length;
+}
+
+// Two-way incremental sync: pull newer cloud changes first, then push local changes
+async function syncToCloud() {
+  console.log('[ChatMarker Sync] ⬆️ syncToCloud() called');
+  console.log('[ChatMarker Sync] isUploading:', isUploading, 'isDownloading:', isDownloading);
+
+  if (isUploading) {
+    console.log('[ChatMarker Sync] Upload already in progress, will sync again when it finishes');
+    syncRequestedDuringUpload = true;
+    return;
+  }
+
+  try {
+    isUploading = true;
+    syncRequestedDuringUpload = false;
+    console.log('[ChatMarker Sync] Starting incremental sync with cloud...');
+    updateSyncStatus('⬆️ Syncing to cloud...');
+
+    await requireSyncProvider();
+    const encryption = await prepareSyncEncryption();
+
+    // Pull first so that a newer cloud version is never overwritten by an older local one
+    const pulled = await pullCloudChanges(encryption);
+    const pushedCount = await pushLocalChanges(encryption);
     lastSyncTime = new Date();
+    await resetSyncRetry();
 
-    console.log('[ChatMarker Sync] ✅ Sync to cloud complete at', lastSyncTime);
+    console.log(`[ChatMarker Sync] ✅ Sync to cloud complete at ${lastSyncTime} (${pushedCount} pushed, ${pulled.appliedCount} pulled)`);
     updateSyncStatus('✅ Synced');
 
+    // Reload UI if cloud changes were applied
+    if (pulled.appliedCount > 0 && typeof loadMarkers === 'function') {
+      loadMarkers();
+    }
+
     // Hide success message after 2 seconds
     setTimeout(() => updateSyncStatus(''), 2000);
 
   } catch (error) {
     console.error('[ChatMarker Sync] Sync to cloud failed:', error);
-    updateSyncStatus('❌ Sync failed');
+    updateSyncStatus(error.code === 'sync-locked' ? '🔒 Passphrase required' : '❌ Sync failed');
     setTimeout(() => updateSyncStatus(''), 3000);
     throw error;
   } finally {
     isUploading = false;
     console.log('[ChatMarker Sync] Upload complete, isUploading set to false');
+
+    // Changes queued while this sync was running still need to go out
+    if (syncRequestedDuringUpload) {
+      syncRequestedDuringUpload = false;
+      triggerAutoSync();
+    }
   }
 }
 
-// Download data from Firestore
+// Download cloud changes and merge them into local data (newer wins)
 async function syncFromCloud() {
   console.log('[ChatMarker Sync] ⬇️ syncFromCloud() called');
   console.log('[ChatMarker Sync] isUploading:', isUploading, 'isDownloading:', isDownloading);
@@ -148,52 +681,12 @@ async function syncFromCloud() {
     console.log('[ChatMarker Sync] Starting download from cloud...');
     updateSyncStatus('⬇️ Syncing from cloud...');
 
-    const chatMarkersRef = getUserChatMarkersRef();
-    const remindersRef = getUserRemindersRef();
-
-    // Fetch chat markers from cloud
-    console.log('[ChatMarker Sync] Fetching cloud chat markers...');
-    const chatMarkersSnapshot = await chatMarkersRef.get();
-    const cloudChatMarkers = {};
-    chatMarkersSnapshot.forEach(doc => {
-      const data = doc.data();
-      // Remove Firestore metadata fields
-      delete data.syncedAt;
-      cloudChatMarkers[doc.id] = data;
-    });
-
-    // Fetch reminders from cloud
-    console.log('[ChatMarker Sync] Fetching cloud reminders...');
-    const remindersSnapshot = await remindersRef.get();
-    const cloudReminders = {};
-    remindersSnapshot.forEach(doc => {
-      const data = doc.data();
-      // Remove Firestore metadata fields
-      delete data.syncedAt;
-      cloudReminders[doc.id] = data;
-    });
-
-    console.log(`[ChatMarker Sync] ⬇️ Downloaded ${Object.keys(cloudChatMarkers).length} chat markers and ${Object.keys(cloudReminders).length} reminders from cloud`);
-
-    // Get local data for comparison
-    const localChatMarkers = await getAllChatMarkers() || {};
-    const localReminders = await getAllReminders() || {};
-    console.log(`[ChatMarker Sync] Local storage has ${Object.keys(localChatMarkers).length} chat markers and ${Object.keys(localReminders).length} reminders`);
-
-    // Cloud is ALWAYS the source of truth
-    console.log('[ChatMarker Sync] Cloud is source of truth, replacing local with cloud data');
-    await chrome.storage.local.set({
-      chatMarkers: cloudChatMarkers,
-      reminders: cloudReminders
-    });
-
-    if (Object.keys(cloudChatMarkers).length > 0 || Object.keys(cloudReminders).length > 0) {
-      console.log('[ChatMarker Sync] ✅ Synced data from cloud to local');
-    } else {
-      console.log('[ChatMarker Sync] ✅ Cloud is empty, cleared local storage (data deleted on another device)');
-    }
+    await requireSyncProvider();
+    const encryption = await prepareSyncEncryption();
+    const pulled = await pullCloudChanges(encryption);
 
     lastSyncTime = new Date();
+    console.log(`[ChatMarker Sync] ✅ Merged ${pulled.appliedCount} cloud changes into local data`);
     updateSyncStatus('✅ Synced');
 
     // Reload UI to show updated data
@@ -205,7 +698,7 @@ async function syncFromCloud() {
 
   } catch (error) {
     console.error('[ChatMarker Sync] Sync from cloud failed:', error);
-    updateSyncStatus('❌ Sync failed');
+    updateSyncStatus(error.code === 'sync-locked' ? '🔒 Passphrase required' : '❌ Sync failed');
     setTimeout(() => updateSyncStatus(''), 3000);
     throw error;
   } finally {
@@ -214,14 +707,99 @@ async function syncFromCloud() {
   }
 }
 
+// Start live multi-device updates for the synced account
+async function startRealtimeSync() {
+  stopRealtimeSync();
+  const generation = ++realtimeGeneration;
+
+  const provider = await loadSyncProvider();
+  if (!provider) {
+    console.warn('[ChatMarker Sync] ⚠️ No user signed in, skipping realtime sync');
+    return;
+  }
+
+  console.log('[ChatMarker Sync] 📡 Starting realtime sync for account:', provider.accountId);
+
+  let encryption;
+  try {
+    encryption = await prepareSyncEncryption();
+  } catch (error) {
+    console.warn('[ChatMarker Sync] ⚠️ Realtime sync not started:', error.message);
+    return;
+  }
+
+  // Apply a batch of server-confirmed changes from another device
+  const onChanges = (collection) => async (docs, newestSyncedAt) => {
+    // Listeners of a previous account may still deliver a last batch
+    if (generation !== realtimeGeneration) return;
+
+    console.log(`[ChatMarker Sync] 📡 Realtime update: ${Object.keys(docs).length} changed ${collection}`);
+    try {
+      const decrypted = await decryptSyncDocs(collection, docs, encryption);
+      await applyCloudChanges({ [collection]: decrypted }, newestSyncedAt);
+    } catch (error) {
+      console.error('[ChatMarker Sync] ❌ Failed to apply realtime update:', error);
+      // The key changed on another device; wait until this one is unlocked again
+      if (error.code === 'sync-locked') stopRealtimeSync();
+    }
+  };
+
+  const onError = (error) => {
+    console.error('[ChatMarker Sync] ❌ Realtime listener error:', error);
+    stopRealtimeSync();
+  };
+
+  const { lastPulledAt } = await getSyncMeta();
+
+  // A newer start or a stop happened while preparing
+  if (generation !== realtimeGeneration) return;
+
+  realtimeUnsubscribers = SYNCED_COLLECTIONS.map(collection => {
+    return provider.subscribe(collection, lastPulledAt, onChanges(collection), onError);
+  });
+}
+
+// Stop live updates (sign-out or listener error)
+function stopRealtimeSync() {
+  realtimeGeneration++;
+  if (realtimeUnsubscribers.length === 0) return;
+
+  realtimeUnsubscribers.forEach(unsubscribe => unsubscribe());
+  realtimeUnsubscribers = [];
+  console.log('[ChatMarker Sync] 📡 Realtime sync stopped');
+}
+
+// Check whether realtime listeners are active
+function isRealtimeSyncActive() {
+  return realtimeUnsubscribers.length > 0;
+}
+
+// Delete cloud tombstones older than the retention period
+async function purgeCloudTombstones(maxAge) {
+  const provider = await loadSyncProvider();
+  if (!provider) return 0;
+
+  const cutoff = Date.now() - maxAge;
+  let purgeCount = 0;
+
+  for (const collection of SYNCED_COLLECTIONS) {
+    purgeCount += await provider.purgeTombstones(collection, cutoff);
+  }
+
+  console.log(`[ChatMarker Sync] Purged ${purgeCount} expired cloud tombstones`);
+  return purgeCount;
+}
+
 // Update sync status UI
 function updateSyncStatus(message) {
   // Only update UI if running in a document context (popup), not in service worker (background)
   if (typeof document !== 'undefined') {
     const syncStatus = document.getElementById('syncStatus');
     if (syncStatus) {
-      syncStatus.textContent = message;
-      syncStatus.style.display = message ? 'inline-block' : 'none';
+      // Fall back to the pending change count when there is nothing else to report
+      const text = message || (pendingSyncCount > 0 ? `⏳ ${pendingSyncCount} pending` : '');
+      syncStatus.textContent = text;
+      syncStatus.style.display = text ? 'inline-block' : 'none';
     }
   }
   // Always log the status for debugging
@@ -230,12 +808,30 @@ function updateSyncStatus(message) {
   }
 }
 
+// Refresh the pending change count shown in the sync status
+async function refreshPendingSyncStatus() {
+  pendingSyncCount = await loadSyncProvider() ? countSyncOutbox(await getSyncOutbox()) : 0;
+
+  // Don't overwrite progress messages while a sync is running
+  if (!isUploading && !isDownloading) {
+    updateSyncStatus('');
+  }
+}
+
 // Setup automatic cloud sync
 async function setupCloudSync() {
   console.log('[ChatMarker Sync] setupCloudSync() called');
   console.log('[ChatMarker Sync] currentUser:', currentUser ? `${currentUser.email} (${currentUser.uid})` : 'null');
   console.log('[ChatMarker Sync] db:', !!db);
 
+  // Loads the sync provider used below
+  await refreshPendingSyncStatus();
+
+  // Ask about data marked before signing in before anything is uploaded
+  if (activeSyncProvider && typeof offerLocalDataUpload === 'function') {
+    await offerLocalDataUpload();
+  }
+
   // Check if initial sync already completed for this session
   const syncCompleted = await hasCompletedInitialSync();
   console.log('[ChatMarker Sync] hasCompletedInitialSync:', syncCompleted);
@@ -247,22 +843,22 @@ async function setupCloudSync() {
     return;
   }
 
-  // Automatically download from cloud when user is signed in
-  if (currentUser) {
-    console.log('[ChatMarker Sync] User is signed in, scheduling auto-download in 1 second...');
-    // Wait a bit for UI to load, then sync from cloud
+  // Automatically sync with cloud when user is signed in (or a sync server is configured)
+  if (activeSyncProvider) {
+    console.log('[ChatMarker Sync] Sync account available, scheduling initial sync in 1 second...');
+    // Wait a bit for UI to load, then merge cloud and local changes both ways
     setTimeout(async () => {
-      console.log('[ChatMarker Sync] 1 second elapsed, starting auto-download...');
+      console.log('[ChatMarker Sync] 1 second elapsed, starting initial sync...');
       try {
-        await syncFromCloud();
+        await syncToCloud();
         await markInitialSyncCompleted();
         console.log('[ChatMarker Sync] ✅ Initial sync completed, session flag set');
       } catch (error) {
-        console.error('[ChatMarker Sync] ❌ Auto-download from cloud failed:', error);
+        console.error('[ChatMarker Sync] ❌ Initial sync with cloud failed:', error);
       }
     }, 1000);
   } else {
-    console.warn('[ChatMarker Sync] ⚠️ No user signed in, skipping auto-download');
+    console.warn('[ChatMarker Sync] ⚠️ No user signed in, skipping initial sync');
   }
 
   console.log('[ChatMarker Sync] ✅ Automatic cloud sync initialized');
@@ -272,20 +868,70 @@ async function setupCloudSync() {
 let autoSyncTimeout = null;
 function triggerAutoSync() {
   console.log('[ChatMarker Sync] 🔄 triggerAutoSync() called');
-  if (!currentUser) {
+  if (!activeSyncProvider && !currentUser) {
     console.warn('[ChatMarker Sync] ⚠️ No user signed in, skipping auto-sync');
     return;
   }
 
-  console.log('[ChatMarker Sync] User signed in, scheduling auto-upload in 3 seconds...');
+  console.log('[ChatMarker Sync] Sync account available, scheduling auto-upload in 3 seconds...');
   // Debounce: wait 3 seconds after last change before syncing
   clearTimeout(autoSyncTimeout);
   autoSyncTimeout = setTimeout(async () => {
     console.log('[ChatMarker Sync] 3 seconds elapsed, starting auto-upload...');
-    try {
-      await syncToCloud();
-    } catch (error) {
-      console.error('[ChatMarker Sync] ❌ Auto-sync failed:', error);
-    }
+    await flushSyncOutbox();
   }, 3000);
 }
+
+// Get the retry delay for a given failed attempt (exponential, capped)
+function getSyncRetryDelay(attempt) {
+  return Math.min(SYNC_RETRY_BASE_DELAY * Math.pow(2, attempt - 1), SYNC_RETRY_MAX_DELAY);
+}
+
+// Sync now; on failure schedule a retry with exponential backoff
+async function flushSyncOutbox() {
+  if (!await loadSyncProvider()) return;
+
+  try {
+    await syncToCloud();
+  } catch (error) {
+    const result = await chrome.storage.local.get(SYNC_RETRY_KEY);
+    const attempt = (result[SYNC_RETRY_KEY]?.attempt || 0) + 1;
+    const delay = getSyncRetryDelay(attempt);
+
+    console.error(`[ChatMarker Sync] ❌ Auto-sync failed (attempt ${attempt}), retrying in ${delay / 1000}s:`, error);
+    await chrome.storage.local.set({ [SYNC_RETRY_KEY]: { attempt, nextRetryAt: Date.now() + delay } });
+
+    // The timer is lost if the service worker is suspended; retryPendingSync() covers that case
+    clearTimeout(syncRetryTimeout);
+    syncRetryTimeout = setTimeout(() => flushSyncOutbox(), delay);
+  }
+}
+
+// Clear the retry backoff after a successful sync
+async function resetSyncRetry() {
+  clearTimeout(syncRetryTimeout);
+  syncRetryTimeout = null;
+  await chrome.storage.local.remove(SYNC_RETRY_KEY);
+}
+
+// Flush the outbox if it has pending changes and no retry is scheduled for later
+// Pass { force: true } to ignore the backoff (e.g. when connectivity returns)
+async function retryPendingSync({ force = false } = {}) {
+  if (!await loadSyncProvider()) return;
+
+  const outbox = await getSyncOutbox();
+  if (countSyncOutbox(outbox) === 0) return;
+
+  const result = await chrome.storage.local.get(SYNC_RETRY_KEY);
+  const retry = result[SYNC_RETRY_KEY];
+  if (!force && retry && retry.nextRetryAt > Date.now()) return;
+
+  console.log(`[ChatMarker Sync] 🔁 Retrying sync of ${countSyncOutbox(outbox)} pending changes`);
+  await flushSyncOutbox();
+}
+
+// Retry immediately when the browser comes back online
+self.addEventListener('online', () => {
+  console.log('[ChatMarker Sync] 🌐 Back online');
+  retryPendingSync({ force: true });
+});
@@ -7,6 +7,15 @@ document.addEventListener('DOMContentLoaded', function() {
   const signInForm = document.getElementById('signInForm');
   const signUpForm = document.getElementById('signUpForm');
 
+  // Continue without an account
+  const useLocalModeBtn = document.getElementById('useLocalModeBtn');
+  if (useLocalModeBtn) {
+    useLocalModeBtn.addEventListener('click', () => {
+      clearMessages();
+      enableLocalMode();
+    });
+  }
+
   if (signInTab && signUpTab && signInForm && signUpForm) {
     signInTab.addEventListener('click', () => {
       signInTab.classList.add('active');
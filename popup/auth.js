@@ -5,6 +5,9 @@ let auth = null;
 let db = null;
 let currentUser = null;
 
+// Set when the user chose to use ChatMarker without an account (data stays on this device)
+const LOCAL_MODE_KEY = 'localMode';
+
 // Initialize Firebase
 async function initializeFirebase() {
   console.log('[ChatMarker Auth] Initializing Firebase...');
@@ -31,14 +34,14 @@ async function initializeFirebase() {
 
     // Set up auth state listener
     console.log('[ChatMarker Auth] Setting up auth state listener...');
-    auth.onAuthStateChanged((user) => {
+    auth.onAuthStateChanged(async (user) => {
       console.log('[ChatMarker Auth] Auth state changed - user:', user ? user.email : 'null');
       currentUser = user;
 
       if (user) {
         console.log('[ChatMarker Auth] User signed in:', user.email, 'UID:', user.uid);
-        // Store user info in chrome storage
-        chrome.storage.local.set({
+        // Store user info in chrome storage (selects whose data storage.js reads, so wait for it)
+        await chrome.storage.local.set({
           currentUser: {
             uid: user.uid,
             email: user.email,
@@ -51,9 +54,14 @@ async function initializeFirebase() {
         showMainApp();
       } else {
         console.log('[ChatMarker Auth] User signed out');
-        chrome.storage.local.remove('currentUser');
-        // Show auth screen
-        showAuthScreen();
+        await chrome.storage.local.remove('currentUser');
+
+        // Local-only users go straight to their data; everyone else sees the auth screen
+        if (await isLocalModeEnabled()) {
+          showMainApp();
+        } else {
+          showAuthScreen();
+        }
       }
     });
 
@@ -111,12 +119,17 @@ function isAuthenticated() {
   return currentUser !== null;
 }
 
-// Get user-specific storage key
-function getUserStorageKey(key) {
-  if (!currentUser) {
-    return key; // Fallback to non-user-specific key
-  }
-  return `${currentUser.uid}_${key}`;
+// Check whether the user chose local-only mode
+async function isLocalModeEnabled() {
+  const result = await chrome.storage.local.get(LOCAL_MODE_KEY);
+  return result[LOCAL_MODE_KEY] === true;
+}
+
+// Use ChatMarker without an account
+async function enableLocalMode() {
+  await chrome.storage.local.set({ [LOCAL_MODE_KEY]: true });
+  console.log('[ChatMarker Auth] Local-only mode enabled');
+  showMainApp();
 }
 
 // Helper function to format error messages
@@ -150,11 +163,13 @@ function showAuthScreen() {
   const authContainer = document.getElementById('authContainer');
   const cloudSyncSection = document.getElementById('cloudSyncSection');
   const signOutBtn = document.getElementById('signOutBtn');
+  const signInBtn = document.getElementById('signInBtn');
 
   if (dashboardContainer) dashboardContainer.style.display = 'none';
   if (authContainer) authContainer.style.display = 'flex';
   if (cloudSyncSection) cloudSyncSection.style.display = 'none';
   if (signOutBtn) signOutBtn.style.display = 'none';
+  if (signInBtn) signInBtn.style.display = 'none';
 }
 
 function showMainApp() {
@@ -163,11 +178,14 @@ function showMainApp() {
   const authContainer = document.getElementById('authContainer');
   const cloudSyncSection = document.getElementById('cloudSyncSection');
   const signOutBtn = document.getElementById('signOutBtn');
+  const signInBtn = document.getElementById('signInBtn');
 
+  // In local-only mode there is no account to sync with or sign out of
   if (authContainer) authContainer.style.display = 'none';
   if (dashboardContainer) dashboardContainer.style.display = 'flex';
-  if (cloudSyncSection) cloudSyncSection.style.display = 'block';
-  if (signOutBtn) signOutBtn.style.display = 'block';
+  if (cloudSyncSection) cloudSyncSection.style.display = currentUser ? 'block' : 'none';
+  if (signOutBtn) signOutBtn.style.display = currentUser ? 'block' : 'none';
+  if (signInBtn) signInBtn.style.display = currentUser ? 'none' : 'block';
 
   // Load user's markers
   console.log('[ChatMarker Auth] Loading user markers...');
@@ -175,7 +193,7 @@ function showMainApp() {
     loadMarkers();
   }
 
-  // Setup cloud sync now that user is authenticated
+  // Setup cloud sync (signed in, or local mode with a self-hosted sync server)
   console.log('[ChatMarker Auth] Setting up cloud sync...');
   if (typeof setupCloudSync === 'function') {
     setupCloudSync();
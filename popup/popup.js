@@ -8,12 +8,35 @@ let allChatMarkers = [];
 let allReminders = {};
 let filteredChatMarkers = [];
 let currentEditingNoteId = null;
+let currentEditingNoteEntryId = null; // Note entry being edited (null when adding one)
 let currentSettings = {};
+let userLabels = []; // The user's labels, in their display order
+let userLabelTree = []; // The same labels nested (see getLabelTree)
 let currentPlatform = 'all'; // 'all', 'whatsapp', 'reddit', etc.
+let searchQueryText = ''; // Last search query that parsed (kept while the user is mid-edit)
+let savedSearches = []; // Saved searches, shown as tabs after the platform tabs
+let searchIndex = null; // Full-text index of chat names, notes, labels and reminders (see getSearchIndex)
+let searchHighlights = new Map(); // Chat marker ID => words the search matched, highlighted on its card
+let activeSuggestions = []; // Completions shown under the search box
+let activeSuggestionIndex = -1;
+let vaultStatus = 'off'; // Note vault: 'off', 'locked' or 'unlocked' (see getVaultStatus)
+const expandedHistoryIds = new Set(); // Chat cards with their history open (kept across re-renders)
+const expandedNoteIds = new Set(); // Chat cards showing all their notes (kept across re-renders)
+
+// Set per account once the user has been asked about moving signed-out items into it
+const SIGNED_OUT_MOVE_OFFERED_KEY = 'signedOutMoveOffered';
+
+// Notes shown on a chat card before the older ones are folded away
+const NOTE_PREVIEW_COUNT = 3;
+
+// Notes longer than this that match a search are shown as a snippet around the match
+const NOTE_SNIPPET_LENGTH = 160;
 
 // DOM Elements
 const searchInput = document.getElementById('searchInput');
 const clearSearch = document.getElementById('clearSearch');
+const searchError = document.getElementById('searchError');
+const searchSuggestions = document.getElementById('searchSuggestions');
 const messageList = document.getElementById('messageList');
 const loadingState = document.getElementById('loadingState');
 const emptyState = document.getElementById('emptyState');
@@ -24,17 +47,26 @@ const settingsBtn = document.getElementById('settingsBtn');
 // Dashboard elements
 const totalMarksCount = document.getElementById('totalMarksCount');
 const activeRemindersCount = document.getElementById('activeRemindersCount');
-const labelCheckboxes = document.querySelectorAll('.label-checkbox');
+const labelFilters = document.getElementById('labelFilters');
 const dateRadios = document.querySelectorAll('input[name="dateFilter"]');
-const platformTabs = document.querySelectorAll('.platform-tab');
+const platformTabs = document.querySelectorAll('.platform-tab[data-platform]');
+const sortSelect = document.getElementById('sortSelect');
+const savedSearchTabs = document.getElementById('savedSearchTabs');
 
 // Modals
 const settingsModal = document.getElementById('settingsModal');
 const closeSettings = document.getElementById('closeSettings');
 const statsModal = document.getElementById('statsModal');
 const closeStats = document.getElementById('closeStats');
+const trashModal = document.getElementById('trashModal');
+const labelManagerModal = document.getElementById('labelManagerModal');
+const saveSearchModal = document.getElementById('saveSearchModal');
 const noteModal = document.getElementById('noteModal');
 const closeNote = document.getElementById('closeNote');
+const vaultBanner = document.getElementById('vaultBanner');
+const vaultLockBtn = document.getElementById('vaultLockBtn');
+const migrationBanner = document.getElementById('migrationBanner');
+const migrationRetryBtn = document.getElementById('migrationRetryBtn');
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
@@ -46,9 +78,18 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Apply theme
   applyTheme();
 
+  // Load labels (filters, badges and pickers show the user's labels)
+  await loadLabels();
+
+  // Load saved searches (shown as tabs with live counts)
+  await loadSavedSearches();
+
   // Load and display markers
   await loadMarkers();
 
+  // Warn if the data couldn't be upgraded (the background retries on every start)
+  await renderMigrationBanner();
+
   // Set up event listeners
   setupEventListeners();
 
@@ -56,16 +97,71 @@ document.addEventListener('DOMContentLoaded', async () => {
   await checkPendingActions();
 
   // Listen for storage changes to update in real-time
-  chrome.storage.onChanged.addListener((changes, namespace) => {
+  chrome.storage.onChanged.addListener(async (changes, namespace) => {
     if (namespace === 'local') {
-      // Check if chatMarkers or reminders changed
-      if (changes.chatMarkers || changes.reminders) {
+      // Only changes to the signed-in account's data (or signed-out data) are shown
+      const keys = await getStorageKeys();
+
+      // Check if chatMarkers or reminders changed (IndexedDB writes bump DATA_REVISION)
+      if (changes[keys.DATA_REVISION]) {
         console.log('[ChatMarker Popup] Storage changed, reloading markers...');
         loadMarkers();
+
+        if (trashModal.style.display !== 'none') {
+          renderTrash();
+        }
+      }
+
+      // Labels can be edited in the label manager or arrive through sync
+      if (changes[keys.LABELS] || changes.currentUser) {
+        await loadLabels();
+        applyFilters();
+
+        if (labelManagerModal.style.display !== 'none') {
+          renderLabelManager();
+        }
+      }
+
+      // Saved searches can be edited on another device and arrive through sync
+      if (changes[keys.SAVED_SEARCHES] || changes.currentUser) {
+        await loadSavedSearches();
+        applyFilters();
+      }
+
+      // Settings can change on another device and arrive through sync, or belong to another account
+      if (changes[keys.SETTINGS] || changes.currentUser) {
+        const previousVault = currentSettings.vault;
+        currentSettings = await getSettings();
+        applyTheme();
+
+        // The vault was turned on or off (possibly on another device)
+        if (JSON.stringify(previousVault) !== JSON.stringify(currentSettings.vault)) {
+          loadMarkers();
+        }
+      }
+
+      // Show the number of changes waiting to be uploaded
+      if (changes[keys.SYNC_OUTBOX] || changes.currentUser) {
+        refreshPendingSyncStatus();
+      }
+
+      if (changes[SCHEMA_MIGRATION_ERROR_KEY]) {
+        renderMigrationBanner();
       }
     }
+
+    // The vault was unlocked or locked (e.g. after idling): reload so notes are opened or hidden again
+    const vaultKeyChange = Object.entries(changes).find(([key]) => key.endsWith(VAULT_SESSION_KEY));
+    if (namespace === 'session' && vaultKeyChange) {
+      if (!vaultKeyChange[1].newValue) {
+        closeNoteModal();
+      }
+      loadMarkers();
+    }
   });
 
+  await refreshPendingSyncStatus();
+
   console.log('[ChatMarker Popup] Initialized');
 });
 
@@ -104,13 +200,21 @@ async function loadMarkers() {
   try {
     showLoading();
 
+    // Notes sealed in the vault are opened while it is unlocked, and stay sealed otherwise
+    vaultStatus = await getVaultStatus();
+    renderVaultBanner();
+
     // Get all chat markers
-    allChatMarkers = await getChatMarkersArray();
+    allChatMarkers = await openVaultRecords(STORAGE_KEYS.CHAT_MARKERS, await getChatMarkersArray());
     console.log(`[ChatMarker Popup] Loaded ${allChatMarkers.length} chat markers`);
 
     // Get all reminders
-    allReminders = await getAllReminders();
-    console.log(`[ChatMarker Popup] Loaded ${Object.keys(allReminders).length} reminders`);
+    const reminders = await openVaultRecords(STORAGE_KEYS.REMINDERS, Object.values(await getAllReminders()));
+    allReminders = Object.fromEntries(reminders.map(reminder => [reminder.reminderId, reminder]));
+    console.log(`[ChatMarker Popup] Loaded ${reminders.length} reminders`);
+
+    // Storage transactions keep the index in step with the chats
+    searchIndex = await getSearchIndex();
 
     // Apply current filters
     applyFilters();
@@ -122,72 +226,474 @@ async function loadMarkers() {
 }
 
 /**
- * Apply current filters and search - Chat-only version
+ * Show the unlock prompt while the vault is locked, and the lock button while it is unlocked
  */
-function applyFilters() {
-  let filtered = [...allChatMarkers];
-
-  // Apply search
-  const searchTerm = searchInput.value.trim().toLowerCase();
-  if (searchTerm) {
-    filtered = filtered.filter(chat => {
-      return (
-        chat.chatName?.toLowerCase().includes(searchTerm) ||
-        chat.notes?.toLowerCase().includes(searchTerm)
-      );
-    });
+function renderVaultBanner() {
+  vaultBanner.style.display = vaultStatus === 'locked' ? 'flex' : 'none';
+  vaultLockBtn.style.display = vaultStatus === 'unlocked' ? '' : 'none';
+}
+
+/**
+ * Show the data upgrade warning while the last schema migration run has failed
+ */
+async function renderMigrationBanner() {
+  const migrationError = await getSchemaMigrationError();
+  migrationBanner.style.display = migrationError ? 'flex' : 'none';
+  migrationBanner.title = migrationError ? `Upgrade to data version ${migrationError.version} failed: ${migrationError.message}` : '';
+}
+
+/**
+ * Retry the schema migration in the background
+ */
+async function retrySchemaMigrations() {
+  migrationRetryBtn.disabled = true;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'retrySchemaMigrations' });
+    if (response && response.success) {
+      showToast('✅ Data upgraded');
+      loadMarkers();
+    } else {
+      showToast('❌ Upgrade failed again');
+    }
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error retrying data upgrade:', error);
+    showToast('❌ Could not retry the upgrade');
+  } finally {
+    migrationRetryBtn.disabled = false;
   }
+  // The schema migration error change updates the banner
+}
+
+/**
+ * Unlock the vault from the side panel prompt
+ */
+async function unlockVaultFromBanner(e) {
+  e.preventDefault();
+  const passphraseInput = document.getElementById('vaultUnlockPassphrase');
 
-  // Apply platform filter (from active tab)
-  const activeTab = document.querySelector('.platform-tab.active');
-  const platform = activeTab ? activeTab.dataset.platform : 'all';
-  if (platform !== 'all') {
-    filtered = filtered.filter(c => c.platform === platform);
+  try {
+    if (!await unlockVault(passphraseInput.value)) {
+      showToast('❌ Wrong passphrase');
+      passphraseInput.select();
+      return;
+    }
+    passphraseInput.value = '';
+    showToast('🔓 Notes unlocked');
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error unlocking vault:', error);
+    showToast('❌ Could not unlock notes');
   }
+  // The session storage change reloads the markers
+}
 
-  // Apply label filter (multi-select checkboxes)
-  const selectedLabels = Array.from(labelCheckboxes)
-    .filter(cb => cb.checked)
-    .map(cb => cb.value);
+/**
+ * Lock the vault now
+ */
+async function lockVaultNow() {
+  try {
+    await lockVault();
+    showToast('🔒 Notes locked');
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error locking vault:', error);
+    showToast('❌ Could not lock notes');
+  }
+}
 
-  if (selectedLabels.length > 0 && selectedLabels.length < 5) {
-    filtered = filtered.filter(c => {
-      if (!c.labels || c.labels.length === 0) return false;
-      return c.labels.some(label => selectedLabels.includes(label));
-    });
+/**
+ * Ask for the vault passphrase before showing a sealed note
+ */
+function promptVaultUnlock() {
+  showToast('🔒 Notes are locked. Enter your passphrase to unlock them');
+  document.getElementById('vaultUnlockPassphrase').focus();
+}
+
+/**
+ * Name a chat for display (names sealed in the locked vault are hidden)
+ */
+function getChatDisplayName(chatMarker) {
+  return isSealedValue(chatMarker.chatName) ? '🔒 Locked chat' : (chatMarker.chatName || 'Unknown Chat');
+}
+
+/**
+ * Load the user's labels and show them as filters
+ */
+async function loadLabels() {
+  userLabels = await getLabels();
+  userLabelTree = getLabelTree(userLabels);
+  renderLabelFilters();
+}
+
+/**
+ * Get a label by ID (labels deleted since are shown by their ID)
+ */
+function getLabelInfo(labelId) {
+  const entry = userLabelTree.find(item => item.label.id === labelId);
+  if (!entry) {
+    return { id: labelId, name: capitalizeFirst(labelId), path: capitalizeFirst(labelId), color: '#6B7280' };
   }
+  return { ...entry.label, path: entry.path };
+}
+
+/**
+ * Render a label as a colored badge (nested labels show their full path, e.g. Clients/Acme)
+ */
+function renderLabelBadge(labelId, { showPath = true } = {}) {
+  const label = getLabelInfo(labelId);
+  const text = showPath ? label.path : label.name;
+  return `<span class="label-badge" style="background-color: ${escapeHtml(label.color)};">${escapeHtml(text)}</span>`;
+}
+
+/**
+ * Render a tag as a chip
+ */
+function renderTagChip(tag) {
+  return `<span class="tag-chip">#${escapeHtml(tag)}</span>`;
+}
+
+/**
+ * Show a filter checkbox for each label, nested under its parent,
+ * keeping labels that were unchecked unchecked
+ */
+function renderLabelFilters() {
+  const uncheckedIds = Array.from(labelFilters.querySelectorAll('.label-checkbox'))
+    .filter(cb => !cb.checked)
+    .map(cb => cb.value);
+
+  labelFilters.innerHTML = userLabelTree.map(({ label, depth }) => `
+    <label class="checkbox-label" style="padding-left: ${depth * 16}px;">
+      <input type="checkbox" class="label-checkbox" value="${escapeHtml(label.id)}" ${uncheckedIds.includes(label.id) ? '' : 'checked'}>
+      ${renderLabelBadge(label.id, { showPath: false })}
+    </label>
+  `).join('');
+}
 
-  // Apply date filter (radio buttons)
+/**
+ * Read the dashboard's search box, platform tab, label and date filters and sort
+ * @returns {Object} { query, platform, labels, dateRange, sort }, the shape of a saved search
+ */
+function getSearchState() {
+  const activeTab = document.querySelector('.platform-tab.active[data-platform]');
   const selectedDateRadio = document.querySelector('input[name="dateFilter"]:checked');
-  const dateRange = selectedDateRadio ? selectedDateRadio.value : 'all';
 
-  if (dateRange !== 'all') {
-    const now = Date.now();
-    let minTime = 0;
-
-    switch (dateRange) {
-      case 'today':
-        minTime = now - (24 * 60 * 60 * 1000);
-        break;
-      case 'week':
-        minTime = now - (7 * 24 * 60 * 60 * 1000);
-        break;
-      case 'month':
-        minTime = now - (30 * 24 * 60 * 60 * 1000);
-        break;
-    }
+  // Checking all labels (or none) doesn't filter
+  const checkedLabels = Array.from(labelFilters.querySelectorAll('.label-checkbox'))
+    .filter(cb => cb.checked)
+    .map(cb => cb.value);
+  const filtersLabels = checkedLabels.length > 0 && checkedLabels.length < userLabels.length;
+
+  return {
+    query: searchQueryText,
+    platform: activeTab ? activeTab.dataset.platform : 'all',
+    labels: filtersLabels ? checkedLabels : [],
+    dateRange: selectedDateRadio ? selectedDateRadio.value : 'all',
+    sort: sortSelect.value
+  };
+}
 
-    if (minTime > 0) {
-      filtered = filtered.filter(c => c.createdAt >= minTime);
-    }
-  }
+/**
+ * Apply current filters and search - Chat-only version
+ */
+function applyFilters() {
+  const state = getSearchState();
+  const context = createQueryContext({ labels: userLabels, reminders: Object.values(allReminders), searchIndex });
 
-  filteredChatMarkers = filtered;
+  // Search query (see parseQuery in storage.js), platform tab, labels (with nested labels) and date
+  const filtered = allChatMarkers.filter(chat => matchesSavedSearch(chat, state, context));
+  filteredChatMarkers = sortChatMarkers(filtered, state.sort, context, state.query);
+  searchHighlights = new Map(filtered.map(chat => {
+    return [chat.chatMarkerId, getSearchRelevance(state.query, chat.chatMarkerId, context).words];
+  }));
 
   // Display chats
   displayChatMarkers();
   updateTabCounts();
   updateStatsBox();
+  renderSavedSearchTabs(state, context);
+}
+
+/**
+ * Re-parse the search box and refresh the results, error and suggestions
+ */
+function handleSearchInput() {
+  clearSearch.style.display = searchInput.value ? 'flex' : 'none';
+
+  try {
+    parseQuery(searchInput.value);
+    searchQueryText = searchInput.value;
+    showSearchError(null);
+  } catch (error) {
+    if (error.code !== 'query-syntax') throw error;
+    // Keep filtering by the last query that parsed so results don't jump while typing
+    showSearchError(error);
+  }
+
+  applyFilters();
+  updateSearchSuggestions();
+}
+
+/**
+ * Show a query syntax error under the search box, with a one-click fix when there is one
+ */
+function showSearchError(error) {
+  searchInput.classList.toggle('invalid', !!error);
+  if (!error) {
+    searchError.style.display = 'none';
+    searchError.textContent = '';
+    return;
+  }
+
+  searchError.textContent = `⚠️ ${error.message}`;
+  if (error.suggestion !== null) {
+    // Built with the DOM: suggestions can contain quotes
+    const fix = document.createElement('button');
+    fix.className = 'search-error-fix';
+    fix.textContent = error.suggestion
+      ? `Use ${error.suggestion}`
+      : `Remove ${searchInput.value.slice(error.start, error.end)}`;
+    Object.assign(fix.dataset, { start: error.start, end: error.end, suggestion: error.suggestion });
+    searchError.append(' ', fix);
+  }
+  searchError.style.display = 'block';
+}
+
+/**
+ * Suggest fields and values for the word at the caret
+ */
+function updateSearchSuggestions() {
+  const tags = [...new Set(allChatMarkers.flatMap(chat => chat.tags || []))];
+  activeSuggestions = document.activeElement === searchInput
+    ? getQuerySuggestions(searchInput.value, searchInput.selectionStart, { labels: userLabels, tags })
+    : [];
+  activeSuggestionIndex = -1;
+  renderSearchSuggestions();
+}
+
+/**
+ * Render the suggestion list under the search box
+ */
+function renderSearchSuggestions() {
+  if (activeSuggestions.length === 0) {
+    searchSuggestions.style.display = 'none';
+    searchSuggestions.innerHTML = '';
+    return;
+  }
+
+  searchSuggestions.innerHTML = activeSuggestions.map((suggestion, index) => `
+    <li class="search-suggestion${index === activeSuggestionIndex ? ' active' : ''}" role="option" data-index="${index}">
+      <span class="search-suggestion-text">${escapeHtml(suggestion.text)}</span>
+      ${suggestion.description ? `<span class="search-suggestion-hint">${escapeHtml(suggestion.description)}</span>` : ''}
+    </li>
+  `).join('');
+  searchSuggestions.style.display = 'block';
+}
+
+/**
+ * Close the suggestion list
+ */
+function hideSearchSuggestions() {
+  activeSuggestions = [];
+  activeSuggestionIndex = -1;
+  renderSearchSuggestions();
+}
+
+/**
+ * Arrow keys move through suggestions, Enter/Tab accept one, Escape closes the list
+ */
+function handleSearchKeydown(e) {
+  const count = activeSuggestions.length;
+  if (count === 0) return;
+
+  switch (e.key) {
+    case 'ArrowDown':
+    case 'ArrowUp': {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      activeSuggestionIndex = (Math.max(activeSuggestionIndex, step > 0 ? -1 : 0) + step + count) % count;
+      renderSearchSuggestions();
+      break;
+    }
+    case 'Enter':
+    case 'Tab':
+      if (activeSuggestionIndex !== -1 || e.key === 'Tab') {
+        e.preventDefault();
+        acceptSearchSuggestion(activeSuggestions[Math.max(activeSuggestionIndex, 0)]);
+      }
+      break;
+    case 'Escape':
+      e.preventDefault();
+      hideSearchSuggestions();
+      break;
+  }
+}
+
+/**
+ * Put a suggestion into the search box (a field name waits for its value, a full term gets a trailing space)
+ */
+function acceptSearchSuggestion(suggestion) {
+  const text = suggestion.text.endsWith(':') ? suggestion.text : `${suggestion.text} `;
+  replaceSearchText(suggestion.start, suggestion.end, text);
+}
+
+/**
+ * Replace part of the search box and re-run the search
+ */
+function replaceSearchText(start, end, text) {
+  const value = searchInput.value;
+  searchInput.value = value.slice(0, start) + text + value.slice(end);
+  searchInput.focus();
+  searchInput.setSelectionRange(start + text.length, start + text.length);
+  handleSearchInput();
+}
+
+/**
+ * Load the user's saved searches
+ */
+async function loadSavedSearches() {
+  savedSearches = await getSavedSearches();
+}
+
+/**
+ * Check whether a saved search is what the dashboard currently shows
+ */
+function isCurrentSearch(search, state) {
+  return ['query', 'platform', 'dateRange', 'sort'].every(field => search[field] === state[field]) &&
+    [...search.labels].sort().join(',') === [...state.labels].sort().join(',');
+}
+
+/**
+ * Render saved searches as tabs with a live count of matching chats
+ */
+function renderSavedSearchTabs(state, context) {
+  savedSearchTabs.innerHTML = savedSearches.map(search => {
+    const count = allChatMarkers.filter(chat => matchesSavedSearch(chat, search, context)).length;
+    const active = isCurrentSearch(search, state) ? ' active' : '';
+    return `
+      <button class="platform-tab saved-search-tab${active}" data-saved-search-id="${escapeHtml(search.id)}">
+        📌 ${escapeHtml(search.name)} <span class="tab-count">${count}</span>
+        <span class="saved-search-delete" title="Delete saved search">✕</span>
+      </button>
+    `;
+  }).join('');
+
+  // Set through the DOM: queries can contain quotes
+  savedSearchTabs.querySelectorAll('.saved-search-tab').forEach((tab, index) => {
+    tab.title = describeSearchState(savedSearches[index]);
+  });
+}
+
+/**
+ * Describe a search's query, filters and sort in one line
+ */
+function describeSearchState(state) {
+  const parts = [];
+  if (state.query) parts.push(state.query);
+  if (state.platform !== 'all') parts.push(capitalizeFirst(state.platform));
+  if (state.labels.length > 0) parts.push(`Labels: ${state.labels.map(labelId => getLabelInfo(labelId).path).join(', ')}`);
+  if (state.dateRange !== 'all') {
+    parts.push(document.querySelector(`input[name="dateFilter"][value="${state.dateRange}"]`)?.nextElementSibling.textContent || state.dateRange);
+  }
+  parts.push(`Sort: ${sortSelect.querySelector(`option[value="${state.sort}"]`)?.textContent || state.sort}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Restore a saved search's query, filters and sort
+ */
+function applySavedSearch(search) {
+  searchInput.value = search.query;
+  searchQueryText = search.query;
+  clearSearch.style.display = search.query ? 'flex' : 'none';
+  showSearchError(null);
+
+  platformTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.platform === search.platform));
+
+  labelFilters.querySelectorAll('.label-checkbox').forEach(cb => {
+    cb.checked = search.labels.length === 0 || search.labels.includes(cb.value);
+  });
+
+  dateRadios.forEach(radio => {
+    radio.checked = radio.value === search.dateRange;
+  });
+
+  sortSelect.value = search.sort;
+  applyFilters();
+}
+
+/**
+ * Open the dialog that saves the current search as a tab
+ */
+function openSaveSearch() {
+  const state = getSearchState();
+  const current = savedSearches.find(search => isCurrentSearch(search, state));
+  const nameInput = document.getElementById('savedSearchName');
+
+  document.getElementById('saveSearchSummary').textContent = describeSearchState(state);
+  const names = document.getElementById('savedSearchNames');
+  names.innerHTML = '';
+  savedSearches.forEach(search => names.appendChild(new Option(search.name)));
+
+  nameInput.value = current ? current.name : '';
+  saveSearchModal.style.display = 'flex';
+  nameInput.focus();
+}
+
+/**
+ * Close the save search dialog
+ */
+function closeSaveSearch() {
+  saveSearchModal.style.display = 'none';
+}
+
+/**
+ * Save the current search under the entered name (replacing a saved search with that name)
+ */
+async function saveCurrentSearch() {
+  const name = document.getElementById('savedSearchName').value.trim();
+  if (!name) {
+    showToast('⚠️ Enter a name for the search');
+    return;
+  }
+
+  const state = getSearchState();
+  const existing = savedSearches.find(search => search.name.toLowerCase() === name.toLowerCase());
+  const searches = existing
+    ? savedSearches.map(search => search.id === existing.id ? { ...search, ...state, name } : search)
+    : [...savedSearches, { id: `search_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, name, ...state }];
+
+  if (await storeSavedSearches(searches)) {
+    closeSaveSearch();
+    showToast(existing ? `📌 Updated "${name}"` : `📌 Saved "${name}"`);
+  }
+}
+
+/**
+ * Delete a saved search
+ */
+async function deleteSavedSearch(searchId) {
+  const search = savedSearches.find(item => item.id === searchId);
+  if (!search || !confirm(`Delete saved search "${search.name}"?`)) {
+    return;
+  }
+
+  if (await storeSavedSearches(savedSearches.filter(item => item.id !== searchId))) {
+    showToast(`🗑️ Deleted "${search.name}"`);
+  }
+}
+
+/**
+ * Store the saved searches and refresh their tabs
+ */
+async function storeSavedSearches(searches) {
+  try {
+    savedSearches = await saveSavedSearches(searches);
+    applyFilters();
+    return true;
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error saving searches:', error);
+    showToast('❌ Error saving search');
+    return false;
+  }
 }
 
 /**
@@ -261,6 +767,43 @@ function displayChatMarkers() {
   });
 }
 
+/**
+ * Escape text for HTML, marking the words the search matched
+ */
+function highlightSearchWords(text, words) {
+  if (!text || !words || words.size === 0) {
+    return escapeHtml(text || '');
+  }
+
+  let html = '';
+  let last = 0;
+  findSearchWordRanges(text, words).forEach(({ start, end }) => {
+    html += `${escapeHtml(text.slice(last, start))}<mark class="text-highlight">${escapeHtml(text.slice(start, end))}</mark>`;
+    last = end;
+  });
+  return html + escapeHtml(text.slice(last));
+}
+
+/**
+ * Show a long note as a snippet starting near its first search match, with matches highlighted
+ */
+function renderSearchSnippet(text, words, maxLength = 160) {
+  const firstMatch = words && words.size > 0 ? findSearchWordRanges(text, words)[0] : null;
+  if (!firstMatch || text.length <= maxLength) {
+    return highlightSearchWords(text, words);
+  }
+
+  // Start a few words before the match, at a word boundary
+  let start = Math.max(0, firstMatch.start - 40);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < firstMatch.start ? space + 1 : firstMatch.start;
+  }
+  const end = Math.min(text.length, start + maxLength);
+
+  return `${start > 0 ? '…' : ''}${highlightSearchWords(text.slice(start, end), words)}${end < text.length ? '…' : ''}`;
+}
+
 /**
  * Create a chat card element
  */
@@ -288,23 +831,31 @@ function createChatCard(chatMarker) {
     return name.charAt(0).toUpperCase();
   };
 
-  const profileInitials = generateInitials(chatMarker.chatName);
+  const chatName = getChatDisplayName(chatMarker);
+  const profileInitials = generateInitials(isSealedValue(chatMarker.chatName) ? null : chatName);
 
   // Labels HTML
-  const labelsHTML = chatMarker.labels && chatMarker.labels.length > 0
-    ? chatMarker.labels.map(label => `<span class="label-badge ${label}">${capitalizeFirst(label)}</span>`).join('')
-    : '';
+  const labelsHTML = [
+    ...(chatMarker.labels || []).map(label => renderLabelBadge(label)),
+    ...(chatMarker.tags || []).map(renderTagChip)
+  ].join('');
 
   // Find active reminder for this chat
   const chatReminder = Object.values(allReminders).find(
     r => r.messageId === chatMarker.chatMarkerId && r.active && !r.firedAt
   );
 
-  // Note preview HTML
-  const notePreviewHTML = chatMarker.notes && chatMarker.notes.trim()
+  // Words the search matched
+  const highlightWords = searchHighlights.get(chatMarker.chatMarkerId);
+
+  // Notes HTML, newest first
+  const notes = getChatNotes(chatMarker);
+  const notePreviewHTML = notes.length > 0
     ? `<div class="message-note-preview">
          <div class="note-preview-icon">📝</div>
-         <div class="note-preview-text">${escapeHtml(chatMarker.notes)}</div>
+         ${hasSealedNotes(chatMarker)
+           ? '<div class="note-preview-text"><span class="note-locked">🔒 Notes locked</span></div>'
+           : renderNoteEntries(notes, highlightWords, expandedNoteIds.has(chatMarker.chatMarkerId))}
        </div>`
     : '';
 
@@ -326,14 +877,14 @@ function createChatCard(chatMarker) {
         </div>
         <div class="message-info">
           <div class="chat-name-row">
-            <span class="chat-name">${escapeHtml(chatMarker.chatName)}</span>
+            <span class="chat-name">${highlightSearchWords(chatName, highlightWords)}</span>
             <span class="platform-badge">${platformIcon} ${platformName}</span>
           </div>
           <div class="message-timestamp">Marked ${timeAgo}</div>
         </div>
       </div>
       <div class="message-actions">
-        <button class="icon-btn" title="Add/Edit Labels" data-action="labels">
+        <button class="icon-btn" title="Add/Edit Labels and Tags" data-action="labels">
           <span>🏷️</span>
         </button>
         <button class="icon-btn" title="Add/Edit Note" data-action="note">
@@ -342,6 +893,9 @@ function createChatCard(chatMarker) {
         <button class="icon-btn" title="Set/Edit Reminder" data-action="reminder">
           <span>⏰</span>
         </button>
+        <button class="icon-btn" title="Show History" data-action="history">
+          <span>🕘</span>
+        </button>
         <button class="icon-btn delete-btn" title="Unmark Chat" data-action="delete">
           <span>🗑️</span>
         </button>
@@ -350,6 +904,7 @@ function createChatCard(chatMarker) {
     ${labelsHTML ? `<div class="message-labels">${labelsHTML}</div>` : ''}
     ${notePreviewHTML}
     ${reminderPreviewHTML}
+    <div class="chat-history" style="display: none;"></div>
   `;
 
   // Add click handler for card actions
@@ -358,17 +913,95 @@ function createChatCard(chatMarker) {
     btn.addEventListener('click', (e) => {
       e.stopPropagation();
       const action = btn.dataset.action;
-      handleChatCardAction(action, chatMarker);
+      handleChatCardAction(action, chatMarker, card);
+    });
+  });
+
+  // Add click handlers for note entries
+  card.querySelectorAll('[data-note-action]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const entry = notes.find(note => note.id === btn.closest('.note-entry').dataset.noteId);
+      if (btn.dataset.noteAction === 'edit') {
+        openNoteEditorForChat(chatMarker, entry);
+      } else {
+        removeChatNote(chatMarker, entry);
+      }
+    });
+  });
+  card.querySelectorAll('.note-entry .markdown a, .md-task-checkbox').forEach(element => {
+    element.addEventListener('click', (e) => e.stopPropagation());
+  });
+  card.querySelectorAll('.md-task-checkbox').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      const entry = notes.find(note => note.id === checkbox.closest('.note-entry').dataset.noteId);
+      toggleChatNoteTask(chatMarker, entry, Number(checkbox.dataset.taskIndex));
     });
   });
+  card.querySelector('.note-entries-toggle')?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (expandedNoteIds.has(chatMarker.chatMarkerId)) {
+      expandedNoteIds.delete(chatMarker.chatMarkerId);
+    } else {
+      expandedNoteIds.add(chatMarker.chatMarkerId);
+    }
+    card.replaceWith(createChatCard(chatMarker));
+  });
+
+  if (expandedHistoryIds.has(chatMarker.chatMarkerId)) {
+    renderChatHistory(card, chatMarker);
+  }
 
   return card;
 }
 
+/**
+ * Render a note's Markdown with the search matches highlighted; a long note that matched
+ * is cut down to a plain snippet around the first match instead
+ */
+function renderNoteText(text, highlightWords) {
+  const matched = highlightWords && highlightWords.size > 0 && findSearchWordRanges(text, highlightWords).length > 0;
+  if (matched && text.length > NOTE_SNIPPET_LENGTH) {
+    return `<div class="note-preview-text">${renderSearchSnippet(text, highlightWords, NOTE_SNIPPET_LENGTH)}</div>`;
+  }
+
+  const html = renderMarkdown(text, { renderText: part => highlightSearchWords(part, highlightWords) });
+  return `<div class="note-preview-text markdown">${html}</div>`;
+}
+
+/**
+ * Render a chat's note entries (newest first) for its card; older ones are folded away
+ * unless the card was expanded
+ */
+function renderNoteEntries(notes, highlightWords, expanded) {
+  const shown = expanded ? notes : notes.slice(0, NOTE_PREVIEW_COUNT);
+  const hiddenCount = notes.length - shown.length;
+
+  const entriesHTML = shown.map(entry => `
+    <li class="note-entry" data-note-id="${escapeHtml(entry.id)}">
+      <div class="note-entry-meta">
+        <span class="note-entry-time" title="${new Date(entry.createdAt).toLocaleString()}">${getTimeAgo(entry.createdAt)}${entry.updatedAt > entry.createdAt ? ' · edited' : ''}</span>
+        <button class="note-entry-btn" title="Edit Note" data-note-action="edit">✏️</button>
+        <button class="note-entry-btn" title="Delete Note" data-note-action="delete">🗑️</button>
+      </div>
+      ${renderNoteText(entry.text, highlightWords)}
+    </li>
+  `).join('');
+
+  let toggleHTML = '';
+  if (hiddenCount > 0) {
+    toggleHTML = `<button class="note-entries-toggle">+${hiddenCount} older note${hiddenCount === 1 ? '' : 's'}</button>`;
+  } else if (expanded && notes.length > NOTE_PREVIEW_COUNT) {
+    toggleHTML = '<button class="note-entries-toggle">Show fewer</button>';
+  }
+
+  return `<div class="note-entries"><ol class="note-entry-list">${entriesHTML}</ol>${toggleHTML}</div>`;
+}
+
 /**
  * Handle chat card actions
  */
-function handleChatCardAction(action, chatMarker) {
+function handleChatCardAction(action, chatMarker, card) {
   switch (action) {
     case 'labels':
       openLabelsModalForChat(chatMarker);
@@ -379,12 +1012,124 @@ function handleChatCardAction(action, chatMarker) {
     case 'reminder':
       openReminderPickerForChat(chatMarker);
       break;
+    case 'history':
+      toggleChatHistory(card, chatMarker);
+      break;
     case 'delete':
       removeChatMarker(chatMarker);
       break;
   }
 }
 
+/**
+ * Show or hide the history timeline of a chat card
+ */
+function toggleChatHistory(card, chatMarker) {
+  if (expandedHistoryIds.has(chatMarker.chatMarkerId)) {
+    expandedHistoryIds.delete(chatMarker.chatMarkerId);
+    card.querySelector('.chat-history').style.display = 'none';
+  } else {
+    expandedHistoryIds.add(chatMarker.chatMarkerId);
+    renderChatHistory(card, chatMarker);
+  }
+}
+
+/**
+ * Load a chat's history into its card, most recent first
+ */
+async function renderChatHistory(card, chatMarker) {
+  const section = card.querySelector('.chat-history');
+  const events = await openVaultRecords(HISTORY_STORE, await getChatMarkerHistory(chatMarker.chatMarkerId));
+
+  const eventsHTML = events.reverse().map(event => `
+    <li class="chat-history-event">
+      <span class="chat-history-text">${escapeHtml(describeHistoryEvent(event))}</span>
+      <span class="chat-history-time" title="${new Date(event.at).toLocaleString()}">${getTimeAgo(event.at)}</span>
+    </li>
+  `).join('');
+
+  section.innerHTML = `
+    <div class="chat-history-header">
+      <span>History</span>
+      <button class="btn-secondary btn-small chat-history-export">Export</button>
+    </div>
+    ${eventsHTML
+      ? `<ol class="chat-history-timeline">${eventsHTML}</ol>`
+      : '<div class="chat-history-empty">No changes recorded yet.</div>'}
+  `;
+  section.style.display = 'block';
+
+  section.querySelector('.chat-history-export').addEventListener('click', (e) => {
+    e.stopPropagation();
+    exportChatHistory(chatMarker);
+  });
+}
+
+/**
+ * Describe a history event for the timeline
+ */
+function describeHistoryEvent(event) {
+  switch (event.type) {
+    case 'marked':
+      return '⭐ Chat marked';
+    case 'unmarked':
+      return '🗑️ Chat unmarked';
+    case 'restored':
+      return '♻️ Restored from trash';
+    case 'renamed':
+      return isSealedValue(event.to) ? '✏️ Renamed' : `✏️ Renamed to "${event.to}"`;
+    case 'labelAdded':
+      return `🏷️ Label added: ${getLabelInfo(event.label).path}`;
+    case 'labelRemoved':
+      return `🏷️ Label removed: ${getLabelInfo(event.label).path}`;
+    case 'tagAdded':
+      return `#️⃣ Tag added: #${event.tag}`;
+    case 'tagRemoved':
+      return `#️⃣ Tag removed: #${event.tag}`;
+    case 'noteAdded':
+      return '📝 Note added';
+    case 'noteChanged':
+      return '📝 Note edited';
+    case 'noteDeleted':
+    case 'noteCleared':
+      return '📝 Note removed';
+    case 'reminderSet':
+      return `⏰ Reminder set for ${new Date(event.reminderTime).toLocaleString()}`;
+    case 'reminderChanged':
+      return `⏰ Reminder moved to ${new Date(event.reminderTime).toLocaleString()}`;
+    case 'reminderFired':
+      return '🔔 Reminder went off';
+    case 'reminderDeleted':
+      return '⏰ Reminder removed';
+    default:
+      return event.type;
+  }
+}
+
+/**
+ * Download one chat with its reminders and history as JSON
+ */
+async function exportChatHistory(chatMarker) {
+  try {
+    const data = await exportChatMarker(chatMarker.chatMarkerId);
+
+    const jsonString = JSON.stringify(data, null, 2);
+    const blob = new Blob([jsonString], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    const safeName = (isSealedValue(chatMarker.chatName) ? 'chat' : chatMarker.chatName || 'chat').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+    a.download = `chatmarker-history-${safeName}-${new Date().toISOString().split('T')[0]}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+
+    showToast(`✅ Exported history of "${getChatDisplayName(chatMarker)}"`);
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error exporting chat history:', error);
+    showToast('❌ Error exporting history');
+  }
+}
+
 /**
  * Open labels modal for a chat
  */
@@ -398,37 +1143,39 @@ function openLabelsModalForChat(chatMarker) {
   modalContent.className = 'modal-content';
   modalContent.style.maxWidth = '400px';
 
-  // Available labels
-  const availableLabels = [
-    { id: 'urgent', name: 'Urgent', emoji: '🔴', color: '#EF4444' },
-    { id: 'important', name: 'Important', emoji: '🟡', color: '#F59E0B' },
-    { id: 'completed', name: 'Completed', emoji: '🟢', color: '#10B981' },
-    { id: 'followup', name: 'Follow-up', emoji: '🔵', color: '#3B82F6' },
-    { id: 'question', name: 'Question', emoji: '🟣', color: '#8B5CF6' }
-  ];
+  // Available labels, nested under their parents
+  const availableLabels = userLabelTree;
 
-  // Current labels
+  // Current labels and tags
   const currentLabels = chatMarker.labels || [];
+  let tags = [...(chatMarker.tags || [])];
 
   modalContent.innerHTML = `
     <div class="modal-header">
-      <h2>Manage Labels</h2>
+      <h2>Labels &amp; Tags</h2>
       <button class="modal-close" id="closeLabelsModal">✕</button>
     </div>
     <div class="modal-body">
       <div style="padding: 12px; background: var(--color-surface); border-radius: 6px; margin-bottom: 16px;">
         <strong>Chat:</strong>
-        <div style="color: var(--color-text-secondary); margin-top: 4px;">${escapeHtml(chatMarker.chatName)}</div>
+        <div style="color: var(--color-text-secondary); margin-top: 4px;">${escapeHtml(getChatDisplayName(chatMarker))}</div>
       </div>
       <div style="display: flex; flex-direction: column; gap: 12px;">
-        ${availableLabels.map(label => `
-          <label style="display: flex; align-items: center; gap: 12px; padding: 12px; border: 2px solid ${currentLabels.includes(label.id) ? label.color : 'var(--color-border)'}; border-radius: 8px; cursor: pointer; transition: all 0.2s;">
-            <input type="checkbox" value="${label.id}" ${currentLabels.includes(label.id) ? 'checked' : ''} style="width: 18px; height: 18px; cursor: pointer;">
-            <span style="font-size: 20px;">${label.emoji}</span>
-            <span style="font-weight: 500; flex: 1;">${label.name}</span>
+        ${availableLabels.length === 0 ? '<p class="about-text">No labels yet. Add some with Edit Labels in the sidebar.</p>' : ''}
+        ${availableLabels.map(({ label, depth }) => `
+          <label style="display: flex; align-items: center; gap: 12px; padding: 12px; margin-left: ${depth * 24}px; border: 2px solid ${currentLabels.includes(label.id) ? label.color : 'var(--color-border)'}; border-radius: 8px; cursor: pointer; transition: all 0.2s;">
+            <input type="checkbox" value="${escapeHtml(label.id)}" ${currentLabels.includes(label.id) ? 'checked' : ''} style="width: 18px; height: 18px; cursor: pointer;">
+            <span style="font-size: 20px;">${getLabelEmoji(label.color)}</span>
+            <span style="font-weight: 500; flex: 1;">${escapeHtml(label.name)}</span>
           </label>
         `).join('')}
       </div>
+      <div class="chat-tags-editor">
+        <strong>Tags:</strong>
+        <div class="tag-chip-list" id="chatTagList"></div>
+        <input type="text" class="form-input" id="chatTagInput" list="chatTagSuggestions" placeholder="Add a tag and press Enter" maxlength="40">
+        <datalist id="chatTagSuggestions"></datalist>
+      </div>
     </div>
     <div class="modal-footer">
       <button class="btn-secondary" id="cancelLabels">Cancel</button>
@@ -447,6 +1194,48 @@ function openLabelsModalForChat(chatMarker) {
     if (e.target === overlay) closeModal();
   });
 
+  // Tags: typed or picked from the tags already used on other chats
+  const tagInput = document.getElementById('chatTagInput');
+  const tagList = document.getElementById('chatTagList');
+
+  const renderTags = () => {
+    tagList.innerHTML = tags.map((tag, index) => `
+      <span class="tag-chip">#${escapeHtml(tag)}<button class="tag-chip-remove" data-index="${index}" title="Remove tag">✕</button></span>
+    `).join('');
+    tagList.querySelectorAll('.tag-chip-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        tags.splice(Number(btn.dataset.index), 1);
+        renderTags();
+      });
+    });
+  };
+
+  const addTypedTag = () => {
+    tags = normalizeTags([...tags, tagInput.value]);
+    tagInput.value = '';
+    renderTags();
+  };
+
+  tagInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTypedTag();
+    }
+  });
+  tagInput.addEventListener('input', (e) => {
+    // Picking an autocomplete suggestion adds it right away
+    if (e.inputType === 'insertReplacementText' || !e.inputType) {
+      addTypedTag();
+    }
+  });
+
+  getAllTags().then(allTags => {
+    document.getElementById('chatTagSuggestions').innerHTML = allTags
+      .map(tag => `<option value="${escapeHtml(tag).replace(/"/g, '&quot;')}"></option>`)
+      .join('');
+  });
+  renderTags();
+
   // Save handler
   document.getElementById('saveLabels').addEventListener('click', async () => {
     const checkboxes = modalContent.querySelectorAll('input[type="checkbox"]');
@@ -454,12 +1243,19 @@ function openLabelsModalForChat(chatMarker) {
       .filter(cb => cb.checked)
       .map(cb => cb.value);
 
+    // A tag still being typed counts
+    if (tagInput.value.trim()) {
+      addTypedTag();
+    }
+
     try {
-      await updateChatMarker(chatMarker.chatMarkerId, {
-        labels: selectedLabels
+      const response = await sendChange({
+        action: 'updateChatMarker',
+        chatMarkerId: chatMarker.chatMarkerId,
+        data: { labels: selectedLabels, tags }
       });
 
-      showToast('Labels updated');
+      showToast('Labels and tags updated', 5000, { undoId: response.undoId });
       closeModal();
       await loadMarkers();
     } catch (error) {
@@ -473,7 +1269,7 @@ function openLabelsModalForChat(chatMarker) {
   checkboxes.forEach((checkbox, index) => {
     checkbox.addEventListener('change', () => {
       const label = checkbox.closest('label');
-      const labelColor = availableLabels[index].color;
+      const labelColor = availableLabels[index].label.color;
       label.style.borderColor = checkbox.checked ? labelColor : 'var(--color-border)';
     });
   });
@@ -483,13 +1279,13 @@ function openLabelsModalForChat(chatMarker) {
  * Delete a chat marker
  */
 async function removeChatMarker(chatMarker) {
-  if (!confirm(`Unmark chat "${chatMarker.chatName}"?`)) {
+  if (!confirm(`Unmark chat "${getChatDisplayName(chatMarker)}"?`)) {
     return;
   }
 
   try {
-    await deleteChatMarker(chatMarker.chatMarkerId);
-    showToast(`Chat "${chatMarker.chatName}" unmarked`);
+    const response = await sendChange({ action: 'deleteChatMarker', chatMarkerId: chatMarker.chatMarkerId });
+    showToast(`Chat "${getChatDisplayName(chatMarker)}" moved to Recently Deleted`, 5000, { undoId: response.undoId });
     await loadMarkers();
   } catch (error) {
     console.error('[ChatMarker Popup] Error deleting chat marker:', error);
@@ -498,24 +1294,68 @@ async function removeChatMarker(chatMarker) {
 }
 
 /**
- * Open note editor for a chat
+ * Check or uncheck a checklist item in one of a chat's notes
+ */
+async function toggleChatNoteTask(chatMarker, entry, index) {
+  try {
+    await sendChange({
+      action: 'saveChatNote',
+      chatMarkerId: chatMarker.chatMarkerId,
+      data: { id: entry.id, text: toggleMarkdownTask(entry.text, index) }
+    });
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error updating checklist:', error);
+    showToast('Error updating checklist');
+  }
+  await loadMarkers();
+}
+
+/**
+ * Delete one note entry of a chat
+ */
+async function removeChatNote(chatMarker, entry) {
+  if (!confirm('Delete this note?')) {
+    return;
+  }
+
+  try {
+    const response = await sendChange({ action: 'deleteChatNote', chatMarkerId: chatMarker.chatMarkerId, noteId: entry.id });
+    showToast('Note deleted', 5000, { undoId: response.undoId });
+    await loadMarkers();
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error deleting note:', error);
+    showToast('Error deleting note');
+  }
+}
+
+/**
+ * Open note editor for a chat: adds a new note, or edits the given note entry
  */
-function openNoteEditorForChat(chatMarker) {
-  // Store the chat marker ID
+function openNoteEditorForChat(chatMarker, entry = null) {
+  // Chats sent from a page (context menu) are shown as loaded here, opened if the vault is unlocked
+  chatMarker = allChatMarkers.find(chat => chat.chatMarkerId === chatMarker.chatMarkerId) || chatMarker;
+  if (hasSealedNotes(chatMarker) || isSealedValue(chatMarker.chatName)) {
+    promptVaultUnlock();
+    return;
+  }
+
+  // Store the chat marker and note entry IDs
   currentEditingNoteId = chatMarker.chatMarkerId;
+  currentEditingNoteEntryId = entry ? entry.id : null;
 
   // Set chat preview
   const noteMessagePreview = document.getElementById('noteMessagePreview');
-  noteMessagePreview.textContent = `Chat: ${chatMarker.chatName}`;
+  noteMessagePreview.textContent = chatMarker.chatName;
 
   // Update modal title
   const modalTitle = noteModal.querySelector('.modal-header h2');
-  if (modalTitle) modalTitle.textContent = 'Add Note to Chat';
+  if (modalTitle) modalTitle.textContent = entry ? 'Edit Note' : 'Add Note';
 
   // Set current note
   const noteTextarea = document.getElementById('noteTextarea');
-  noteTextarea.value = chatMarker.notes || '';
+  noteTextarea.value = entry ? entry.text : '';
   updateCharCounter();
+  updateNotePreview();
 
   // Show modal
   noteModal.style.display = 'flex';
@@ -540,7 +1380,7 @@ function openReminderPickerForChat(chatMarker) {
   if (modalTitle) modalTitle.textContent = 'Set Reminder for Chat';
 
   // Show chat preview
-  reminderMessagePreview.textContent = `Chat: ${chatMarker.chatName}`;
+  reminderMessagePreview.textContent = `Chat: ${getChatDisplayName(chatMarker)}`;
 
   // Check if reminder already exists
   const existingReminder = Object.values(allReminders).find(
@@ -568,185 +1408,65 @@ function openReminderPickerForChat(chatMarker) {
 }
 
 /**
- * Create a message card element
+ * Set up event listeners - Chat-only version
  */
-function createMessageCard(marker) {
-  const card = document.createElement('div');
-  card.className = 'message-card';
-  card.dataset.messageId = marker.messageId;
-
-  // Platform icon
-  const platformIcon = getPlatformIcon(marker.platform);
-  const platformName = capitalizeFirst(marker.platform);
-
-  // Time ago
-  const timeAgo = getTimeAgo(marker.createdAt);
-
-  // Chat name and sender
-  const chatName = marker.chatName || marker.sender || 'Unknown';
-  const senderName = marker.sender || 'Unknown';
-
-  // Generate profile initials (first letter of chat name, or first letter of each word for 2-word names)
-  const generateInitials = (name) => {
-    if (!name || name === 'Unknown' || name === 'Unknown Chat') {
-      return '?';
-    }
-    const words = name.trim().split(/\s+/);
-    if (words.length >= 2) {
-      // Two or more words: use first letter of first two words
-      return (words[0].charAt(0) + words[1].charAt(0)).toUpperCase();
-    }
-    // Single word: use first letter
-    return name.charAt(0).toUpperCase();
-  };
-
-  const profileInitials = generateInitials(chatName);
-
-  // Labels HTML
-  const labelsHTML = marker.labels && marker.labels.length > 0
-    ? marker.labels.map(label => `<span class="label-badge ${label}">${capitalizeFirst(label)}</span>`).join('')
-    : '';
-
-  // Find active reminder for this message
-  const messageReminder = Object.values(allReminders).find(
-    r => r.messageId === marker.messageId && r.active && !r.firedAt
-  );
-
-  // Icons
-  const noteIcon = marker.notes ? '<span class="message-icon" title="Has note">📝</span>' : '';
-  const reminderIcon = messageReminder ? '<span class="message-icon" title="Has reminder">⏰</span>' : '';
-
-  // Note preview HTML
-  const notePreviewHTML = marker.notes && marker.notes.trim()
-    ? `<div class="message-note-preview">
-         <div class="note-preview-icon">📝</div>
-         <div class="note-preview-text">${escapeHtml(marker.notes)}</div>
-       </div>`
-    : '';
-
-  // Reminder preview HTML
-  const reminderPreviewHTML = messageReminder
-    ? `<div class="message-reminder-preview">
-         <div class="reminder-preview-icon">⏰</div>
-         <div class="reminder-preview-text">
-           Reminder: ${formatReminderTime(messageReminder.reminderTime)}
-         </div>
-       </div>`
-    : '';
-
-  card.innerHTML = `
-    <div class="message-header">
-      <div class="message-meta">
-        <div class="profile-avatar">
-          <span class="avatar-initials">${profileInitials}</span>
-          <span class="platform-badge" title="${platformName}">${platformIcon}</span>
-        </div>
-        <div class="message-info">
-          <div class="chat-name">${escapeHtml(chatName)}</div>
-          <div class="message-details">
-            <span class="platform-name">${platformName}</span>
-            <span class="detail-separator">•</span>
-            <span class="sender-name-small">${escapeHtml(senderName)}</span>
-            <span class="detail-separator">•</span>
-            <span class="time-ago">${timeAgo}</span>
-          </div>
-        </div>
-      </div>
-      <div class="message-actions">
-        <button class="message-action-btn copy-btn" title="Copy Message Text" data-id="${marker.messageId}">
-          📋
-        </button>
-        <button class="message-action-btn edit-note-btn" title="Add/Edit Note" data-id="${marker.messageId}">
-          📝
-        </button>
-        <button class="message-action-btn edit-reminder-btn" title="Set/Edit Reminder" data-id="${marker.messageId}">
-          ⏰
-        </button>
-        <button class="message-action-btn delete-btn" title="Delete Mark" data-id="${marker.messageId}">
-          🗑️
-        </button>
-      </div>
-    </div>
-    <div class="message-text">${escapeHtml(marker.messageText || 'No message text')}</div>
-    ${notePreviewHTML}
-    ${reminderPreviewHTML}
-    <div class="message-footer">
-      ${labelsHTML}
-      <div class="message-icons">
-        ${noteIcon}
-        ${reminderIcon}
-      </div>
-    </div>
-  `;
+function setupEventListeners() {
+  // Search
+  searchInput.addEventListener('input', handleSearchInput);
+  searchInput.addEventListener('keydown', handleSearchKeydown);
+  searchInput.addEventListener('blur', hideSearchSuggestions);
 
-  // Click card to navigate to message
-  card.addEventListener('click', (e) => {
-    // Don't navigate if clicking on action buttons
-    if (e.target.closest('.message-action-btn')) {
-      return;
-    }
-    navigateToMessage(marker.messageId);
+  clearSearch.addEventListener('click', () => {
+    searchInput.value = '';
+    handleSearchInput();
   });
 
-  // Copy button
-  card.querySelector('.copy-btn')?.addEventListener('click', (e) => {
-    e.stopPropagation();
-    copyMessageText(marker);
+  // mousedown (not click) so the input doesn't blur and close the list first
+  searchSuggestions.addEventListener('mousedown', (e) => {
+    const item = e.target.closest('.search-suggestion');
+    if (item) {
+      e.preventDefault();
+      acceptSearchSuggestion(activeSuggestions[Number(item.dataset.index)]);
+    }
   });
 
-  // Edit note button
-  card.querySelector('.edit-note-btn')?.addEventListener('click', (e) => {
-    e.stopPropagation();
-    openNoteEditor(marker);
+  searchError.addEventListener('click', (e) => {
+    const fix = e.target.closest('.search-error-fix');
+    if (fix) {
+      const { start, end, suggestion } = fix.dataset;
+      replaceSearchText(Number(start), Number(end), suggestion);
+    }
   });
 
-  // Edit reminder button
-  card.querySelector('.edit-reminder-btn')?.addEventListener('click', (e) => {
-    e.stopPropagation();
-    openReminderPicker(marker);
-  });
+  // Label checkboxes (rendered from the user's labels)
+  labelFilters.addEventListener('change', applyFilters);
 
-  // Delete button
-  card.querySelector('.delete-btn')?.addEventListener('click', async (e) => {
-    e.stopPropagation();
-    if (confirm('Delete this mark?')) {
-      await deleteMarkerById(marker.messageId);
-    }
+  // Date radio buttons
+  dateRadios.forEach(radio => {
+    radio.addEventListener('change', applyFilters);
   });
 
-  return card;
-}
+  // Sort order
+  sortSelect.addEventListener('change', applyFilters);
 
-/**
- * Set up event listeners - Chat-only version
- */
-function setupEventListeners() {
-  // Search
-  searchInput.addEventListener('input', (e) => {
-    applyFilters();
+  // Saved search tabs
+  savedSearchTabs.addEventListener('click', (e) => {
+    const tab = e.target.closest('.saved-search-tab');
+    if (!tab) return;
 
-    // Show/hide clear button
-    if (e.target.value) {
-      clearSearch.style.display = 'flex';
+    if (e.target.closest('.saved-search-delete')) {
+      deleteSavedSearch(tab.dataset.savedSearchId);
     } else {
-      clearSearch.style.display = 'none';
+      applySavedSearch(savedSearches.find(search => search.id === tab.dataset.savedSearchId));
     }
   });
 
-  clearSearch.addEventListener('click', () => {
-    searchInput.value = '';
-    clearSearch.style.display = 'none';
-    applyFilters();
-  });
-
-  // Label checkboxes
-  labelCheckboxes.forEach(checkbox => {
-    checkbox.addEventListener('change', applyFilters);
-  });
-
-  // Date radio buttons
-  dateRadios.forEach(radio => {
-    radio.addEventListener('change', applyFilters);
+  document.getElementById('saveSearchBtn').addEventListener('click', openSaveSearch);
+  document.getElementById('closeSaveSearch').addEventListener('click', closeSaveSearch);
+  document.getElementById('cancelSaveSearch').addEventListener('click', closeSaveSearch);
+  document.getElementById('confirmSaveSearch').addEventListener('click', saveCurrentSearch);
+  document.getElementById('savedSearchName').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveCurrentSearch();
   });
 
   // Platform tabs
@@ -775,6 +1495,14 @@ function setupEventListeners() {
     });
   }
 
+  // Sign in from local-only mode
+  document.getElementById('signInBtn')?.addEventListener('click', () => {
+    closeSettingsModal();
+    showAuthScreen();
+  });
+
+  document.getElementById('moveSignedOutBtn')?.addEventListener('click', moveSignedOutItems);
+
   // Manual sync buttons
   const syncUploadBtn = document.getElementById('syncUploadBtn');
   const syncDownloadBtn = document.getElementById('syncDownloadBtn');
@@ -793,22 +1521,53 @@ function setupEventListeners() {
 
   if (syncDownloadBtn) {
     syncDownloadBtn.addEventListener('click', async () => {
-      if (confirm('⚠️ Download from cloud will replace your local data. Continue?')) {
-        try {
-          console.log('[ChatMarker] Manual download triggered');
-          await syncFromCloud();
-        } catch (error) {
-          console.error('[ChatMarker] Manual download failed:', error);
-          showToast('❌ Download failed');
-        }
+      // Cloud changes are merged (newer version wins), so local data is never wiped
+      try {
+        console.log('[ChatMarker] Manual download triggered');
+        await syncFromCloud();
+      } catch (error) {
+        console.error('[ChatMarker] Manual download failed:', error);
+        showToast('❌ Download failed');
       }
     });
   }
 
+  // Self-hosted sync server
+  document.getElementById('syncServerConnectBtn')?.addEventListener('click', connectSyncServer);
+  document.getElementById('syncServerDisconnectBtn')?.addEventListener('click', disconnectSyncServer);
+
+  // End-to-end encryption
+  document.getElementById('encryptionSetBtn')?.addEventListener('click', setEncryptionPassphrase);
+  document.getElementById('encryptionUnlockBtn')?.addEventListener('click', unlockEncryption);
+  document.getElementById('encryptionDisableBtn')?.addEventListener('click', disableEncryption);
+
+  // Note vault
+  vaultBanner.addEventListener('submit', unlockVaultFromBanner);
+  vaultLockBtn.addEventListener('click', lockVaultNow);
+  document.getElementById('vaultEnableBtn')?.addEventListener('click', enableNoteVault);
+  document.getElementById('vaultDisableBtn')?.addEventListener('click', disableNoteVault);
+  document.getElementById('vaultAutoLockSelect')?.addEventListener('change', changeVaultAutoLock);
+
+  // Data upgrade
+  migrationRetryBtn.addEventListener('click', retrySchemaMigrations);
+
   // Statistics
   statsBtn.addEventListener('click', showStatistics);
   closeStats.addEventListener('click', closeStatisticsModal);
 
+  // Label manager
+  document.getElementById('editLabelsBtn')?.addEventListener('click', openLabelManager);
+  document.getElementById('closeLabelManager')?.addEventListener('click', closeLabelManager);
+  document.getElementById('addLabelBtn')?.addEventListener('click', addLabel);
+  document.getElementById('newLabelName')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addLabel();
+  });
+
+  // Recently deleted
+  document.getElementById('trashBtn')?.addEventListener('click', openTrash);
+  document.getElementById('closeTrash')?.addEventListener('click', closeTrashModal);
+  document.getElementById('emptyTrashBtn')?.addEventListener('click', emptyTrash);
+
   // Settings
   settingsBtn.addEventListener('click', openSettings);
   closeSettings.addEventListener('click', closeSettingsModal);
@@ -825,7 +1584,10 @@ function setupEventListeners() {
   closeNote.addEventListener('click', closeNoteModal);
   document.getElementById('cancelNote')?.addEventListener('click', closeNoteModal);
   document.getElementById('saveNote')?.addEventListener('click', saveNote);
-  document.getElementById('noteTextarea')?.addEventListener('input', updateCharCounter);
+  document.getElementById('noteTextarea')?.addEventListener('input', () => {
+    updateCharCounter();
+    updateNotePreview();
+  });
 
   // Reminder modal
   const closeReminder = document.getElementById('closeReminder');
@@ -851,6 +1613,24 @@ function setupEventListeners() {
   // Tutorial button
   document.getElementById('tutorialBtn')?.addEventListener('click', showTutorial);
 
+  // Undo/redo (Ctrl+Z / Ctrl+Shift+Z here, Alt+Shift+Z / Alt+Shift+Y anywhere in Chrome)
+  document.getElementById('toastUndo')?.addEventListener('click', (e) => stepUndoHistory('undo', e.currentTarget.dataset.undoId));
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+    // Leave text editing undo alone
+    if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+    e.preventDefault();
+    stepUndoHistory(e.shiftKey ? 'redo' : 'undo');
+  });
+
+  // Result of the undo/redo keyboard shortcut
+  chrome.runtime.onMessage.addListener((request) => {
+    if (request.action === 'showToast') {
+      showToast(request.message);
+    }
+  });
+
   // Close modals on backdrop click
   settingsModal?.addEventListener('click', (e) => {
     if (e.target === settingsModal) {
@@ -869,191 +1649,103 @@ function setupEventListeners() {
       closeReminderModal();
     }
   });
+
+  trashModal?.addEventListener('click', (e) => {
+    if (e.target === trashModal) {
+      closeTrashModal();
+    }
+  });
+
+  labelManagerModal?.addEventListener('click', (e) => {
+    if (e.target === labelManagerModal) {
+      closeLabelManager();
+    }
+  });
+  saveSearchModal?.addEventListener('click', (e) => {
+    if (e.target === saveSearchModal) {
+      closeSaveSearch();
+    }
+  });
 }
 
 /**
- * Navigate to message in platform
+ * Close note modal
  */
-async function navigateToMessage(messageId) {
-  try {
-    await chrome.runtime.sendMessage({
-      action: 'navigateToMessage',
-      messageId: messageId
-    });
-
-    // Close popup after navigation
-    window.close();
-  } catch (error) {
-    console.error('[ChatMarker Popup] Error navigating:', error);
-    showToast('Error opening message');
-  }
+function closeNoteModal() {
+  noteModal.style.display = 'none';
+  currentEditingNoteId = null;
+  currentEditingNoteEntryId = null;
 }
 
 /**
- * Copy message text to clipboard
+ * Save note - adds a note entry to the chat, or edits the one being edited
  */
-async function copyMessageText(marker) {
+async function saveNote() {
   try {
-    // Format text with context
-    const date = new Date(marker.createdAt || marker.timestamp).toLocaleString();
-    const platform = capitalizeFirst(marker.platform);
-    const sender = marker.sender || 'Unknown';
-    const messageText = marker.messageText || '';
+    const noteText = document.getElementById('noteTextarea').value.trim();
 
-    // Create formatted text
-    const textWithContext = `${sender} (${platform}) - ${date}\n${messageText}`;
+    if (!currentEditingNoteId) return;
 
-    // Copy to clipboard using Clipboard API
-    await navigator.clipboard.writeText(textWithContext);
+    // An emptied note is deleted
+    if (!noteText) {
+      if (currentEditingNoteEntryId) {
+        const response = await sendChange({
+          action: 'deleteChatNote',
+          chatMarkerId: currentEditingNoteId,
+          noteId: currentEditingNoteEntryId
+        });
+        showToast('Note deleted', 5000, { undoId: response.undoId });
+        await loadMarkers();
+      }
+      closeNoteModal();
+      return;
+    }
 
-    showToast('✅ Copied to clipboard');
-  } catch (error) {
-    console.error('[ChatMarker Popup] Error copying text:', error);
+    const response = await sendChange({
+      action: 'saveChatNote',
+      chatMarkerId: currentEditingNoteId,
+      data: { id: currentEditingNoteEntryId, text: noteText }
+    });
 
-    // Fallback: try copying just the message text
-    try {
-      await navigator.clipboard.writeText(marker.messageText || '');
-      showToast('✅ Copied message text');
-    } catch (fallbackError) {
-      showToast('❌ Failed to copy');
-    }
+    showToast('Note saved', 5000, { undoId: response.undoId });
+    closeNoteModal();
+
+    // Reload markers
+    await loadMarkers();
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error saving note:', error);
+    showToast('Error saving note');
   }
 }
 
 /**
- * Delete a marker
+ * Update character counter
  */
-async function deleteMarkerById(messageId) {
-  try {
-    await deleteMarker(messageId);
-    showToast('Mark deleted');
+function updateCharCounter() {
+  const noteTextarea = document.getElementById('noteTextarea');
+  const charCounter = document.getElementById('charCounter');
+  const length = noteTextarea.value.length;
+  charCounter.textContent = `${length} / ${NOTE_MAX_LENGTH}`;
 
-    // Reload markers
-    await loadMarkers();
-  } catch (error) {
-    console.error('[ChatMarker Popup] Error deleting marker:', error);
-    showToast('Error deleting mark');
+  if (length >= NOTE_MAX_LENGTH) {
+    charCounter.style.color = 'var(--color-error)';
+  } else {
+    charCounter.style.color = 'var(--color-text-tertiary)';
   }
 }
 
 /**
- * Open note editor
+ * Show the note being written as rendered Markdown; its checkboxes toggle the text
  */
-function openNoteEditor(marker) {
-  currentEditingNoteId = marker.messageId;
-  currentEditingNoteType = 'message';
-
-  // Reset modal title
-  const modalTitle = noteModal.querySelector('.modal-header h2');
-  if (modalTitle) modalTitle.textContent = 'Add Note';
+function updateNotePreview() {
+  const noteTextarea = document.getElementById('noteTextarea');
+  const notePreview = document.getElementById('noteMarkdownPreview');
 
-  // Set message preview
-  document.getElementById('noteMessagePreview').textContent = marker.messageText || 'No message text';
-
-  // Set current note
-  const noteTextarea = document.getElementById('noteTextarea');
-  noteTextarea.value = marker.notes || '';
-  updateCharCounter();
-
-  // Show modal
-  noteModal.style.display = 'flex';
-  noteTextarea.focus();
-}
-
-/**
- * Close note modal
- */
-function closeNoteModal() {
-  noteModal.style.display = 'none';
-  currentEditingNoteId = null;
-}
-
-/**
- * Save note - Chat-only version
- */
-async function saveNote() {
-  try {
-    const noteText = document.getElementById('noteTextarea').value.trim();
-
-    if (!currentEditingNoteId) return;
-
-    // Update chat marker
-    await updateChatMarker(currentEditingNoteId, {
-      notes: noteText
-    });
-
-    showToast('Note saved');
-    closeNoteModal();
-
-    // Reload markers
-    await loadMarkers();
-  } catch (error) {
-    console.error('[ChatMarker Popup] Error saving note:', error);
-    showToast('Error saving note');
-  }
-}
-
-/**
- * Update character counter
- */
-function updateCharCounter() {
-  const noteTextarea = document.getElementById('noteTextarea');
-  const charCounter = document.getElementById('charCounter');
-  const length = noteTextarea.value.length;
-  charCounter.textContent = `${length} / 500`;
-
-  if (length >= 500) {
-    charCounter.style.color = 'var(--color-error)';
-  } else {
-    charCounter.style.color = 'var(--color-text-tertiary)';
-  }
-}
-
-/**
- * Open reminder picker modal
- */
-function openReminderPicker(marker) {
-  const reminderModal = document.getElementById('reminderModal');
-  const reminderMessagePreview = document.getElementById('reminderMessagePreview');
-  const customReminderDate = document.getElementById('customReminderDate');
-  const currentReminderInfo = document.getElementById('currentReminderInfo');
-  const currentReminderText = document.getElementById('currentReminderText');
-
-  // Store current marker ID and type
-  currentEditingNoteId = marker.messageId;
-  currentEditingNoteType = 'message';
-
-  // Reset modal title
-  const modalTitle = reminderModal.querySelector('.modal-header h2');
-  if (modalTitle) modalTitle.textContent = 'Set Reminder';
-
-  // Show message preview
-  reminderMessagePreview.textContent = marker.messageText || 'No message text';
-
-  // Check if reminder already exists
-  const existingReminder = Object.values(allReminders).find(
-    r => r.messageId === marker.messageId && r.active && !r.firedAt
-  );
-
-  if (existingReminder) {
-    currentReminderInfo.style.display = 'block';
-    currentReminderText.textContent = formatReminderTime(existingReminder.reminderTime);
-  } else {
-    currentReminderInfo.style.display = 'none';
-  }
-
-  // Set min datetime to now
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  const hours = String(now.getHours()).padStart(2, '0');
-  const minutes = String(now.getMinutes()).padStart(2, '0');
-  const minDateTime = `${year}-${month}-${day}T${hours}:${minutes}`;
-  customReminderDate.min = minDateTime;
-  customReminderDate.value = '';
-
-  reminderModal.style.display = 'flex';
+  notePreview.style.display = noteTextarea.value.trim() ? 'block' : 'none';
+  renderMarkdownInto(notePreview, noteTextarea.value, (text) => {
+    noteTextarea.value = text;
+    updateNotePreview();
+  });
 }
 
 /**
@@ -1132,7 +1824,7 @@ async function saveReminderFromModal(minutes = null) {
       data: reminderData
     }, (response) => {
       if (response && response.success) {
-        showToast('✅ Reminder set successfully');
+        showToast('✅ Reminder set successfully', 5000, { undoId: response.undoId });
         closeReminderModal();
         loadMarkers();
       } else {
@@ -1166,7 +1858,7 @@ async function deleteExistingReminder() {
         reminderId: existingReminder.reminderId
       }, (response) => {
         if (response && response.success) {
-          showToast('✅ Reminder deleted');
+          showToast('✅ Reminder deleted', 5000, { undoId: response.undoId });
           closeReminderModal();
           loadMarkers();
         } else {
@@ -1186,21 +1878,15 @@ async function deleteExistingReminder() {
  */
 async function showStatistics() {
   try {
-    const markers = await getMarkersArray();
+    const markers = allChatMarkers;
     const reminders = await getAllReminders();
 
     // Calculate statistics
     const totalMarks = markers.length;
 
     // Marks by label
-    const labelCounts = {
-      urgent: 0,
-      important: 0,
-      completed: 0,
-      followup: 0,
-      question: 0,
-      unlabeled: 0
-    };
+    const labelCounts = Object.fromEntries(userLabels.map(label => [label.id, 0]));
+    labelCounts.unlabeled = 0;
 
     markers.forEach(marker => {
       if (!marker.labels || marker.labels.length === 0) {
@@ -1215,7 +1901,7 @@ async function showStatistics() {
     });
 
     // Marks with notes
-    const marksWithNotes = markers.filter(m => m.notes && m.notes.trim()).length;
+    const marksWithNotes = markers.filter(m => getChatNotes(m).length > 0).length;
 
     // Active reminders
     const activeReminders = Object.values(reminders).filter(r => r.active && !r.firedAt).length;
@@ -1230,17 +1916,6 @@ async function showStatistics() {
     const marksThisWeek = markers.filter(m => (m.createdAt || m.timestamp) >= thisWeek).length;
     const marksThisMonth = markers.filter(m => (m.createdAt || m.timestamp) >= thisMonth).length;
 
-    // Top chats
-    const chatCounts = {};
-    markers.forEach(marker => {
-      const chatName = marker.chatName || marker.chatId || 'Unknown';
-      chatCounts[chatName] = (chatCounts[chatName] || 0) + 1;
-    });
-
-    const topChats = Object.entries(chatCounts)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 5);
-
     // Build stats HTML
     const statsBody = document.getElementById('statsBody');
     statsBody.innerHTML = `
@@ -1262,26 +1937,12 @@ async function showStatistics() {
 
       <div class="stats-section">
         <h3 style="margin-bottom: 12px; font-size: 16px;">🏷️ By Label</h3>
+        ${userLabelTree.map(({ label, path }) => `
         <div class="stat-row">
-          <span class="stat-label">🔴 Urgent:</span>
-          <span class="stat-value">${labelCounts.urgent}</span>
-        </div>
-        <div class="stat-row">
-          <span class="stat-label">🟡 Important:</span>
-          <span class="stat-value">${labelCounts.important}</span>
-        </div>
-        <div class="stat-row">
-          <span class="stat-label">🟢 Completed:</span>
-          <span class="stat-value">${labelCounts.completed}</span>
-        </div>
-        <div class="stat-row">
-          <span class="stat-label">🔵 Follow-up:</span>
-          <span class="stat-value">${labelCounts.followup}</span>
-        </div>
-        <div class="stat-row">
-          <span class="stat-label">🟣 Question:</span>
-          <span class="stat-value">${labelCounts.question}</span>
+          <span class="stat-label">${getLabelEmoji(label.color)} ${escapeHtml(path)}:</span>
+          <span class="stat-value">${labelCounts[label.id]}</span>
         </div>
+        `).join('')}
         <div class="stat-row">
           <span class="stat-label">⚪ Unlabeled:</span>
           <span class="stat-value">${labelCounts.unlabeled}</span>
@@ -1303,18 +1964,6 @@ async function showStatistics() {
           <span class="stat-value">${marksThisMonth}</span>
         </div>
       </div>
-
-      ${topChats.length > 0 ? `
-      <div class="stats-section">
-        <h3 style="margin-bottom: 12px; font-size: 16px;">💬 Top Chats</h3>
-        ${topChats.map(([chat, count]) => `
-          <div class="stat-row">
-            <span class="stat-label">${escapeHtml(chat.substring(0, 25))}${chat.length > 25 ? '...' : ''}:</span>
-            <span class="stat-value">${count}</span>
-          </div>
-        `).join('')}
-      </div>
-      ` : ''}
     `;
 
     statsModal.style.display = 'flex';
@@ -1331,6 +1980,359 @@ function closeStatisticsModal() {
   statsModal.style.display = 'none';
 }
 
+/**
+ * Send a change to the background, which records it so it can be undone
+ */
+async function sendChange(message) {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response || !response.success) {
+    throw new Error((response && response.error) || 'Change failed');
+  }
+  return response;
+}
+
+/**
+ * Undo the last change, or redo the last undone one
+ * With an undoId (from a toast), the background only undoes that change while it is still the last one
+ */
+async function stepUndoHistory(direction, undoId) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: direction, undoId });
+    showToast((response && response.message) || `❌ Could not ${direction}`);
+  } catch (error) {
+    console.error(`[ChatMarker Popup] Error during ${direction}:`, error);
+    showToast(`❌ Could not ${direction}`);
+  }
+}
+
+/**
+ * Open the label manager
+ */
+function openLabelManager() {
+  renderLabelManager();
+  labelManagerModal.style.display = 'flex';
+}
+
+/**
+ * Close the label manager
+ */
+function closeLabelManager() {
+  labelManagerModal.style.display = 'none';
+}
+
+/**
+ * List labels as a tree with color, name, parent, order and delete controls
+ */
+function renderLabelManager() {
+  const list = document.getElementById('labelManagerList');
+
+  list.innerHTML = userLabelTree.length === 0
+    ? '<p class="about-text">No labels yet.</p>'
+    : userLabelTree.map(({ label, depth }) => `
+      <div class="label-manager-item" data-id="${escapeHtml(label.id)}" style="padding-left: ${depth * 20}px;">
+        <input type="color" class="label-manager-color" title="Color">
+        <input type="text" class="form-input label-manager-name" maxlength="30">
+        <select class="filter-select label-manager-parent" title="Nest under"></select>
+        <button class="icon-btn label-manager-up" title="Move up" ${getSiblingLabel(label.id, -1) ? '' : 'disabled'}>↑</button>
+        <button class="icon-btn label-manager-down" title="Move down" ${getSiblingLabel(label.id, 1) ? '' : 'disabled'}>↓</button>
+        <button class="icon-btn delete-btn label-manager-delete" title="Delete label">✕</button>
+      </div>
+    `).join('');
+
+  list.querySelectorAll('.label-manager-item').forEach((item, index) => {
+    const { label, parentId } = userLabelTree[index];
+    const parentSelect = item.querySelector('.label-manager-parent');
+
+    // A label can't be nested under itself or one of its own nested labels
+    const excludedIds = getLabelDescendantIds(userLabels, label.id);
+    parentSelect.add(new Option('Top level', ''));
+    userLabelTree
+      .filter(entry => !excludedIds.includes(entry.label.id))
+      .forEach(entry => parentSelect.add(new Option(`Under ${entry.path}`, entry.label.id)));
+    parentSelect.value = parentId || '';
+
+    // Values are set directly so names with quotes survive
+    item.querySelector('.label-manager-color').value = label.color;
+    item.querySelector('.label-manager-name').value = label.name;
+
+    item.querySelector('.label-manager-color').addEventListener('change', (e) => updateLabel(label.id, { color: e.target.value }));
+    item.querySelector('.label-manager-name').addEventListener('change', (e) => updateLabel(label.id, { name: e.target.value.trim() }));
+    parentSelect.addEventListener('change', (e) => updateLabel(label.id, { parentId: e.target.value || null }));
+    item.querySelector('.label-manager-up').addEventListener('click', () => moveLabel(label.id, -1));
+    item.querySelector('.label-manager-down').addEventListener('click', () => moveLabel(label.id, 1));
+    item.querySelector('.label-manager-delete').addEventListener('click', () => removeLabel(label.id));
+  });
+}
+
+/**
+ * Get the label before (-1) or after (1) a label among the labels with the same parent
+ */
+function getSiblingLabel(labelId, offset) {
+  const entry = userLabelTree.find(item => item.label.id === labelId);
+  const siblings = userLabelTree.filter(item => item.parentId === entry.parentId);
+  const sibling = siblings[siblings.indexOf(entry) + offset];
+  return sibling ? sibling.label : null;
+}
+
+/**
+ * Check a label name, returning an error message or null
+ * Names must be unique among the labels with the same parent
+ */
+function validateLabelName(name, labelId = null, parentId = null) {
+  if (!name) {
+    return 'Label name cannot be empty';
+  }
+  if (name.includes('/')) {
+    return 'Label names cannot contain "/"';
+  }
+  const duplicate = userLabels.find(label =>
+    label.id !== labelId &&
+    getLabelParentId(userLabels, label) === parentId &&
+    label.name.toLowerCase() === name.toLowerCase()
+  );
+  if (duplicate) {
+    return `A label named "${getLabelInfo(duplicate.id).path}" already exists`;
+  }
+  return null;
+}
+
+/**
+ * Set or clear a label's parent (top-level labels have no parentId)
+ */
+function withLabelParent(label, parentId) {
+  const { parentId: previousParentId, ...fields } = label;
+  return parentId ? { ...fields, parentId } : fields;
+}
+
+/**
+ * Save the label list (menus and open pages update from the storage change)
+ */
+async function storeLabels(labels) {
+  try {
+    userLabels = await saveLabels(labels);
+    userLabelTree = getLabelTree(userLabels);
+    renderLabelFilters();
+    applyFilters();
+    renderLabelManager();
+    return true;
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error saving labels:', error);
+    showToast('❌ Error saving labels');
+    renderLabelManager();
+    return false;
+  }
+}
+
+/**
+ * Create a label from the name and color in the label manager
+ * A path such as Clients/Acme creates the nested label, and any missing parents
+ */
+async function addLabel() {
+  const nameInput = document.getElementById('newLabelName');
+  const names = nameInput.value.split('/').map(name => name.trim());
+  const color = document.getElementById('newLabelColor').value;
+
+  if (names.some(name => !name)) {
+    showToast('⚠️ Label name cannot be empty');
+    return;
+  }
+
+  const labels = [...userLabels];
+  let parentId = null;
+  let created = 0;
+
+  names.forEach(name => {
+    const existing = labels.find(label =>
+      getLabelParentId(labels, label) === parentId && label.name.toLowerCase() === name.toLowerCase()
+    );
+    if (existing) {
+      parentId = existing.id;
+      return;
+    }
+
+    const label = withLabelParent({
+      id: `label_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name,
+      color
+    }, parentId);
+    labels.push(label);
+    parentId = label.id;
+    created++;
+  });
+
+  if (created === 0) {
+    showToast(`⚠️ A label named "${names.join('/')}" already exists`);
+    return;
+  }
+
+  if (await storeLabels(labels)) {
+    nameInput.value = '';
+    showToast(`🏷️ Label "${names.join('/')}" added`);
+  }
+}
+
+/**
+ * Rename, recolor or re-nest a label
+ */
+async function updateLabel(labelId, changes) {
+  const label = userLabels.find(item => item.id === labelId);
+  const parentId = 'parentId' in changes ? changes.parentId : getLabelParentId(userLabels, label);
+  const error = validateLabelName(changes.name ?? label.name, labelId, parentId);
+
+  if (error) {
+    showToast(`⚠️ ${error}`);
+    renderLabelManager();
+    return;
+  }
+
+  const { parentId: newParentId, ...fields } = changes;
+  await storeLabels(userLabels.map(item => item.id === labelId ? withLabelParent({ ...item, ...fields }, parentId) : item));
+}
+
+/**
+ * Move a label up or down among the labels with the same parent
+ */
+async function moveLabel(labelId, offset) {
+  const sibling = getSiblingLabel(labelId, offset);
+  if (!sibling) return;
+
+  const labels = [...userLabels];
+  const index = labels.findIndex(label => label.id === labelId);
+  const siblingIndex = labels.findIndex(label => label.id === sibling.id);
+  [labels[index], labels[siblingIndex]] = [labels[siblingIndex], labels[index]];
+  await storeLabels(labels);
+}
+
+/**
+ * Delete a label after confirming, removing it from the chats that have it
+ * (its nested labels move up a level)
+ */
+async function removeLabel(labelId) {
+  const label = getLabelInfo(labelId);
+  const chatCount = allChatMarkers.filter(c => c.labels && c.labels.includes(labelId)).length;
+  const childCount = userLabelTree.filter(entry => entry.parentId === labelId).length;
+  const usage = [
+    chatCount > 0 ? ` It will be removed from ${chatCount} chat${chatCount > 1 ? 's' : ''}.` : '',
+    childCount > 0 ? ` Its ${childCount} nested label${childCount > 1 ? 's' : ''} will move up a level.` : ''
+  ].join('');
+
+  if (!confirm(`Delete label "${label.path}"?${usage}`)) {
+    return;
+  }
+
+  try {
+    await deleteLabel(labelId);
+    await loadLabels();
+    applyFilters();
+    renderLabelManager();
+    showToast(`🏷️ Label "${label.path}" deleted`);
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error deleting label:', error);
+    showToast('❌ Error deleting label');
+  }
+}
+
+/**
+ * Open the recently deleted chats
+ */
+async function openTrash() {
+  await renderTrash();
+  trashModal.style.display = 'flex';
+}
+
+/**
+ * Close the recently deleted chats
+ */
+function closeTrashModal() {
+  trashModal.style.display = 'none';
+}
+
+/**
+ * List deleted chat markers with restore and delete buttons
+ */
+async function renderTrash() {
+  const trashList = document.getElementById('trashList');
+  const entries = await openVaultRecords(TRASH_STORE, await getTrashedChatMarkers());
+  const retentionDays = currentSettings.trashRetentionDays || 30;
+
+  document.getElementById('trashInfo').textContent = entries.length > 0
+    ? `Unmarked chats are kept for ${retentionDays} days, then deleted permanently.`
+    : 'No recently deleted chats.';
+  document.getElementById('emptyTrashBtn').style.display = entries.length > 0 ? '' : 'none';
+
+  trashList.innerHTML = entries.map(({ chatMarkerId, chatMarker, reminders, deletedAt }) => {
+    const daysLeft = Math.max(0, Math.ceil((deletedAt + retentionDays * 24 * 60 * 60 * 1000 - Date.now()) / (24 * 60 * 60 * 1000)));
+    const noteCount = getChatNotes(chatMarker).length;
+    const extras = [
+      noteCount > 0 ? `📝 ${noteCount} note${noteCount > 1 ? 's' : ''}` : '',
+      reminders.length > 0 ? `⏰ ${reminders.length} reminder${reminders.length > 1 ? 's' : ''}` : ''
+    ].filter(Boolean).join(' · ');
+
+    return `
+      <div class="trash-item" data-id="${escapeHtml(chatMarkerId)}">
+        <span>${getPlatformIcon(chatMarker.platform)}</span>
+        <div class="trash-item-info">
+          <div class="trash-item-name">${escapeHtml(getChatDisplayName(chatMarker))}</div>
+          <div class="trash-item-meta">Deleted ${getTimeAgo(deletedAt)} · ${daysLeft}d left${extras ? ` · ${extras}` : ''}</div>
+        </div>
+        <button class="btn-secondary btn-small trash-restore-btn">Restore</button>
+        <button class="btn-danger btn-small trash-delete-btn" title="Delete permanently">✕</button>
+      </div>
+    `;
+  }).join('');
+
+  trashList.querySelectorAll('.trash-item').forEach(item => {
+    item.querySelector('.trash-restore-btn').addEventListener('click', () => restoreTrashedChat(item.dataset.id));
+    item.querySelector('.trash-delete-btn').addEventListener('click', () => deleteTrashedChat(item.dataset.id));
+  });
+}
+
+/**
+ * Restore a deleted chat marker (through the background, which reschedules its reminders)
+ */
+async function restoreTrashedChat(chatMarkerId) {
+  try {
+    const response = await sendChange({ action: 'restoreChatMarker', chatMarkerId });
+    showToast(`Chat "${getChatDisplayName(response.chatMarker)}" restored`, 5000, { undoId: response.undoId });
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error restoring chat marker:', error);
+    showToast(`❌ ${error.message}`);
+  }
+}
+
+/**
+ * Permanently delete a chat marker from the trash
+ */
+async function deleteTrashedChat(chatMarkerId) {
+  if (!confirm('Delete this chat permanently? Its note and reminders cannot be restored.')) {
+    return;
+  }
+
+  try {
+    await deleteTrashedChatMarkers([chatMarkerId]);
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error deleting from trash:', error);
+    showToast('Error deleting chat');
+  }
+}
+
+/**
+ * Permanently delete everything in the trash
+ */
+async function emptyTrash() {
+  if (!confirm('Permanently delete all recently deleted chats? This cannot be undone.')) {
+    return;
+  }
+
+  try {
+    await deleteTrashedChatMarkers();
+    showToast('Trash emptied');
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error emptying trash:', error);
+    showToast('Error emptying trash');
+  }
+}
+
 /**
  * Open settings modal
  */
@@ -1340,9 +2342,358 @@ async function openSettings() {
 
   // Apply to form
   document.getElementById('themeSelect').value = settings.theme || 'auto';
+  document.getElementById('trashRetentionSelect').value = String(settings.trashRetentionDays);
 
   // Show modal
   settingsModal.style.display = 'flex';
+
+  await refreshVaultSettings();
+  await refreshSyncServerSettings();
+  await refreshMoveSignedOutSetting();
+  if (await loadSyncProvider()) {
+    await refreshEncryptionSettings();
+  }
+}
+
+/**
+ * Show the "move to my account" option when items saved while signed out exist
+ */
+async function refreshMoveSignedOutSetting() {
+  const setting = document.getElementById('moveSignedOutSetting');
+  const counts = await getAccountItemCounts(null);
+  const hasItems = counts.chatMarkers + counts.reminders > 0;
+
+  setting.style.display = currentUser && hasItems ? '' : 'none';
+  document.getElementById('moveSignedOutStatus').textContent =
+    `${counts.chatMarkers} marked chat(s) and ${counts.reminders} reminder(s) were saved on this device while signed out. ` +
+    'They are only shown when signed out.';
+}
+
+/**
+ * Move items saved while signed out into the signed-in account
+ */
+async function moveSignedOutItems() {
+  if (!currentUser) return;
+
+  try {
+    const moved = await moveAccountData(null, currentUser.uid);
+    showToast(`Moved ${moved.chatMarkers} chat(s) and ${moved.reminders} reminder(s) to your account`);
+    await refreshMoveSignedOutSetting();
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error moving signed-out items:', error);
+    showToast('❌ Could not move items');
+  }
+}
+
+/**
+ * Once per account, offer to move items saved while signed out into the signed-in account
+ * (declining leaves them in signed-out storage; Settings still offers the move)
+ */
+async function offerMoveSignedOutItems() {
+  if (!currentUser) return;
+
+  const offeredKey = getAccountStorageKey(SIGNED_OUT_MOVE_OFFERED_KEY, currentUser.uid);
+  const { [offeredKey]: offered } = await chrome.storage.local.get(offeredKey);
+  if (offered) return;
+
+  const counts = await getAccountItemCounts(null);
+  if (counts.chatMarkers + counts.reminders === 0) return;
+
+  await chrome.storage.local.set({ [offeredKey]: true });
+
+  const move = confirm(
+    `${counts.chatMarkers} marked chat(s) and ${counts.reminders} reminder(s) were saved on this device while signed out.\n\n` +
+    `Move them to ${currentUser.email}?\n\nOK moves them. Cancel keeps them separate (shown only when signed out).`
+  );
+  if (move) {
+    await moveSignedOutItems();
+  }
+}
+
+/**
+ * Offer to upload chats marked on this device before the account was used for sync
+ */
+async function offerLocalDataUpload() {
+  await offerMoveSignedOutItems();
+
+  const offer = await getLocalDataUploadOffer();
+  if (!offer) return;
+
+  const upload = confirm(
+    `You have ${offer.chatMarkers} marked chat(s) and ${offer.reminders} reminder(s) on this device that were never synced with this account.\n\n` +
+    'Upload them to your account?\n\nOK uploads them. Cancel keeps them on this device only.'
+  );
+
+  try {
+    await resolveLocalDataUpload(upload);
+    showToast(upload ? '⬆️ Uploading your local data' : 'Local data kept on this device');
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error resolving local data upload:', error);
+  }
+}
+
+/**
+ * Show the self-hosted sync server connection in settings
+ */
+async function refreshSyncServerSettings() {
+  const { syncProvider } = await chrome.storage.local.get('syncProvider');
+  const connected = !!(syncProvider && syncProvider.type === 'rest');
+
+  document.getElementById('syncServerStatus').textContent = connected
+    ? `🔌 Syncing with ${syncProvider.url} instead of Firebase.`
+    : 'Sync through your own server instead of Firebase (see docs/SELF_HOSTED_SYNC.md).';
+  document.getElementById('syncServerUrl').value = connected ? syncProvider.url : '';
+  document.getElementById('syncServerToken').value = '';
+  document.getElementById('syncServerUrl').disabled = connected;
+  document.getElementById('syncServerToken').style.display = connected ? 'none' : '';
+  document.getElementById('syncServerConnectBtn').style.display = connected ? 'none' : '';
+  document.getElementById('syncServerDisconnectBtn').style.display = connected ? '' : 'none';
+
+  // Manual sync and encryption also apply to a self-hosted server
+  const cloudSyncSection = document.getElementById('cloudSyncSection');
+  if (cloudSyncSection && connected) {
+    cloudSyncSection.style.display = 'block';
+  }
+}
+
+/**
+ * Connect to a self-hosted sync server
+ */
+async function connectSyncServer() {
+  const url = document.getElementById('syncServerUrl').value.trim();
+  const token = document.getElementById('syncServerToken').value.trim();
+
+  let origin;
+  try {
+    origin = new URL(url).origin;
+  } catch (error) {
+    showToast('Enter a valid server URL');
+    return;
+  }
+
+  try {
+    // Host access is requested per server, and only from this click
+    const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+    if (!granted) {
+      showToast('Permission to reach the server was denied');
+      return;
+    }
+
+    await connectRestSyncProvider(url, token);
+    showToast('🔌 Connected to sync server');
+    await refreshSyncServerSettings();
+    await refreshEncryptionSettings();
+    await offerLocalDataUpload();
+    await syncToCloud();
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error connecting to sync server:', error);
+    showToast('❌ Could not connect to sync server');
+  }
+}
+
+/**
+ * Disconnect from the self-hosted sync server
+ */
+async function disconnectSyncServer() {
+  if (!confirm('Stop syncing with this server? Data on this device is kept.')) {
+    return;
+  }
+
+  try {
+    await disconnectRestSyncProvider();
+    showToast('Disconnected from sync server');
+    await refreshSyncServerSettings();
+
+    if (!currentUser) {
+      document.getElementById('cloudSyncSection').style.display = 'none';
+    }
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error disconnecting sync server:', error);
+    showToast('❌ Could not disconnect');
+  }
+}
+
+/**
+ * Show the end-to-end encryption state in settings
+ */
+async function refreshEncryptionSettings() {
+  const statusText = document.getElementById('encryptionStatus');
+  const setBtn = document.getElementById('encryptionSetBtn');
+  const unlockBtn = document.getElementById('encryptionUnlockBtn');
+  const disableBtn = document.getElementById('encryptionDisableBtn');
+  document.getElementById('encryptionPassphrase').value = '';
+
+  try {
+    const status = await getSyncEncryptionStatus();
+
+    const messages = {
+      off: 'Chat names and notes are uploaded as plain text. Set a passphrase to encrypt them before they leave this device.',
+      unlocked: '🔐 Chat names and notes are encrypted before upload. Setting a new passphrase re-encrypts everything.',
+      locked: '🔒 Encryption was turned on or its passphrase changed on another device. Enter the passphrase to resume sync.'
+    };
+    statusText.textContent = messages[status];
+
+    setBtn.style.display = status === 'locked' ? 'none' : '';
+    setBtn.textContent = status === 'unlocked' ? '🔐 Change Passphrase' : '🔐 Set Passphrase';
+    unlockBtn.style.display = status === 'locked' ? '' : 'none';
+    disableBtn.style.display = status === 'unlocked' ? '' : 'none';
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error loading encryption status:', error);
+    statusText.textContent = 'Encryption status unavailable (offline?)';
+  }
+}
+
+/**
+ * Turn on encryption or change its passphrase
+ */
+async function setEncryptionPassphrase() {
+  const passphrase = document.getElementById('encryptionPassphrase').value;
+  if (passphrase.length < 8) {
+    showToast('Passphrase must be at least 8 characters');
+    return;
+  }
+
+  if (!confirm('Encrypt chat names and notes with this passphrase?\n\nYou will need it on every other device. If you forget it, synced names and notes cannot be recovered.')) {
+    return;
+  }
+
+  try {
+    showToast('🔐 Encrypting and re-uploading...');
+    await setSyncPassphrase(passphrase);
+    showToast('🔐 Encryption passphrase set');
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error setting passphrase:', error);
+    showToast('❌ Could not set passphrase');
+  }
+  await refreshEncryptionSettings();
+}
+
+/**
+ * Unlock sync with a passphrase set on another device
+ */
+async function unlockEncryption() {
+  const passphrase = document.getElementById('encryptionPassphrase').value;
+
+  try {
+    if (!await unlockSyncEncryption(passphrase)) {
+      showToast('❌ Wrong passphrase');
+      return;
+    }
+    showToast('🔓 Sync unlocked');
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error unlocking sync:', error);
+    showToast('❌ Could not unlock sync');
+  }
+  await refreshEncryptionSettings();
+}
+
+/**
+ * Turn off encryption and re-upload in plain text
+ */
+async function disableEncryption() {
+  if (!confirm('Turn off encryption? Chat names and notes will be re-uploaded as plain text.')) {
+    return;
+  }
+
+  try {
+    await disableSyncEncryption();
+    showToast('Encryption turned off');
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error turning off encryption:', error);
+    showToast('❌ Could not turn off encryption');
+  }
+  await refreshEncryptionSettings();
+}
+
+/**
+ * Show the note vault state in settings
+ */
+async function refreshVaultSettings() {
+  const vault = await getVault();
+  const status = await getVaultStatus();
+  document.getElementById('vaultPassphrase').value = '';
+
+  const messages = {
+    off: 'Notes are stored on this device as plain text. Set a passphrase to encrypt them; you will need it to read them.',
+    unlocked: `🔐 Notes${vault && vault.encryptChatNames ? ' and chat names' : ''} are encrypted on this device. They lock again when you are away.`,
+    locked: `🔒 Notes${vault && vault.encryptChatNames ? ' and chat names' : ''} are encrypted and locked. Unlock them from the prompt above the search box.`
+  };
+  document.getElementById('vaultStatus').textContent = messages[status];
+
+  document.getElementById('vaultEncryptChatNamesSetting').style.display = status === 'off' ? '' : 'none';
+  document.getElementById('vaultAutoLockSelect').value = String((vault && vault.autoLockMinutes) || VAULT_AUTO_LOCK_MINUTES);
+  document.getElementById('vaultEnableBtn').style.display = status === 'off' ? '' : 'none';
+  document.getElementById('vaultDisableBtn').style.display = status === 'off' ? 'none' : '';
+}
+
+/**
+ * Turn on the note vault
+ */
+async function enableNoteVault() {
+  const passphrase = document.getElementById('vaultPassphrase').value;
+  if (passphrase.length < 8) {
+    showToast('Passphrase must be at least 8 characters');
+    return;
+  }
+
+  if (!confirm('Encrypt notes with this passphrase?\n\nIf you forget it, encrypted notes cannot be recovered.')) {
+    return;
+  }
+
+  try {
+    showToast('🔐 Encrypting notes...');
+    await enableVault(passphrase, {
+      encryptChatNames: document.getElementById('vaultEncryptChatNames').checked,
+      autoLockMinutes: parseInt(document.getElementById('vaultAutoLockSelect').value, 10)
+    });
+    showToast('🔐 Notes encrypted');
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error turning on vault:', error);
+    showToast('❌ Could not encrypt notes');
+  }
+  await refreshVaultSettings();
+}
+
+/**
+ * Turn off the note vault, storing notes as plain text again
+ */
+async function disableNoteVault() {
+  const passphrase = document.getElementById('vaultPassphrase').value;
+  if (!passphrase) {
+    showToast('Enter the vault passphrase to turn it off');
+    return;
+  }
+
+  if (!confirm('Turn off the vault? Notes will be stored as plain text again.')) {
+    return;
+  }
+
+  try {
+    if (!await disableVault(passphrase)) {
+      showToast('❌ Wrong passphrase');
+      return;
+    }
+    showToast('Vault turned off');
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error turning off vault:', error);
+    showToast('❌ Could not turn off the vault');
+  }
+  await refreshVaultSettings();
+}
+
+/**
+ * Change the vault's idle time before it locks (when it is on; otherwise used when turning it on)
+ */
+async function changeVaultAutoLock() {
+  if (!await getVault()) return;
+
+  try {
+    await setVaultAutoLock(parseInt(document.getElementById('vaultAutoLockSelect').value, 10));
+    showToast('Auto-lock updated');
+  } catch (error) {
+    console.error('[ChatMarker Popup] Error changing vault auto-lock:', error);
+    showToast('❌ Could not change auto-lock');
+  }
 }
 
 /**
@@ -1358,11 +2709,11 @@ function closeSettingsModal() {
 async function saveSettings() {
   try {
     const newSettings = {
-      theme: document.getElementById('themeSelect').value
+      theme: document.getElementById('themeSelect').value,
+      trashRetentionDays: parseInt(document.getElementById('trashRetentionSelect').value, 10)
     };
 
-    await updateSettings(newSettings);
-    currentSettings = newSettings;
+    currentSettings = await updateSettings(newSettings);
 
     showToast('Settings saved');
     closeSettingsModal();
@@ -1459,8 +2810,10 @@ async function importDataFromFile(event) {
     // Count items to import
     const chatMarkersCount = Object.keys(importedData.chatMarkers || {}).length;
     const remindersCount = Object.keys(importedData.reminders || {}).length;
+    // Old backups hold marked messages, which are folded into the notes of their chats
+    const messageMarkersCount = Object.keys(importedData.markers || {}).length;
 
-    if (chatMarkersCount === 0 && remindersCount === 0) {
+    if (chatMarkersCount === 0 && remindersCount === 0 && messageMarkersCount === 0) {
       showToast('⚠️ No data found in file');
       return;
     }
@@ -1469,6 +2822,7 @@ async function importDataFromFile(event) {
     const confirmed = await showImportConfirmation({
       chatMarkers: chatMarkersCount,
       reminders: remindersCount,
+      messageMarkers: messageMarkersCount,
       exportDate: importedData.exportedAt,
       version: importedData.version
     });
@@ -1575,6 +2929,12 @@ async function showImportConfirmation(stats) {
                 <span style="color: var(--color-text-secondary);">Reminders:</span>
                 <strong>${stats.reminders}</strong>
               </div>
+              ${stats.messageMarkers ? `
+                <div style="display: flex; justify-content: space-between;">
+                  <span style="color: var(--color-text-secondary);">Marked messages (added to chat notes):</span>
+                  <strong>${stats.messageMarkers}</strong>
+                </div>
+              ` : ''}
               ${stats.exportDate ? `
                 <div style="display: flex; justify-content: space-between;">
                   <span style="color: var(--color-text-secondary);">Exported:</span>
@@ -1684,12 +3044,16 @@ function hideAllStates() {
 
 /**
  * Show toast notification
+ * Pass { undoId } from the background's response to a change to offer an Undo button
  */
-function showToast(message, duration = 3000) {
+function showToast(message, duration = 3000, { undoId = null } = {}) {
   const toast = document.getElementById('toast');
   const toastMessage = document.getElementById('toastMessage');
+  const toastUndo = document.getElementById('toastUndo');
 
   toastMessage.textContent = message;
+  toastUndo.dataset.undoId = undoId || '';
+  toastUndo.style.display = undoId ? '' : 'none';
   toast.style.display = 'block';
   toast.classList.remove('fade-out');
 
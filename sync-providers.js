@@ -0,0 +1,252 @@
+// Sync Providers for ChatMarker
+// A provider is the cloud store behind firestore-sync.js. Each one implements:
+//
+//   accountId                                 - identifies whose data is synced (used to scope local sync state)
+//   batchLimit                                - maximum operations per commit()
+//   fetchChanges(collection, since)           - { docs, newestSyncedAt } for documents synced after `since` (server ms)
+//   subscribe(collection, since, onChanges, onError)
+//                                             - live changes as onChanges(docs, newestSyncedAt); returns an unsubscribe function
+//   commit(operations)                        - atomically apply [{ type: 'set', collection, id, data }],
+//                                               stamping every written document with the server time as syncedAt
+//   purgeTombstones(collection, cutoff)       - delete tombstones with deletedAt < cutoff; returns the count
+//   getMeta(name) / setMeta(name, data)       - account-level documents such as encryption settings (null if missing)
+
+// Local storage key for a self-hosted server ({ type: 'rest', url, token, accountId }); Firestore is used when absent
+const SYNC_PROVIDER_KEY = 'syncProvider';
+
+// Firestore rejects write batches with more than 500 operations
+const FIRESTORE_BATCH_LIMIT = 500;
+
+// Operations per request to a self-hosted server
+const REST_BATCH_LIMIT = 500;
+
+// How often a self-hosted server is polled for changes from other devices
+const REST_POLL_INTERVAL = 30 * 1000;
+
+// Firestore provider: documents live in users/{uid}/{collection}
+function createFirestoreProvider(uid) {
+  const userRef = db.collection('users').doc(uid);
+
+  // Split a Firestore document into its data and server sync time
+  const readDoc = (doc) => {
+    const data = doc.data();
+    const syncedAt = data.syncedAt && typeof data.syncedAt.toMillis === 'function' ? data.syncedAt.toMillis() : 0;
+    // Remove Firestore metadata fields
+    delete data.syncedAt;
+    return { data, syncedAt };
+  };
+
+  // Query documents synced after `since`
+  const changesQuery = (collection, since) => {
+    let query = userRef.collection(collection);
+    if (since) {
+      query = query.where('syncedAt', '>', firebase.firestore.Timestamp.fromMillis(since));
+    }
+    return query;
+  };
+
+  return {
+    accountId: uid,
+    batchLimit: FIRESTORE_BATCH_LIMIT,
+
+    async fetchChanges(collection, since) {
+      const snapshot = await changesQuery(collection, since).get();
+      const docs = {};
+      let newestSyncedAt = since;
+
+      snapshot.forEach(doc => {
+        const { data, syncedAt } = readDoc(doc);
+        newestSyncedAt = Math.max(newestSyncedAt, syncedAt);
+        docs[doc.id] = data;
+      });
+
+      return { docs, newestSyncedAt };
+    },
+
+    // The first snapshot delivers everything missed since `since`, later ones only deltas
+    subscribe(collection, since, onChanges, onError) {
+      return changesQuery(collection, since).onSnapshot(snapshot => {
+        const docs = {};
+        let newestSyncedAt = 0;
+
+        snapshot.docChanges().forEach(change => {
+          // Hard deletes only come from tombstone garbage collection and carry no information
+          if (change.type === 'removed') return;
+
+          // Our own writes arrive again once the server has stamped syncedAt
+          if (change.doc.metadata.hasPendingWrites) return;
+
+          const { data, syncedAt } = readDoc(change.doc);
+          newestSyncedAt = Math.max(newestSyncedAt, syncedAt);
+          docs[change.doc.id] = data;
+        });
+
+        if (Object.keys(docs).length > 0) {
+          onChanges(docs, newestSyncedAt);
+        }
+      }, onError);
+    },
+
+    async commit(operations) {
+      const batch = db.batch();
+      operations.forEach(op => {
+        batch.set(userRef.collection(op.collection).doc(op.id), {
+          ...op.data,
+          syncedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+      });
+      await batch.commit();
+    },
+
+    async purgeTombstones(collection, cutoff) {
+      // Only tombstone documents carry deletedAt
+      const snapshot = await userRef.collection(collection).where('deletedAt', '<', cutoff).get();
+
+      for (let start = 0; start < snapshot.docs.length; start += FIRESTORE_BATCH_LIMIT) {
+        const batch = db.batch();
+        snapshot.docs.slice(start, start + FIRESTORE_BATCH_LIMIT).forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+      }
+
+      return snapshot.size;
+    },
+
+    async getMeta(name) {
+      const snapshot = await userRef.collection('meta').doc(name).get();
+      return snapshot.exists ? snapshot.data() : null;
+    },
+
+    async setMeta(name, data) {
+      await userRef.collection('meta').doc(name).set(data);
+    }
+  };
+}
+
+// Send a request to a self-hosted sync server (see docs/SELF_HOSTED_SYNC.md)
+// Returns the parsed JSON body, or null for 404 on GET and for empty responses
+async function restSyncRequest(config, method, path, body) {
+  const url = `${config.url.replace(/\/+$/, '')}${path}`;
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${config.token}`,
+      'Content-Type': 'application/json'
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  if (method === 'GET' && response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Sync server returned ${response.status} for ${method} ${path}`);
+  }
+  if (response.status === 204) return null;
+
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+}
+
+// Self-hosted REST/JSON provider; the server assigns syncedAt, so there are no client clock issues
+function createRestProvider(config) {
+  const collectionPath = collection => `/collections/${encodeURIComponent(collection)}`;
+
+  const fetchChanges = async (collection, since) => {
+    const result = await restSyncRequest(config, 'GET', `${collectionPath(collection)}?since=${since || 0}`);
+    const docs = {};
+    let newestSyncedAt = since;
+
+    ((result && result.documents) || []).forEach(doc => {
+      newestSyncedAt = Math.max(newestSyncedAt, doc.syncedAt || 0);
+      docs[doc.id] = doc.data;
+    });
+
+    return { docs, newestSyncedAt };
+  };
+
+  return {
+    accountId: config.accountId,
+    batchLimit: REST_BATCH_LIMIT,
+
+    fetchChanges,
+
+    // No push channel: poll, advancing the cursor only after changes were handled
+    subscribe(collection, since, onChanges, onError) {
+      let cursor = since;
+      let stopped = false;
+
+      const poll = async () => {
+        try {
+          const { docs, newestSyncedAt } = await fetchChanges(collection, cursor);
+          if (stopped || Object.keys(docs).length === 0) return;
+          await onChanges(docs, newestSyncedAt);
+          cursor = newestSyncedAt;
+        } catch (error) {
+          if (!stopped) onError(error);
+        }
+      };
+
+      poll();
+      const interval = setInterval(poll, REST_POLL_INTERVAL);
+      return () => {
+        stopped = true;
+        clearInterval(interval);
+      };
+    },
+
+    async commit(operations) {
+      await restSyncRequest(config, 'POST', '/commit', { operations });
+    },
+
+    async purgeTombstones(collection, cutoff) {
+      const result = await restSyncRequest(config, 'POST', `${collectionPath(collection)}/purge-tombstones`, { before: cutoff });
+      return (result && result.deleted) || 0;
+    },
+
+    getMeta(name) {
+      return restSyncRequest(config, 'GET', `/meta/${encodeURIComponent(name)}`);
+    },
+
+    async setMeta(name, data) {
+      await restSyncRequest(config, 'PUT', `/meta/${encodeURIComponent(name)}`, data);
+    }
+  };
+}
+
+// Get the sync provider for this device, or null when there is nowhere to sync to
+async function getSyncProvider() {
+  const { [SYNC_PROVIDER_KEY]: config } = await chrome.storage.local.get(SYNC_PROVIDER_KEY);
+
+  if (config && config.type === 'rest') {
+    return createRestProvider(config);
+  }
+  if (db && currentUser) {
+    return createFirestoreProvider(currentUser.uid);
+  }
+  return null;
+}
+
+// Check a self-hosted server and use it for sync on this device
+async function connectRestSyncProvider(url, token) {
+  const parsedUrl = new URL(url);
+  const account = await restSyncRequest({ url, token }, 'GET', '/account');
+  if (!account || !account.accountId) {
+    throw new Error('Sync server did not return an account ID');
+  }
+
+  // Scope the account to the server so two servers can't share local sync state
+  const config = {
+    type: 'rest',
+    url,
+    token,
+    accountId: `${parsedUrl.host}/${account.accountId}`
+  };
+  await chrome.storage.local.set({ [SYNC_PROVIDER_KEY]: config });
+
+  console.log('[ChatMarker Sync] 🔌 Connected to self-hosted sync server:', config.accountId);
+  return config;
+}
+
+// Stop using a self-hosted server (sync falls back to Firestore when signed in)
+async function disconnectRestSyncProvider() {
+  await chrome.storage.local.remove(SYNC_PROVIDER_KEY);
+  console.log('[ChatMarker Sync] 🔌 Disconnected from self-hosted sync server');
+}
@@ -0,0 +1,143 @@
+// Pushes to Firestore, run against the Firebase emulators: npm run test:emulator
+// (firebase emulators:exec sets FIRESTORE_EMULATOR_HOST; the tests are skipped without it)
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, resetExtensionData, createTestChatMarkers } = require('../helpers/extension-env');
+
+const firestoreHost = process.env.FIRESTORE_EMULATOR_HOST;
+const authHost = process.env.FIREBASE_AUTH_EMULATOR_HOST || '127.0.0.1:9099';
+const skip = !firestoreHost && 'Firestore emulator is not running (npm run test:emulator)';
+
+// More than two batches' worth of chat markers (Firestore takes 500 writes per batch)
+const CHAT_MARKER_COUNT = 1200;
+
+let firebase = null;
+
+before(async () => {
+  if (skip) return;
+
+  firebase = require('firebase/compat/app').default;
+  require('firebase/compat/auth');
+  require('firebase/compat/firestore');
+
+  firebase.initializeApp({ projectId: 'demo-chatmarker', apiKey: 'demo-api-key' });
+  firebase.auth().useEmulator(`http://${authHost}`);
+  const [host, port] = firestoreHost.split(':');
+  const db = firebase.firestore();
+  db.useEmulator(host, Number(port));
+
+  loadExtensionScripts({ globals: { firebase, db } });
+
+  // Sync runs are started by the tests, not by the debounced auto-sync
+  globalThis.triggerAutoSync = () => {};
+});
+
+after(async () => {
+  if (firebase) {
+    await firebase.app().delete();
+  }
+});
+
+/**
+ * Sign in as a new anonymous user (so each test has an empty account) with local chat markers
+ * Everything local is queued up front, as the first push would, so the test knows what is pending
+ * @returns {Promise<Object>} { provider, commits: chunks the provider was asked to commit }
+ */
+async function prepareAccount() {
+  await resetExtensionData();
+  const { user } = await firebase.auth().signInAnonymously();
+  globalThis.currentUser = { uid: user.uid };
+
+  const provider = await loadSyncProvider();
+  await importData({ version: '1.0', chatMarkers: createTestChatMarkers(CHAT_MARKER_COUNT) });
+  await queueAllLocalChanges(SYNCED_COLLECTIONS);
+  await updateSyncMeta({ seededCollections: [...SYNCED_COLLECTIONS] });
+
+  const commits = [];
+  const commit = provider.commit;
+  provider.commit = async (operations) => {
+    commits.push(operations.map(getOperationKey));
+    return commit(operations);
+  };
+
+  return { provider, commits };
+}
+
+// Make the given commit call (1-based) fail before it reaches Firestore
+function failCommit(provider, failingCall) {
+  const commit = provider.commit;
+  let calls = 0;
+  provider.commit = async (operations) => {
+    calls++;
+    if (calls === failingCall) {
+      throw new Error('Simulated network failure');
+    }
+    return commit(operations);
+  };
+}
+
+function getOperationKey({ collection, id }) {
+  return `${collection}/${id}`;
+}
+
+function getOutboxKeys(outbox) {
+  return Object.entries(outbox)
+    .flatMap(([collection, entries]) => Object.keys(entries).map(id => `${collection}/${id}`))
+    .sort();
+}
+
+async function countCloudChatMarkers() {
+  const snapshot = await db.collection('users').doc(currentUser.uid).collection('chatMarkers').get();
+  return snapshot.size;
+}
+
+test('an upload of more than 500 changes is split into batches', { skip }, async () => {
+  const { commits } = await prepareAccount();
+  const pending = getOutboxKeys(await getSyncOutbox());
+
+  const pushedCount = await pushLocalChanges(null);
+
+  assert.equal(pushedCount, pending.length);
+  assert.equal(commits.length, Math.ceil(pending.length / FIRESTORE_BATCH_LIMIT));
+  assert.ok(commits.every(chunk => chunk.length <= FIRESTORE_BATCH_LIMIT));
+  assert.deepEqual(commits.flat().sort(), pending);
+
+  assert.equal(await countCloudChatMarkers(), CHAT_MARKER_COUNT);
+  assert.equal(countSyncOutbox(await getSyncOutbox()), 0);
+});
+
+test('a batch that fails partway leaves only the uncommitted changes in the outbox', { skip }, async () => {
+  const { provider, commits } = await prepareAccount();
+  const pending = getOutboxKeys(await getSyncOutbox());
+  failCommit(provider, 2);
+
+  await assert.rejects(pushLocalChanges(null), /Simulated network failure/);
+
+  // The first batch reached Firestore; the failed one and everything after it is still queued
+  const [committed] = commits;
+  assert.equal(committed.length, FIRESTORE_BATCH_LIMIT);
+  assert.deepEqual(getOutboxKeys(await getSyncOutbox()), pending.filter(key => !committed.includes(key)));
+  assert.equal(await countCloudChatMarkers(), committed.filter(key => key.startsWith('chatMarkers/')).length);
+});
+
+test('the next push resumes from the changes left in the outbox', { skip }, async () => {
+  const { provider, commits } = await prepareAccount();
+  const commit = provider.commit;
+  failCommit(provider, 2);
+  await assert.rejects(pushLocalChanges(null), /Simulated network failure/);
+
+  provider.commit = commit;
+  const remaining = getOutboxKeys(await getSyncOutbox());
+  const attempted = commits.length;
+
+  const pushedCount = await pushLocalChanges(null);
+
+  // Only what was left is sent again
+  const resumed = commits.slice(attempted).flat().sort();
+  assert.equal(pushedCount, remaining.length);
+  assert.deepEqual(resumed, remaining);
+
+  assert.equal(await countCloudChatMarkers(), CHAT_MARKER_COUNT);
+  assert.equal(countSyncOutbox(await getSyncOutbox()), 0);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, resetExtensionData } = require('./helpers/extension-env');
+
+loadExtensionScripts();
+
+// Sync runs are started by the tests, not by the debounced auto-sync
+globalThis.triggerAutoSync = () => {};
+
+/**
+ * Create a provider keeping the account's documents in memory
+ * Every commit is one server write, stamped with the next syncedAt
+ * @returns {Object} Sync provider (see sync-providers.js), plus the stored documents and commits
+ */
+function createMemoryProvider() {
+  const documents = {};
+  const commits = [];
+  let serverTime = 1000;
+
+  return {
+    accountId: 'test-account',
+    batchLimit: 500,
+    documents,
+    commits,
+
+    async fetchChanges(collection, since) {
+      const docs = {};
+      let newestSyncedAt = since;
+      Object.entries(documents[collection] || {}).forEach(([id, { data, syncedAt }]) => {
+        if (syncedAt > since) {
+          docs[id] = structuredClone(data);
+          newestSyncedAt = Math.max(newestSyncedAt, syncedAt);
+        }
+      });
+      return { docs, newestSyncedAt };
+    },
+
+    subscribe() {
+      return () => {};
+    },
+
+    async commit(operations) {
+      serverTime++;
+      operations.forEach(({ collection, id, data }) => {
+        documents[collection] = documents[collection] || {};
+        documents[collection][id] = { data: structuredClone(data), syncedAt: serverTime };
+      });
+      commits.push(operations);
+    },
+
+    async purgeTombstones() {
+      return 0;
+    },
+
+    async getMeta() {
+      return null;
+    },
+
+    async setMeta() {}
+  };
+}
+
+async function useMemoryProvider() {
+  await resetExtensionData();
+  const provider = createMemoryProvider();
+  globalThis.getSyncProvider = async () => provider;
+  await loadSyncProvider();
+  return provider;
+}
+
+test('a local edit newer than the fetched cloud copy is kept and pushed', async () => {
+  const cloud = await useMemoryProvider();
+  const chatMarker = await saveChatMarker({ platform: 'whatsapp', chatId: 'alice', chatName: 'Local edit' });
+  await cloud.commit([{
+    type: 'set',
+    collection: 'chatMarkers',
+    id: chatMarker.chatMarkerId,
+    data: { ...chatMarker, chatName: 'Cloud copy', updatedAt: chatMarker.updatedAt - 60000 }
+  }]);
+
+  const pulled = await pullCloudChanges(null);
+
+  assert.equal(pulled.appliedCount, 0);
+  assert.equal((await getChatMarker(chatMarker.chatMarkerId)).chatName, 'Local edit');
+  assert.ok(chatMarker.chatMarkerId in (await getSyncOutbox()).chatMarkers);
+
+  await pushLocalChanges(null);
+
+  assert.equal(cloud.documents.chatMarkers[chatMarker.chatMarkerId].data.chatName, 'Local edit');
+  assert.equal(countSyncOutbox(await getSyncOutbox()), 0);
+});
+
+test('a queued local edit older than the fetched cloud copy is replaced and not pushed', async () => {
+  const cloud = await useMemoryProvider();
+  const chatMarker = await saveChatMarker({ platform: 'whatsapp', chatId: 'bob', chatName: 'Local edit' });
+  await cloud.commit([{
+    type: 'set',
+    collection: 'chatMarkers',
+    id: chatMarker.chatMarkerId,
+    data: { ...chatMarker, chatName: 'Cloud copy', updatedAt: chatMarker.updatedAt + 60000 }
+  }]);
+
+  const pulled = await pullCloudChanges(null);
+
+  assert.equal(pulled.appliedCount, 1);
+  assert.equal((await getChatMarker(chatMarker.chatMarkerId)).chatName, 'Cloud copy');
+  assert.ok(!(chatMarker.chatMarkerId in (await getSyncOutbox()).chatMarkers));
+
+  const commitCount = cloud.commits.length;
+  await pushLocalChanges(null);
+
+  const pushed = cloud.commits.slice(commitCount).flat().filter(op => op.id === chatMarker.chatMarkerId);
+  assert.ok(pushed.every(op => op.data.chatName === 'Cloud copy'));
+  assert.equal(cloud.documents.chatMarkers[chatMarker.chatMarkerId].data.chatName, 'Cloud copy');
+});
+
+test('every private field of a reminder is encrypted before upload', async () => {
+  const cloud = await useMemoryProvider();
+  const key = await deriveKeyFromPassphrase('correct horse battery staple', generateSalt());
+  const reminder = await saveReminder({
+    messageId: 'chat_whatsapp_alice',
+    chatName: 'Alice',
+    platform: 'whatsapp',
+    reminderTime: Date.now() + 60 * 60 * 1000,
+    title: 'Call Alice back',
+    body: 'About the flat viewing',
+    note: 'Bring the contract'
+  });
+
+  await pushLocalChanges({ key, keyVersion: 1 });
+
+  const uploaded = cloud.documents.reminders[reminder.reminderId].data;
+  for (const field of ['chatName', 'title', 'body', 'note']) {
+    assert.ok(isEncryptedValue(uploaded[field]), `${field} is uploaded encrypted`);
+    assert.equal(await decryptString(key, uploaded[field]), reminder[field]);
+  }
+  assert.equal(uploaded.reminderTime, reminder.reminderTime);
+});
@@ -0,0 +1,206 @@
+/**
+ * ChatMarker Test Environment
+ * Loads extension scripts into the test process the way importScripts() does in the service
+ * worker (they share globals), backed by in-memory chrome.storage, Web Locks and IndexedDB
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { IDBFactory, IDBKeyRange, IDBRequest } = require('fake-indexeddb');
+
+// Repository root, where the extension scripts live
+const EXTENSION_ROOT = path.resolve(__dirname, '..', '..');
+
+// Scripts the service worker imports for storage and sync, in background.js order
+const SYNC_SCRIPTS = [
+  'utils/indexed-store.js',
+  'utils/storage.js',
+  'utils/crypto.js',
+  'sync-providers.js',
+  'firestore-sync.js'
+];
+
+/**
+ * Create an in-memory chrome.storage area
+ * Values are copied in and out, like the real API serializes them
+ * @param {string} areaName - 'local' or 'session'
+ * @param {Array<Function>} listeners - chrome.storage.onChanged listeners
+ * @returns {Object} Storage area
+ */
+function createStorageArea(areaName, listeners) {
+  const items = new Map();
+
+  const notify = (changes) => {
+    if (Object.keys(changes).length > 0) {
+      listeners.forEach(listener => listener(changes, areaName));
+    }
+  };
+
+  return {
+    QUOTA_BYTES: 10 * 1024 * 1024,
+
+    async get(keys) {
+      if (keys === null || keys === undefined) {
+        return Object.fromEntries([...items].map(([key, value]) => [key, structuredClone(value)]));
+      }
+
+      // A string, an array of keys, or an object of keys with defaults
+      const defaults = typeof keys === 'string'
+        ? { [keys]: undefined }
+        : Array.isArray(keys) ? Object.fromEntries(keys.map(key => [key, undefined])) : keys;
+
+      const result = {};
+      Object.entries(defaults).forEach(([key, fallback]) => {
+        if (items.has(key)) {
+          result[key] = structuredClone(items.get(key));
+        } else if (fallback !== undefined) {
+          result[key] = fallback;
+        }
+      });
+      return result;
+    },
+
+    async set(values) {
+      const changes = {};
+      Object.entries(values).forEach(([key, value]) => {
+        changes[key] = { oldValue: items.get(key), newValue: structuredClone(value) };
+        items.set(key, structuredClone(value));
+      });
+      notify(changes);
+    },
+
+    async remove(keys) {
+      const changes = {};
+      [].concat(keys).filter(key => items.has(key)).forEach(key => {
+        changes[key] = { oldValue: items.get(key) };
+        items.delete(key);
+      });
+      notify(changes);
+    },
+
+    async clear() {
+      await this.remove([...items.keys()]);
+    },
+
+    async getBytesInUse() {
+      return JSON.stringify(Object.fromEntries(items)).length;
+    }
+  };
+}
+
+/**
+ * Create a Web Locks manager (exclusive locks, granted in request order)
+ * @returns {Object} navigator.locks replacement
+ */
+function createLockManager() {
+  const queues = new Map();
+
+  return {
+    request(name, ...args) {
+      const callback = args[args.length - 1];
+      const result = (queues.get(name) || Promise.resolve()).then(() => callback({ name, mode: 'exclusive' }));
+      queues.set(name, result.catch(() => {}));
+      return result;
+    }
+  };
+}
+
+/**
+ * Install the browser APIs and load extension scripts into this process
+ * Call once per test file (node --test runs each file in its own process)
+ * @param {Object} options - { scripts: files relative to the repository root, globals: extra globals
+ *   such as db and currentUser }
+ */
+function loadExtensionScripts({ scripts = SYNC_SCRIPTS, globals = {} } = {}) {
+  const listeners = [];
+
+  globalThis.chrome = {
+    storage: {
+      local: createStorageArea('local', listeners),
+      session: createStorageArea('session', listeners),
+      onChanged: {
+        addListener: listener => listeners.push(listener),
+        removeListener: listener => listeners.splice(listeners.indexOf(listener), 1)
+      }
+    },
+    runtime: {
+      lastError: undefined,
+      sendMessage: async () => undefined
+    }
+  };
+  Object.defineProperty(globalThis, 'navigator', {
+    value: { locks: createLockManager(), onLine: true },
+    configurable: true,
+    writable: true
+  });
+  globalThis.indexedDB = new IDBFactory();
+  globalThis.IDBKeyRange = IDBKeyRange;
+  globalThis.IDBRequest = IDBRequest;
+  globalThis.self = globalThis;
+  globalThis.addEventListener = () => {};
+
+  // Signed out, with Firebase unavailable, unless the test provides them
+  Object.assign(globalThis, { db: null, currentUser: null }, globals);
+
+  // The scripts log every step; set CHATMARKER_TEST_LOGS=1 to see them
+  if (!process.env.CHATMARKER_TEST_LOGS) {
+    ['log', 'info', 'debug', 'warn', 'error'].forEach(method => {
+      console[method] = () => {};
+    });
+  }
+
+  scripts.forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(EXTENSION_ROOT, file), 'utf8'), { filename: file });
+  });
+}
+
+/**
+ * Start a test from empty storage: new IndexedDB databases and cleared chrome.storage
+ * @returns {Promise<void>}
+ */
+async function resetExtensionData() {
+  // Connections opened by utils/indexed-store.js point at the previous databases
+  const openDatabases = vm.runInThisContext('indexedDatabases');
+  for (const opening of openDatabases.values()) {
+    (await opening).close();
+  }
+  openDatabases.clear();
+  globalThis.indexedDB = new IDBFactory();
+
+  await chrome.storage.local.clear();
+  await chrome.storage.session.clear();
+}
+
+/**
+ * Build chat markers for tests
+ * @param {number} count - How many to build
+ * @param {Object} fields - Fields shared by every chat marker
+ * @returns {Object} Chat markers by ID, in the shape exportData() produces
+ */
+function createTestChatMarkers(count, fields = {}) {
+  const chatMarkers = {};
+  for (let i = 0; i < count; i++) {
+    const chatMarkerId = `chat_whatsapp_test-${i}`;
+    chatMarkers[chatMarkerId] = {
+      chatMarkerId,
+      platform: 'whatsapp',
+      chatId: `test-${i}`,
+      chatName: `Test chat ${i}`,
+      labels: [],
+      notes: [],
+      createdAt: 1,
+      updatedAt: 1,
+      ...fields
+    };
+  }
+  return chatMarkers;
+}
+
+module.exports = {
+  EXTENSION_ROOT,
+  SYNC_SCRIPTS,
+  loadExtensionScripts,
+  resetExtensionData,
+  createTestChatMarkers
+};
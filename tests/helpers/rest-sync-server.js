@@ -0,0 +1,147 @@
+/**
+ * Self-Hosted Sync Server Mock
+ * An in-memory server implementing the API in docs/SELF_HOSTED_SYNC.md, for testing the REST provider
+ */
+
+const http = require('node:http');
+
+// Largest commit the server accepts
+const COMMIT_LIMIT = 500;
+
+/**
+ * Read a request's JSON body
+ * @param {http.IncomingMessage} request - Request to read
+ * @returns {Promise<*>} Parsed body, or undefined when it is empty
+ */
+async function readJsonBody(request) {
+  let text = '';
+  for await (const chunk of request) {
+    text += chunk;
+  }
+  return text ? JSON.parse(text) : undefined;
+}
+
+/**
+ * Send a JSON response (no body for 204)
+ * @param {http.ServerResponse} response - Response to send
+ * @param {number} status - HTTP status
+ * @param {*} body - Body to serialize
+ */
+function sendJson(response, status, body) {
+  if (status === 204 || body === undefined) {
+    response.writeHead(status).end();
+    return;
+  }
+  response.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+}
+
+/**
+ * Start a mock sync server on a free local port
+ * @param {Object} options - { token: accepted bearer token, accountId: account the token belongs to }
+ * @returns {Promise<Object>} { url, collections, meta, requests, close }: collections maps each
+ *   collection to a Map of id → { data, syncedAt }; requests logs { method, path, since, body }
+ */
+async function startRestSyncServer({ token = 'test-token', accountId = 'alice' } = {}) {
+  const collections = new Map();
+  const meta = new Map();
+  const requests = [];
+  let lastSyncedAt = 0;
+
+  const getCollection = (name) => {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  };
+
+  // syncedAt only goes up, even for writes within the same millisecond
+  const nextSyncedAt = () => {
+    lastSyncedAt = Math.max(Date.now(), lastSyncedAt + 1);
+    return lastSyncedAt;
+  };
+
+  const routes = [
+    ['GET', /^\/account$/, () => [200, { accountId }]],
+
+    ['GET', /^\/collections\/([^/]+)$/, ([collection], { since }) => {
+      const documents = [...getCollection(collection)]
+        .filter(([, doc]) => doc.syncedAt > since)
+        .map(([id, doc]) => ({ id, syncedAt: doc.syncedAt, data: doc.data }));
+      return [200, { documents }];
+    }],
+
+    ['POST', /^\/commit$/, (params, { body }) => {
+      const operations = (body && body.operations) || [];
+      if (operations.length > COMMIT_LIMIT || operations.some(op => op.type !== 'set')) {
+        return [400, { error: 'Invalid commit' }];
+      }
+
+      // One syncedAt for the whole commit, applied all at once
+      const syncedAt = nextSyncedAt();
+      operations.forEach(({ collection, id, data }) => {
+        getCollection(collection).set(id, { data, syncedAt });
+      });
+      return [204];
+    }],
+
+    ['POST', /^\/collections\/([^/]+)\/purge-tombstones$/, ([collection], { body }) => {
+      const docs = getCollection(collection);
+      let deleted = 0;
+      docs.forEach(({ data }, id) => {
+        if (data.deleted && data.deletedAt < body.before) {
+          docs.delete(id);
+          deleted++;
+        }
+      });
+      return [200, { deleted }];
+    }],
+
+    ['GET', /^\/meta\/([^/]+)$/, ([name]) => (meta.has(name) ? [200, meta.get(name)] : [404, { error: 'Not found' }])],
+
+    ['PUT', /^\/meta\/([^/]+)$/, ([name], { body }) => {
+      meta.set(name, body);
+      return [204];
+    }]
+  ];
+
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const body = await readJsonBody(request);
+    const since = Number(url.searchParams.get('since') || 0);
+    requests.push({ method: request.method, path: url.pathname, since, body });
+
+    if (request.headers.authorization !== `Bearer ${token}`) {
+      sendJson(response, 401, { error: 'Unauthorized' });
+      return;
+    }
+
+    for (const [method, pattern, handle] of routes) {
+      const match = url.pathname.match(pattern);
+      if (method === request.method && match) {
+        const params = match.slice(1).map(decodeURIComponent);
+        const [status, result] = handle(params, { since, body });
+        sendJson(response, status, result);
+        return;
+      }
+    }
+    sendJson(response, 404, { error: 'Not found' });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    collections,
+    meta,
+    requests,
+    // Also ends idle keep-alive connections, which would hold the server open
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    })
+  };
+}
+
+module.exports = {
+  startRestSyncServer
+};
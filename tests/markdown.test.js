@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts } = require('./helpers/extension-env');
+
+loadExtensionScripts({ scripts: ['utils/markdown.js'] });
+
+// Checkbox numbers in rendered HTML, in document order
+function getTaskIndexes(html) {
+  return [...html.matchAll(/data-task-index="(\d+)"/g)].map(match => Number(match[1]));
+}
+
+// Lines a toggle changed
+function getChangedLines(before, after) {
+  const lines = after.split('\n');
+  return before.split('\n')
+    .map((line, i) => (line === lines[i] ? null : i))
+    .filter(i => i !== null);
+}
+
+test('links to anything but web pages and mail addresses are left as text', () => {
+  for (const url of ['javascript:alert(1)', 'JavaScript:alert(1)', ' javascript:alert(1)', 'data:text/html,x', 'vbscript:x', '//evil.example']) {
+    assert.equal(isSafeMarkdownUrl(url), false, url);
+
+    const html = buildMarkdownHtml(`[open](${url})`);
+    assert.doesNotMatch(html, /<a|href/, url);
+    assert.match(html, /\[open\]\(/, url);
+  }
+
+  assert.equal(
+    buildMarkdownHtml('[docs](https://example.com/?a=1&b="2") [mail](mailto:a@example.com)'),
+    '<p><a href="https://example.com/?a=1&amp;b=&quot;2&quot;" target="_blank" rel="noopener noreferrer">docs</a> '
+      + '<a href="mailto:a@example.com" target="_blank" rel="noopener noreferrer">mail</a></p>'
+  );
+});
+
+test('raw HTML is escaped wherever it appears', () => {
+  const payload = '<img src=x onerror="alert(1)">';
+  const texts = [
+    payload,
+    `**${payload}**`,
+    `\`${payload}\``,
+    `- [ ] ${payload}`,
+    `[${payload}](https://example.com)`,
+    `\`\`\`\n${payload}\n\`\`\``,
+    `\`\`\`\n${payload}`
+  ];
+
+  for (const text of texts) {
+    const html = buildMarkdownHtml(text);
+    assert.doesNotMatch(html, /<img|<script/i, text);
+    assert.match(html, /&lt;img src=x onerror=&quot;alert\(1\)&quot;&gt;/, text);
+  }
+
+  assert.equal(buildMarkdownHtml('<script>alert(\'x\')</script>'), '<p>&lt;script&gt;alert(&#39;x&#39;)&lt;/script&gt;</p>');
+});
+
+test('each rendered checkbox toggles its own line, skipping checkboxes in code blocks', () => {
+  const text = [
+    '- [ ] before',
+    '```',
+    '- [ ] inside code',
+    '```',
+    '1. [x] numbered',
+    'Paragraph',
+    '',
+    '* [ ] after',
+    '  ```js',
+    '- [x] inside indented code',
+    '  ```',
+    '- [ ] last',
+    '- [ ]no space, not a task'
+  ].join('\n');
+  const taskLines = [0, 4, 7, 11];
+
+  const indexes = getTaskIndexes(buildMarkdownHtml(text));
+  assert.deepEqual(indexes, [0, 1, 2, 3]);
+
+  indexes.forEach((index, i) => {
+    const toggled = toggleMarkdownTask(text, index);
+    assert.deepEqual(getChangedLines(text, toggled), [taskLines[i]]);
+    assert.equal(toggleMarkdownTask(toggled, index), text);
+  });
+
+  assert.equal(toggleMarkdownTask(text, 0).split('\n')[0], '- [x] before');
+  assert.equal(toggleMarkdownTask(text, 1).split('\n')[4], '1. [ ] numbered');
+
+  // No such checkbox
+  assert.equal(toggleMarkdownTask(text, indexes.length), text);
+});
+
+test('an unclosed code block hides the checkboxes after it from both sides', () => {
+  const text = '- [ ] open\n```\n- [ ] code\n- [x] still code';
+
+  assert.deepEqual(getTaskIndexes(buildMarkdownHtml(text)), [0]);
+  assert.equal(toggleMarkdownTask(text, 0), text.replace('- [ ] open', '- [x] open'));
+  assert.equal(toggleMarkdownTask(text, 1), text);
+});
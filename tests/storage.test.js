@@ -0,0 +1,390 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, resetExtensionData, createTestChatMarkers } = require('./helpers/extension-env');
+
+loadExtensionScripts();
+
+// Sync runs are started by the tests, not by the debounced auto-sync
+globalThis.triggerAutoSync = () => {};
+
+test('importing a backup deletes the chat markers it does not contain', async () => {
+  await resetExtensionData();
+  const [kept, dropped] = Object.values(createTestChatMarkers(2));
+  await saveChatMarker(kept);
+  await saveChatMarker(dropped);
+  const added = { ...kept, chatMarkerId: 'chat_whatsapp_added', chatId: 'added' };
+
+  await importData({
+    version: '1.0',
+    chatMarkers: { [kept.chatMarkerId]: kept, [added.chatMarkerId]: added }
+  });
+
+  assert.deepEqual(Object.keys(await getAllChatMarkers()).sort(), [added.chatMarkerId, kept.chatMarkerId].sort());
+
+  // The dropped marker is deleted on other devices too, instead of coming back on the next pull
+  const tombstones = await getTombstones();
+  const outbox = await getSyncOutbox();
+  assert.ok(dropped.chatMarkerId in tombstones.chatMarkers);
+  assert.ok(!(kept.chatMarkerId in tombstones.chatMarkers));
+  assert.deepEqual(
+    Object.keys(outbox.chatMarkers).sort(),
+    [added.chatMarkerId, dropped.chatMarkerId, kept.chatMarkerId].sort()
+  );
+});
+
+test('importing a backup without reminders keeps the current reminders', async () => {
+  await resetExtensionData();
+  const [chatMarker] = Object.values(createTestChatMarkers(1));
+  const reminder = await saveReminder({
+    messageId: chatMarker.chatMarkerId,
+    chatName: chatMarker.chatName,
+    platform: chatMarker.platform,
+    reminderTime: Date.now() + 60 * 60 * 1000
+  });
+
+  await importData({ version: '1.0', chatMarkers: { [chatMarker.chatMarkerId]: chatMarker } });
+
+  assert.ok(reminder.reminderId in await getAllReminders());
+  assert.deepEqual((await getTombstones()).reminders, {});
+});
+
+test('a failed IndexedDB write leaves nothing queued for upload', async (t) => {
+  await resetExtensionData();
+  const [saved, unsaved] = Object.values(createTestChatMarkers(2));
+  await saveChatMarker(saved);
+  const outbox = await getSyncOutbox();
+
+  t.mock.method(globalThis, 'commitIndexedChanges', async () => {
+    throw new Error('Simulated IndexedDB failure');
+  });
+
+  await assert.rejects(saveChatMarker(unsaved), /Simulated IndexedDB failure/);
+  await assert.rejects(deleteChatMarker(saved.chatMarkerId), /Simulated IndexedDB failure/);
+
+  t.mock.restoreAll();
+  assert.equal(await getChatMarker(unsaved.chatMarkerId), null);
+  assert.ok(await getChatMarker(saved.chatMarkerId));
+  assert.deepEqual(await getSyncOutbox(), outbox);
+  assert.deepEqual((await getTombstones()).chatMarkers, {});
+});
+
+test('a failed schema migration keeps the data and is recorded until a run succeeds', async (t) => {
+  await resetExtensionData();
+  await initSchemaVersion();
+  const [chatMarker] = Object.values(createTestChatMarkers(1));
+  await saveChatMarker(chatMarker);
+
+  // The step writes IndexedDB before it fails
+  const step = {
+    version: CURRENT_SCHEMA_VERSION + 1,
+    description: 'Test step',
+    async migrate() {
+      const dbName = getAccountDatabaseName(null);
+      await writeIndexedRecords(dbName, STORAGE_KEYS.CHAT_MARKERS, [{ ...chatMarker, chatName: 'Migrated' }]);
+      throw new Error('Test step failed');
+    }
+  };
+  SCHEMA_MIGRATIONS.push(step);
+  t.after(() => SCHEMA_MIGRATIONS.pop());
+
+  await assert.rejects(runSchemaMigrations(), /Test step failed/);
+
+  assert.equal(await getSchemaVersion(), CURRENT_SCHEMA_VERSION);
+  assert.equal((await getChatMarker(chatMarker.chatMarkerId)).chatName, chatMarker.chatName);
+  assert.deepEqual(await chrome.storage.local.get(SCHEMA_BACKUP_KEY), {});
+  const migrationError = await getSchemaMigrationError();
+  assert.equal(migrationError.fromVersion, CURRENT_SCHEMA_VERSION);
+  assert.equal(migrationError.version, step.version);
+  assert.equal(migrationError.message, 'Test step failed');
+
+  step.migrate = async () => {};
+  assert.equal(await runSchemaMigrations(), 1);
+
+  assert.equal(await getSchemaVersion(), step.version);
+  assert.equal(await getSchemaMigrationError(), null);
+  assert.deepEqual(await chrome.storage.local.get(SCHEMA_BACKUP_KEY), {});
+});
+
+test('moving data to an account takes the history and trash along', async () => {
+  await resetExtensionData();
+  const [kept, deleted] = Object.values(createTestChatMarkers(2));
+  await saveChatMarker(kept);
+  await updateChatMarker(kept.chatMarkerId, { chatName: 'Renamed' });
+  await saveChatMarker(deleted);
+  await deleteChatMarker(deleted.chatMarkerId);
+  const history = await getChatMarkerHistory(kept.chatMarkerId);
+
+  await moveAccountData(null, 'account');
+
+  // Nothing is left behind in signed-out storage
+  assert.deepEqual(await getAllChatMarkers(), {});
+  assert.deepEqual(await getChatMarkerHistory(kept.chatMarkerId), []);
+  assert.deepEqual(await getTrashedChatMarkers(), []);
+
+  await chrome.storage.local.set({ [CURRENT_USER_KEY]: { uid: 'account' } });
+  assert.deepEqual(await getChatMarkerHistory(kept.chatMarkerId), history);
+  assert.deepEqual((await getTrashedChatMarkers()).map(entry => entry.chatMarkerId), [deleted.chatMarkerId]);
+  assert.ok((await getChatMarkerHistory(deleted.chatMarkerId)).some(event => event.type === 'unmarked'));
+});
+
+test('deleting a label that is already gone clears it from chats and its nested labels', async () => {
+  await resetExtensionData();
+  await saveLabels([{ id: 'child', name: 'Child', parentId: 'gone' }]);
+  const [chatMarker] = Object.values(createTestChatMarkers(1, { labels: ['gone', 'child'] }));
+  await saveChatMarker(chatMarker);
+
+  assert.equal(await deleteLabel('gone'), 1);
+
+  const [child] = await getLabels();
+  assert.equal(child.id, 'child');
+  assert.ok(!('parentId' in child));
+  assert.deepEqual((await getChatMarker(chatMarker.chatMarkerId)).labels, ['child']);
+});
+
+// Query tree nodes, as parseQuery() builds them
+const text = value => ({ type: 'text', value });
+const and = (...children) => ({ type: 'and', children });
+const or = (...children) => ({ type: 'or', children });
+const not = child => ({ type: 'not', child });
+
+// Check the error a query fails to parse with, and the text it points at
+function assertQuerySyntaxError(query, { message, offending, start, end, suggestion = null }) {
+  assert.throws(() => parseQuery(query), error => {
+    assert.equal(error.code, 'query-syntax');
+    assert.equal(error.message, message);
+    assert.deepEqual([error.start, error.end], [start, end]);
+    assert.equal(query.slice(error.start, error.end), offending);
+    assert.equal(error.suggestion, suggestion);
+    return true;
+  });
+}
+
+test('queries bind AND (implied or written) tighter than OR, and parentheses group', () => {
+  assert.equal(parseQuery('  '), null);
+  assert.deepEqual(parseQuery('a b OR c'), or(and(text('a'), text('b')), text('c')));
+  assert.deepEqual(parseQuery('a OR b c'), or(text('a'), and(text('b'), text('c'))));
+  assert.deepEqual(parseQuery('a AND b OR c'), parseQuery('a b OR c'));
+  assert.deepEqual(parseQuery('a (b OR c)'), and(text('a'), or(text('b'), text('c'))));
+  assert.deepEqual(
+    parseQuery('label:urgent OR (platform:reddit has:reminder)'),
+    or(
+      { type: 'field', field: 'label', value: 'urgent' },
+      and({ type: 'field', field: 'platform', value: 'reddit' }, { type: 'field', field: 'has', value: 'reminder' })
+    )
+  );
+});
+
+test('quoted query values keep their spaces and are never keywords or fields', () => {
+  assert.deepEqual(parseQuery('note:"Paid Invoice"'), { type: 'field', field: 'note', value: 'paid invoice' });
+  assert.deepEqual(parseQuery('"foo bar"baz'), text('foo barbaz'));
+  assert.deepEqual(parseQuery('"OR" a'), and(text('or'), text('a')));
+  assert.deepEqual(parseQuery('"label:x"'), text('label:x'));
+});
+
+test('query terms are negated with - or NOT, including groups', () => {
+  assert.deepEqual(parseQuery('-label:done'), not({ type: 'field', field: 'label', value: 'done' }));
+  assert.deepEqual(parseQuery('NOT a b'), and(not(text('a')), text('b')));
+  assert.deepEqual(parseQuery('-(a OR b)'), not(or(text('a'), text('b'))));
+  // A lone dash is text, not a negation
+  assert.deepEqual(parseQuery('a - b'), and(text('a'), text('-'), text('b')));
+
+  const context = createQueryContext();
+  const chatMarker = { chatMarkerId: 'chat_1', chatName: 'Alice', platform: 'whatsapp', labels: ['done'] };
+  assert.equal(evaluateQuery(parseQuery('-label:done'), chatMarker, context), false);
+  assert.equal(evaluateQuery(parseQuery('-(bob OR label:urgent)'), chatMarker, context), true);
+});
+
+test('query syntax errors point at the offending text and suggest a fix', () => {
+  assertQuerySyntaxError('name:"Alice', {
+    message: 'Missing closing quote', offending: '"Alice', start: 5, end: 11, suggestion: '"Alice"'
+  });
+  assertQuerySyntaxError('(a OR b', {
+    message: 'Missing closing parenthesis', offending: '(a OR b', start: 0, end: 7, suggestion: '(a OR b)'
+  });
+  assertQuerySyntaxError('a ) b', { message: 'Unexpected ")"', offending: ')', start: 2, end: 3, suggestion: '' });
+  assertQuerySyntaxError('a OR', { message: 'Expected a search term after "OR"', offending: 'OR', start: 2, end: 4 });
+  assertQuerySyntaxError('OR a', { message: 'Expected a search term before "OR"', offending: 'OR', start: 0, end: 2 });
+  assertQuerySyntaxError('a lable:x', {
+    message: 'Unknown field "lable:"', offending: 'lable:', start: 2, end: 8, suggestion: 'label:'
+  });
+  assertQuerySyntaxError('platform:whatsap', {
+    message: '"platform:" must be one of whatsapp, facebook, instagram, linkedin, reddit',
+    offending: 'platform:whatsap',
+    start: 0,
+    end: 16,
+    suggestion: 'platform:whatsapp'
+  });
+  assertQuerySyntaxError('due:3d', {
+    message: '"due:" takes today, overdue, <1d, <3d (h, d or w)', offending: 'due:3d', start: 0, end: 6, suggestion: 'due:<3d'
+  });
+  assertQuerySyntaxError('a has:', { message: '"has:" needs a value', offending: 'has:', start: 2, end: 6 });
+});
+
+// Search index record of a chat marker in signed-out storage
+function getSearchIndexRecord(chatMarkerId) {
+  return getIndexedRecord(getAccountDatabaseName(null), SEARCH_INDEX_STORE, chatMarkerId);
+}
+
+async function searchChatMarkerIds(query) {
+  return (await searchChatMarkers(query)).map(chatMarker => chatMarker.chatMarkerId);
+}
+
+test('chat markers are indexed with weighted words from every field, and re-indexed on change', async () => {
+  await resetExtensionData();
+  await saveLabels([{ id: 'clients', name: 'Clients' }, { id: 'acme', name: 'Acme Corp', parentId: 'clients' }]);
+  const [chatMarker] = Object.values(createTestChatMarkers(1, {
+    chatName: 'Café Bistro',
+    labels: ['acme'],
+    tags: ['followup'],
+    notes: 'Send the invoice'
+  }));
+  await saveChatMarker(chatMarker);
+  const reminder = await saveReminder({
+    messageId: chatMarker.chatMarkerId,
+    chatName: chatMarker.chatName,
+    platform: chatMarker.platform,
+    reminderTime: Date.now() + 60 * 60 * 1000,
+    note: 'Invoice overdue'
+  });
+
+  // Accents are dropped, nested labels carry their parents' names, repeated words add up
+  assert.deepEqual((await getSearchIndexRecord(chatMarker.chatMarkerId)).weights, {
+    cafe: 4, bistro: 4, clients: 3, acme: 3, corp: 3, followup: 3, send: 1, the: 1, invoice: 2, overdue: 1
+  });
+
+  // Renaming a label re-indexes the chats that have it
+  await saveLabels((await getLabels()).map(label => (label.id === 'acme' ? { ...label, name: 'Acme' } : label)));
+  await deleteReminder(reminder.reminderId);
+  const { weights } = await getSearchIndexRecord(chatMarker.chatMarkerId);
+  assert.ok(!('corp' in weights));
+  assert.ok(!('overdue' in weights));
+  assert.equal(weights.invoice, 1);
+
+  await deleteChatMarker(chatMarker.chatMarkerId);
+  assert.equal(await getSearchIndexRecord(chatMarker.chatMarkerId), null);
+});
+
+test('search matches accents, prefixes and typos, and needs every word', async () => {
+  await resetExtensionData();
+  const [bistro, bakery] = Object.values(createTestChatMarkers(2));
+  await saveChatMarker({ ...bistro, chatName: 'Café Bistro', notes: 'Send the invoice' });
+  await saveChatMarker({ ...bakery, chatName: 'Bakery', notes: 'Order bread' });
+
+  assert.deepEqual(await searchChatMarkerIds('cafe'), [bistro.chatMarkerId]);
+  assert.deepEqual(await searchChatMarkerIds('inv'), [bistro.chatMarkerId]);
+  assert.deepEqual(await searchChatMarkerIds('invoce'), [bistro.chatMarkerId]);
+  assert.deepEqual(await searchChatMarkerIds('ivnoice'), [bistro.chatMarkerId]);
+  assert.deepEqual(await searchChatMarkerIds('invoice bread'), []);
+  // Words shorter than four letters must be typed exactly (or as a prefix)
+  assert.deepEqual(await searchChatMarkerIds('bred'), [bakery.chatMarkerId]);
+  assert.deepEqual(await searchChatMarkerIds('brd'), []);
+
+  assert.equal(getSearchWordMatchQuality('invoice', 'invoice'), 1);
+  assert.equal(getSearchWordMatchQuality('inv', 'invoice'), 0.75);
+  assert.equal(getSearchWordMatchQuality('invoce', 'invoice'), 0.5);
+  assert.equal(getSearchWordMatchQuality('invpic', 'invoices'), 0.35);
+  assert.equal(getSearchWordMatchQuality('brd', 'bread'), 0);
+});
+
+test('search ranks by field and word rarity, then by most recent', async () => {
+  await resetExtensionData();
+  const [named, noted, recent, rare] = Object.values(createTestChatMarkers(4));
+  await saveChatMarker({ ...named, chatName: 'Invoices' });
+  await saveChatMarker({ ...noted, notes: 'Invoices' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await saveChatMarker({ ...recent, notes: 'Invoices' });
+  await saveChatMarker({ ...rare, notes: 'Quarterly' });
+
+  // A name outweighs a note, and equal scores go most recent first
+  assert.deepEqual(
+    await searchChatMarkerIds('invoices'),
+    [named.chatMarkerId, recent.chatMarkerId, noted.chatMarkerId]
+  );
+
+  // In the same field, a word only one chat has outweighs a word many chats have
+  assert.deepEqual(
+    await searchChatMarkerIds('quarterly OR invoices'),
+    [named.chatMarkerId, rare.chatMarkerId, recent.chatMarkerId, noted.chatMarkerId]
+  );
+});
+
+// Chat marker as stored in signed-out storage, before the vault opens anything
+function getStoredChatMarker(chatMarkerId) {
+  return getIndexedRecord(getAccountDatabaseName(null), STORAGE_KEYS.CHAT_MARKERS, chatMarkerId);
+}
+
+test('the vault seals notes on write, and opens them only with the right passphrase', async () => {
+  await resetExtensionData();
+  const [chatMarker] = Object.values(createTestChatMarkers(1, { notes: 'Existing note' }));
+  await saveChatMarker(chatMarker);
+
+  // Turning the vault on seals what is already stored
+  await enableVault('correct horse battery');
+  const [existing] = getChatNotes(await getStoredChatMarker(chatMarker.chatMarkerId));
+  assert.ok(isSealedValue(existing.text));
+
+  // Every later write is sealed before it is committed
+  await saveChatNote(chatMarker.chatMarkerId, { text: 'Added note' });
+  const reminder = await saveReminder({
+    messageId: chatMarker.chatMarkerId,
+    chatName: chatMarker.chatName,
+    platform: chatMarker.platform,
+    reminderTime: Date.now() + 60 * 60 * 1000,
+    title: 'Call back',
+    note: 'About the added note'
+  });
+  const stored = await getStoredChatMarker(chatMarker.chatMarkerId);
+  assert.ok(getChatNotes(stored).every(entry => isSealedValue(entry.text)));
+  assert.equal(stored.chatName, chatMarker.chatName);
+  const storedReminder = await getIndexedRecord(getAccountDatabaseName(null), STORAGE_KEYS.REMINDERS, reminder.reminderId);
+  assert.ok(isSealedValue(storedReminder.note));
+  assert.equal(storedReminder.title, 'Call back');
+
+  // Sealed text never reaches the search index
+  const { weights } = await getSearchIndexRecord(chatMarker.chatMarkerId);
+  assert.ok(!('existing' in weights) && !('added' in weights));
+
+  await lockVault();
+  assert.equal(await getVaultStatus(), 'locked');
+  await assert.rejects(openChatMarker(stored), error => error.code === 'vault-locked');
+  assert.ok(isSealedValue((await exportChatMarker(chatMarker.chatMarkerId)).chatMarker.noteEntries[0].text));
+
+  assert.equal(await unlockVault('wrong passphrase'), false);
+  assert.equal(await getVaultStatus(), 'locked');
+
+  assert.equal(await unlockVault('correct horse battery'), true);
+  assert.equal(await getVaultStatus(), 'unlocked');
+  const opened = await openChatMarker(stored);
+  assert.deepEqual(getChatNotes(opened).map(entry => entry.text).sort(), ['Added note', 'Existing note']);
+
+  // A single chat's export is a report, so it is opened while the vault is unlocked
+  const exported = await exportChatMarker(chatMarker.chatMarkerId);
+  assert.deepEqual(exported.chatMarker, opened);
+  assert.equal(exported.reminders[0].note, 'About the added note');
+});
+
+test('the vault passphrase is changed by turning the vault off and on again', async () => {
+  await resetExtensionData();
+  const [chatMarker] = Object.values(createTestChatMarkers(1, { notes: 'Private note' }));
+  await saveChatMarker(chatMarker);
+  await enableVault('old passphrase');
+
+  assert.equal(await disableVault('wrong passphrase'), false);
+  assert.ok(isSealedValue(getChatNotes(await getStoredChatMarker(chatMarker.chatMarkerId))[0].text));
+
+  assert.equal(await disableVault('old passphrase'), true);
+  assert.equal(await getVaultStatus(), 'off');
+  assert.equal(getChatNotes(await getStoredChatMarker(chatMarker.chatMarkerId))[0].text, 'Private note');
+
+  await enableVault('new passphrase', { encryptChatNames: true });
+  await lockVault();
+  const stored = await getStoredChatMarker(chatMarker.chatMarkerId);
+  assert.ok(isSealedValue(stored.chatName));
+  assert.ok(isSealedValue(getChatNotes(stored)[0].text));
+
+  assert.equal(await unlockVault('old passphrase'), false);
+  assert.equal(await unlockVault('new passphrase'), true);
+  const opened = await openChatMarker(stored);
+  assert.equal(opened.chatName, chatMarker.chatName);
+  assert.equal(getChatNotes(opened)[0].text, 'Private note');
+});
@@ -0,0 +1,200 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts } = require('./helpers/extension-env');
+const { startRestSyncServer } = require('./helpers/rest-sync-server');
+
+loadExtensionScripts({ scripts: ['sync-providers.js'] });
+
+const TOKEN = 'test-token';
+
+let server = null;
+
+beforeEach(async () => {
+  await chrome.storage.local.clear();
+  server = await startRestSyncServer({ token: TOKEN, accountId: 'alice' });
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+function createProvider(token = TOKEN) {
+  return createRestProvider({ url: server.url, token, accountId: 'alice' });
+}
+
+function setOperation(collection, id, data) {
+  return { type: 'set', collection, id, data };
+}
+
+// Requests the server received for a collection's changes
+function getPolls(collection) {
+  return server.requests.filter(request => request.method === 'GET' && request.path === `/collections/${collection}`);
+}
+
+// Wait for something a request in flight will do
+async function waitFor(condition) {
+  for (let attempt = 0; attempt < 200 && !condition(); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  assert.ok(condition(), 'Timed out waiting for the sync server');
+}
+
+test('connecting stores the server, scoping the account to its host', async () => {
+  const config = await connectRestSyncProvider(`${server.url}/`, TOKEN);
+
+  assert.equal(config.accountId, `${new URL(server.url).host}/alice`);
+  assert.deepEqual((await chrome.storage.local.get(SYNC_PROVIDER_KEY))[SYNC_PROVIDER_KEY], config);
+  assert.equal((await getSyncProvider()).accountId, config.accountId);
+});
+
+test('connecting fails when the server rejects the token', async () => {
+  await assert.rejects(connectRestSyncProvider(server.url, 'wrong-token'), /returned 401 for GET \/account/);
+  assert.deepEqual(await chrome.storage.local.get(SYNC_PROVIDER_KEY), {});
+});
+
+test('commit stores every operation with a server sync time', async () => {
+  const provider = createProvider();
+
+  await provider.commit([
+    setOperation('chatMarkers', 'chat_1', { chatName: 'One', updatedAt: 1 }),
+    setOperation('reminders', 'reminder_1', { deleted: true, deletedAt: 2, updatedAt: 2 })
+  ]);
+
+  const [commit] = server.requests;
+  assert.equal(commit.method, 'POST');
+  assert.equal(commit.path, '/commit');
+  assert.equal(commit.body.operations.length, 2);
+  assert.deepEqual(server.collections.get('chatMarkers').get('chat_1').data, { chatName: 'One', updatedAt: 1 });
+  assert.ok(server.collections.get('reminders').get('reminder_1').syncedAt > 0);
+});
+
+test('commit fails when the server rejects the batch', async () => {
+  const provider = createProvider();
+  const operations = Array.from({ length: REST_BATCH_LIMIT + 1 }, (_, i) => setOperation('chatMarkers', `chat_${i}`, {}));
+
+  await assert.rejects(provider.commit(operations), /returned 400 for POST \/commit/);
+  assert.equal(server.collections.size, 0);
+});
+
+test('fetchChanges returns documents synced after `since` and the newest sync time', async () => {
+  const provider = createProvider();
+  await provider.commit([setOperation('chatMarkers', 'chat_1', { chatName: 'One', updatedAt: 1 })]);
+  await provider.commit([
+    setOperation('chatMarkers', 'chat_2', { chatName: 'Two', updatedAt: 2 }),
+    setOperation('labels', 'urgent', { name: 'Urgent', updatedAt: 2 })
+  ]);
+  const firstSyncedAt = server.collections.get('chatMarkers').get('chat_1').syncedAt;
+  const secondSyncedAt = server.collections.get('chatMarkers').get('chat_2').syncedAt;
+
+  const all = await provider.fetchChanges('chatMarkers', 0);
+  assert.deepEqual(all.docs, {
+    chat_1: { chatName: 'One', updatedAt: 1 },
+    chat_2: { chatName: 'Two', updatedAt: 2 }
+  });
+  assert.equal(all.newestSyncedAt, secondSyncedAt);
+
+  const newer = await provider.fetchChanges('chatMarkers', firstSyncedAt);
+  assert.deepEqual(Object.keys(newer.docs), ['chat_2']);
+
+  // Nothing new keeps the checkpoint where it was
+  const none = await provider.fetchChanges('chatMarkers', secondSyncedAt);
+  assert.deepEqual(none, { docs: {}, newestSyncedAt: secondSyncedAt });
+});
+
+test('fetchChanges treats a collection the server has never seen as empty', async () => {
+  const changes = await createProvider().fetchChanges('savedSearches', 0);
+
+  assert.deepEqual(changes, { docs: {}, newestSyncedAt: 0 });
+  assert.equal(getPolls('savedSearches')[0].since, 0);
+});
+
+test('getMeta returns null until setMeta stores the document', async () => {
+  const provider = createProvider();
+
+  // 404 for a missing document
+  assert.equal(await provider.getMeta('encryption'), null);
+
+  // 204 for the write
+  await provider.setMeta('encryption', { enabled: true, keyVersion: 1 });
+  assert.deepEqual(await provider.getMeta('encryption'), { enabled: true, keyVersion: 1 });
+  assert.deepEqual(server.requests.map(({ method, path }) => `${method} ${path}`), [
+    'GET /meta/encryption',
+    'PUT /meta/encryption',
+    'GET /meta/encryption'
+  ]);
+});
+
+test('a 404 fails requests that are not reads', async () => {
+  const provider = createRestProvider({ url: `${server.url}/missing`, token: TOKEN, accountId: 'alice' });
+
+  assert.equal(await provider.getMeta('encryption'), null);
+  await assert.rejects(provider.setMeta('encryption', {}), /returned 404 for PUT/);
+  await assert.rejects(provider.commit([]), /returned 404 for POST/);
+});
+
+test('purgeTombstones deletes tombstones older than the cutoff', async () => {
+  const provider = createProvider();
+  await provider.commit([
+    setOperation('chatMarkers', 'old', { deleted: true, deletedAt: 100, updatedAt: 100 }),
+    setOperation('chatMarkers', 'recent', { deleted: true, deletedAt: 300, updatedAt: 300 }),
+    setOperation('chatMarkers', 'live', { chatName: 'Live', updatedAt: 50 })
+  ]);
+
+  assert.equal(await provider.purgeTombstones('chatMarkers', 200), 1);
+  assert.deepEqual([...server.collections.get('chatMarkers').keys()], ['recent', 'live']);
+  assert.deepEqual(server.requests.at(-1).body, { before: 200 });
+});
+
+test('subscribe polls, advancing its cursor only after onChanges has handled the changes', async (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const provider = createProvider();
+  await provider.commit([setOperation('chatMarkers', 'chat_1', { chatName: 'One', updatedAt: 1 })]);
+  const { syncedAt } = server.collections.get('chatMarkers').get('chat_1');
+
+  const calls = [];
+  const errors = [];
+  const unsubscribe = provider.subscribe('chatMarkers', 0, async (docs, newestSyncedAt) => {
+    calls.push({ ids: Object.keys(docs), newestSyncedAt });
+    if (calls.length === 1) {
+      throw new Error('Could not save changes');
+    }
+  }, error => errors.push(error));
+
+  // The first poll runs right away, and its changes fail to apply
+  await waitFor(() => errors.length === 1);
+  assert.equal(errors[0].message, 'Could not save changes');
+  assert.deepEqual(calls, [{ ids: ['chat_1'], newestSyncedAt: syncedAt }]);
+
+  // So the next poll asks for them again, and this time they are handled
+  t.mock.timers.tick(REST_POLL_INTERVAL);
+  await waitFor(() => calls.length === 2);
+  assert.deepEqual(calls[1], { ids: ['chat_1'], newestSyncedAt: syncedAt });
+
+  // After which polling continues from them
+  t.mock.timers.tick(REST_POLL_INTERVAL);
+  await waitFor(() => getPolls('chatMarkers').length === 3);
+  assert.deepEqual(getPolls('chatMarkers').map(poll => poll.since), [0, 0, syncedAt]);
+  assert.equal(calls.length, 2);
+
+  // Nothing is fetched once unsubscribed
+  unsubscribe();
+  t.mock.timers.tick(REST_POLL_INTERVAL);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(getPolls('chatMarkers').length, 3);
+  assert.equal(errors.length, 1);
+});
+
+test('subscribe reports server errors and keeps polling', async (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const provider = createProvider('wrong-token');
+  const errors = [];
+
+  const unsubscribe = provider.subscribe('chatMarkers', 0, () => assert.fail('No changes expected'), error => errors.push(error));
+
+  await waitFor(() => errors.length === 1);
+  assert.match(errors[0].message, /returned 401 for GET \/collections\/chatMarkers/);
+
+  t.mock.timers.tick(REST_POLL_INTERVAL);
+  await waitFor(() => errors.length === 2);
+  unsubscribe();
+});
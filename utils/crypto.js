@@ -0,0 +1,321 @@
+/**
+ * ChatMarker Crypto Utilities
+ * Passphrase-derived AES-GCM encryption and vault sealing using the WebCrypto API
+ */
+
+// PBKDF2 work factor for deriving keys from passphrases
+const PBKDF2_ITERATIONS = 310000;
+
+// Encrypted strings look like `enc:<keyId>:<iv>:<ciphertext>` (base64 parts)
+const ENCRYPTED_VALUE_PREFIX = 'enc:';
+
+// Vault-sealed strings look like `vault:<keyId>:<ephemeralPublicKey>:<iv>:<ciphertext>` (base64 parts)
+const SEALED_VALUE_PREFIX = 'vault:';
+
+// Vault key pairs: values are sealed with the public key and opened with the private key
+const VAULT_KEY_ALGORITHM = { name: 'ECDH', namedCurve: 'P-256' };
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Generate a random salt for key derivation
+ * @returns {string} Base64-encoded 16-byte salt
+ */
+function generateSalt() {
+  return bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {string} salt - Base64 salt from generateSalt()
+ * @returns {Promise<CryptoKey>} Extractable AES-GCM key
+ */
+async function deriveKeyFromPassphrase(passphrase, salt) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: base64ToBytes(salt), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Export a key so it can be kept in chrome.storage
+ * @param {CryptoKey} key - AES-GCM key
+ * @returns {Promise<Object>} JWK representation
+ */
+async function exportCryptoKey(key) {
+  return crypto.subtle.exportKey('jwk', key);
+}
+
+/**
+ * Import a key exported with exportCryptoKey()
+ * @param {Object} jwk - JWK representation
+ * @returns {Promise<CryptoKey>} AES-GCM key
+ */
+async function importCryptoKey(jwk) {
+  return crypto.subtle.importKey('jwk', jwk, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Check whether a value is an encrypted string
+ * @param {*} value - Value to check
+ * @returns {boolean} True if encrypted
+ */
+function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_VALUE_PREFIX);
+}
+
+/**
+ * Get the key ID an encrypted string was produced with
+ * @param {string} value - Encrypted string
+ * @returns {string|null} Key ID, or null if the value is not encrypted
+ */
+function getEncryptedValueKeyId(value) {
+  if (!isEncryptedValue(value)) return null;
+  return value.slice(ENCRYPTED_VALUE_PREFIX.length).split(':')[0];
+}
+
+/**
+ * Encrypt a string
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} plaintext - Text to encrypt
+ * @param {string|number} keyId - Identifies the key so readers can detect key changes
+ * @returns {Promise<string>} Encrypted string
+ */
+async function encryptString(key, plaintext, keyId) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(plaintext)
+  );
+
+  return `${ENCRYPTED_VALUE_PREFIX}${keyId}:${bytesToBase64(iv)}:${bytesToBase64(new Uint8Array(ciphertext))}`;
+}
+
+/**
+ * Decrypt a string produced by encryptString()
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} value - Encrypted string
+ * @returns {Promise<string>} Plaintext (throws if the key is wrong or the data was tampered with)
+ */
+async function decryptString(key, value) {
+  if (!isEncryptedValue(value)) {
+    throw new Error('Value is not encrypted');
+  }
+
+  const [, iv, ciphertext] = value.slice(ENCRYPTED_VALUE_PREFIX.length).split(':');
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(iv) },
+    key,
+    base64ToBytes(ciphertext)
+  );
+
+  return new TextDecoder().decode(plaintext);
+}
+
+/**
+ * Generate a vault key pair
+ * @returns {Promise<CryptoKeyPair>} Extractable ECDH key pair
+ */
+async function generateVaultKeyPair() {
+  return crypto.subtle.generateKey(VAULT_KEY_ALGORITHM, true, ['deriveKey']);
+}
+
+/**
+ * Export a vault public key so it can be stored in plain text
+ * @param {CryptoKey} publicKey - Vault public key
+ * @returns {Promise<string>} Base64 raw key
+ */
+async function exportVaultPublicKey(publicKey) {
+  return bytesToBase64(new Uint8Array(await crypto.subtle.exportKey('raw', publicKey)));
+}
+
+/**
+ * Import a public key exported with exportVaultPublicKey()
+ * @param {string} base64 - Base64 raw key
+ * @returns {Promise<CryptoKey>} Vault public key
+ */
+async function importVaultPublicKey(base64) {
+  return crypto.subtle.importKey('raw', base64ToBytes(base64), VAULT_KEY_ALGORITHM, true, []);
+}
+
+/**
+ * Export a vault private key (only ever kept in session storage or wrapped)
+ * @param {CryptoKey} privateKey - Vault private key
+ * @returns {Promise<Object>} JWK representation
+ */
+async function exportVaultPrivateKey(privateKey) {
+  return crypto.subtle.exportKey('jwk', privateKey);
+}
+
+/**
+ * Import a private key exported with exportVaultPrivateKey()
+ * @param {Object} jwk - JWK representation
+ * @returns {Promise<CryptoKey>} Vault private key
+ */
+async function importVaultPrivateKey(jwk) {
+  return crypto.subtle.importKey('jwk', jwk, VAULT_KEY_ALGORITHM, true, ['deriveKey']);
+}
+
+/**
+ * Encrypt a vault private key with a passphrase-derived key
+ * @param {CryptoKey} key - AES-GCM key from deriveKeyFromPassphrase()
+ * @param {CryptoKey} privateKey - Vault private key
+ * @param {string} keyId - Vault key ID
+ * @returns {Promise<string>} Encrypted string
+ */
+async function wrapVaultPrivateKey(key, privateKey, keyId) {
+  return encryptString(key, JSON.stringify(await exportVaultPrivateKey(privateKey)), keyId);
+}
+
+/**
+ * Decrypt a vault private key wrapped with wrapVaultPrivateKey()
+ * @param {CryptoKey} key - AES-GCM key from deriveKeyFromPassphrase()
+ * @param {string} wrapped - Encrypted string
+ * @returns {Promise<CryptoKey>} Vault private key (throws if the passphrase is wrong)
+ */
+async function unwrapVaultPrivateKey(key, wrapped) {
+  return importVaultPrivateKey(JSON.parse(await decryptString(key, wrapped)));
+}
+
+/**
+ * Derive the AES-GCM key shared by one half of a vault key pair and one half of an ephemeral pair
+ * @param {CryptoKey} privateKey - ECDH private key
+ * @param {CryptoKey} publicKey - ECDH public key
+ * @returns {Promise<CryptoKey>} AES-GCM key
+ */
+function deriveSealingKey(privateKey, publicKey) {
+  return crypto.subtle.deriveKey(
+    { name: 'ECDH', public: publicKey },
+    privateKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Check whether a value is a vault-sealed string
+ * @param {*} value - Value to check
+ * @returns {boolean} True if sealed
+ */
+function isSealedValue(value) {
+  return typeof value === 'string' && value.startsWith(SEALED_VALUE_PREFIX);
+}
+
+/**
+ * Get the vault key ID a sealed string was produced with
+ * @param {string} value - Sealed string
+ * @returns {string|null} Key ID, or null if the value is not sealed
+ */
+function getSealedValueKeyId(value) {
+  if (!isSealedValue(value)) return null;
+  return value.slice(SEALED_VALUE_PREFIX.length).split(':')[0];
+}
+
+/**
+ * Seal a string with a vault public key (no passphrase needed; only the private key opens it)
+ * @param {CryptoKey} publicKey - Vault public key
+ * @param {string} plaintext - Text to seal
+ * @param {string} keyId - Vault key ID
+ * @returns {Promise<string>} Sealed string
+ */
+async function sealString(publicKey, plaintext, keyId) {
+  const ephemeral = await crypto.subtle.generateKey(VAULT_KEY_ALGORITHM, true, ['deriveKey']);
+  const key = await deriveSealingKey(ephemeral.privateKey, publicKey);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(plaintext)
+  );
+
+  return [
+    `${SEALED_VALUE_PREFIX}${keyId}`,
+    await exportVaultPublicKey(ephemeral.publicKey),
+    bytesToBase64(iv),
+    bytesToBase64(new Uint8Array(ciphertext))
+  ].join(':');
+}
+
+/**
+ * Open a string sealed with sealString()
+ * @param {CryptoKey} privateKey - Vault private key
+ * @param {string} value - Sealed string
+ * @returns {Promise<string>} Plaintext (throws if the key is wrong or the data was tampered with)
+ */
+async function openString(privateKey, value) {
+  if (!isSealedValue(value)) {
+    throw new Error('Value is not sealed');
+  }
+
+  const [, ephemeralPublicKey, iv, ciphertext] = value.slice(SEALED_VALUE_PREFIX.length).split(':');
+  const key = await deriveSealingKey(privateKey, await importVaultPublicKey(ephemeralPublicKey));
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(iv) },
+    key,
+    base64ToBytes(ciphertext)
+  );
+
+  return new TextDecoder().decode(plaintext);
+}
+
+// Export all functions
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment (for testing)
+  module.exports = {
+    bytesToBase64,
+    base64ToBytes,
+    generateSalt,
+    deriveKeyFromPassphrase,
+    exportCryptoKey,
+    importCryptoKey,
+    isEncryptedValue,
+    getEncryptedValueKeyId,
+    encryptString,
+    decryptString,
+    generateVaultKeyPair,
+    exportVaultPublicKey,
+    importVaultPublicKey,
+    exportVaultPrivateKey,
+    importVaultPrivateKey,
+    wrapVaultPrivateKey,
+    unwrapVaultPrivateKey,
+    isSealedValue,
+    getSealedValueKeyId,
+    sealString,
+    openString
+  };
+}
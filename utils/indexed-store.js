@@ -0,0 +1,231 @@
+/**
+ * ChatMarker IndexedDB Store
+ * Chat markers, reminders, deleted chat markers, chat marker history and the search index are kept in IndexedDB (one database per account)
+ * so lookups use indexes instead of loading and scanning every record
+ */
+
+// Database name (scoped per account like chrome.storage keys, see getAccountStorageKey)
+const INDEXED_DB_NAME = 'chatMarkerData';
+const INDEXED_DB_VERSION = 5;
+
+// Object stores and their indexes
+const INDEXED_STORES = {
+  chatMarkers: {
+    keyPath: 'chatMarkerId',
+    indexes: [
+      { name: 'platformChatId', keyPath: ['platform', 'chatId'] },
+      { name: 'labels', keyPath: 'labels', multiEntry: true },
+      { name: 'updatedAt', keyPath: 'updatedAt' }
+    ]
+  },
+  reminders: {
+    keyPath: 'reminderId',
+    indexes: [
+      { name: 'reminderTime', keyPath: 'reminderTime' },
+      { name: 'messageId', keyPath: 'messageId' },
+      { name: 'updatedAt', keyPath: 'updatedAt' }
+    ]
+  },
+  // Deleted chat markers kept for restore: { chatMarkerId, chatMarker, reminders, deletedAt }
+  trash: {
+    keyPath: 'chatMarkerId',
+    indexes: [
+      { name: 'deletedAt', keyPath: 'deletedAt' }
+    ]
+  },
+  // Append-only chat marker events: { eventId, chatMarkerId, type, at, ...details }
+  history: {
+    keyPath: 'eventId',
+    indexes: [
+      { name: 'chatMarkerId', keyPath: 'chatMarkerId' },
+      { name: 'at', keyPath: 'at' }
+    ]
+  },
+  // Words of each chat marker for full-text search: { chatMarkerId, weights: { word: weight } }
+  searchIndex: {
+    keyPath: 'chatMarkerId',
+    indexes: []
+  }
+};
+
+// Open connections by database name
+const indexedDatabases = new Map();
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} The request result
+ */
+function promisifyIndexedRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open a database, creating its stores and indexes on first use
+ * @param {string} name - Database name
+ * @returns {Promise<IDBDatabase>} Open database (shared between callers)
+ */
+function openIndexedDatabase(name) {
+  if (!indexedDatabases.has(name)) {
+    const request = indexedDB.open(name, INDEXED_DB_VERSION);
+
+    // Create missing stores and indexes (new versions only add to INDEXED_STORES)
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.entries(INDEXED_STORES).forEach(([storeName, { keyPath, indexes }]) => {
+        const store = db.objectStoreNames.contains(storeName)
+          ? request.transaction.objectStore(storeName)
+          : db.createObjectStore(storeName, { keyPath });
+
+        indexes.forEach(index => {
+          if (store.indexNames.contains(index.name)) return;
+          store.createIndex(index.name, index.keyPath, { multiEntry: !!index.multiEntry });
+        });
+      });
+    };
+
+    const opening = promisifyIndexedRequest(request).then(db => {
+      // Let another context upgrade or delete the database, reopening on next use
+      db.onversionchange = () => {
+        db.close();
+        indexedDatabases.delete(name);
+      };
+      return db;
+    });
+    opening.catch(() => indexedDatabases.delete(name));
+    indexedDatabases.set(name, opening);
+  }
+
+  return indexedDatabases.get(name);
+}
+
+/**
+ * Run requests in one transaction
+ * @param {string} dbName - Database name
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store; its return value is resolved once the transaction completes
+ * @returns {Promise<*>} The operation result (IDBRequest results are unwrapped)
+ */
+async function runIndexedTransaction(dbName, storeName, mode, operation) {
+  const db = await openIndexedDatabase(dbName);
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const result = operation(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+/**
+ * Get a record by key
+ * @param {string} dbName - Database name
+ * @param {string} storeName - Object store name
+ * @param {string} key - Record key
+ * @returns {Promise<Object|null>} The record or null
+ */
+async function getIndexedRecord(dbName, storeName, key) {
+  const record = await runIndexedTransaction(dbName, storeName, 'readonly', store => store.get(key));
+  return record || null;
+}
+
+/**
+ * Get all records of a store
+ * @param {string} dbName - Database name
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>} Records in key order
+ */
+async function getAllIndexedRecords(dbName, storeName) {
+  return runIndexedTransaction(dbName, storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Get records through an index
+ * @param {string} dbName - Database name
+ * @param {string} storeName - Object store name
+ * @param {string} indexName - Index name (see INDEXED_STORES)
+ * @param {*} query - Key or IDBKeyRange to match
+ * @returns {Promise<Array>} Matching records in index order
+ */
+async function getIndexedRecordsByIndex(dbName, storeName, indexName, query) {
+  return runIndexedTransaction(dbName, storeName, 'readonly', store => store.index(indexName).getAll(query));
+}
+
+/**
+ * Count the records of a store
+ * @param {string} dbName - Database name
+ * @param {string} storeName - Object store name
+ * @returns {Promise<number>} Number of records
+ */
+async function countIndexedRecords(dbName, storeName) {
+  return runIndexedTransaction(dbName, storeName, 'readonly', store => store.count());
+}
+
+/**
+ * Apply writes to several stores in one atomic transaction
+ * @param {string} dbName - Database name
+ * @param {Object} changes - Keyed by store name: { clear, deleteKeys, records }
+ *   (the store is cleared first, then keys deleted, then records added or replaced)
+ * @returns {Promise<void>}
+ */
+async function commitIndexedChanges(dbName, changes) {
+  const storeNames = Object.keys(changes);
+  if (storeNames.length === 0) return;
+
+  const db = await openIndexedDatabase(dbName);
+
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, 'readwrite');
+
+    storeNames.forEach(storeName => {
+      const { clear, deleteKeys = [], records = [] } = changes[storeName];
+      const store = transaction.objectStore(storeName);
+      if (clear) {
+        store.clear();
+      }
+      deleteKeys.forEach(key => store.delete(key));
+      records.forEach(record => store.put(record));
+    });
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+/**
+ * Write and delete records of one store in one atomic transaction
+ * @param {string} dbName - Database name
+ * @param {string} storeName - Object store name
+ * @param {Array<Object>} records - Records to add or replace
+ * @param {Array<string>} deleteKeys - Keys of records to delete
+ * @param {Object} options - { replaceAll: true } clears the store first
+ * @returns {Promise<void>}
+ */
+async function writeIndexedRecords(dbName, storeName, records, deleteKeys = [], options = {}) {
+  await commitIndexedChanges(dbName, {
+    [storeName]: { clear: !!options.replaceAll, deleteKeys, records }
+  });
+}
+
+// Export all functions
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment (for testing)
+  module.exports = {
+    INDEXED_DB_NAME,
+    INDEXED_STORES,
+    openIndexedDatabase,
+    getIndexedRecord,
+    getAllIndexedRecords,
+    getIndexedRecordsByIndex,
+    countIndexedRecords,
+    commitIndexedChanges,
+    writeIndexedRecords
+  };
+}
@@ -0,0 +1,275 @@
+/**
+ * ChatMarker Markdown Utilities
+ * Renders the Markdown subset used in notes (bold, italic, code, links, lists and
+ * `- [ ]` checklists) to HTML, and sanitizes the result before it reaches the page
+ */
+
+// Fenced code block delimiter (```)
+const MARKDOWN_FENCE_PATTERN = /^\s*```/;
+
+// List item: `- item`, `* item` or `1. item`
+const MARKDOWN_LIST_PATTERN = /^\s*([-*]|\d+[.)])\s+(.*)$/;
+
+// Checklist item: a list item starting with `[ ]` or `[x]`
+const MARKDOWN_TASK_PATTERN = /^(\s*(?:[-*]|\d+[.)])\s+)\[([ xX])\](?=\s|$)/;
+
+// Inline syntax, matched in this order: `code`, [label](url), **bold**, *italic*
+const MARKDOWN_INLINE_PATTERN = /`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|\*([^*\s][^*]*)\*/g;
+
+// Links may only point to web pages and mail addresses
+const MARKDOWN_SAFE_URL_PATTERN = /^(https?:\/\/|mailto:)/i;
+
+// Tags the renderer produces, with the attributes each may keep; the sanitizer drops the rest
+const MARKDOWN_ALLOWED_TAGS = {
+  P: [],
+  BR: [],
+  STRONG: [],
+  EM: [],
+  CODE: [],
+  PRE: [],
+  UL: [],
+  OL: [],
+  LI: ['class'],
+  A: ['href', 'target', 'rel'],
+  INPUT: ['type', 'class', 'checked', 'data-task-index'],
+  MARK: ['class']
+};
+
+/**
+ * Escape text for HTML, quotes included (it may end up in an attribute)
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeMarkdownText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check that a link points to a web page or mail address (no `javascript:` and the like)
+ * @param {string} url - Link URL
+ * @returns {boolean} True if the link may be rendered
+ */
+function isSafeMarkdownUrl(url) {
+  return MARKDOWN_SAFE_URL_PATTERN.test(String(url).trim());
+}
+
+/**
+ * Render the inline syntax of one line
+ * @param {string} text - Line text
+ * @param {Function} renderText - Turns plain text into escaped HTML
+ * @returns {string} HTML
+ */
+function renderMarkdownInline(text, renderText) {
+  let html = '';
+  let last = 0;
+
+  for (const match of text.matchAll(MARKDOWN_INLINE_PATTERN)) {
+    const [source, code, label, url, bold, italic] = match;
+    html += renderText(text.slice(last, match.index));
+    last = match.index + source.length;
+
+    if (code !== undefined) {
+      html += `<code>${renderText(code)}</code>`;
+    } else if (label !== undefined) {
+      html += isSafeMarkdownUrl(url)
+        ? `<a href="${escapeMarkdownText(url)}" target="_blank" rel="noopener noreferrer">${renderMarkdownInline(label, renderText)}</a>`
+        : renderText(source);
+    } else if (bold !== undefined) {
+      html += `<strong>${renderMarkdownInline(bold, renderText)}</strong>`;
+    } else {
+      html += `<em>${renderMarkdownInline(italic, renderText)}</em>`;
+    }
+  }
+
+  return html + renderText(text.slice(last));
+}
+
+/**
+ * Render Markdown to HTML (not yet sanitized, see renderMarkdown)
+ * Blank lines separate paragraphs, and single line breaks are kept. Checklist boxes are
+ * numbered in the order they appear, the same order toggleMarkdownTask() counts in.
+ * @param {string} text - Markdown text
+ * @param {Function} renderText - Turns plain text into escaped HTML
+ * @returns {string} HTML
+ */
+function buildMarkdownHtml(text, renderText = escapeMarkdownText) {
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+  let code = null;
+  let taskIndex = 0;
+
+  const closeParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push(`<p>${paragraph.map(line => renderMarkdownInline(line, renderText)).join('<br>')}</p>`);
+      paragraph = [];
+    }
+  };
+  const closeList = () => {
+    if (list) {
+      blocks.push(`<${list.tag}>${list.items.join('')}</${list.tag}>`);
+      list = null;
+    }
+  };
+
+  for (const line of String(text || '').split('\n')) {
+    if (code) {
+      if (MARKDOWN_FENCE_PATTERN.test(line)) {
+        blocks.push(`<pre><code>${renderText(code.join('\n'))}</code></pre>`);
+        code = null;
+      } else {
+        code.push(line);
+      }
+      continue;
+    }
+
+    if (MARKDOWN_FENCE_PATTERN.test(line)) {
+      closeParagraph();
+      closeList();
+      code = [];
+      continue;
+    }
+
+    const item = line.match(MARKDOWN_LIST_PATTERN);
+    if (item) {
+      closeParagraph();
+      const tag = /\d/.test(item[1]) ? 'ol' : 'ul';
+      if (list && list.tag !== tag) closeList();
+      if (!list) list = { tag, items: [] };
+
+      const task = line.match(MARKDOWN_TASK_PATTERN);
+      if (task) {
+        const label = line.slice(task[0].length).trim();
+        const checked = task[2] !== ' ' ? ' checked' : '';
+        list.items.push(`<li class="md-task"><input type="checkbox" class="md-task-checkbox" data-task-index="${taskIndex++}"${checked}> ${renderMarkdownInline(label, renderText)}</li>`);
+      } else {
+        list.items.push(`<li>${renderMarkdownInline(item[2], renderText)}</li>`);
+      }
+      continue;
+    }
+
+    closeList();
+    if (line.trim()) {
+      paragraph.push(line);
+    } else {
+      closeParagraph();
+    }
+  }
+
+  // An unclosed code block runs to the end of the note
+  if (code) {
+    blocks.push(`<pre><code>${renderText(code.join('\n'))}</code></pre>`);
+  }
+  closeParagraph();
+  closeList();
+
+  return blocks.join('');
+}
+
+/**
+ * Keep only the tags and attributes the renderer produces, and only safe links
+ * The HTML is parsed in an inert template, so nothing in it runs or loads while it is checked.
+ * @param {string} html - HTML to sanitize
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeMarkdownHtml(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  template.content.querySelectorAll('*').forEach(element => {
+    const allowed = MARKDOWN_ALLOWED_TAGS[element.tagName];
+    if (!allowed || (element.tagName === 'INPUT' && element.getAttribute('type') !== 'checkbox')) {
+      element.remove();
+      return;
+    }
+
+    [...element.attributes].forEach(({ name }) => {
+      if (!allowed.includes(name)) {
+        element.removeAttribute(name);
+      }
+    });
+
+    if (element.tagName === 'A') {
+      if (!isSafeMarkdownUrl(element.getAttribute('href') || '')) {
+        element.removeAttribute('href');
+      }
+      element.setAttribute('target', '_blank');
+      element.setAttribute('rel', 'noopener noreferrer');
+    }
+  });
+
+  return template.innerHTML;
+}
+
+/**
+ * Render Markdown to sanitized HTML
+ * @param {string} text - Markdown text
+ * @param {Object} options - { renderText }: turns plain text into escaped HTML (e.g. to
+ *   highlight search matches); escapes it by default
+ * @returns {string} Sanitized HTML
+ */
+function renderMarkdown(text, { renderText = escapeMarkdownText } = {}) {
+  return sanitizeMarkdownHtml(buildMarkdownHtml(text, renderText));
+}
+
+/**
+ * Render Markdown into an element, calling back with the new text when a checkbox is toggled
+ * @param {HTMLElement} element - Element to render into
+ * @param {string} text - Markdown text
+ * @param {Function} onToggleTask - Called with the text after the toggle (checkboxes are
+ *   read-only without it)
+ */
+function renderMarkdownInto(element, text, onToggleTask = null) {
+  element.innerHTML = renderMarkdown(text);
+  element.querySelectorAll('.md-task-checkbox').forEach(checkbox => {
+    if (!onToggleTask) {
+      checkbox.disabled = true;
+      return;
+    }
+    checkbox.addEventListener('change', () => {
+      onToggleTask(toggleMarkdownTask(text, Number(checkbox.dataset.taskIndex)));
+    });
+  });
+}
+
+/**
+ * Check or uncheck a checklist item
+ * @param {string} text - Markdown text
+ * @param {number} index - Position of the checkbox among the text's checkboxes
+ * @returns {string} The text with that checkbox toggled (unchanged if there is no such box)
+ */
+function toggleMarkdownTask(text, index) {
+  let taskIndex = 0;
+  let inCode = false;
+
+  return String(text || '').split('\n').map(line => {
+    if (MARKDOWN_FENCE_PATTERN.test(line)) {
+      inCode = !inCode;
+      return line;
+    }
+    const task = !inCode && line.match(MARKDOWN_TASK_PATTERN);
+    if (!task || taskIndex++ !== index) {
+      return line;
+    }
+    return `${task[1]}[${task[2] === ' ' ? 'x' : ' '}]${line.slice(task[0].length)}`;
+  }).join('\n');
+}
+
+// Export all functions
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment (for testing)
+  module.exports = {
+    escapeMarkdownText,
+    isSafeMarkdownUrl,
+    buildMarkdownHtml,
+    sanitizeMarkdownHtml,
+    renderMarkdown,
+    renderMarkdownInto,
+    toggleMarkdownTask
+  };
+}
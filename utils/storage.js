@@ -1,24 +1,55 @@
 /**
  * ChatMarker Storage System
- * Handles all CRUD operations for markers and reminders using Chrome Storage API
+ * Handles all CRUD operations for chat markers and reminders using Chrome Storage API
  */
 
 // Storage keys
 const STORAGE_KEYS = {
-  MARKERS: 'markers',
   CHAT_MARKERS: 'chatMarkers',
   REMINDERS: 'reminders',
   SETTINGS: 'settings',
-  LABELS: 'labels'
+  LABELS: 'labels',
+  SAVED_SEARCHES: 'savedSearches',
+  SETTINGS_UPDATED_AT: 'settingsUpdatedAt',
+  TOMBSTONES: 'tombstones',
+  SYNC_OUTBOX: 'syncOutbox',
+  DATA_REVISION: 'dataRevision'
 };
 
+// Collections kept in sync with the user's account (see getSyncDocs)
+const SYNCED_COLLECTIONS = [
+  STORAGE_KEYS.CHAT_MARKERS,
+  STORAGE_KEYS.REMINDERS,
+  STORAGE_KEYS.LABELS,
+  STORAGE_KEYS.SAVED_SEARCHES,
+  STORAGE_KEYS.SETTINGS
+];
+
+// Signed-in user ({ uid, email, ... }) written by popup/auth.js; selects whose data the functions below read and write
+const CURRENT_USER_KEY = 'currentUser';
+
+// Version of the stored data layout, and the snapshot taken before migrating it (see SCHEMA MIGRATIONS)
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+const SCHEMA_BACKUP_KEY = 'schemaBackup';
+
+// Last failed migration run ({ fromVersion, version, message, failedAt }), kept until a run succeeds
+const SCHEMA_MIGRATION_ERROR_KEY = 'schemaMigrationError';
+
+// Message-level markers saved before chats were marked as a whole (folded into chat markers by schema version 5)
+const LEGACY_MARKERS_KEY = 'markers';
+
+// How long deletion tombstones are kept before garbage collection (30 days)
+const TOMBSTONE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
 // Default settings
 const DEFAULT_SETTINGS = {
   theme: 'auto', // 'light', 'dark', 'auto'
   markIcon: 'star', // 'star', 'flag', 'bookmark', 'dot'
   defaultView: 'popup', // 'popup', 'dashboard'
   fontSize: 'medium', // 'small', 'medium', 'large'
-  autoCategorizationEnabled: false
+  autoCategorizationEnabled: false,
+  trashRetentionDays: 30, // How long deleted chat markers can be restored
+  vault: null // Passphrase vault encrypting notes at rest (see VAULT)
 };
 
 // Default label presets
@@ -30,203 +61,253 @@ const DEFAULT_LABELS = [
   { id: 'question', name: 'Question', color: '#8B5CF6' }
 ];
 
-/**
- * Generate a unique message ID based on platform, chat, and message content
- */
-function generateMessageId(platform, chatId, messageContent, sender, timestamp) {
-  const contentHash = simpleHash(messageContent.substring(0, 100));
-  return `${platform}:${chatId}:${sender}:${timestamp}:${contentHash}`;
-}
+// Colored circles shown for labels where only text fits (context menus, chat list indicators)
+const LABEL_EMOJIS = [
+  { emoji: '🔴', color: '#EF4444' },
+  { emoji: '🟠', color: '#F97316' },
+  { emoji: '🟡', color: '#F59E0B' },
+  { emoji: '🟢', color: '#10B981' },
+  { emoji: '🔵', color: '#3B82F6' },
+  { emoji: '🟣', color: '#8B5CF6' },
+  { emoji: '🟤', color: '#92400E' },
+  { emoji: '⚫', color: '#1F2937' },
+  { emoji: '⚪', color: '#E5E7EB' }
+];
+
+// ==================== TRANSACTIONS ====================
+
+// Web Lock held by every storage write; it is shared by the popup and the service worker,
+// so read-modify-write cycles never interleave
+const STORAGE_LOCK_NAME = 'chatmarker-storage';
 
 /**
- * Simple hash function for message content
+ * Run a task while holding the storage lock (waits for writes already in progress)
+ * The lock is not re-entrant: the task must not call other locked functions
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} The task result
  */
-function simpleHash(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
-  }
-  return Math.abs(hash).toString(36);
+function withStorageLock(task) {
+  return navigator.locks.request(STORAGE_LOCK_NAME, () => task());
 }
 
 /**
- * Save a marker
- * @param {Object} markerData - The marker data to save
- * @returns {Promise<Object>} The saved marker
+ * Create a transaction that stages writes to chrome.storage.local and IndexedDB
+ * for the data currently in use (see runStorageTransaction())
+ * @returns {Promise<Object>} Transaction object
  */
-async function saveMarker(markerData) {
-  try {
-    // Validate required fields
-    if (!markerData.messageId) {
-      throw new Error('messageId is required');
+async function createStorageTransaction() {
+  const accountId = await getStorageAccountId();
+  const keys = getAccountStorageKeys(accountId);
+  const dbName = getAccountDatabaseName(accountId);
+  const stored = await chrome.storage.local.get([keys.TOMBSTONES, keys.SYNC_OUTBOX]);
+
+  const tx = {
+    accountId,
+    keys,
+    dbName,
+    writes: {},
+    indexedChanges: {},
+    tombstones: { ...createCollectionMap(), ...stored[keys.TOMBSTONES] },
+    outbox: { ...createCollectionMap(), ...stored[keys.SYNC_OUTBOX] },
+    tombstonesChanged: false,
+    syncQueued: false,
+
+    // Read a chrome.storage value, seeing values staged earlier in the transaction
+    async getValue(key, fallback) {
+      if (key in tx.writes) return tx.writes[key];
+      const result = await chrome.storage.local.get(key);
+      return key in result ? result[key] : fallback;
+    },
+
+    set(key, value) {
+      tx.writes[key] = value;
+    },
+
+    // IndexedDB reads see committed data only
+    get(collection, id) {
+      return getIndexedRecord(dbName, collection, id);
+    },
+
+    getAll(collection) {
+      return getAllIndexedRecords(dbName, collection);
+    },
+
+    getByIndex(collection, indexName, query) {
+      return getIndexedRecordsByIndex(dbName, collection, indexName, query);
+    },
+
+    put(collection, record) {
+      stageIndexedChange(tx, collection).records.push(record);
+    },
+
+    delete(collection, ids) {
+      stageIndexedChange(tx, collection).deleteKeys.push(...ids);
+    },
+
+    clear(collection) {
+      stageIndexedChange(tx, collection).clear = true;
+    },
+
+    queueSync(collection, ids, queuedAt = Date.now()) {
+      if (ids.length === 0) return;
+      addToSyncOutbox(tx.outbox, collection, ids, queuedAt);
+      tx.syncQueued = true;
+    },
+
+    addTombstones(collection, ids, deletedAt = Date.now()) {
+      if (ids.length === 0) return;
+      addTombstones(tx.tombstones, collection, ids, deletedAt);
+      tx.tombstonesChanged = true;
+    },
+
+    removeTombstone(collection, id) {
+      if (removeTombstone(tx.tombstones, collection, id)) {
+        tx.tombstonesChanged = true;
+      }
     }
+  };
 
-    // Add timestamps
-    const now = Date.now();
-    const marker = {
-      ...markerData,
-      createdAt: markerData.createdAt || now,
-      updatedAt: now
-    };
-
-    // Get existing markers
-    const markers = await getAllMarkers();
-
-    // Add or update marker
-    markers[marker.messageId] = marker;
-
-    // Save to storage
-    await chrome.storage.local.set({ [STORAGE_KEYS.MARKERS]: markers });
-
-    console.log('[ChatMarker] Marker saved:', marker.messageId);
-    return marker;
-  } catch (error) {
-    console.error('[ChatMarker] Error saving marker:', error);
-    throw error;
-  }
+  return tx;
 }
 
 /**
- * Get a marker by message ID
- * @param {string} messageId - The message ID
- * @returns {Promise<Object|null>} The marker or null
+ * Get the staged IndexedDB changes of a collection
+ * @param {Object} tx - Transaction from createStorageTransaction()
+ * @param {string} collection - One of INDEXED_COLLECTIONS
+ * @returns {Object} { clear, deleteKeys, records }
  */
-async function getMarker(messageId) {
-  try {
-    const markers = await getAllMarkers();
-    return markers[messageId] || null;
-  } catch (error) {
-    console.error('[ChatMarker] Error getting marker:', error);
-    return null;
+function stageIndexedChange(tx, collection) {
+  if (!tx.indexedChanges[collection]) {
+    tx.indexedChanges[collection] = { clear: false, deleteKeys: [], records: [] };
   }
+  return tx.indexedChanges[collection];
 }
 
 /**
- * Get all markers
- * @returns {Promise<Object>} All markers as an object keyed by messageId
+ * Write everything staged in a transaction
+ * IndexedDB is committed first, so if it fails no outbox entry or tombstone is left
+ * behind for a change that never happened
+ * @param {Object} tx - Transaction from createStorageTransaction()
+ * @returns {Promise<void>}
  */
-async function getAllMarkers() {
-  try {
-    const result = await chrome.storage.local.get(STORAGE_KEYS.MARKERS);
-    return result[STORAGE_KEYS.MARKERS] || {};
-  } catch (error) {
-    console.error('[ChatMarker] Error getting all markers:', error);
-    return {};
+async function commitStorageTransaction(tx) {
+  const changedCollections = Object.keys(tx.indexedChanges);
+  if (changedCollections.length > 0) {
+    // All stores change in one IndexedDB transaction (e.g. a chat marker and its reminders)
+    await commitIndexedChanges(tx.dbName, tx.indexedChanges);
   }
-}
-
-/**
- * Get markers as an array (sorted by most recent)
- * @returns {Promise<Array>} Array of markers
- */
-async function getMarkersArray() {
-  try {
-    const markersObj = await getAllMarkers();
-    const markers = Object.values(markersObj);
-
-    // Sort by updatedAt (most recent first)
-    markers.sort((a, b) => b.updatedAt - a.updatedAt);
 
-    return markers;
-  } catch (error) {
-    console.error('[ChatMarker] Error getting markers array:', error);
-    return [];
+  const writes = { ...tx.writes };
+  if (tx.syncQueued) {
+    writes[tx.keys.SYNC_OUTBOX] = tx.outbox;
+  }
+  if (tx.tombstonesChanged) {
+    writes[tx.keys.TOMBSTONES] = tx.tombstones;
   }
-}
-
-/**
- * Update a marker
- * @param {string} messageId - The message ID
- * @param {Object} updates - The fields to update
- * @returns {Promise<Object>} The updated marker
- */
-async function updateMarker(messageId, updates) {
-  try {
-    const marker = await getMarker(messageId);
-    if (!marker) {
-      throw new Error('Marker not found');
-    }
 
-    const updatedMarker = {
-      ...marker,
-      ...updates,
-      updatedAt: Date.now()
-    };
+  if (Object.keys(writes).length > 0) {
+    await chrome.storage.local.set(writes);
+  }
 
-    return await saveMarker(updatedMarker);
-  } catch (error) {
-    console.error('[ChatMarker] Error updating marker:', error);
-    throw error;
+  if (changedCollections.length > 0) {
+    await notifyIndexedDataChanged(tx.keys, changedCollections);
   }
 }
 
 /**
- * Delete a marker
- * @param {string} messageId - The message ID
- * @returns {Promise<boolean>} Success status
+ * Run a read-modify-write operation as one serialized transaction
+ * The operation reads through and stages writes on the transaction object; nothing is
+ * written if it throws. Cloud sync is triggered afterwards if anything was queued.
+ * @param {Function} operation - Async function receiving the transaction
+ * @returns {Promise<*>} The operation result
  */
-async function deleteMarker(messageId) {
-  try {
-    const markers = await getAllMarkers();
+async function runStorageTransaction(operation) {
+  const { result, syncQueued } = await withStorageLock(async () => {
+    const tx = await createStorageTransaction();
+    const result = await operation(tx);
+    await stageVaultSealing(tx);
+    await stageSearchIndexUpdates(tx);
+    await commitStorageTransaction(tx);
+    return { result, syncQueued: tx.syncQueued };
+  });
+
+  // Trigger auto-sync to cloud
+  if (syncQueued && typeof triggerAutoSync === 'function') {
+    triggerAutoSync();
+  }
 
-    if (!markers[messageId]) {
-      return false;
-    }
+  return result;
+}
 
-    delete markers[messageId];
+// ==================== INDEXED DATA ====================
 
-    await chrome.storage.local.set({ [STORAGE_KEYS.MARKERS]: markers });
+// Collections kept in IndexedDB (utils/indexed-store.js) instead of chrome.storage.local
+const INDEXED_COLLECTIONS = [
+  STORAGE_KEYS.CHAT_MARKERS,
+  STORAGE_KEYS.REMINDERS
+];
 
-    console.log('[ChatMarker] Marker deleted:', messageId);
-    return true;
-  } catch (error) {
-    console.error('[ChatMarker] Error deleting marker:', error);
-    throw error;
-  }
+/**
+ * Get the IndexedDB database name of an account's data
+ * @param {string|null} accountId - Account UID, or null for signed-out data
+ * @returns {string} Database name
+ */
+function getAccountDatabaseName(accountId) {
+  return getAccountStorageKey(INDEXED_DB_NAME, accountId);
 }
 
 /**
- * Delete multiple markers
- * @param {Array<string>} messageIds - Array of message IDs
- * @returns {Promise<number>} Number of markers deleted
+ * Get the IndexedDB database name of the data currently in use
+ * @returns {Promise<string>} Database name
  */
-async function deleteMarkers(messageIds) {
-  try {
-    const markers = await getAllMarkers();
-    let deleteCount = 0;
-
-    for (const messageId of messageIds) {
-      if (markers[messageId]) {
-        delete markers[messageId];
-        deleteCount++;
-      }
-    }
-
-    await chrome.storage.local.set({ [STORAGE_KEYS.MARKERS]: markers });
+async function getDatabaseName() {
+  return getAccountDatabaseName(await getStorageAccountId());
+}
 
-    console.log(`[ChatMarker] ${deleteCount} markers deleted`);
-    return deleteCount;
-  } catch (error) {
-    console.error('[ChatMarker] Error deleting markers:', error);
-    throw error;
-  }
+/**
+ * Signal an IndexedDB change to chrome.storage.onChanged listeners (popup, background),
+ * which watch the DATA_REVISION key since IndexedDB has no change events
+ * @param {Object} keys - Storage keys of the changed account, from getStorageKeys()
+ * @param {Array<string>} collections - Changed collections
+ * @returns {Promise<void>}
+ */
+async function notifyIndexedDataChanged(keys, collections) {
+  await chrome.storage.local.set({
+    [keys.DATA_REVISION]: { collections, changedAt: Date.now(), id: crypto.randomUUID() }
+  });
 }
 
 /**
- * Clear all markers
- * @returns {Promise<boolean>} Success status
+ * Store chat markers or reminders merged from the cloud, and re-index the chats they belong to
+ * @param {string} collection - One of INDEXED_COLLECTIONS
+ * @param {Object} docs - Documents to add or replace, keyed by ID
+ * @param {Array<string>} deletedIds - IDs deleted in the cloud
+ * @param {string|null} accountId - Account UID, or null for signed-out data
+ * @returns {Promise<void>}
  */
-async function clearAllMarkers() {
-  try {
-    await chrome.storage.local.set({ [STORAGE_KEYS.MARKERS]: {} });
-    console.log('[ChatMarker] All markers cleared');
-    return true;
-  } catch (error) {
-    console.error('[ChatMarker] Error clearing markers:', error);
-    throw error;
+async function saveIndexedSyncDocs(collection, docs, deletedIds, accountId) {
+  const dbName = getAccountDatabaseName(accountId);
+  const { keyPath } = INDEXED_STORES[collection];
+  const keys = getAccountStorageKeys(accountId);
+  const { [keys.SETTINGS]: settings } = await chrome.storage.local.get(keys.SETTINGS);
+
+  // Chat markers from a device that predates note entries carry a single note
+  const merged = Object.entries(docs).map(([id, doc]) => ({ ...doc, [keyPath]: id }));
+  const normalized = collection === STORAGE_KEYS.CHAT_MARKERS ? merged.map(normalizeChatNotes) : merged;
+
+  // Notes from a device that hasn't seen the vault yet are sealed on arrival
+  const records = await sealVaultRecords(collection, normalized, settings && settings.vault);
+
+  // Reminders are indexed with their chat; deleted reminders are looked up before they are gone
+  let chatMarkerIds = [...Object.keys(docs), ...deletedIds];
+  if (collection === STORAGE_KEYS.REMINDERS) {
+    const deleted = await Promise.all(deletedIds.map(id => getIndexedRecord(dbName, collection, id)));
+    chatMarkerIds = [...records, ...deleted.filter(Boolean)].map(reminder => reminder.messageId);
   }
+
+  await writeIndexedRecords(dbName, collection, records, deletedIds);
+  await refreshSearchIndex(accountId, chatMarkerIds);
+  await notifyIndexedDataChanged(keys, [collection]);
 }
 
 // ==================== CHAT MARKERS ====================
@@ -248,19 +329,23 @@ async function saveChatMarker(chatMarker) {
       chatMarker.createdAt = Date.now();
     }
     chatMarker.updatedAt = Date.now();
+    if (chatMarker.tags) {
+      chatMarker.tags = normalizeTags(chatMarker.tags);
+    }
+    chatMarker = normalizeChatNotes(chatMarker);
 
-    const chatMarkers = await getAllChatMarkers();
-    chatMarkers[chatMarker.chatMarkerId] = chatMarker;
+    await runStorageTransaction(async tx => {
+      const previous = await tx.get(STORAGE_KEYS.CHAT_MARKERS, chatMarker.chatMarkerId);
+      stageHistoryEvents(tx, chatMarker.chatMarkerId, diffChatMarkerHistory(previous, chatMarker));
 
-    await chrome.storage.local.set({ [STORAGE_KEYS.CHAT_MARKERS]: chatMarkers });
+      tx.put(STORAGE_KEYS.CHAT_MARKERS, chatMarker);
+      tx.queueSync(STORAGE_KEYS.CHAT_MARKERS, [chatMarker.chatMarkerId]);
+      // Re-saving a deleted marker (e.g. restore) must clear its tombstone
+      tx.removeTombstone(STORAGE_KEYS.CHAT_MARKERS, chatMarker.chatMarkerId);
+    });
 
     console.log('[ChatMarker] Chat marker saved:', chatMarker.chatMarkerId);
 
-    // Trigger auto-sync to cloud
-    if (typeof triggerAutoSync === 'function') {
-      triggerAutoSync();
-    }
-
     return chatMarker;
   } catch (error) {
     console.error('[ChatMarker] Error saving chat marker:', error);
@@ -275,8 +360,7 @@ async function saveChatMarker(chatMarker) {
  */
 async function getChatMarker(chatMarkerId) {
   try {
-    const chatMarkers = await getAllChatMarkers();
-    return chatMarkers[chatMarkerId] || null;
+    return await getIndexedRecord(await getDatabaseName(), STORAGE_KEYS.CHAT_MARKERS, chatMarkerId);
   } catch (error) {
     console.error('[ChatMarker] Error getting chat marker:', error);
     return null;
@@ -289,8 +373,8 @@ async function getChatMarker(chatMarkerId) {
  */
 async function getAllChatMarkers() {
   try {
-    const result = await chrome.storage.local.get(STORAGE_KEYS.CHAT_MARKERS);
-    return result[STORAGE_KEYS.CHAT_MARKERS] || {};
+    const chatMarkers = await getAllIndexedRecords(await getDatabaseName(), STORAGE_KEYS.CHAT_MARKERS);
+    return Object.fromEntries(chatMarkers.map(marker => [marker.chatMarkerId, marker]));
   } catch (error) {
     console.error('[ChatMarker] Error getting all chat markers:', error);
     return {};
@@ -322,17 +406,39 @@ async function getChatMarkersArray() {
  */
 async function getChatMarkerByChatId(chatId, platform) {
   try {
-    const chatMarkers = await getAllChatMarkers();
-    const marker = Object.values(chatMarkers).find(
-      m => m.chatId === chatId && m.platform === platform
+    const matches = await getIndexedRecordsByIndex(
+      await getDatabaseName(), STORAGE_KEYS.CHAT_MARKERS, 'platformChatId', [platform, chatId]
     );
-    return marker || null;
+    return matches[0] || null;
   } catch (error) {
     console.error('[ChatMarker] Error getting chat marker by chatId:', error);
     return null;
   }
 }
 
+/**
+ * Get chat markers that have a label or one of its nested labels
+ * @param {string} labelId - The label ID
+ * @returns {Promise<Array>} Matching chat markers
+ */
+async function getChatMarkersByLabel(labelId) {
+  try {
+    const dbName = await getDatabaseName();
+    const labelIds = getLabelDescendantIds(await getLabels(), labelId);
+    const matches = new Map();
+
+    for (const id of labelIds) {
+      const chatMarkers = await getIndexedRecordsByIndex(dbName, STORAGE_KEYS.CHAT_MARKERS, 'labels', id);
+      chatMarkers.forEach(chatMarker => matches.set(chatMarker.chatMarkerId, chatMarker));
+    }
+
+    return [...matches.values()];
+  } catch (error) {
+    console.error('[ChatMarker] Error getting chat markers by label:', error);
+    return [];
+  }
+}
+
 /**
  * Update a chat marker
  * @param {string} chatMarkerId - The chat marker ID
@@ -341,29 +447,12 @@ async function getChatMarkerByChatId(chatId, platform) {
  */
 async function updateChatMarker(chatMarkerId, updates) {
   try {
-    const chatMarkers = await getAllChatMarkers();
-    const existing = chatMarkers[chatMarkerId];
-
-    if (!existing) {
-      throw new Error(`Chat marker not found: ${chatMarkerId}`);
-    }
-
-    const updated = {
-      ...existing,
-      ...updates,
-      updatedAt: Date.now()
-    };
-
-    chatMarkers[chatMarkerId] = updated;
-    await chrome.storage.local.set({ [STORAGE_KEYS.CHAT_MARKERS]: chatMarkers });
+    const updated = await runStorageTransaction(async tx => {
+      return stageChatMarkerUpdate(tx, await getExistingChatMarker(tx, chatMarkerId), updates);
+    });
 
     console.log('[ChatMarker] Chat marker updated:', chatMarkerId);
 
-    // Trigger auto-sync to cloud
-    if (typeof triggerAutoSync === 'function') {
-      triggerAutoSync();
-    }
-
     return updated;
   } catch (error) {
     console.error('[ChatMarker] Error updating chat marker:', error);
@@ -372,27 +461,78 @@ async function updateChatMarker(chatMarkerId, updates) {
 }
 
 /**
- * Delete a chat marker
+ * Read a chat marker that is about to be updated
+ * @param {Object} tx - Transaction from runStorageTransaction()
+ * @param {string} chatMarkerId - The chat marker ID
+ * @returns {Promise<Object>} The stored chat marker (throws if there is none)
+ */
+async function getExistingChatMarker(tx, chatMarkerId) {
+  const existing = await tx.get(STORAGE_KEYS.CHAT_MARKERS, chatMarkerId);
+  if (!existing) {
+    throw new Error(`Chat marker not found: ${chatMarkerId}`);
+  }
+  return existing;
+}
+
+/**
+ * Stage an update of a chat marker, with its history events and sync
+ * @param {Object} tx - Transaction from runStorageTransaction()
+ * @param {Object} existing - The stored chat marker
+ * @param {Object} updates - Updates to apply
+ * @returns {Object} The updated chat marker
+ */
+function stageChatMarkerUpdate(tx, existing, updates) {
+  const updated = normalizeChatNotes({
+    ...normalizeChatNotes(existing),
+    ...updates,
+    updatedAt: Date.now()
+  });
+  if (updated.tags) {
+    updated.tags = normalizeTags(updated.tags);
+  }
+
+  stageHistoryEvents(tx, updated.chatMarkerId, diffChatMarkerHistory(existing, updated));
+  tx.put(STORAGE_KEYS.CHAT_MARKERS, updated);
+  tx.queueSync(STORAGE_KEYS.CHAT_MARKERS, [updated.chatMarkerId]);
+  return updated;
+}
+
+/**
+ * Delete a chat marker together with its reminders
+ * Both are moved to the trash, where they can be restored until the retention period ends
  * @param {string} chatMarkerId - The chat marker ID
  * @returns {Promise<boolean>} Success status
  */
 async function deleteChatMarker(chatMarkerId) {
   try {
-    const chatMarkers = await getAllChatMarkers();
+    const deletedReminderIds = await runStorageTransaction(async tx => {
+      const chatMarker = await tx.get(STORAGE_KEYS.CHAT_MARKERS, chatMarkerId);
+      if (!chatMarker) {
+        return null;
+      }
+
+      // Its reminders go in the same transaction, so none are left pointing at a deleted chat
+      const reminders = await tx.getByIndex(STORAGE_KEYS.REMINDERS, 'messageId', chatMarkerId);
+      const reminderIds = reminders.map(reminder => reminder.reminderId);
+
+      tx.delete(STORAGE_KEYS.CHAT_MARKERS, [chatMarkerId]);
+      tx.delete(STORAGE_KEYS.REMINDERS, reminderIds);
+      tx.put(TRASH_STORE, { chatMarkerId, chatMarker, reminders, deletedAt: Date.now() });
+      stageHistoryEvents(tx, chatMarkerId, [{ type: 'unmarked' }]);
+
+      // Leave tombstones so the deletions propagate through incremental sync
+      tx.addTombstones(STORAGE_KEYS.CHAT_MARKERS, [chatMarkerId]);
+      tx.addTombstones(STORAGE_KEYS.REMINDERS, reminderIds);
+      tx.queueSync(STORAGE_KEYS.CHAT_MARKERS, [chatMarkerId]);
+      tx.queueSync(STORAGE_KEYS.REMINDERS, reminderIds);
+      return reminderIds;
+    });
 
-    if (!chatMarkers[chatMarkerId]) {
+    if (!deletedReminderIds) {
       return false;
     }
 
-    delete chatMarkers[chatMarkerId];
-    await chrome.storage.local.set({ [STORAGE_KEYS.CHAT_MARKERS]: chatMarkers });
-
-    console.log('[ChatMarker] Chat marker deleted:', chatMarkerId);
-
-    // Trigger auto-sync to cloud
-    if (typeof triggerAutoSync === 'function') {
-      triggerAutoSync();
-    }
+    console.log('[ChatMarker] Chat marker deleted:', chatMarkerId, `(with ${deletedReminderIds.length} reminders)`);
 
     return true;
   } catch (error) {
@@ -407,14 +547,15 @@ async function deleteChatMarker(chatMarkerId) {
  */
 async function clearAllChatMarkers() {
   try {
-    await chrome.storage.local.set({ [STORAGE_KEYS.CHAT_MARKERS]: {} });
+    await runStorageTransaction(async tx => {
+      const chatMarkerIds = (await tx.getAll(STORAGE_KEYS.CHAT_MARKERS)).map(marker => marker.chatMarkerId);
+      tx.clear(STORAGE_KEYS.CHAT_MARKERS);
+      tx.clear(HISTORY_STORE);
+      tx.addTombstones(STORAGE_KEYS.CHAT_MARKERS, chatMarkerIds);
+      tx.queueSync(STORAGE_KEYS.CHAT_MARKERS, chatMarkerIds);
+    });
     console.log('[ChatMarker] All chat markers cleared');
 
-    // Trigger auto-sync to cloud
-    if (typeof triggerAutoSync === 'function') {
-      triggerAutoSync();
-    }
-
     return true;
   } catch (error) {
     console.error('[ChatMarker] Error clearing chat markers:', error);
@@ -422,6 +563,154 @@ async function clearAllChatMarkers() {
   }
 }
 
+// ==================== NOTES ====================
+
+// A chat keeps a log of dated note entries: { id, text, createdAt, updatedAt }, stored oldest
+// first in `noteEntries`. Chat markers saved before that hold a single `notes` string.
+
+// Longest note entry
+const NOTE_MAX_LENGTH = 2000;
+
+/**
+ * Create a note entry
+ * @param {string} text - Note text
+ * @param {number} at - Time the note was written
+ * @returns {Object} Note entry
+ */
+function createNoteEntry(text, at = Date.now()) {
+  return {
+    id: `note_${at}_${Math.random().toString(36).substr(2, 9)}`,
+    text,
+    createdAt: at,
+    updatedAt: at
+  };
+}
+
+/**
+ * Convert a chat marker's single `notes` string (from an older device, backup or undo state)
+ * into a note entry. A note already in the log isn't added again.
+ * @param {Object} chatMarker - Chat marker
+ * @returns {Object} Chat marker with `noteEntries` and no `notes`
+ */
+function normalizeChatNotes(chatMarker) {
+  if (!chatMarker || (Array.isArray(chatMarker.noteEntries) && !('notes' in chatMarker))) {
+    return chatMarker;
+  }
+
+  const { notes, ...normalized } = chatMarker;
+  normalized.noteEntries = Array.isArray(chatMarker.noteEntries) ? chatMarker.noteEntries : [];
+  if (typeof notes === 'string' && notes.trim() && !normalized.noteEntries.some(entry => entry.text === notes)) {
+    const at = chatMarker.updatedAt || chatMarker.createdAt || Date.now();
+    normalized.noteEntries = [...normalized.noteEntries, { ...createNoteEntry(notes, at), id: `note_${at}_0` }];
+  }
+  return normalized;
+}
+
+/**
+ * Get a chat's note entries, newest first
+ * @param {Object} chatMarker - Chat marker
+ * @returns {Array<Object>} Note entries
+ */
+function getChatNotes(chatMarker) {
+  const { noteEntries } = normalizeChatNotes(chatMarker);
+  return [...noteEntries].sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Apply a function to the text of a private field: the string itself, or the text of each
+ * entry of a list such as note entries (used to seal and encrypt notes)
+ * @param {*} value - Field value
+ * @param {Function} transform - Async (text) => new text, called for non-empty text only
+ * @returns {Promise<*>} The new value
+ */
+async function mapFieldText(value, transform) {
+  if (typeof value === 'string') {
+    return value ? transform(value) : value;
+  }
+  if (Array.isArray(value)) {
+    return Promise.all(value.map(async entry => {
+      return entry && typeof entry.text === 'string' && entry.text ? { ...entry, text: await transform(entry.text) } : entry;
+    }));
+  }
+  return value;
+}
+
+/**
+ * Check a note entry's text before it is saved
+ * @param {string} text - Note text
+ * @returns {string} The trimmed text (throws if it is empty or too long)
+ */
+function validateNoteText(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) {
+    throw new Error('Note is empty');
+  }
+  if (trimmed.length > NOTE_MAX_LENGTH) {
+    throw new Error(`Notes are limited to ${NOTE_MAX_LENGTH} characters`);
+  }
+  return trimmed;
+}
+
+/**
+ * Add a note entry to a chat, or edit one of its entries
+ * @param {string} chatMarkerId - The chat marker ID
+ * @param {Object} note - { id, text }; without an id a new entry is added
+ * @returns {Promise<Object>} The updated chat marker
+ */
+async function saveChatNote(chatMarkerId, { id = null, text }) {
+  try {
+    const noteText = validateNoteText(text);
+
+    const updated = await runStorageTransaction(async tx => {
+      const existing = await getExistingChatMarker(tx, chatMarkerId);
+      const { noteEntries } = normalizeChatNotes(existing);
+      const now = Date.now();
+
+      if (id && !noteEntries.some(entry => entry.id === id)) {
+        throw new Error(`Note not found: ${id}`);
+      }
+
+      return stageChatMarkerUpdate(tx, existing, {
+        noteEntries: id
+          ? noteEntries.map(entry => entry.id === id ? { ...entry, text: noteText, updatedAt: now } : entry)
+          : [...noteEntries, createNoteEntry(noteText, now)]
+      });
+    });
+
+    console.log(`[ChatMarker] Note ${id ? 'edited' : 'added'}:`, chatMarkerId);
+
+    return updated;
+  } catch (error) {
+    console.error('[ChatMarker] Error saving note:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete one note entry of a chat
+ * @param {string} chatMarkerId - The chat marker ID
+ * @param {string} noteId - The note entry ID
+ * @returns {Promise<Object>} The updated chat marker
+ */
+async function deleteChatNote(chatMarkerId, noteId) {
+  try {
+    const updated = await runStorageTransaction(async tx => {
+      const existing = await getExistingChatMarker(tx, chatMarkerId);
+      const { noteEntries } = normalizeChatNotes(existing);
+      return stageChatMarkerUpdate(tx, existing, {
+        noteEntries: noteEntries.filter(entry => entry.id !== noteId)
+      });
+    });
+
+    console.log('[ChatMarker] Note deleted:', chatMarkerId, noteId);
+
+    return updated;
+  } catch (error) {
+    console.error('[ChatMarker] Error deleting note:', error);
+    throw error;
+  }
+}
+
 // ==================== REMINDERS ====================
 
 /**
@@ -435,17 +724,22 @@ async function saveReminder(reminderData) {
       reminderData.reminderId = `reminder_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
-    const reminders = await getAllReminders();
-    reminders[reminderData.reminderId] = reminderData;
+    // Add timestamps (updatedAt drives last-writer-wins cloud sync)
+    if (!reminderData.createdAt) {
+      reminderData.createdAt = Date.now();
+    }
+    reminderData.updatedAt = Date.now();
 
-    await chrome.storage.local.set({ [STORAGE_KEYS.REMINDERS]: reminders });
+    await runStorageTransaction(async tx => {
+      const previous = await tx.get(STORAGE_KEYS.REMINDERS, reminderData.reminderId);
+      stageHistoryEvents(tx, reminderData.messageId, diffReminderHistory(previous, reminderData));
 
-    console.log('[ChatMarker] Reminder saved:', reminderData.reminderId);
+      tx.put(STORAGE_KEYS.REMINDERS, reminderData);
+      tx.queueSync(STORAGE_KEYS.REMINDERS, [reminderData.reminderId]);
+      tx.removeTombstone(STORAGE_KEYS.REMINDERS, reminderData.reminderId);
+    });
 
-    // Trigger auto-sync to cloud
-    if (typeof triggerAutoSync === 'function') {
-      triggerAutoSync();
-    }
+    console.log('[ChatMarker] Reminder saved:', reminderData.reminderId);
 
     return reminderData;
   } catch (error) {
@@ -461,8 +755,7 @@ async function saveReminder(reminderData) {
  */
 async function getReminder(reminderId) {
   try {
-    const reminders = await getAllReminders();
-    return reminders[reminderId] || null;
+    return await getIndexedRecord(await getDatabaseName(), STORAGE_KEYS.REMINDERS, reminderId);
   } catch (error) {
     console.error('[ChatMarker] Error getting reminder:', error);
     return null;
@@ -475,8 +768,8 @@ async function getReminder(reminderId) {
  */
 async function getAllReminders() {
   try {
-    const result = await chrome.storage.local.get(STORAGE_KEYS.REMINDERS);
-    return result[STORAGE_KEYS.REMINDERS] || {};
+    const reminders = await getAllIndexedRecords(await getDatabaseName(), STORAGE_KEYS.REMINDERS);
+    return Object.fromEntries(reminders.map(reminder => [reminder.reminderId, reminder]));
   } catch (error) {
     console.error('[ChatMarker] Error getting all reminders:', error);
     return {};
@@ -485,14 +778,15 @@ async function getAllReminders() {
 
 /**
  * Get active reminders as an array
- * @returns {Promise<Array>} Array of active reminders
+ * @returns {Promise<Array>} Array of active reminders (soonest first)
  */
 async function getActiveReminders() {
   try {
-    const remindersObj = await getAllReminders();
-    const reminders = Object.values(remindersObj);
+    const upcoming = await getIndexedRecordsByIndex(
+      await getDatabaseName(), STORAGE_KEYS.REMINDERS, 'reminderTime', IDBKeyRange.lowerBound(Date.now(), true)
+    );
 
-    return reminders.filter(r => r.active && r.reminderTime > Date.now());
+    return upcoming.filter(r => r.active);
   } catch (error) {
     console.error('[ChatMarker] Error getting active reminders:', error);
     return [];
@@ -506,23 +800,26 @@ async function getActiveReminders() {
  */
 async function deleteReminder(reminderId) {
   try {
-    const reminders = await getAllReminders();
+    const deleted = await runStorageTransaction(async tx => {
+      const reminder = await tx.get(STORAGE_KEYS.REMINDERS, reminderId);
+      if (!reminder) {
+        return false;
+      }
+
+      tx.delete(STORAGE_KEYS.REMINDERS, [reminderId]);
+      stageHistoryEvents(tx, reminder.messageId, [{ type: 'reminderDeleted', reminderTime: reminder.reminderTime }]);
+      // Leave a tombstone so the deletion propagates through incremental sync
+      tx.addTombstones(STORAGE_KEYS.REMINDERS, [reminderId]);
+      tx.queueSync(STORAGE_KEYS.REMINDERS, [reminderId]);
+      return true;
+    });
 
-    if (!reminders[reminderId]) {
+    if (!deleted) {
       return false;
     }
 
-    delete reminders[reminderId];
-
-    await chrome.storage.local.set({ [STORAGE_KEYS.REMINDERS]: reminders });
-
     console.log('[ChatMarker] Reminder deleted:', reminderId);
 
-    // Trigger auto-sync to cloud
-    if (typeof triggerAutoSync === 'function') {
-      triggerAutoSync();
-    }
-
     return true;
   } catch (error) {
     console.error('[ChatMarker] Error deleting reminder:', error);
@@ -536,299 +833,3054 @@ async function deleteReminder(reminderId) {
  */
 async function clearAllReminders() {
   try {
-    await chrome.storage.local.set({ [STORAGE_KEYS.REMINDERS]: {} });
+    await runStorageTransaction(async tx => {
+      const reminderIds = (await tx.getAll(STORAGE_KEYS.REMINDERS)).map(reminder => reminder.reminderId);
+      tx.clear(STORAGE_KEYS.REMINDERS);
+      tx.addTombstones(STORAGE_KEYS.REMINDERS, reminderIds);
+      tx.queueSync(STORAGE_KEYS.REMINDERS, reminderIds);
+    });
     console.log('[ChatMarker] All reminders cleared');
-
-    // Trigger auto-sync to cloud
-    if (typeof triggerAutoSync === 'function') {
-      triggerAutoSync();
-    }
   } catch (error) {
     console.error('[ChatMarker] Error clearing reminders:', error);
     throw error;
   }
 }
 
+// ==================== TRASH ====================
+
+// IndexedDB store of deleted chat markers and their reminders (kept on this device only)
+const TRASH_STORE = 'trash';
+
 /**
- * Get settings
- * @returns {Promise<Object>} Settings object
+ * Get deleted chat markers that can still be restored
+ * @returns {Promise<Array>} Trash entries ({ chatMarkerId, chatMarker, reminders, deletedAt }), most recent first
  */
-async function getSettings() {
+async function getTrashedChatMarkers() {
   try {
-    const result = await chrome.storage.local.get(STORAGE_KEYS.SETTINGS);
-    return { ...DEFAULT_SETTINGS, ...result[STORAGE_KEYS.SETTINGS] };
+    const entries = await getIndexedRecordsByIndex(await getDatabaseName(), TRASH_STORE, 'deletedAt');
+    return entries.reverse();
   } catch (error) {
-    console.error('[ChatMarker] Error getting settings:', error);
-    return DEFAULT_SETTINGS;
+    console.error('[ChatMarker] Error getting trashed chat markers:', error);
+    return [];
   }
 }
 
 /**
- * Update settings
- * @param {Object} updates - Settings to update
- * @returns {Promise<Object>} Updated settings
+ * Get a deleted chat marker from the trash
+ * @param {string} chatMarkerId - The chat marker ID
+ * @returns {Promise<Object|null>} The trash entry or null
  */
-async function updateSettings(updates) {
+async function getTrashedChatMarker(chatMarkerId) {
   try {
-    const currentSettings = await getSettings();
-    const newSettings = { ...currentSettings, ...updates };
-
-    await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: newSettings });
-
-    console.log('[ChatMarker] Settings updated');
-    return newSettings;
+    return await getIndexedRecord(await getDatabaseName(), TRASH_STORE, chatMarkerId);
   } catch (error) {
-    console.error('[ChatMarker] Error updating settings:', error);
-    throw error;
+    console.error('[ChatMarker] Error getting trashed chat marker:', error);
+    return null;
   }
 }
 
 /**
- * Get labels
+ * Restore a deleted chat marker and its reminders
+ * Restored items count as fresh edits, so they also win over the deletion on other devices
+ * @param {string} chatMarkerId - The chat marker ID
+ * @returns {Promise<Object>} { chatMarker, reminders } as restored
+ */
+async function restoreChatMarker(chatMarkerId) {
+  try {
+    const restored = await runStorageTransaction(async tx => {
+      const entry = await tx.get(TRASH_STORE, chatMarkerId);
+      if (!entry) {
+        throw new Error(`Deleted chat marker not found: ${chatMarkerId}`);
+      }
+
+      // The chat may have been marked again since; two markers for one chat aren't supported
+      const [markedAgain] = await tx.getByIndex(
+        STORAGE_KEYS.CHAT_MARKERS, 'platformChatId', [entry.chatMarker.platform, entry.chatMarker.chatId]
+      );
+      if (markedAgain) {
+        throw new Error('This chat is marked again. Unmark it before restoring.');
+      }
+
+      const now = Date.now();
+      const chatMarker = { ...entry.chatMarker, updatedAt: now };
+      const reminders = entry.reminders.map(reminder => ({ ...reminder, updatedAt: now }));
+
+      tx.put(STORAGE_KEYS.CHAT_MARKERS, chatMarker);
+      tx.removeTombstone(STORAGE_KEYS.CHAT_MARKERS, chatMarkerId);
+      tx.queueSync(STORAGE_KEYS.CHAT_MARKERS, [chatMarkerId], now);
+      reminders.forEach(reminder => {
+        tx.put(STORAGE_KEYS.REMINDERS, reminder);
+        tx.removeTombstone(STORAGE_KEYS.REMINDERS, reminder.reminderId);
+      });
+      tx.queueSync(STORAGE_KEYS.REMINDERS, reminders.map(reminder => reminder.reminderId), now);
+      tx.delete(TRASH_STORE, [chatMarkerId]);
+      stageHistoryEvents(tx, chatMarkerId, [{ type: 'restored' }], now);
+
+      return { chatMarker, reminders };
+    });
+
+    console.log('[ChatMarker] Chat marker restored:', chatMarkerId);
+    return restored;
+  } catch (error) {
+    console.error('[ChatMarker] Error restoring chat marker:', error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently delete chat markers from the trash
+ * @param {Array<string>} chatMarkerIds - Chat marker IDs, or null to empty the trash
+ * @returns {Promise<void>}
+ */
+async function deleteTrashedChatMarkers(chatMarkerIds = null) {
+  try {
+    await runStorageTransaction(async tx => {
+      const ids = chatMarkerIds || (await tx.getAll(TRASH_STORE)).map(entry => entry.chatMarkerId);
+      tx.delete(TRASH_STORE, ids);
+      await stageHistoryRemoval(tx, ids);
+    });
+    console.log('[ChatMarker] Permanently deleted from trash:', chatMarkerIds || 'all');
+  } catch (error) {
+    console.error('[ChatMarker] Error deleting trashed chat markers:', error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently delete trash entries older than the trashRetentionDays setting
+ * @returns {Promise<number>} Number of entries removed
+ */
+async function purgeExpiredTrash() {
+  try {
+    const purgeCount = await runStorageTransaction(async tx => {
+      const settings = { ...DEFAULT_SETTINGS, ...await tx.getValue(tx.keys.SETTINGS, {}) };
+      const cutoff = Date.now() - settings.trashRetentionDays * 24 * 60 * 60 * 1000;
+      const expired = await tx.getByIndex(TRASH_STORE, 'deletedAt', IDBKeyRange.upperBound(cutoff, true));
+
+      if (expired.length > 0) {
+        const expiredIds = expired.map(entry => entry.chatMarkerId);
+        tx.delete(TRASH_STORE, expiredIds);
+        await stageHistoryRemoval(tx, expiredIds);
+      }
+      return expired.length;
+    });
+
+    console.log(`[ChatMarker] ${purgeCount} expired trash entries purged`);
+    return purgeCount;
+  } catch (error) {
+    console.error('[ChatMarker] Error purging trash:', error);
+    throw error;
+  }
+}
+
+// ==================== HISTORY ====================
+
+// IndexedDB store of chat marker events, appended by the mutations above (kept on this device only;
+// changes merged from the cloud aren't recorded)
+const HISTORY_STORE = 'history';
+
+/**
+ * Describe the changes between two versions of a chat marker as history events
+ * Notes are not copied into the history, only the fact that they changed
+ * @param {Object|null} before - Stored chat marker, or null if it is new
+ * @param {Object} after - Chat marker being saved
+ * @returns {Array<Object>} Events ({ type, ...details })
+ */
+function diffChatMarkerHistory(before, after) {
+  if (!before) {
+    return [{ type: 'marked', chatName: after.chatName, labels: after.labels || [] }];
+  }
+
+  const events = [];
+  const beforeLabels = before.labels || [];
+  const afterLabels = after.labels || [];
+
+  afterLabels
+    .filter(label => !beforeLabels.includes(label))
+    .forEach(label => events.push({ type: 'labelAdded', label }));
+  beforeLabels
+    .filter(label => !afterLabels.includes(label))
+    .forEach(label => events.push({ type: 'labelRemoved', label }));
+
+  const beforeTags = before.tags || [];
+  const afterTags = after.tags || [];
+
+  afterTags
+    .filter(tag => !beforeTags.includes(tag))
+    .forEach(tag => events.push({ type: 'tagAdded', tag }));
+  beforeTags
+    .filter(tag => !afterTags.includes(tag))
+    .forEach(tag => events.push({ type: 'tagRemoved', tag }));
+
+  const beforeNotes = new Map(normalizeChatNotes(before).noteEntries.map(entry => [entry.id, entry.text]));
+  const afterNotes = new Map(normalizeChatNotes(after).noteEntries.map(entry => [entry.id, entry.text]));
+
+  afterNotes.forEach((text, id) => {
+    if (!beforeNotes.has(id)) {
+      events.push({ type: 'noteAdded' });
+    } else if (beforeNotes.get(id) !== text) {
+      events.push({ type: 'noteChanged' });
+    }
+  });
+  [...beforeNotes.keys()]
+    .filter(id => !afterNotes.has(id))
+    .forEach(() => events.push({ type: 'noteDeleted' }));
+  if (after.chatName && before.chatName !== after.chatName) {
+    events.push({ type: 'renamed', from: before.chatName, to: after.chatName });
+  }
+
+  return events;
+}
+
+/**
+ * Describe the changes between two versions of a reminder as history events
+ * @param {Object|null} before - Stored reminder, or null if it is new
+ * @param {Object} after - Reminder being saved
+ * @returns {Array<Object>} Events ({ type, ...details })
+ */
+function diffReminderHistory(before, after) {
+  if (!before) {
+    return [{ type: 'reminderSet', reminderTime: after.reminderTime }];
+  }
+
+  const events = [];
+  if (after.firedAt && after.firedAt !== before.firedAt) {
+    events.push({ type: 'reminderFired', reminderTime: before.reminderTime });
+  }
+  if (after.reminderTime !== before.reminderTime) {
+    events.push({ type: 'reminderChanged', reminderTime: after.reminderTime });
+  }
+
+  return events;
+}
+
+/**
+ * Append events to a chat marker's history
+ * @param {Object} tx - Transaction from createStorageTransaction()
+ * @param {string} chatMarkerId - The chat marker ID
+ * @param {Array<Object>} events - Events ({ type, ...details })
+ * @param {number} at - Event time
+ */
+function stageHistoryEvents(tx, chatMarkerId, events, at = Date.now()) {
+  if (!chatMarkerId) return;
+
+  events.forEach(event => {
+    tx.put(HISTORY_STORE, { ...event, eventId: crypto.randomUUID(), chatMarkerId, at });
+  });
+}
+
+/**
+ * Delete the history of chat markers that are gone for good
+ * @param {Object} tx - Transaction from createStorageTransaction()
+ * @param {Array<string>} chatMarkerIds - Chat marker IDs
+ * @returns {Promise<void>}
+ */
+async function stageHistoryRemoval(tx, chatMarkerIds) {
+  for (const chatMarkerId of chatMarkerIds) {
+    const events = await tx.getByIndex(HISTORY_STORE, 'chatMarkerId', chatMarkerId);
+    tx.delete(HISTORY_STORE, events.map(event => event.eventId));
+  }
+}
+
+/**
+ * Get the history of a chat marker
+ * @param {string} chatMarkerId - The chat marker ID
+ * @returns {Promise<Array>} Events ({ eventId, chatMarkerId, type, at, ...details }), oldest first
+ */
+async function getChatMarkerHistory(chatMarkerId) {
+  try {
+    const events = await getIndexedRecordsByIndex(await getDatabaseName(), HISTORY_STORE, 'chatMarkerId', chatMarkerId);
+    return events.sort((a, b) => a.at - b.at);
+  } catch (error) {
+    console.error('[ChatMarker] Error getting chat marker history:', error);
+    return [];
+  }
+}
+
+/**
+ * Export one chat marker with its reminders and history
+ * The result is a report, not a backup: importData() does not accept it. Text sealed in the
+ * vault is opened while the vault is unlocked; while it is locked the export keeps it sealed.
+ * @param {string} chatMarkerId - The chat marker ID
+ * @returns {Promise<Object>} { exportType, exportedAt, chatMarker, reminders, history }
+ */
+async function exportChatMarker(chatMarkerId) {
+  try {
+    const dbName = await getDatabaseName();
+    let chatMarker = await getIndexedRecord(dbName, STORAGE_KEYS.CHAT_MARKERS, chatMarkerId);
+    let reminders = await getIndexedRecordsByIndex(dbName, STORAGE_KEYS.REMINDERS, 'messageId', chatMarkerId);
+
+    // Unmarked chats are exported from the trash
+    if (!chatMarker) {
+      const entry = await getIndexedRecord(dbName, TRASH_STORE, chatMarkerId);
+      if (!entry) {
+        throw new Error(`Chat marker not found: ${chatMarkerId}`);
+      }
+      ({ chatMarker, reminders } = entry);
+    }
+
+    return {
+      exportType: 'chatHistory',
+      exportedAt: Date.now(),
+      chatMarker: (await openVaultRecords(STORAGE_KEYS.CHAT_MARKERS, [chatMarker]))[0],
+      reminders: await openVaultRecords(STORAGE_KEYS.REMINDERS, reminders),
+      history: await openVaultRecords(HISTORY_STORE, await getChatMarkerHistory(chatMarkerId))
+    };
+  } catch (error) {
+    console.error('[ChatMarker] Error exporting chat marker:', error);
+    throw error;
+  }
+}
+
+// ==================== TOMBSTONES ====================
+
+/**
+ * Create an empty map for every synced collection
+ * @returns {Object} Object with an empty object per collection
+ */
+function createCollectionMap() {
+  return Object.fromEntries(SYNCED_COLLECTIONS.map(collection => [collection, {}]));
+}
+
+/**
+ * Get deletion tombstones
+ * @returns {Promise<Object>} Tombstones keyed by collection, then by ID (value is deletedAt)
+ */
+async function getTombstones() {
+  try {
+    const keys = await getStorageKeys();
+    const result = await chrome.storage.local.get(keys.TOMBSTONES);
+    return {
+      ...createCollectionMap(),
+      ...result[keys.TOMBSTONES]
+    };
+  } catch (error) {
+    console.error('[ChatMarker] Error getting tombstones:', error);
+    return createCollectionMap();
+  }
+}
+
+/**
+ * Record tombstones for deleted IDs (modifies the tombstones object in place)
+ * @param {Object} tombstones - Tombstones object from getTombstones()
+ * @param {string} collection - One of SYNCED_COLLECTIONS
+ * @param {Array<string>} ids - Deleted IDs
+ * @param {number} deletedAt - Deletion timestamp
+ * @returns {Object} The tombstones object
+ */
+function addTombstones(tombstones, collection, ids, deletedAt = Date.now()) {
+  tombstones[collection] = tombstones[collection] || {};
+  ids.forEach(id => {
+    tombstones[collection][id] = deletedAt;
+  });
+  return tombstones;
+}
+
+/**
+ * Remove the tombstone for an ID (modifies the tombstones object in place)
+ * @param {Object} tombstones - Tombstones object from getTombstones()
+ * @param {string} collection - One of SYNCED_COLLECTIONS
+ * @param {string} id - The ID being re-created
+ * @returns {boolean} True if a tombstone was removed
+ */
+function removeTombstone(tombstones, collection, id) {
+  if (!tombstones[collection] || !tombstones[collection][id]) {
+    return false;
+  }
+  delete tombstones[collection][id];
+  return true;
+}
+
+/**
+ * Garbage-collect tombstones older than the retention period
+ * @param {number} maxAge - Maximum tombstone age in milliseconds
+ * @returns {Promise<number>} Number of tombstones removed
+ */
+async function purgeExpiredTombstones(maxAge = TOMBSTONE_RETENTION_MS) {
+  try {
+    const cutoff = Date.now() - maxAge;
+
+    const purgeCount = await runStorageTransaction(async tx => {
+      let purgeCount = 0;
+
+      Object.values(tx.tombstones).forEach(collection => {
+        for (const [id, deletedAt] of Object.entries(collection)) {
+          if (deletedAt < cutoff) {
+            delete collection[id];
+            purgeCount++;
+          }
+        }
+      });
+
+      tx.tombstonesChanged = purgeCount > 0;
+      return purgeCount;
+    });
+
+    console.log(`[ChatMarker] ${purgeCount} expired tombstones purged`);
+    return purgeCount;
+  } catch (error) {
+    console.error('[ChatMarker] Error purging tombstones:', error);
+    throw error;
+  }
+}
+
+// ==================== SYNC OUTBOX ====================
+
+/**
+ * Get pending cloud sync mutations (persisted so they survive service worker restarts)
+ * @returns {Promise<Object>} Outbox keyed by collection, then by ID (value is queuedAt)
+ */
+async function getSyncOutbox() {
+  try {
+    const keys = await getStorageKeys();
+    const result = await chrome.storage.local.get(keys.SYNC_OUTBOX);
+    return {
+      ...createCollectionMap(),
+      ...result[keys.SYNC_OUTBOX]
+    };
+  } catch (error) {
+    console.error('[ChatMarker] Error getting sync outbox:', error);
+    return createCollectionMap();
+  }
+}
+
+/**
+ * Queue changed IDs for the next cloud sync (modifies the outbox in place)
+ * @param {Object} outbox - Outbox object from getSyncOutbox()
+ * @param {string} collection - One of SYNCED_COLLECTIONS
+ * @param {Array<string>} ids - Changed or deleted IDs
+ * @param {number} queuedAt - Time of the change
+ * @returns {Object} The outbox object
+ */
+function addToSyncOutbox(outbox, collection, ids, queuedAt = Date.now()) {
+  outbox[collection] = outbox[collection] || {};
+  ids.forEach(id => {
+    outbox[collection][id] = queuedAt;
+  });
+  return outbox;
+}
+
+/**
+ * Count pending mutations in the outbox
+ * @param {Object} outbox - Outbox object from getSyncOutbox()
+ * @returns {number} Number of pending mutations
+ */
+function countSyncOutbox(outbox) {
+  return Object.values(outbox).reduce((total, collection) => total + Object.keys(collection).length, 0);
+}
+
+// ==================== SYNC DOCUMENTS ====================
+
+/**
+ * Read a synced collection as a map of document ID to document
+ * Labels and saved searches become one document per ID (with its list position as `order`),
+ * settings one document per setting name ({ value, updatedAt })
+ * @param {string} collection - One of SYNCED_COLLECTIONS
+ * @returns {Promise<Object>} Documents keyed by ID
+ */
+async function getSyncDocs(collection) {
+  switch (collection) {
+    case STORAGE_KEYS.CHAT_MARKERS:
+      return await getAllChatMarkers() || {};
+
+    case STORAGE_KEYS.REMINDERS:
+      return await getAllReminders() || {};
+
+    case STORAGE_KEYS.LABELS:
+    case STORAGE_KEYS.SAVED_SEARCHES: {
+      const items = collection === STORAGE_KEYS.LABELS ? await getLabels() : await getSavedSearches();
+      return Object.fromEntries(items.map((item, index) => [item.id, { ...item, order: index }]));
+    }
+
+    case STORAGE_KEYS.SETTINGS: {
+      const settings = await getSettings();
+      const keys = await getStorageKeys();
+      const result = await chrome.storage.local.get(keys.SETTINGS_UPDATED_AT);
+      const updatedAt = result[keys.SETTINGS_UPDATED_AT] || {};
+      return Object.fromEntries(Object.entries(settings).map(([name, value]) => {
+        return [name, { value, updatedAt: updatedAt[name] || 0 }];
+      }));
+    }
+
+    default:
+      throw new Error(`Unknown sync collection: ${collection}`);
+  }
+}
+
+/**
+ * Convert a document map back into the storage update for a synced collection
+ * kept in chrome.storage.local (INDEXED_COLLECTIONS are written with saveIndexedSyncDocs())
+ * @param {string} collection - One of SYNCED_COLLECTIONS
+ * @param {Object} docs - Documents keyed by ID, as returned by getSyncDocs()
+ * @param {Object} keys - Storage keys of the account being written, from getStorageKeys()
+ * @returns {Object} Values to pass to chrome.storage.local.set()
+ */
+function buildSyncDocsUpdate(collection, docs, keys) {
+  switch (collection) {
+    case STORAGE_KEYS.LABELS:
+    case STORAGE_KEYS.SAVED_SEARCHES: {
+      const items = Object.values(docs)
+        .sort((a, b) => (a.order - b.order) || a.id.localeCompare(b.id))
+        .map(({ order, ...item }) => item);
+      return { [collection === STORAGE_KEYS.LABELS ? keys.LABELS : keys.SAVED_SEARCHES]: items };
+    }
+
+    case STORAGE_KEYS.SETTINGS: {
+      const settings = {};
+      const updatedAt = {};
+      Object.entries(docs).forEach(([name, doc]) => {
+        settings[name] = doc.value;
+        updatedAt[name] = doc.updatedAt;
+      });
+      return {
+        [keys.SETTINGS]: settings,
+        [keys.SETTINGS_UPDATED_AT]: updatedAt
+      };
+    }
+
+    default:
+      throw new Error(`Unknown sync collection: ${collection}`);
+  }
+}
+
+/**
+ * Get settings
+ * @returns {Promise<Object>} Settings object
+ */
+async function getSettings() {
+  try {
+    const keys = await getStorageKeys();
+    const result = await chrome.storage.local.get(keys.SETTINGS);
+    return { ...DEFAULT_SETTINGS, ...result[keys.SETTINGS] };
+  } catch (error) {
+    console.error('[ChatMarker] Error getting settings:', error);
+    return DEFAULT_SETTINGS;
+  }
+}
+
+/**
+ * Update settings
+ * @param {Object} updates - Settings to update
+ * @returns {Promise<Object>} Updated settings
+ */
+async function updateSettings(updates) {
+  try {
+    const newSettings = await runStorageTransaction(tx => stageSettingsUpdate(tx, updates));
+
+    console.log('[ChatMarker] Settings updated');
+
+    return newSettings;
+  } catch (error) {
+    console.error('[ChatMarker] Error updating settings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Stage a settings update in a storage transaction
+ * @param {Object} tx - Transaction from runStorageTransaction()
+ * @param {Object} updates - Settings to update
+ * @returns {Promise<Object>} Updated settings
+ */
+async function stageSettingsUpdate(tx, updates) {
+  const currentSettings = { ...DEFAULT_SETTINGS, ...await tx.getValue(tx.keys.SETTINGS, {}) };
+  const newSettings = { ...currentSettings, ...updates };
+
+  // Settings merge per field across devices, so only changed fields get a new timestamp
+  const now = Date.now();
+  const updatedAt = { ...await tx.getValue(tx.keys.SETTINGS_UPDATED_AT, {}) };
+  const changedNames = Object.keys(updates).filter(name => {
+    return JSON.stringify(updates[name]) !== JSON.stringify(currentSettings[name]);
+  });
+  changedNames.forEach(name => {
+    updatedAt[name] = now;
+  });
+
+  tx.set(tx.keys.SETTINGS, newSettings);
+  tx.set(tx.keys.SETTINGS_UPDATED_AT, updatedAt);
+  tx.queueSync(STORAGE_KEYS.SETTINGS, changedNames, now);
+
+  return newSettings;
+}
+
+/**
+ * Get labels
  * @returns {Promise<Array>} Array of labels
  */
-async function getLabels() {
-  try {
-    const result = await chrome.storage.local.get(STORAGE_KEYS.LABELS);
-    return result[STORAGE_KEYS.LABELS] || DEFAULT_LABELS;
-  } catch (error) {
-    console.error('[ChatMarker] Error getting labels:', error);
-    return DEFAULT_LABELS;
+async function getLabels() {
+  try {
+    const keys = await getStorageKeys();
+    const result = await chrome.storage.local.get(keys.LABELS);
+    return result[keys.LABELS] || DEFAULT_LABELS;
+  } catch (error) {
+    console.error('[ChatMarker] Error getting labels:', error);
+    return DEFAULT_LABELS;
+  }
+}
+
+/**
+ * Save custom labels
+ * @param {Array} labels - Array of label objects
+ * @returns {Promise<Array>} Saved labels
+ */
+async function saveLabels(labels) {
+  try {
+    const stampedLabels = await runStorageTransaction(tx => stageLabels(tx, labels));
+    console.log('[ChatMarker] Labels saved');
+
+    return stampedLabels;
+  } catch (error) {
+    console.error('[ChatMarker] Error saving labels:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a label and remove it from every chat marker that has it
+ * @param {string} labelId - The label ID
+ * @returns {Promise<number>} Number of chat markers updated
+ */
+async function deleteLabel(labelId) {
+  try {
+    const updatedCount = await runStorageTransaction(async tx => {
+      // Nested labels move up to the deleted label's parent (or the top level, if the label
+      // itself is already gone, e.g. deleted on another device)
+      const labels = await tx.getValue(tx.keys.LABELS, DEFAULT_LABELS);
+      const deleted = labels.find(label => label.id === labelId);
+      const remaining = labels
+        .filter(label => label.id !== labelId)
+        .map(label => {
+          if (label.parentId !== labelId) return label;
+          const { parentId, ...fields } = label;
+          return deleted && deleted.parentId ? { ...fields, parentId: deleted.parentId } : fields;
+        });
+      await stageLabels(tx, remaining);
+
+      const now = Date.now();
+      const chatMarkers = await tx.getByIndex(STORAGE_KEYS.CHAT_MARKERS, 'labels', labelId);
+      chatMarkers.forEach(chatMarker => {
+        const updated = { ...chatMarker, labels: chatMarker.labels.filter(id => id !== labelId), updatedAt: now };
+        stageHistoryEvents(tx, chatMarker.chatMarkerId, diffChatMarkerHistory(chatMarker, updated), now);
+        tx.put(STORAGE_KEYS.CHAT_MARKERS, updated);
+      });
+      tx.queueSync(STORAGE_KEYS.CHAT_MARKERS, chatMarkers.map(chatMarker => chatMarker.chatMarkerId), now);
+
+      return chatMarkers.length;
+    });
+
+    console.log('[ChatMarker] Label deleted:', labelId, `(removed from ${updatedCount} chats)`);
+    return updatedCount;
+  } catch (error) {
+    console.error('[ChatMarker] Error deleting label:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the parent of a label, treating missing parents and cycles (e.g. from merged edits) as none
+ * @param {Array} labels - All labels
+ * @param {Object} label - The label
+ * @returns {string|null} Parent label ID
+ */
+function getLabelParentId(labels, label) {
+  const byId = new Map(labels.map(item => [item.id, item]));
+  const seen = new Set([label.id]);
+  let ancestor = byId.get(label.parentId);
+
+  while (ancestor) {
+    if (seen.has(ancestor.id)) return null;
+    seen.add(ancestor.id);
+    ancestor = byId.get(ancestor.parentId);
+  }
+
+  return byId.has(label.parentId) ? label.parentId : null;
+}
+
+/**
+ * Order labels as a tree: each label is followed by its nested labels, siblings keep their saved order
+ * @param {Array} labels - All labels
+ * @returns {Array} Entries { label, parentId, depth, path } where path is e.g. 'Clients/Acme'
+ */
+function getLabelTree(labels) {
+  const parentIds = new Map(labels.map(label => [label.id, getLabelParentId(labels, label)]));
+  const tree = [];
+
+  const addChildren = (parentId, depth, parentPath) => {
+    labels
+      .filter(label => parentIds.get(label.id) === parentId)
+      .forEach(label => {
+        const path = parentPath ? `${parentPath}/${label.name}` : label.name;
+        tree.push({ label, parentId, depth, path });
+        addChildren(label.id, depth + 1, path);
+      });
+  };
+
+  addChildren(null, 0, '');
+  return tree;
+}
+
+/**
+ * Get a label and all labels nested under it
+ * @param {Array} labels - All labels
+ * @param {string} labelId - The label ID
+ * @returns {Array<string>} Label IDs, starting with labelId
+ */
+function getLabelDescendantIds(labels, labelId) {
+  const tree = getLabelTree(labels);
+  const start = tree.findIndex(entry => entry.label.id === labelId);
+  if (start === -1) {
+    return [labelId];
+  }
+
+  const ids = [labelId];
+  for (let i = start + 1; i < tree.length && tree[i].depth > tree[start].depth; i++) {
+    ids.push(tree[i].label.id);
+  }
+  return ids;
+}
+
+/**
+ * Clean up a free-form tag as typed by the user
+ * @param {string} tag - Raw tag (a leading # is dropped)
+ * @returns {string} Tag, or '' if nothing is left
+ */
+function normalizeTag(tag) {
+  return String(tag || '').replace(/^#+/, '').replace(/\s+/g, ' ').trim().slice(0, 40);
+}
+
+/**
+ * Clean up a chat marker's tags, dropping empty ones and duplicates (ignoring case)
+ * @param {Array<string>} tags - Raw tags
+ * @returns {Array<string>} Tags in their original order
+ */
+function normalizeTags(tags) {
+  const seen = new Set();
+  return tags.map(normalizeTag).filter(tag => {
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Get the tags used on chat markers, for autocomplete
+ * @returns {Promise<Array>} Tags, most used first
+ */
+async function getAllTags() {
+  try {
+    const chatMarkers = await getAllIndexedRecords(await getDatabaseName(), STORAGE_KEYS.CHAT_MARKERS);
+    const counts = new Map();
+
+    chatMarkers.forEach(chatMarker => {
+      (chatMarker.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([tag]) => tag);
+  } catch (error) {
+    console.error('[ChatMarker] Error getting tags:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the colored circle closest to a label color
+ * @param {string} color - Hex color (#RRGGBB)
+ * @returns {string} Emoji
+ */
+function getLabelEmoji(color) {
+  const toRgb = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  if (!/^#[0-9a-f]{6}$/i.test(color || '')) {
+    return '🏷️';
+  }
+
+  const [r, g, b] = toRgb(color);
+  let closest = LABEL_EMOJIS[0];
+  let closestDistance = Infinity;
+
+  LABEL_EMOJIS.forEach(candidate => {
+    const [cr, cg, cb] = toRgb(candidate.color);
+    const distance = (r - cr) ** 2 + (g - cg) ** 2 + (b - cb) ** 2;
+    if (distance < closestDistance) {
+      closest = candidate;
+      closestDistance = distance;
+    }
+  });
+
+  return closest.emoji;
+}
+
+/**
+ * Stage saving labels in a storage transaction
+ * @param {Object} tx - Transaction from runStorageTransaction()
+ * @param {Array} labels - Array of label objects
+ * @returns {Promise<Array>} Saved labels
+ */
+async function stageLabels(tx, labels) {
+  // Labels sync per ID, so markers (which reference label IDs) keep their labels through a rename
+  return stageOrderedList(tx, STORAGE_KEYS.LABELS, 'LABELS', labels, DEFAULT_LABELS);
+}
+
+/**
+ * Stage saving an ordered, synced list (labels, saved searches) in a storage transaction
+ * Only items that changed or moved get a new timestamp; removed items get tombstones.
+ * @param {Object} tx - Transaction from runStorageTransaction()
+ * @param {string} collection - Sync collection, e.g. STORAGE_KEYS.LABELS
+ * @param {string} keyName - Name of its storage key, e.g. 'LABELS'
+ * @param {Array} items - Items with an `id`, in display order
+ * @param {Array} defaultItems - List used before anything is saved
+ * @returns {Promise<Array>} Saved items
+ */
+async function stageOrderedList(tx, collection, keyName, items, defaultItems) {
+  const now = Date.now();
+  const previousItems = await tx.getValue(tx.keys[keyName], defaultItems);
+  const previousDocs = Object.fromEntries(previousItems.map((item, index) => [item.id, { ...item, order: index }]));
+  const changedIds = [];
+
+  const stampedItems = items.map((item, index) => {
+    const { updatedAt, ...fields } = item;
+    const previous = previousDocs[item.id];
+    const { updatedAt: previousUpdatedAt, order, ...previousFields } = previous || {};
+
+    if (previous && order === index && JSON.stringify(fields) === JSON.stringify(previousFields)) {
+      return item;
+    }
+
+    changedIds.push(item.id);
+    tx.removeTombstone(collection, item.id);
+    return { ...fields, updatedAt: now };
+  });
+
+  const itemIds = new Set(items.map(item => item.id));
+  const removedIds = Object.keys(previousDocs).filter(id => !itemIds.has(id));
+  tx.addTombstones(collection, removedIds, now);
+  tx.queueSync(collection, [...changedIds, ...removedIds], now);
+
+  tx.set(tx.keys[keyName], stampedItems);
+  return stampedItems;
+}
+
+/**
+ * Get storage statistics
+ * @returns {Promise<Object>} Storage stats
+ */
+async function getStorageStats() {
+  try {
+    const markerCount = await countIndexedRecords(await getDatabaseName(), STORAGE_KEYS.CHAT_MARKERS);
+    const reminders = await getAllReminders();
+
+    const reminderCount = Object.keys(reminders).length;
+    const activeReminderCount = Object.values(reminders).filter(r => r.active).length;
+
+    // Estimate storage size
+    const bytesInUse = await chrome.storage.local.getBytesInUse();
+
+    return {
+      markerCount,
+      reminderCount,
+      activeReminderCount,
+      bytesInUse,
+      bytesAvailable: chrome.storage.local.QUOTA_BYTES - bytesInUse
+    };
+  } catch (error) {
+    console.error('[ChatMarker] Error getting storage stats:', error);
+    return {
+      markerCount: 0,
+      reminderCount: 0,
+      activeReminderCount: 0,
+      bytesInUse: 0,
+      bytesAvailable: 0
+    };
+  }
+}
+
+/**
+ * Export all data
+ * @returns {Promise<Object>} Exported data
+ */
+async function exportData() {
+  try {
+    const chatMarkers = await getAllChatMarkers();
+    const reminders = await getAllReminders();
+    const settings = await getSettings();
+    const labels = await getLabels();
+    const savedSearches = await getSavedSearches();
+
+    return {
+      version: '1.1',
+      schemaVersion: await getSchemaVersion(),
+      exportedAt: new Date().toISOString(),
+      chatMarkers,
+      reminders,
+      settings,
+      labels,
+      savedSearches
+    };
+  } catch (error) {
+    console.error('[ChatMarker] Error exporting data:', error);
+    throw error;
+  }
+}
+
+/**
+ * Import data
+ * @param {Object} data - Data to import
+ * @returns {Promise<boolean>} Success status
+ */
+async function importData(data) {
+  try {
+    if (!data || !data.version) {
+      throw new Error('Invalid import data');
+    }
+
+    // Everything is imported in one transaction, so a failed import changes nothing
+    await runStorageTransaction(async tx => {
+      // Imported items count as fresh edits: stamp them so incremental sync pushes them
+      // and clear any tombstones so an earlier deletion doesn't win over the import
+      const now = Date.now();
+      const stampImported = async (items, collection) => {
+        const { keyPath } = INDEXED_STORES[collection];
+
+        // An import replaces the collections it contains. Items it doesn't have are deleted
+        // like clearAllChatMarkers() does, so other devices drop them and the next pull
+        // doesn't bring them back
+        const importedIds = new Set(Object.keys(items));
+        const droppedIds = (await tx.getAll(collection))
+          .map(record => record[keyPath])
+          .filter(id => !importedIds.has(id));
+        tx.addTombstones(collection, droppedIds, now);
+        tx.queueSync(collection, droppedIds, now);
+
+        tx.clear(collection);
+        Object.entries(items).forEach(([id, item]) => {
+          const record = { ...item, [keyPath]: id, updatedAt: now };
+          tx.removeTombstone(collection, id);
+          tx.put(collection, collection === STORAGE_KEYS.CHAT_MARKERS ? normalizeChatNotes(record) : record);
+        });
+        tx.queueSync(collection, Object.keys(items), now);
+      };
+
+      if (data.chatMarkers) {
+        await stampImported(data.chatMarkers, STORAGE_KEYS.CHAT_MARKERS);
+      }
+      if (data.markers) {
+        // Backups from before chat markers hold message markers; they are folded in like
+        // schema version 5 does, into the imported chat markers or else the current ones
+        const chatMarkers = data.chatMarkers
+          ? Object.entries(data.chatMarkers).map(([id, chatMarker]) => ({ ...chatMarker, chatMarkerId: id }))
+          : await tx.getAll(STORAGE_KEYS.CHAT_MARKERS);
+        const { chatMarkers: folded, unfolded } = foldLegacyMarkers(data.markers, chatMarkers, now);
+        folded.forEach(chatMarker => {
+          tx.removeTombstone(STORAGE_KEYS.CHAT_MARKERS, chatMarker.chatMarkerId);
+          tx.put(STORAGE_KEYS.CHAT_MARKERS, normalizeChatNotes(chatMarker));
+        });
+        tx.queueSync(STORAGE_KEYS.CHAT_MARKERS, folded.map(chatMarker => chatMarker.chatMarkerId), now);
+        if (Object.keys(unfolded).length > 0) {
+          console.warn('[ChatMarker] Message markers not imported (no chat, or a note locked in the vault):', Object.keys(unfolded));
+        }
+      }
+      if (data.reminders) {
+        await stampImported(data.reminders, STORAGE_KEYS.REMINDERS);
+      }
+      if (data.settings) {
+        // A backup's vault would replace the key of the current data, so the current one stays
+        const { vault, ...settings } = data.settings;
+        await stageSettingsUpdate(tx, settings);
+      }
+      if (data.labels) {
+        await stageLabels(tx, data.labels);
+      }
+      if (data.savedSearches) {
+        await stageSavedSearches(tx, data.savedSearches);
+      }
+    });
+
+    console.log('[ChatMarker] Data imported successfully');
+
+    return true;
+  } catch (error) {
+    console.error('[ChatMarker] Error importing data:', error);
+    throw error;
+  }
+}
+
+// ==================== VAULT ====================
+
+// Optional passphrase-locked encryption at rest. The `vault` setting (synced, so every device
+// unlocks with the same passphrase) holds a key pair:
+// { keyId, salt, publicKey, wrappedPrivateKey, encryptChatNames, autoLockMinutes }.
+// Writes seal private fields with the public key, so they never wait for the passphrase;
+// reading them needs the private key, which is only kept in session storage while unlocked.
+
+// Session storage key (per account) of the unlocked private key: { keyId, privateKey: JWK }
+const VAULT_SESSION_KEY = 'vaultKey';
+
+// Idle time before the vault locks itself, unless the user picked another (see background.js)
+const VAULT_AUTO_LOCK_MINUTES = 15;
+
+// Fields sealed in each IndexedDB store: notes (and their copies) always, chat names
+// (and their copies) when encryptChatNames is on. Note entries are sealed one by one (see
+// mapFieldText()); `notes` is the single note of chat markers saved before entries. Trash
+// entries are sealed like the chat marker and reminders they hold.
+const VAULT_FIELDS = {
+  [STORAGE_KEYS.CHAT_MARKERS]: { notes: ['noteEntries', 'notes'], chatNames: ['chatName'] },
+  [STORAGE_KEYS.REMINDERS]: { notes: ['body', 'note'], chatNames: ['chatName', 'title'] },
+  [HISTORY_STORE]: { notes: [], chatNames: ['chatName', 'from', 'to'] },
+  [TRASH_STORE]: { notes: [], chatNames: [] }
+};
+
+/**
+ * Create the error raised when sealed data is needed while the vault is locked
+ * @returns {Error} Error with code 'vault-locked'
+ */
+function createVaultLockedError() {
+  const error = new Error('Vault is locked: unlock it in the side panel');
+  error.code = 'vault-locked';
+  return error;
+}
+
+/**
+ * Get the vault of the data currently in use
+ * @returns {Promise<Object|null>} Vault setting, or null when the vault is off
+ */
+async function getVault() {
+  return (await getSettings()).vault || null;
+}
+
+/**
+ * Get the session storage key of the current account's unlocked vault key
+ * @returns {Promise<string>} Session storage key
+ */
+async function getVaultSessionKey() {
+  return getAccountStorageKey(VAULT_SESSION_KEY, await getStorageAccountId());
+}
+
+/**
+ * Get the unlocked vault key
+ * @returns {Promise<Object|null>} { keyId, privateKey }, or null when the vault is off or locked
+ */
+async function getVaultKey() {
+  const vault = await getVault();
+  if (!vault) return null;
+
+  const sessionKey = await getVaultSessionKey();
+  const { [sessionKey]: unlocked } = await chrome.storage.session.get(sessionKey);
+
+  // A key unlocked for a vault replaced since (e.g. on another device) no longer opens anything
+  if (!unlocked || unlocked.keyId !== vault.keyId) return null;
+  return { keyId: unlocked.keyId, privateKey: await importVaultPrivateKey(unlocked.privateKey) };
+}
+
+/**
+ * Get the vault state for the side panel
+ * @returns {Promise<string>} 'off', 'locked' or 'unlocked'
+ */
+async function getVaultStatus() {
+  if (!await getVault()) return 'off';
+  return await getVaultKey() ? 'unlocked' : 'locked';
+}
+
+/**
+ * Decrypt a vault's private key with its passphrase
+ * @param {Object} vault - Vault setting
+ * @param {string} passphrase - Vault passphrase
+ * @returns {Promise<Object|null>} { keyId, privateKey }, or null if the passphrase is wrong
+ */
+async function unwrapVaultKey(vault, passphrase) {
+  try {
+    const key = await deriveKeyFromPassphrase(passphrase, vault.salt);
+    return { keyId: vault.keyId, privateKey: await unwrapVaultPrivateKey(key, vault.wrappedPrivateKey) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Keep an unlocked vault key for this browser session
+ * @param {Object} vaultKey - { keyId, privateKey }
+ * @returns {Promise<void>}
+ */
+async function storeVaultKey(vaultKey) {
+  await chrome.storage.session.set({
+    [await getVaultSessionKey()]: { keyId: vaultKey.keyId, privateKey: await exportVaultPrivateKey(vaultKey.privateKey) }
+  });
+}
+
+/**
+ * Get the fields a vault seals in a store
+ * @param {Object} vault - Vault setting
+ * @param {string} collection - One of the stores in VAULT_FIELDS
+ * @returns {Array<string>} Field names
+ */
+function getVaultFieldNames(vault, collection) {
+  const { notes, chatNames } = VAULT_FIELDS[collection];
+  return vault.encryptChatNames ? [...notes, ...chatNames] : notes;
+}
+
+/**
+ * Seal the private fields of a record that are still plain text
+ * @param {Object} record - Record being written
+ * @param {string} collection - One of the stores in VAULT_FIELDS
+ * @param {Object} vault - Vault setting
+ * @param {CryptoKey} publicKey - The vault's public key
+ * @returns {Promise<Object>} Sealed copy of the record
+ */
+async function sealVaultRecord(record, collection, vault, publicKey) {
+  if (collection === TRASH_STORE) {
+    return {
+      ...record,
+      chatMarker: await sealVaultRecord(record.chatMarker, STORAGE_KEYS.CHAT_MARKERS, vault, publicKey),
+      reminders: await Promise.all((record.reminders || []).map(reminder => {
+        return sealVaultRecord(reminder, STORAGE_KEYS.REMINDERS, vault, publicKey);
+      }))
+    };
+  }
+
+  const sealed = { ...record };
+  for (const field of getVaultFieldNames(vault, collection).filter(field => field in record)) {
+    sealed[field] = await mapFieldText(record[field], text => {
+      return isSealedValue(text) ? text : sealString(publicKey, text, vault.keyId);
+    });
+  }
+  return sealed;
+}
+
+/**
+ * Open the sealed fields of a record (fields sealed with another vault's key stay sealed)
+ * @param {Object} record - Stored record
+ * @param {string} collection - One of the stores in VAULT_FIELDS
+ * @param {Object} vaultKey - Unlocked key from getVaultKey()
+ * @returns {Promise<Object>} Opened copy of the record
+ */
+async function openVaultRecord(record, collection, vaultKey) {
+  if (collection === TRASH_STORE) {
+    return {
+      ...record,
+      chatMarker: await openVaultRecord(record.chatMarker, STORAGE_KEYS.CHAT_MARKERS, vaultKey),
+      reminders: await Promise.all((record.reminders || []).map(reminder => {
+        return openVaultRecord(reminder, STORAGE_KEYS.REMINDERS, vaultKey);
+      }))
+    };
+  }
+
+  const opened = { ...record };
+  const { notes, chatNames } = VAULT_FIELDS[collection];
+  for (const field of [...notes, ...chatNames].filter(field => field in record)) {
+    opened[field] = await mapFieldText(record[field], text => {
+      return getSealedValueKeyId(text) === vaultKey.keyId ? openString(vaultKey.privateKey, text) : text;
+    });
+  }
+  return opened;
+}
+
+/**
+ * Seal records about to be written, if the vault is on
+ * @param {string} collection - Store the records are written to
+ * @param {Array<Object>} records - Records being written
+ * @param {Object|null} vault - Vault setting of the account written to
+ * @returns {Promise<Array<Object>>} Sealed copies (the same records when nothing is sealed)
+ */
+async function sealVaultRecords(collection, records, vault) {
+  if (!vault || !VAULT_FIELDS[collection] || records.length === 0) {
+    return records;
+  }
+
+  const publicKey = await importVaultPublicKey(vault.publicKey);
+  return Promise.all(records.map(record => sealVaultRecord(record, collection, vault, publicKey)));
+}
+
+/**
+ * Open records read from storage for display
+ * While the vault is locked the records are returned as stored, with their private fields sealed
+ * @param {string} collection - One of the stores in VAULT_FIELDS
+ * @param {Array<Object>} records - Stored records
+ * @returns {Promise<Array<Object>>} Opened copies
+ */
+async function openVaultRecords(collection, records) {
+  const vaultKey = await getVaultKey();
+  if (!vaultKey) {
+    return records;
+  }
+  return Promise.all(records.map(record => openVaultRecord(record, collection, vaultKey)));
+}
+
+/**
+ * Check whether any of a chat's notes are still sealed (the vault is locked)
+ * @param {Object} chatMarker - Chat marker as stored or opened
+ * @returns {boolean} True if a note is sealed
+ */
+function hasSealedNotes(chatMarker) {
+  return getChatNotes(chatMarker).some(entry => isSealedValue(entry.text));
+}
+
+/**
+ * Open a chat marker whose note is about to be shown or edited
+ * @param {Object} chatMarker - Stored chat marker
+ * @returns {Promise<Object>} Opened chat marker (throws a vault-locked error while locked)
+ */
+async function openChatMarker(chatMarker) {
+  const [opened] = await openVaultRecords(STORAGE_KEYS.CHAT_MARKERS, [chatMarker]);
+  if (hasSealedNotes(opened) || isSealedValue(opened.chatName)) {
+    throw createVaultLockedError();
+  }
+  return opened;
+}
+
+/**
+ * Seal the private fields of everything a transaction writes (run before it commits)
+ * @param {Object} tx - Transaction from runStorageTransaction()
+ * @returns {Promise<void>}
+ */
+async function stageVaultSealing(tx) {
+  const settings = await tx.getValue(tx.keys.SETTINGS, {});
+  for (const collection of Object.keys(VAULT_FIELDS)) {
+    const changes = tx.indexedChanges[collection];
+    if (changes) {
+      changes.records = await sealVaultRecords(collection, changes.records, settings.vault);
+    }
+  }
+}
+
+/**
+ * Stage rewriting every record the vault covers, e.g. to seal or open all of them at once
+ * Chat markers and reminders are queued for sync so the cloud copies change too.
+ * @param {Object} tx - Transaction from runStorageTransaction()
+ * @param {Function} transform - Async (record, collection) => record to write
+ * @returns {Promise<void>}
+ */
+async function stageVaultRewrite(tx, transform) {
+  for (const collection of Object.keys(VAULT_FIELDS)) {
+    const records = await tx.getAll(collection);
+    for (const record of records) {
+      tx.put(collection, await transform(record, collection));
+    }
+
+    if (INDEXED_COLLECTIONS.includes(collection)) {
+      const { keyPath } = INDEXED_STORES[collection];
+      tx.queueSync(collection, records.map(record => record[keyPath]));
+    }
+  }
+}
+
+/**
+ * Turn on the vault: seal every note (and chat name, if chosen) with a new key pair
+ * locked by the passphrase. The vault starts unlocked.
+ * @param {string} passphrase - Vault passphrase
+ * @param {Object} options - { encryptChatNames, autoLockMinutes }
+ * @returns {Promise<Object>} The vault setting
+ */
+async function enableVault(passphrase, { encryptChatNames = false, autoLockMinutes = VAULT_AUTO_LOCK_MINUTES } = {}) {
+  try {
+    if (await getVault()) {
+      throw new Error('Vault is already on');
+    }
+
+    const keyId = crypto.randomUUID();
+    const salt = generateSalt();
+    const keyPair = await generateVaultKeyPair();
+    const vault = {
+      keyId,
+      salt,
+      publicKey: await exportVaultPublicKey(keyPair.publicKey),
+      wrappedPrivateKey: await wrapVaultPrivateKey(await deriveKeyFromPassphrase(passphrase, salt), keyPair.privateKey, keyId),
+      encryptChatNames,
+      autoLockMinutes
+    };
+
+    // stageVaultSealing() seals the rewritten records with the staged vault
+    await runStorageTransaction(async tx => {
+      await stageSettingsUpdate(tx, { vault });
+      await stageVaultRewrite(tx, record => record);
+    });
+    await storeVaultKey({ keyId, privateKey: keyPair.privateKey });
+
+    console.log('[ChatMarker] 🔐 Vault turned on');
+
+    return vault;
+  } catch (error) {
+    console.error('[ChatMarker] Error turning on vault:', error);
+    throw error;
+  }
+}
+
+/**
+ * Turn off the vault, storing every sealed field as plain text again
+ * @param {string} passphrase - Vault passphrase
+ * @returns {Promise<boolean>} False if the passphrase is wrong
+ */
+async function disableVault(passphrase) {
+  try {
+    const vault = await getVault();
+    if (!vault) {
+      return true;
+    }
+
+    const vaultKey = await unwrapVaultKey(vault, passphrase);
+    if (!vaultKey) {
+      return false;
+    }
+
+    await runStorageTransaction(async tx => {
+      await stageSettingsUpdate(tx, { vault: null });
+      await stageVaultRewrite(tx, (record, collection) => openVaultRecord(record, collection, vaultKey));
+    });
+    await lockVault();
+
+    console.log('[ChatMarker] Vault turned off');
+
+    return true;
+  } catch (error) {
+    console.error('[ChatMarker] Error turning off vault:', error);
+    throw error;
+  }
+}
+
+/**
+ * Unlock the vault for this browser session (until it is locked or auto-locks)
+ * @param {string} passphrase - Vault passphrase
+ * @returns {Promise<boolean>} False if the passphrase is wrong
+ */
+async function unlockVault(passphrase) {
+  const vault = await getVault();
+  if (!vault) {
+    return true;
+  }
+
+  const vaultKey = await unwrapVaultKey(vault, passphrase);
+  if (!vaultKey) {
+    return false;
+  }
+
+  await storeVaultKey(vaultKey);
+  console.log('[ChatMarker] 🔓 Vault unlocked');
+  return true;
+}
+
+/**
+ * Lock the vault, forgetting its unlocked key
+ * @returns {Promise<void>}
+ */
+async function lockVault() {
+  await chrome.storage.session.remove(await getVaultSessionKey());
+  console.log('[ChatMarker] 🔒 Vault locked');
+}
+
+/**
+ * Change how long the computer may be idle before the vault locks itself
+ * @param {number} autoLockMinutes - Idle minutes
+ * @returns {Promise<Object>} The vault setting
+ */
+async function setVaultAutoLock(autoLockMinutes) {
+  try {
+    return await runStorageTransaction(async tx => {
+      const { vault } = await tx.getValue(tx.keys.SETTINGS, {});
+      if (!vault) {
+        throw new Error('Vault is off');
+      }
+
+      const settings = await stageSettingsUpdate(tx, { vault: { ...vault, autoLockMinutes } });
+      return settings.vault;
+    });
+  } catch (error) {
+    console.error('[ChatMarker] Error changing vault auto-lock:', error);
+    throw error;
+  }
+}
+
+// ==================== SEARCH INDEX ====================
+
+// IndexedDB store of the words in each chat marker and how much each counts: { chatMarkerId, weights: { word: weight } }
+// Derived data kept on this device: storage transactions, cloud merges and account moves keep it up to date
+const SEARCH_INDEX_STORE = 'searchIndex';
+
+// How much a word counts depending on where it appears
+const SEARCH_FIELD_WEIGHTS = { name: 4, label: 3, tag: 3, note: 1, reminder: 1 };
+
+/**
+ * Normalize text for searching: lowercase, without accents (é matches e)
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalizeSearchText(text) {
+  return String(text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into normalized search words
+ * @param {string} text - Text
+ * @returns {Array<string>} Words
+ */
+function tokenizeSearchText(text) {
+  return normalizeSearchText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Find the words of a text that are among the given search words (for highlighting)
+ * @param {string} text - Original text
+ * @param {Set<string>} words - Normalized words, e.g. matched words from searchIndexText()
+ * @returns {Array} Ranges { start, end } in the original text
+ */
+function findSearchWordRanges(text, words) {
+  const ranges = [];
+  for (const match of String(text || '').matchAll(/[\p{L}\p{N}\p{M}]+/gu)) {
+    if (words.has(normalizeSearchText(match[0]))) {
+      ranges.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Build a chat marker's search index record
+ * @param {Object} chatMarker - Chat marker
+ * @param {Array} labels - All labels (a nested label is indexed with its parents' names)
+ * @param {Array} reminders - The chat marker's reminders
+ * @returns {Object} { chatMarkerId, weights }
+ */
+function buildSearchIndexRecord(chatMarker, labels, reminders) {
+  const labelPaths = new Map(getLabelTree(labels).map(entry => [entry.label.id, entry.path]));
+  const fields = {
+    name: [chatMarker.chatName],
+    label: (chatMarker.labels || []).map(labelId => labelPaths.get(labelId) || labelId),
+    tag: chatMarker.tags || [],
+    note: getChatNotes(chatMarker).map(entry => entry.text),
+    reminder: reminders.flatMap(reminder => [reminder.note, reminder.messageText])
+  };
+
+  // Vault-sealed text is left out: the index is stored in the clear
+  const weights = {};
+  Object.entries(fields).forEach(([field, texts]) => {
+    texts.filter(text => !isSealedValue(text)).flatMap(tokenizeSearchText).forEach(word => {
+      weights[word] = (weights[word] || 0) + SEARCH_FIELD_WEIGHTS[field];
+    });
+  });
+
+  return { chatMarkerId: chatMarker.chatMarkerId, weights };
+}
+
+/**
+ * Read a record as it will be after a transaction commits
+ * @param {Object} tx - Transaction from runStorageTransaction()
+ * @param {string} collection - One of INDEXED_COLLECTIONS
+ * @param {string} id - Record key
+ * @returns {Promise<Object|null>} The record, or null if it won't exist
+ */
+async function getStagedIndexedRecord(tx, collection, id) {
+  const changes = tx.indexedChanges[collection];
+  const { keyPath } = INDEXED_STORES[collection];
+  const staged = changes && changes.records.filter(record => record[keyPath] === id).pop();
+  if (staged) {
+    return staged;
+  }
+  if (changes && (changes.clear || changes.deleteKeys.includes(id))) {
+    return null;
+  }
+  return tx.get(collection, id);
+}
+
+/**
+ * Read a chat marker's reminders as they will be after a transaction commits
+ * @param {Object} tx - Transaction from runStorageTransaction()
+ * @param {string} chatMarkerId - The chat marker ID
+ * @returns {Promise<Array>} Reminders
+ */
+async function getStagedReminders(tx, chatMarkerId) {
+  const changes = tx.indexedChanges[STORAGE_KEYS.REMINDERS] || { clear: false, deleteKeys: [], records: [] };
+  const committed = changes.clear ? [] : await tx.getByIndex(STORAGE_KEYS.REMINDERS, 'messageId', chatMarkerId);
+  const reminders = new Map(committed
+    .filter(reminder => !changes.deleteKeys.includes(reminder.reminderId))
+    .map(reminder => [reminder.reminderId, reminder]));
+
+  changes.records.forEach(reminder => {
+    if (reminder.messageId === chatMarkerId) {
+      reminders.set(reminder.reminderId, reminder);
+    } else {
+      reminders.delete(reminder.reminderId);
+    }
+  });
+  return [...reminders.values()];
+}
+
+/**
+ * Stage search index updates for everything a transaction changes (run before it commits)
+ * Chat markers, their reminders, and chats whose labels were renamed or moved are re-indexed.
+ * @param {Object} tx - Transaction from runStorageTransaction()
+ * @returns {Promise<void>}
+ */
+async function stageSearchIndexUpdates(tx) {
+  const markerChanges = tx.indexedChanges[STORAGE_KEYS.CHAT_MARKERS];
+  const reminderChanges = tx.indexedChanges[STORAGE_KEYS.REMINDERS];
+  const labelsChanged = tx.keys.LABELS in tx.writes;
+  if (!markerChanges && !reminderChanges && !labelsChanged) {
+    return;
+  }
+
+  const labels = await tx.getValue(tx.keys.LABELS, DEFAULT_LABELS);
+  const affectedIds = new Set();
+
+  if (markerChanges) {
+    if (markerChanges.clear) {
+      tx.clear(SEARCH_INDEX_STORE);
+    }
+    markerChanges.deleteKeys.forEach(id => affectedIds.add(id));
+    markerChanges.records.forEach(record => affectedIds.add(record.chatMarkerId));
+  }
+
+  if (reminderChanges) {
+    if (reminderChanges.clear) {
+      (await tx.getAll(STORAGE_KEYS.CHAT_MARKERS)).forEach(chatMarker => affectedIds.add(chatMarker.chatMarkerId));
+    }
+    reminderChanges.records.forEach(reminder => affectedIds.add(reminder.messageId));
+    for (const reminderId of reminderChanges.deleteKeys) {
+      const reminder = await tx.get(STORAGE_KEYS.REMINDERS, reminderId);
+      if (reminder) affectedIds.add(reminder.messageId);
+    }
+  }
+
+  if (labelsChanged) {
+    // Renaming or moving a label changes the indexed path of every chat with it (or a label under it)
+    const result = await chrome.storage.local.get(tx.keys.LABELS);
+    const previousPaths = new Map(getLabelTree(result[tx.keys.LABELS] || DEFAULT_LABELS).map(entry => [entry.label.id, entry.path]));
+    const changedLabelIds = getLabelTree(labels)
+      .filter(entry => previousPaths.get(entry.label.id) !== entry.path)
+      .map(entry => entry.label.id);
+
+    for (const labelId of changedLabelIds) {
+      const chatMarkers = await tx.getByIndex(STORAGE_KEYS.CHAT_MARKERS, 'labels', labelId);
+      chatMarkers.forEach(chatMarker => affectedIds.add(chatMarker.chatMarkerId));
+    }
+  }
+
+  for (const chatMarkerId of affectedIds) {
+    const chatMarker = await getStagedIndexedRecord(tx, STORAGE_KEYS.CHAT_MARKERS, chatMarkerId);
+    if (chatMarker) {
+      tx.put(SEARCH_INDEX_STORE, buildSearchIndexRecord(chatMarker, labels, await getStagedReminders(tx, chatMarkerId)));
+    } else {
+      tx.delete(SEARCH_INDEX_STORE, [chatMarkerId]);
+    }
+  }
+}
+
+/**
+ * Re-index chat markers from their stored data (for writes that bypass storage transactions)
+ * @param {string|null} accountId - Account UID, or null for signed-out data
+ * @param {Array<string>|null} chatMarkerIds - Chat markers to re-index, or null to rebuild the whole index
+ * @returns {Promise<void>}
+ */
+async function refreshSearchIndex(accountId, chatMarkerIds = null) {
+  const dbName = getAccountDatabaseName(accountId);
+  const keys = getAccountStorageKeys(accountId);
+  const result = await chrome.storage.local.get(keys.LABELS);
+  const labels = result[keys.LABELS] || DEFAULT_LABELS;
+
+  if (chatMarkerIds === null) {
+    const chatMarkers = await getAllIndexedRecords(dbName, STORAGE_KEYS.CHAT_MARKERS);
+    const reminders = await getAllIndexedRecords(dbName, STORAGE_KEYS.REMINDERS);
+    const records = chatMarkers.map(chatMarker => buildSearchIndexRecord(
+      chatMarker, labels, reminders.filter(reminder => reminder.messageId === chatMarker.chatMarkerId)
+    ));
+    await writeIndexedRecords(dbName, SEARCH_INDEX_STORE, records, [], { replaceAll: true });
+    return;
+  }
+
+  const records = [];
+  const deleteKeys = [];
+  for (const chatMarkerId of new Set(chatMarkerIds)) {
+    const chatMarker = await getIndexedRecord(dbName, STORAGE_KEYS.CHAT_MARKERS, chatMarkerId);
+    if (chatMarker) {
+      const reminders = await getIndexedRecordsByIndex(dbName, STORAGE_KEYS.REMINDERS, 'messageId', chatMarkerId);
+      records.push(buildSearchIndexRecord(chatMarker, labels, reminders));
+    } else {
+      deleteKeys.push(chatMarkerId);
+    }
+  }
+  await writeIndexedRecords(dbName, SEARCH_INDEX_STORE, records, deleteKeys);
+}
+
+/**
+ * Load the search index of the data currently in use
+ * @returns {Promise<Object>} Index for searchIndexText(): { postings: Map(word => Map(chatMarkerId => weight)), docCount }
+ */
+async function getSearchIndex() {
+  try {
+    const records = await getAllIndexedRecords(await getDatabaseName(), SEARCH_INDEX_STORE);
+    return createSearchIndex(records);
+  } catch (error) {
+    console.error('[ChatMarker] Error loading search index:', error);
+    return createSearchIndex([]);
+  }
+}
+
+/**
+ * Invert search index records into word => chat markers postings
+ * @param {Array} records - Records from buildSearchIndexRecord()
+ * @returns {Object} Index for searchIndexText()
+ */
+function createSearchIndex(records) {
+  const postings = new Map();
+  records.forEach(({ chatMarkerId, weights }) => {
+    Object.entries(weights).forEach(([word, weight]) => {
+      if (!postings.has(word)) postings.set(word, new Map());
+      postings.get(word).set(chatMarkerId, weight);
+    });
+  });
+  return { postings, docCount: records.length, wordMatches: new Map() };
+}
+
+/**
+ * Score how well an indexed word matches a typed word
+ * Exact beats prefix (as you type), which beats a typo (one edit, two for long words)
+ * @param {string} typed - Normalized typed word
+ * @param {string} word - Indexed word
+ * @returns {number} 0 (no match) to 1 (exact)
+ */
+function getSearchWordMatchQuality(typed, word) {
+  if (word === typed) return 1;
+  if (word.startsWith(typed)) return 0.75;
+
+  const maxEdits = typed.length >= 8 ? 2 : typed.length >= 4 ? 1 : 0;
+  if (maxEdits === 0) return 0;
+  if (Math.abs(word.length - typed.length) <= maxEdits && getEditDistance(typed, word) <= maxEdits) return 0.5;
+  if (word.length > typed.length && getEditDistance(typed, word.slice(0, typed.length)) <= maxEdits) return 0.35;
+  return 0;
+}
+
+/**
+ * Find the chat markers matching one typed word
+ * @param {Object} index - Index from createSearchIndex()
+ * @param {string} typed - Normalized typed word
+ * @returns {Map} chatMarkerId => { score, words (Set of matched indexed words) }
+ */
+function searchIndexWord(index, typed) {
+  if (!index.wordMatches.has(typed)) {
+    const results = new Map();
+    index.postings.forEach((chatMarkerWeights, word) => {
+      const quality = getSearchWordMatchQuality(typed, word);
+      if (!quality) return;
+
+      // Rare words count more (inverse document frequency)
+      const idf = Math.log(1 + index.docCount / chatMarkerWeights.size);
+      chatMarkerWeights.forEach((weight, chatMarkerId) => {
+        const score = quality * weight * idf;
+        const result = results.get(chatMarkerId);
+        if (result) {
+          result.score = Math.max(result.score, score);
+          result.words.add(word);
+        } else {
+          results.set(chatMarkerId, { score, words: new Set([word]) });
+        }
+      });
+    });
+    index.wordMatches.set(typed, results);
+  }
+  return index.wordMatches.get(typed);
+}
+
+/**
+ * Find the chat markers matching every word of a text, ranked
+ * @param {Object} index - Index from createSearchIndex()
+ * @param {string} text - Typed text
+ * @returns {Map|null} chatMarkerId => { score, words }, or null if the text has no words
+ */
+function searchIndexText(index, text) {
+  const typedWords = [...new Set(tokenizeSearchText(text))];
+  if (typedWords.length === 0) {
+    return null;
+  }
+
+  let results = null;
+  typedWords.forEach(typed => {
+    const matches = searchIndexWord(index, typed);
+    const combined = new Map();
+    (results || matches).forEach((result, chatMarkerId) => {
+      const match = matches.get(chatMarkerId);
+      if (!match) return;
+      combined.set(chatMarkerId, results
+        ? { score: result.score + match.score, words: new Set([...result.words, ...match.words]) }
+        : match);
+    });
+    results = combined;
+  });
+  return results;
+}
+
+// ==================== SEARCH QUERIES ====================
+
+// Dashboard search syntax: terms are AND'ed, `OR` between terms, `-term` or `NOT term` negates,
+// parentheses group. A term is bare text or field:value; quote values with spaces (note:"paid invoice").
+const QUERY_FIELDS = {
+  label: 'Label, including nested labels (label:Clients/Acme)',
+  tag: 'Tag (tag:followup)',
+  platform: 'whatsapp, facebook, instagram, linkedin or reddit',
+  has: 'reminder, note, label or tag',
+  due: 'Active reminder: today, overdue, <3d, >1w',
+  created: 'Marked: today, <3d, >1w',
+  note: 'Text in the note',
+  name: 'Text in the chat name'
+};
+const QUERY_PLATFORMS = ['whatsapp', 'facebook', 'instagram', 'linkedin', 'reddit'];
+const QUERY_HAS_VALUES = ['reminder', 'note', 'label', 'tag'];
+const QUERY_DURATION_UNITS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const QUERY_RANGE_EXAMPLES = {
+  due: ['today', 'overdue', '<1d', '<3d', '<1w', '>1w'],
+  created: ['today', '<1d', '<1w', '<30d', '>30d']
+};
+
+// Dashboard view a saved search restores; labels [] means no label filter
+const SAVED_SEARCH_DEFAULTS = { query: '', platform: 'all', labels: [], dateRange: 'all', sort: 'relevance' };
+// How far back the dashboard's date filter reaches
+const SEARCH_DATE_RANGES = { today: QUERY_DURATION_UNITS.d, week: QUERY_DURATION_UNITS.w, month: 30 * QUERY_DURATION_UNITS.d };
+
+/**
+ * Create the error thrown for a query that doesn't parse
+ * @param {string} message - What is wrong
+ * @param {number} start - Start of the offending text in the query
+ * @param {number} end - End of the offending text in the query
+ * @param {string|null} suggestion - Replacement for query.slice(start, end), if there is a likely fix
+ * @returns {Error} Error with code 'query-syntax'
+ */
+function createQuerySyntaxError(message, start, end, suggestion = null) {
+  const error = new Error(message);
+  error.code = 'query-syntax';
+  error.start = start;
+  error.end = end;
+  error.suggestion = suggestion;
+  return error;
+}
+
+/**
+ * Count the single-character edits (including swapping two neighbours) between two words
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} Edit distance
+ */
+function getEditDistance(a, b) {
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(rows[i - 1][j] + 1, row[j - 1] + 1, rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], rows[i - 2][j - 2] + 1);
+      }
+    }
+    rows.push(row);
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Find the candidate the user most likely meant to type
+ * @param {string} word - What was typed
+ * @param {Array<string>} candidates - Valid words
+ * @returns {string|null} Closest candidate, or null if none is close
+ */
+function findClosestQueryWord(word, candidates) {
+  const lowerWord = word.toLowerCase();
+  const prefixed = candidates.find(candidate => candidate.startsWith(lowerWord) || lowerWord.startsWith(candidate));
+  if (prefixed) {
+    return prefixed;
+  }
+
+  let closest = null;
+  let closestDistance = 3;
+  candidates.forEach(candidate => {
+    const distance = getEditDistance(lowerWord, candidate);
+    if (distance < closestDistance) {
+      closest = candidate;
+      closestDistance = distance;
+    }
+  });
+  return closest;
+}
+
+/**
+ * Split a search query into tokens
+ * @param {string} query - Search query
+ * @returns {Array} Tokens { type: 'open'|'close'|'not'|'and'|'or'|'term', start, end, text, field, value }
+ */
+function tokenizeQuery(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'open' : 'close', start: i, end: i + 1, text: char });
+      i++;
+      continue;
+    }
+
+    if (char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      tokens.push({ type: 'not', start: i, end: i + 1, text: char });
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let field = null;
+    let value = '';
+    let quoted = false;
+
+    while (i < query.length && !/[\s()]/.test(query[i])) {
+      if (query[i] === '"') {
+        const close = query.indexOf('"', i + 1);
+        if (close === -1) {
+          throw createQuerySyntaxError('Missing closing quote', i, query.length, `${query.slice(i)}"`);
+        }
+        value += query.slice(i + 1, close);
+        quoted = true;
+        i = close + 1;
+      } else if (query[i] === ':' && field === null && !quoted && /^[a-z]+$/i.test(value)) {
+        field = value.toLowerCase();
+        value = '';
+        i++;
+      } else {
+        value += query[i];
+        i++;
+      }
+    }
+
+    const text = query.slice(start, i);
+    const keyword = field === null && !quoted ? { AND: 'and', OR: 'or', NOT: 'not' }[value] : null;
+    tokens.push(keyword
+      ? { type: keyword, start, end: i, text }
+      : { type: 'term', start, end: i, text, field, value });
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a due:/created: value into a time range relative to now
+ * @param {string} field - 'due' or 'created'
+ * @param {string} value - e.g. 'today', 'overdue', '<3d', '>1w'
+ * @returns {Object|null} { kind: 'today'|'overdue'|'before'|'after', offset }, or null if invalid
+ */
+function parseQueryRange(field, value) {
+  if (value === 'today') {
+    return { kind: 'today' };
+  }
+  if (value === 'overdue' && field === 'due') {
+    return { kind: 'overdue' };
+  }
+
+  const match = /^([<>])(\d+)([hdw])$/.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  // due:<3d is "due before 3 days from now"; created:<3d is "marked after 3 days ago"
+  const amount = Number(match[2]) * QUERY_DURATION_UNITS[match[3]];
+  const isDue = field === 'due';
+  return {
+    kind: (match[1] === '<') === isDue ? 'before' : 'after',
+    offset: isDue ? amount : -amount
+  };
+}
+
+/**
+ * Turn a term token into a query node, checking its field and value
+ * @param {Object} token - Term token from tokenizeQuery()
+ * @returns {Object} { type: 'text', value } or { type: 'field', field, value, range? }
+ */
+function buildQueryTerm(token) {
+  const { field, value, start, end } = token;
+  if (field === null) {
+    return { type: 'text', value: value.toLowerCase() };
+  }
+
+  if (!QUERY_FIELDS[field]) {
+    const closest = findClosestQueryWord(field, Object.keys(QUERY_FIELDS));
+    throw createQuerySyntaxError(`Unknown field "${field}:"`, start, start + field.length + 1, closest && `${closest}:`);
+  }
+
+  const lowerValue = value.trim().toLowerCase();
+  if (!lowerValue) {
+    throw createQuerySyntaxError(`"${field}:" needs a value`, start, end);
+  }
+
+  switch (field) {
+    case 'platform':
+    case 'has': {
+      const allowed = field === 'platform' ? QUERY_PLATFORMS : QUERY_HAS_VALUES;
+      if (!allowed.includes(lowerValue)) {
+        const closest = findClosestQueryWord(lowerValue, allowed);
+        throw createQuerySyntaxError(`"${field}:" must be one of ${allowed.join(', ')}`, start, end, closest && `${field}:${closest}`);
+      }
+      return { type: 'field', field, value: lowerValue };
+    }
+
+    case 'due':
+    case 'created': {
+      const range = parseQueryRange(field, lowerValue);
+      if (!range) {
+        const suggestion = /^\d+[hdw]$/.test(lowerValue) ? `${field}:<${lowerValue}` : null;
+        const examples = QUERY_RANGE_EXAMPLES[field].slice(0, field === 'due' ? 4 : 3);
+        throw createQuerySyntaxError(`"${field}:" takes ${examples.join(', ')} (h, d or w)`, start, end, suggestion);
+      }
+      return { type: 'field', field, value: lowerValue, range };
+    }
+
+    case 'tag': {
+      const tag = normalizeTag(value).toLowerCase();
+      if (!tag) {
+        throw createQuerySyntaxError('"tag:" needs a value', start, end);
+      }
+      return { type: 'field', field, value: tag };
+    }
+
+    default:
+      return { type: 'field', field, value: lowerValue };
+  }
+}
+
+/**
+ * Parse a dashboard search query
+ * e.g. 'label:urgent -label:completed platform:linkedin has:reminder due:<3d note:"invoice"'
+ * @param {string} query - Search query
+ * @returns {Object|null} Query tree for evaluateQuery(), or null for an empty query
+ * @throws {Error} With code 'query-syntax', start, end and suggestion when the query doesn't parse
+ */
+function parseQuery(query) {
+  const text = query || '';
+  const tokens = tokenizeQuery(text);
+  let position = 0;
+
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  const group = (type, children) => children.length === 1 ? children[0] : { type, children };
+
+  const parseUnary = () => {
+    const token = tokens[position];
+    if (!token) {
+      const previous = tokens[position - 1];
+      throw createQuerySyntaxError(`Expected a search term after "${previous.text}"`, previous.start, text.length);
+    }
+
+    position++;
+    switch (token.type) {
+      case 'not':
+        return { type: 'not', child: parseUnary() };
+
+      case 'open': {
+        const node = parseOr();
+        if (!tokens[position] || tokens[position].type !== 'close') {
+          throw createQuerySyntaxError('Missing closing parenthesis', token.start, text.length, `${text.slice(token.start)})`);
+        }
+        position++;
+        return node;
+      }
+
+      case 'term':
+        return buildQueryTerm(token);
+
+      default:
+        throw createQuerySyntaxError(`Expected a search term before "${token.text}"`, token.start, token.end);
+    }
+  };
+
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    while (tokens[position] && tokens[position].type !== 'or' && tokens[position].type !== 'close') {
+      if (tokens[position].type === 'and') {
+        position++;
+      }
+      children.push(parseUnary());
+    }
+    return group('and', children);
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (tokens[position] && tokens[position].type === 'or') {
+      position++;
+      children.push(parseAnd());
+    }
+    return group('or', children);
+  };
+
+  const ast = parseOr();
+  if (position < tokens.length) {
+    // parseAnd() only stops early at an unmatched ')'
+    const token = tokens[position];
+    throw createQuerySyntaxError('Unexpected ")"', token.start, token.end, '');
+  }
+  return ast;
+}
+
+/**
+ * Prepare the data a query is evaluated against
+ * Without a search index, bare text is matched as a substring of the name, note and tags.
+ * @param {Object} options - { labels, reminders (array), searchIndex (from getSearchIndex()), now }
+ * @returns {Object} Context for evaluateQuery()
+ */
+function createQueryContext({ labels = [], reminders = [], searchIndex = null, now = Date.now() } = {}) {
+  // A chat's due time is its earliest active reminder that hasn't fired
+  const dueTimes = new Map();
+  reminders.forEach(reminder => {
+    if (reminder.active && !reminder.firedAt) {
+      const previous = dueTimes.get(reminder.messageId);
+      dueTimes.set(reminder.messageId, previous === undefined ? reminder.reminderTime : Math.min(previous, reminder.reminderTime));
+    }
+  });
+
+  return {
+    labels,
+    labelTree: getLabelTree(labels),
+    labelMatches: new Map(),
+    parsedQueries: new Map(),
+    searchIndex,
+    textMatches: new Map(),
+    dueTimes,
+    now
+  };
+}
+
+/**
+ * Resolve a label: value to label IDs (by ID, name or path, with nested labels)
+ * @param {Object} context - Context from createQueryContext()
+ * @param {string} value - Lowercased label: value
+ * @returns {Set<string>} Matching label IDs
+ */
+function resolveQueryLabelIds(context, value) {
+  if (!context.labelMatches.has(value)) {
+    const ids = context.labelTree
+      .filter(({ label, path }) => (
+        label.id.toLowerCase() === value ||
+        label.name.toLowerCase() === value ||
+        path.toLowerCase() === value
+      ))
+      .flatMap(({ label }) => getLabelDescendantIds(context.labels, label.id));
+    context.labelMatches.set(value, new Set(ids.length > 0 ? ids : [value]));
+  }
+  return context.labelMatches.get(value);
+}
+
+/**
+ * Match bare query text against the search index (fuzzy, ranked)
+ * @param {Object} context - Context from createQueryContext()
+ * @param {string} text - Bare text from the query
+ * @returns {Map|null} chatMarkerId => { score, words }, or null without an index or words to look up
+ */
+function getQueryTextMatches(context, text) {
+  if (!context.searchIndex) {
+    return null;
+  }
+  if (!context.textMatches.has(text)) {
+    context.textMatches.set(text, searchIndexText(context.searchIndex, text));
+  }
+  return context.textMatches.get(text);
+}
+
+/**
+ * Get the bare text terms of a query that a match must contain (not the negated ones)
+ * @param {Object|null} ast - Query tree from parseQuery()
+ * @returns {Array<string>} Text values
+ */
+function getQueryTextValues(ast) {
+  if (!ast || ast.type === 'not' || ast.type === 'field') return [];
+  if (ast.type === 'text') return [ast.value];
+  return ast.children.flatMap(getQueryTextValues);
+}
+
+/**
+ * Score how well a chat marker matches the text of a query, and which indexed words it matched
+ * @param {string} query - Search query
+ * @param {string} chatMarkerId - The chat marker ID
+ * @param {Object} context - Context from createQueryContext() (with a search index)
+ * @returns {Object} { score, words (Set of normalized words to highlight) }
+ */
+function getSearchRelevance(query, chatMarkerId, context) {
+  const relevance = { score: 0, words: new Set() };
+  getQueryTextValues(getParsedQuery(context, query) || null).forEach(text => {
+    const match = getQueryTextMatches(context, text)?.get(chatMarkerId);
+    if (match) {
+      relevance.score += match.score;
+      match.words.forEach(word => relevance.words.add(word));
+    }
+  });
+  return relevance;
+}
+
+/**
+ * Check a timestamp against a due:/created: range
+ * @param {number} time - Timestamp
+ * @param {Object} range - Range from parseQueryRange()
+ * @param {number} now - Current time
+ * @returns {boolean} True if the time is in range
+ */
+function matchesQueryRange(time, range, now) {
+  if (typeof time !== 'number') {
+    return false;
+  }
+
+  const startOfDay = new Date(now).setHours(0, 0, 0, 0);
+  switch (range.kind) {
+    case 'today':
+      return time >= startOfDay && time < startOfDay + QUERY_DURATION_UNITS.d;
+    case 'overdue':
+      return time < now;
+    case 'before':
+      return time < now + range.offset;
+    case 'after':
+      return time > now + range.offset;
+    default:
+      return false;
   }
 }
 
 /**
- * Save custom labels
- * @param {Array} labels - Array of label objects
- * @returns {Promise<Array>} Saved labels
+ * Check a chat marker against a parsed query
+ * @param {Object|null} ast - Query tree from parseQuery()
+ * @param {Object} chatMarker - Chat marker
+ * @param {Object} context - Context from createQueryContext()
+ * @returns {boolean} True if the chat marker matches
  */
-async function saveLabels(labels) {
-  try {
-    await chrome.storage.local.set({ [STORAGE_KEYS.LABELS]: labels });
-    console.log('[ChatMarker] Labels saved');
-    return labels;
-  } catch (error) {
-    console.error('[ChatMarker] Error saving labels:', error);
-    throw error;
+function evaluateQuery(ast, chatMarker, context) {
+  if (!ast) {
+    return true;
+  }
+
+  const labels = chatMarker.labels || [];
+  const tags = chatMarker.tags || [];
+  const notes = getChatNotes(chatMarker);
+
+  switch (ast.type) {
+    case 'and':
+      return ast.children.every(child => evaluateQuery(child, chatMarker, context));
+    case 'or':
+      return ast.children.some(child => evaluateQuery(child, chatMarker, context));
+    case 'not':
+      return !evaluateQuery(ast.child, chatMarker, context);
+    case 'text': {
+      const matches = getQueryTextMatches(context, ast.value);
+      if (matches) {
+        return matches.has(chatMarker.chatMarkerId);
+      }
+      return (
+        !!chatMarker.chatName?.toLowerCase().includes(ast.value) ||
+        notes.some(entry => entry.text.toLowerCase().includes(ast.value)) ||
+        tags.some(tag => `#${tag.toLowerCase()}`.includes(ast.value))
+      );
+    }
+  }
+
+  switch (ast.field) {
+    case 'label': {
+      const labelIds = resolveQueryLabelIds(context, ast.value);
+      return labels.some(labelId => labelIds.has(labelId));
+    }
+    case 'tag':
+      return tags.some(tag => tag.toLowerCase() === ast.value);
+    case 'platform':
+      return chatMarker.platform === ast.value;
+    case 'has':
+      return {
+        reminder: context.dueTimes.has(chatMarker.chatMarkerId),
+        note: notes.length > 0,
+        label: labels.length > 0,
+        tag: tags.length > 0
+      }[ast.value];
+    case 'due':
+      return matchesQueryRange(context.dueTimes.get(chatMarker.chatMarkerId), ast.range, context.now);
+    case 'created':
+      return matchesQueryRange(chatMarker.createdAt, ast.range, context.now);
+    case 'note':
+      return notes.some(entry => entry.text.toLowerCase().includes(ast.value));
+    case 'name':
+      return !!chatMarker.chatName?.toLowerCase().includes(ast.value);
+    default:
+      return false;
   }
 }
 
 /**
- * Search markers by text
+ * Suggest completions for the word being typed in a search query
  * @param {string} query - Search query
- * @returns {Promise<Array>} Filtered markers
+ * @param {number} caret - Caret position in the query
+ * @param {Object} options - { labels, tags } to suggest values from
+ * @returns {Array} Suggestions { text, description, start, end }: replace query.slice(start, end) with text
  */
-async function searchMarkers(query) {
-  try {
-    if (!query) {
-      return await getMarkersArray();
-    }
+function getQuerySuggestions(query, caret, { labels = [], tags = [] } = {}) {
+  const fragment = /[^\s()]*$/.exec(query.slice(0, caret))[0].replace(/^-/, '');
+  if (!fragment) {
+    return [];
+  }
 
-    const markers = await getMarkersArray();
-    const lowerQuery = query.toLowerCase();
+  const start = caret - fragment.length;
+  const colon = fragment.indexOf(':');
+  let suggestions;
+
+  if (colon === -1) {
+    const prefix = fragment.toLowerCase();
+    suggestions = Object.keys(QUERY_FIELDS)
+      .filter(field => field.startsWith(prefix))
+      .map(field => ({ text: `${field}:`, description: QUERY_FIELDS[field] }));
+  } else {
+    const field = fragment.slice(0, colon).toLowerCase();
+    const partial = fragment.slice(colon + 1).replace(/^"/, '').toLowerCase();
+    const values = {
+      label: getLabelTree(labels).map(entry => entry.path),
+      tag: tags,
+      platform: QUERY_PLATFORMS,
+      has: QUERY_HAS_VALUES,
+      ...QUERY_RANGE_EXAMPLES
+    }[field] || [];
+
+    suggestions = values
+      .filter(value => value.toLowerCase().includes(partial) && value.toLowerCase() !== partial)
+      .map(value => ({
+        text: `${field}:${/[\s()]/.test(value) ? `"${value.replace(/"/g, '')}"` : value}`,
+        description: ''
+      }));
+  }
 
-    return markers.filter(marker => {
-      return (
-        marker.messageText?.toLowerCase().includes(lowerQuery) ||
-        marker.sender?.toLowerCase().includes(lowerQuery) ||
-        marker.chatName?.toLowerCase().includes(lowerQuery) ||
-        marker.notes?.toLowerCase().includes(lowerQuery)
-      );
-    });
+  return suggestions.slice(0, 8).map(suggestion => ({ ...suggestion, start, end: caret }));
+}
+
+/**
+ * Get saved searches (shown as tabs in the dashboard)
+ * @returns {Promise<Array>} Saved searches { id, name, query, platform, labels, dateRange, sort }, in tab order
+ */
+async function getSavedSearches() {
+  try {
+    const keys = await getStorageKeys();
+    const result = await chrome.storage.local.get(keys.SAVED_SEARCHES);
+    return result[keys.SAVED_SEARCHES] || [];
   } catch (error) {
-    console.error('[ChatMarker] Error searching markers:', error);
+    console.error('[ChatMarker] Error getting saved searches:', error);
     return [];
   }
 }
 
 /**
- * Filter markers by criteria
- * @param {Object} filters - Filter criteria
- * @returns {Promise<Array>} Filtered markers
+ * Save the list of saved searches
+ * @param {Array} searches - Saved searches in tab order
+ * @returns {Promise<Array>} Saved searches as stored
  */
-async function filterMarkers(filters = {}) {
+async function saveSavedSearches(searches) {
   try {
-    let markers = await getMarkersArray();
+    const stampedSearches = await runStorageTransaction(tx => stageSavedSearches(tx, searches));
+    console.log('[ChatMarker] Saved searches saved');
 
-    // Filter by platform
-    if (filters.platform && filters.platform !== 'all') {
-      markers = markers.filter(m => m.platform === filters.platform);
-    }
+    return stampedSearches;
+  } catch (error) {
+    console.error('[ChatMarker] Error saving saved searches:', error);
+    throw error;
+  }
+}
 
-    // Filter by labels
-    if (filters.labels && filters.labels.length > 0) {
-      markers = markers.filter(m => {
-        return m.labels && m.labels.some(label => filters.labels.includes(label));
-      });
+/**
+ * Stage saving the list of saved searches in a storage transaction
+ * @param {Object} tx - Transaction from runStorageTransaction()
+ * @param {Array} searches - Saved searches in tab order
+ * @returns {Promise<Array>} Saved searches as stored
+ */
+async function stageSavedSearches(tx, searches) {
+  const cleaned = searches.map(search => {
+    const name = String(search.name || '').trim();
+    if (!name) {
+      throw new Error('Saved search needs a name');
     }
 
-    // Filter by priority
-    if (filters.priority && filters.priority !== 'all') {
-      markers = markers.filter(m => m.priority === filters.priority);
+    const fields = Object.fromEntries(Object.keys(SAVED_SEARCH_DEFAULTS).map(field => {
+      return [field, search[field] === undefined ? SAVED_SEARCH_DEFAULTS[field] : search[field]];
+    }));
+    return { id: search.id, name, ...fields, ...(search.updatedAt ? { updatedAt: search.updatedAt } : {}) };
+  });
+
+  return stageOrderedList(tx, STORAGE_KEYS.SAVED_SEARCHES, 'SAVED_SEARCHES', cleaned, []);
+}
+
+/**
+ * Parse a query once per context (a query that doesn't parse matches nothing)
+ * @param {Object} context - Context from createQueryContext()
+ * @param {string} query - Search query
+ * @returns {Object|null|false} Query tree, null for an empty query, false if it doesn't parse
+ */
+function getParsedQuery(context, query) {
+  if (!context.parsedQueries.has(query)) {
+    try {
+      context.parsedQueries.set(query, parseQuery(query));
+    } catch (error) {
+      console.warn('[ChatMarker] Ignoring search query that does not parse:', query, error.message);
+      context.parsedQueries.set(query, false);
     }
+  }
+  return context.parsedQueries.get(query);
+}
 
-    // Filter by date range
-    if (filters.dateRange) {
-      const now = Date.now();
-      let minTime = 0;
+/**
+ * Check a chat marker against a dashboard view: a query plus the platform, label and date filters
+ * @param {Object} chatMarker - Chat marker
+ * @param {Object} search - Saved search, or the dashboard's current { query, platform, labels, dateRange }
+ * @param {Object} context - Context from createQueryContext()
+ * @returns {boolean} True if the chat marker is shown
+ */
+function matchesSavedSearch(chatMarker, search, context) {
+  const { query, platform, labels, dateRange } = { ...SAVED_SEARCH_DEFAULTS, ...search };
 
-      switch (filters.dateRange) {
-        case 'today':
-          minTime = now - (24 * 60 * 60 * 1000);
-          break;
-        case 'week':
-          minTime = now - (7 * 24 * 60 * 60 * 1000);
-          break;
-        case 'month':
-          minTime = now - (30 * 24 * 60 * 60 * 1000);
-          break;
-      }
+  const ast = getParsedQuery(context, query);
+  if (ast === false || !evaluateQuery(ast, chatMarker, context)) {
+    return false;
+  }
 
-      if (minTime > 0) {
-        markers = markers.filter(m => m.createdAt >= minTime);
-      }
+  if (platform !== 'all' && chatMarker.platform !== platform) {
+    return false;
+  }
+
+  // A parent label includes its nested labels
+  if (labels.length > 0) {
+    const labelIds = labels.flatMap(labelId => [...resolveQueryLabelIds(context, labelId.toLowerCase())]);
+    if (!(chatMarker.labels || []).some(labelId => labelIds.includes(labelId))) {
+      return false;
     }
+  }
+
+  const maxAge = SEARCH_DATE_RANGES[dateRange];
+  return !maxAge || chatMarker.createdAt >= context.now - maxAge;
+}
 
-    // Filter by starred
-    if (filters.starred) {
-      markers = markers.filter(m => m.starred);
+/**
+ * Sort chat markers for the dashboard
+ * @param {Array} chatMarkers - Chat markers
+ * @param {string} sort - 'relevance' (best match to the query's text, then recent), 'recent' (updated),
+ *   'created', 'oldest', 'name' or 'due' (next reminder first)
+ * @param {Object} context - Context from createQueryContext()
+ * @param {string} query - Search query, for 'relevance'
+ * @returns {Array} Sorted copy
+ */
+function sortChatMarkers(chatMarkers, sort, context, query = '') {
+  const byRecent = (a, b) => (b.updatedAt || b.createdAt) - (a.updatedAt || a.createdAt);
+  const scores = sort === 'relevance'
+    ? new Map(chatMarkers.map(chatMarker => [chatMarker.chatMarkerId, getSearchRelevance(query, chatMarker.chatMarkerId, context).score]))
+    : null;
+  const comparators = {
+    relevance: (a, b) => (scores.get(b.chatMarkerId) - scores.get(a.chatMarkerId)) || byRecent(a, b),
+    recent: byRecent,
+    created: (a, b) => (b.createdAt || 0) - (a.createdAt || 0),
+    oldest: (a, b) => (a.createdAt || 0) - (b.createdAt || 0),
+    name: (a, b) => (a.chatName || '').localeCompare(b.chatName || '', undefined, { sensitivity: 'base' }),
+    due: (a, b) => {
+      // Chats without a reminder go last, most recent first
+      const dueA = context.dueTimes.get(a.chatMarkerId) ?? Infinity;
+      const dueB = context.dueTimes.get(b.chatMarkerId) ?? Infinity;
+      return dueA === dueB ? byRecent(a, b) : dueA - dueB;
     }
+  };
+
+  return [...chatMarkers].sort(comparators[sort] || byRecent);
+}
+
+/**
+ * Search chat markers with the dashboard query syntax (see parseQuery)
+ * @param {string} query - Search query
+ * @returns {Promise<Array>} Matching chat markers, best match first
+ * @throws {Error} With code 'query-syntax' when the query doesn't parse
+ */
+async function searchChatMarkers(query) {
+  const ast = parseQuery(query);
 
-    return markers;
+  try {
+    const [chatMarkers, labels, reminders, searchIndex] = await Promise.all([
+      getAllChatMarkers(), getLabels(), getAllReminders(), getSearchIndex()
+    ]);
+    const context = createQueryContext({ labels, reminders: Object.values(reminders), searchIndex });
+    const matches = Object.values(chatMarkers).filter(chatMarker => evaluateQuery(ast, chatMarker, context));
+    return sortChatMarkers(matches, 'relevance', context, query);
   } catch (error) {
-    console.error('[ChatMarker] Error filtering markers:', error);
+    console.error('[ChatMarker] Error searching chat markers:', error);
     return [];
   }
 }
 
+// ==================== ACCOUNT STORAGE ====================
+
 /**
- * Get storage statistics
- * @returns {Promise<Object>} Storage stats
+ * Get the storage key of a value for an account
+ * Each account's data lives under `${accountId}_${key}`; data saved while signed out
+ * (the anonymous bucket) uses the plain key
+ * @param {string} key - Unscoped storage key
+ * @param {string|null} accountId - Account UID, or null for signed-out data
+ * @returns {string} Storage key
  */
-async function getStorageStats() {
-  try {
-    const markers = await getAllMarkers();
-    const reminders = await getAllReminders();
+function getAccountStorageKey(key, accountId) {
+  return accountId ? `${accountId}_${key}` : key;
+}
 
-    const markerCount = Object.keys(markers).length;
-    const reminderCount = Object.keys(reminders).length;
-    const activeReminderCount = Object.values(reminders).filter(r => r.active).length;
+/**
+ * Get the storage keys of an account's data
+ * @param {string|null} accountId - Account UID, or null for signed-out data
+ * @returns {Object} Same shape as STORAGE_KEYS
+ */
+function getAccountStorageKeys(accountId) {
+  return Object.fromEntries(Object.entries(STORAGE_KEYS).map(([name, key]) => {
+    return [name, getAccountStorageKey(key, accountId)];
+  }));
+}
 
-    // Estimate storage size
-    const bytesInUse = await chrome.storage.local.getBytesInUse();
+/**
+ * Get the account whose data is currently in use
+ * @returns {Promise<string|null>} Signed-in user's UID, or null when signed out
+ */
+async function getStorageAccountId() {
+  const result = await chrome.storage.local.get(CURRENT_USER_KEY);
+  return result[CURRENT_USER_KEY] ? result[CURRENT_USER_KEY].uid : null;
+}
+
+/**
+ * Get the storage keys of the data currently in use
+ * @returns {Promise<Object>} Same shape as STORAGE_KEYS
+ */
+async function getStorageKeys() {
+  return getAccountStorageKeys(await getStorageAccountId());
+}
 
+/**
+ * Count the chat markers and reminders kept for an account
+ * @param {string|null} accountId - Account UID, or null for signed-out data
+ * @returns {Promise<Object>} { chatMarkers, reminders }
+ */
+async function getAccountItemCounts(accountId) {
+  try {
+    const dbName = getAccountDatabaseName(accountId);
     return {
-      markerCount,
-      reminderCount,
-      activeReminderCount,
-      bytesInUse,
-      bytesAvailable: chrome.storage.local.QUOTA_BYTES - bytesInUse
+      chatMarkers: await countIndexedRecords(dbName, STORAGE_KEYS.CHAT_MARKERS),
+      reminders: await countIndexedRecords(dbName, STORAGE_KEYS.REMINDERS)
     };
   } catch (error) {
-    console.error('[ChatMarker] Error getting storage stats:', error);
-    return {
-      markerCount: 0,
-      reminderCount: 0,
-      activeReminderCount: 0,
-      bytesInUse: 0,
-      bytesAvailable: 0
-    };
+    console.error('[ChatMarker] Error counting account items:', error);
+    return { chatMarkers: 0, reminders: 0 };
   }
 }
 
 /**
- * Export all data
- * @returns {Promise<Object>} Exported data
+ * Move chat markers and reminders from one account's storage to another's
+ * (e.g. items saved while signed out into the signed-in account). Where both have the same
+ * item, the more recently updated copy is kept. Labels missing from the target are copied
+ * so moved markers keep their labels, and so are saved searches. Moved items are queued for upload to the target account.
+ * Deleted chat markers and the history of moved ones move too, so the source is left empty.
+ * @param {string|null} fromAccountId - Source account UID, or null for signed-out data
+ * @param {string|null} toAccountId - Target account UID
+ * @returns {Promise<Object>} Number of items moved: { chatMarkers, reminders }
  */
-async function exportData() {
+async function moveAccountData(fromAccountId, toAccountId) {
   try {
-    const markers = await getAllMarkers();
-    const chatMarkers = await getAllChatMarkers();
-    const reminders = await getAllReminders();
-    const settings = await getSettings();
-    const labels = await getLabels();
+    const movedCounts = await withStorageLock(async () => {
+      if (fromAccountId === toAccountId) {
+        throw new Error('Source and target account are the same');
+      }
 
-    return {
-      version: '1.1',
-      exportedAt: new Date().toISOString(),
-      markers,
-      chatMarkers,
-      reminders,
-      settings,
-      labels
-    };
+      const fromKeys = getAccountStorageKeys(fromAccountId);
+      const toKeys = getAccountStorageKeys(toAccountId);
+      const fromDbName = getAccountDatabaseName(fromAccountId);
+      const toDbName = getAccountDatabaseName(toAccountId);
+      const stored = await chrome.storage.local.get([...Object.values(fromKeys), ...Object.values(toKeys)]);
+
+      // Sealed items only open with the vault that sealed them; plain items are sealed for the target's vault
+      const fromVault = stored[fromKeys.SETTINGS]?.vault;
+      const toVault = stored[toKeys.SETTINGS]?.vault;
+      if (fromVault && fromVault.keyId !== toVault?.keyId) {
+        throw new Error('Turn off the vault before moving its items to another account');
+      }
+
+      const tombstones = { ...createCollectionMap(), ...stored[toKeys.TOMBSTONES] };
+      const outbox = { ...createCollectionMap(), ...stored[toKeys.SYNC_OUTBOX] };
+      const fromOutbox = { ...createCollectionMap(), ...stored[fromKeys.SYNC_OUTBOX] };
+      const versionOf = item => (item && (item.updatedAt || item.createdAt)) || 0;
+      const updates = {};
+      const movedRecords = {};
+      const movedCounts = {};
+
+      for (const collection of INDEXED_COLLECTIONS) {
+        const { keyPath } = INDEXED_STORES[collection];
+        const items = await getAllIndexedRecords(fromDbName, collection);
+        const movedIds = [];
+        movedRecords[collection] = [];
+
+        for (const item of items) {
+          const id = item[keyPath];
+
+          // Keep the account's copy (or its deletion) if it is newer
+          const existing = await getIndexedRecord(toDbName, collection, id);
+          const deletedAt = tombstones[collection][id] || 0;
+          if (versionOf(existing) >= versionOf(item) || deletedAt >= versionOf(item)) continue;
+
+          movedRecords[collection].push(item);
+          removeTombstone(tombstones, collection, id);
+          movedIds.push(id);
+        }
+
+        // Everything leaves the source, including items the account already had
+        items.forEach(item => delete fromOutbox[collection][item[keyPath]]);
+        addToSyncOutbox(outbox, collection, movedIds);
+        movedCounts[collection] = movedIds.length;
+      }
+
+      // Deleted chats and the history of moved and deleted chats go along (neither is synced);
+      // the target's copy of a trash entry is kept if it was deleted later
+      const movedTrash = [];
+      for (const entry of await getAllIndexedRecords(fromDbName, TRASH_STORE)) {
+        const existing = await getIndexedRecord(toDbName, TRASH_STORE, entry.chatMarkerId);
+        if (!existing || existing.deletedAt < entry.deletedAt) {
+          movedTrash.push(entry);
+        }
+      }
+      const historyChatMarkerIds = new Set([
+        ...movedRecords[STORAGE_KEYS.CHAT_MARKERS].map(chatMarker => chatMarker.chatMarkerId),
+        ...movedTrash.map(entry => entry.chatMarkerId)
+      ]);
+      movedRecords[TRASH_STORE] = movedTrash;
+      movedRecords[HISTORY_STORE] = (await getAllIndexedRecords(fromDbName, HISTORY_STORE))
+        .filter(event => historyChatMarkerIds.has(event.chatMarkerId));
+
+      // Labels and saved searches the account doesn't have are added after its own
+      [['LABELS', DEFAULT_LABELS], ['SAVED_SEARCHES', []]].forEach(([keyName, defaultItems]) => {
+        const targetItems = stored[toKeys[keyName]] || defaultItems;
+        const missingItems = (stored[fromKeys[keyName]] || [])
+          .filter(item => !targetItems.some(existing => existing.id === item.id));
+        if (missingItems.length > 0) {
+          const now = Date.now();
+          updates[toKeys[keyName]] = [...targetItems, ...missingItems.map(item => ({ ...item, updatedAt: now }))];
+          addToSyncOutbox(outbox, STORAGE_KEYS[keyName], missingItems.map(item => item.id), now);
+        }
+      });
+
+      updates[toKeys.TOMBSTONES] = tombstones;
+      updates[toKeys.SYNC_OUTBOX] = outbox;
+      updates[fromKeys.SYNC_OUTBOX] = fromOutbox;
+      await chrome.storage.local.set(updates);
+
+      // Copy first, then empty the source, so an interruption can't lose items
+      for (const collection of [...INDEXED_COLLECTIONS, TRASH_STORE, HISTORY_STORE]) {
+        await writeIndexedRecords(toDbName, collection, await sealVaultRecords(collection, movedRecords[collection], toVault));
+        await writeIndexedRecords(fromDbName, collection, [], [], { replaceAll: true });
+      }
+      await refreshSearchIndex(toAccountId);
+      await writeIndexedRecords(fromDbName, SEARCH_INDEX_STORE, [], [], { replaceAll: true });
+      await notifyIndexedDataChanged(toKeys, INDEXED_COLLECTIONS);
+      await notifyIndexedDataChanged(fromKeys, INDEXED_COLLECTIONS);
+
+      return movedCounts;
+    });
+
+    console.log(`[ChatMarker] Moved ${movedCounts.chatMarkers} chat markers and ${movedCounts.reminders} reminders to ${toAccountId || 'signed-out storage'}`);
+
+    // Upload the moved items to the account
+    if (typeof triggerAutoSync === 'function') {
+      triggerAutoSync();
+    }
+
+    return movedCounts;
   } catch (error) {
-    console.error('[ChatMarker] Error exporting data:', error);
+    console.error('[ChatMarker] Error moving account data:', error);
     throw error;
   }
 }
 
+// ==================== SCHEMA MIGRATIONS ====================
+
+// Platform names of message markers that chat markers spell differently
+const LEGACY_PLATFORM_NAMES = { messenger: 'facebook' };
+
 /**
- * Import data
- * @param {Object} data - Data to import
- * @returns {Promise<boolean>} Success status
+ * Format a message marker as note text: the marked message, then the note kept on it
+ * @param {Object} marker - Message marker
+ * @returns {string} Note text (empty if the marker had neither)
  */
-async function importData(data) {
-  try {
-    if (!data || !data.version) {
-      throw new Error('Invalid import data');
+function formatLegacyMarkerNote(marker) {
+  const time = marker.timestamp || marker.createdAt;
+  const heading = [marker.sender, time && new Date(time).toLocaleDateString()].filter(Boolean).join(', ');
+  const lines = [];
+
+  if (marker.messageText && marker.messageText.trim()) {
+    lines.push(`💬 ${heading ? `${heading}: ` : ''}"${marker.messageText.trim()}"`);
+  }
+  if (marker.notes && marker.notes.trim()) {
+    lines.push(`📝 ${marker.notes.trim()}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Fold message markers into the chat markers of their chats
+ * A chat's marked messages (and their notes) are added to its notes as one note entry, oldest
+ * first, and their labels are added to the chat's; chats that aren't marked yet get a chat
+ * marker. Text already in a note isn't added again, so folding the same markers twice changes
+ * nothing. Notes sealed in the vault can't be compared, so their chat's markers are left unfolded.
+ * @param {Object} markers - Message markers keyed by messageId
+ * @param {Array<Object>} chatMarkers - The account's chat markers
+ * @param {number} now - Time stamped on the chat markers changed
+ * @returns {Object} { chatMarkers: chat markers to write, unfolded: message markers keyed by messageId }
+ */
+function foldLegacyMarkers(markers, chatMarkers, now = Date.now()) {
+  const chats = new Map();
+  const unfolded = {};
+  const timeOf = marker => marker.timestamp || marker.createdAt || 0;
+
+  Object.entries(markers || {}).forEach(([messageId, marker]) => {
+    if (!marker || !marker.platform || !marker.chatId) {
+      unfolded[messageId] = marker;
+      return;
     }
+    const platform = LEGACY_PLATFORM_NAMES[marker.platform] || marker.platform;
+    const chatKey = `${platform}:${marker.chatId}`;
+    if (!chats.has(chatKey)) chats.set(chatKey, []);
+    chats.get(chatKey).push({ ...marker, messageId, platform });
+  });
+
+  const folded = [];
+  for (const messages of chats.values()) {
+    messages.sort((a, b) => timeOf(a) - timeOf(b));
+    const first = messages[0];
+    const last = messages[messages.length - 1];
+    const existing = chatMarkers.find(chatMarker => {
+      return chatMarker.platform === first.platform && chatMarker.chatId === first.chatId;
+    });
+
+    if (existing && hasSealedNotes(existing)) {
+      messages.forEach(marker => { unfolded[marker.messageId] = markers[marker.messageId]; });
+      continue;
+    }
+
+    const notes = existing ? getChatNotes(existing).map(entry => entry.text).join('\n\n') : '';
+    const added = messages.map(formatLegacyMarkerNote).filter(text => text && !notes.includes(text));
+    const chatMarker = existing || {
+      chatMarkerId: `chat_${first.platform}_${first.chatId}_${first.createdAt || timeOf(first) || now}`,
+      platform: first.platform,
+      chatId: first.chatId,
+      chatName: last.chatName || last.sender || 'Unknown Chat',
+      labels: [],
+      noteEntries: [],
+      createdAt: first.createdAt || timeOf(first) || now
+    };
+    const labels = [...new Set([...(chatMarker.labels || []), ...messages.flatMap(marker => marker.labels || [])])];
+
+    // Nothing new for a chat that is already marked (e.g. folded before)
+    if (existing && added.length === 0 && labels.length === (existing.labels || []).length) continue;
+
+    folded.push(normalizeChatNotes({
+      ...normalizeChatNotes(chatMarker),
+      labels,
+      notes: added.join('\n\n'),
+      updatedAt: now
+    }));
+  }
+
+  return { chatMarkers: folded, unfolded };
+}
 
-    if (data.markers) {
-      await chrome.storage.local.set({ [STORAGE_KEYS.MARKERS]: data.markers });
+/**
+ * Ordered schema migrations. Each step upgrades a snapshot of all of chrome.storage.local
+ * (modified in place) from the previous version to `version`, and may write IndexedDB directly.
+ * Steps must be idempotent: if a step was interrupted it runs again on the next update.
+ */
+const SCHEMA_MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Keep data per account',
+    // Data saved before storage was kept per account belongs to whoever was signed in
+    migrate(data) {
+      const accountId = data[CURRENT_USER_KEY] && data[CURRENT_USER_KEY].uid;
+      if (!accountId) return;
+
+      // Already has its own data (e.g. a previous run wrote it)
+      const keys = getAccountStorageKeys(accountId);
+      if (Object.values(keys).some(key => key in data)) return;
+
+      Object.keys(data)
+        .filter(key => [...Object.values(STORAGE_KEYS), LEGACY_MARKERS_KEY].includes(key) || key.startsWith('syncMeta_'))
+        .forEach(key => {
+          data[getAccountStorageKey(key, accountId)] = data[key];
+          delete data[key];
+        });
     }
-    if (data.chatMarkers) {
-      await chrome.storage.local.set({ [STORAGE_KEYS.CHAT_MARKERS]: data.chatMarkers });
+  },
+  {
+    version: 3,
+    description: 'Move chat markers and reminders to IndexedDB',
+    // Records are written to IndexedDB before their keys leave the snapshot, so a failure leaves
+    // chrome.storage untouched (re-running only rewrites the same records)
+    async migrate(data) {
+      for (const collection of INDEXED_COLLECTIONS) {
+        const suffix = `_${collection}`;
+        const bucketKeys = Object.keys(data).filter(key => key === collection || key.endsWith(suffix));
+
+        for (const key of bucketKeys) {
+          const accountId = key === collection ? null : key.slice(0, -suffix.length);
+          const { keyPath } = INDEXED_STORES[collection];
+          const records = Object.entries(data[key] || {}).map(([id, record]) => ({ ...record, [keyPath]: id }));
+
+          await writeIndexedRecords(getAccountDatabaseName(accountId), collection, records);
+          delete data[key];
+        }
+      }
     }
-    if (data.reminders) {
-      await chrome.storage.local.set({ [STORAGE_KEYS.REMINDERS]: data.reminders });
+  },
+  {
+    version: 4,
+    description: 'Build the search index',
+    // The index is derived from each account's IndexedDB data, so the snapshot is unchanged
+    // (re-running rebuilds the same index)
+    async migrate() {
+      const databases = await indexedDB.databases();
+      for (const { name } of databases) {
+        if (name === INDEXED_DB_NAME) {
+          await refreshSearchIndex(null);
+        } else if (name.endsWith(`_${INDEXED_DB_NAME}`)) {
+          await refreshSearchIndex(name.slice(0, -INDEXED_DB_NAME.length - 1));
+        }
+      }
     }
-    if (data.settings) {
-      await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: data.settings });
+  },
+  {
+    version: 5,
+    description: 'Fold message markers into chat markers',
+    // Chat markers are written to IndexedDB before the message markers leave the snapshot, and
+    // folding skips text a note already has (re-running doesn't add it twice)
+    async migrate(data) {
+      const suffix = `_${LEGACY_MARKERS_KEY}`;
+      const bucketKeys = Object.keys(data).filter(key => key === LEGACY_MARKERS_KEY || key.endsWith(suffix));
+
+      for (const key of bucketKeys) {
+        const accountId = key === LEGACY_MARKERS_KEY ? null : key.slice(0, -suffix.length);
+        const keys = getAccountStorageKeys(accountId);
+        const dbName = getAccountDatabaseName(accountId);
+        const existing = await getAllIndexedRecords(dbName, STORAGE_KEYS.CHAT_MARKERS);
+        const { chatMarkers, unfolded } = foldLegacyMarkers(data[key], existing);
+
+        if (chatMarkers.length > 0) {
+          const settings = data[keys.SETTINGS];
+          const chatMarkerIds = chatMarkers.map(chatMarker => chatMarker.chatMarkerId);
+          const records = await sealVaultRecords(STORAGE_KEYS.CHAT_MARKERS, chatMarkers, settings && settings.vault);
+          await writeIndexedRecords(dbName, STORAGE_KEYS.CHAT_MARKERS, records);
+          await refreshSearchIndex(accountId, chatMarkerIds);
+
+          // Folded chat markers are uploaded like any other edit
+          data[keys.SYNC_OUTBOX] = addToSyncOutbox(
+            { ...createCollectionMap(), ...data[keys.SYNC_OUTBOX] }, STORAGE_KEYS.CHAT_MARKERS, chatMarkerIds
+          );
+        }
+
+        // Markers without a chat, or whose chat's note is sealed, are kept rather than lost
+        if (Object.keys(unfolded).length > 0) {
+          data[key] = unfolded;
+        } else {
+          delete data[key];
+        }
+      }
     }
-    if (data.labels) {
-      await chrome.storage.local.set({ [STORAGE_KEYS.LABELS]: data.labels });
+  },
+  {
+    version: 6,
+    description: 'Turn single chat notes into note entries',
+    // Only IndexedDB records change, and converted records are left alone (re-running converts
+    // the rest). Sealed notes move into their entry as they are. Cloud copies are converted
+    // when they arrive on an updated device, so nothing is uploaded.
+    async migrate() {
+      const databases = await indexedDB.databases();
+      for (const { name } of databases) {
+        if (name !== INDEXED_DB_NAME && !name.endsWith(`_${INDEXED_DB_NAME}`)) continue;
+
+        const chatMarkers = (await getAllIndexedRecords(name, STORAGE_KEYS.CHAT_MARKERS))
+          .filter(chatMarker => normalizeChatNotes(chatMarker) !== chatMarker);
+        const trash = (await getAllIndexedRecords(name, TRASH_STORE))
+          .filter(entry => normalizeChatNotes(entry.chatMarker) !== entry.chatMarker);
+
+        await writeIndexedRecords(name, STORAGE_KEYS.CHAT_MARKERS, chatMarkers.map(normalizeChatNotes));
+        await writeIndexedRecords(name, TRASH_STORE, trash.map(entry => {
+          return { ...entry, chatMarker: normalizeChatNotes(entry.chatMarker) };
+        }));
+      }
     }
+  }
+];
 
-    console.log('[ChatMarker] Data imported successfully');
+// Schema version of the stored data (data saved before versioning is version 1)
+const CURRENT_SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
 
-    // Trigger auto-sync to cloud after import
-    if (typeof triggerAutoSync === 'function') {
-      triggerAutoSync();
+/**
+ * Get the schema version of the stored data
+ * @returns {Promise<number>} Stored schema version
+ */
+async function getSchemaVersion() {
+  const result = await chrome.storage.local.get(SCHEMA_VERSION_KEY);
+  return result[SCHEMA_VERSION_KEY] || 1;
+}
+
+/**
+ * Get the error of the last migration run, if it failed
+ * @returns {Promise<Object|null>} { fromVersion, version, message, failedAt }, or null
+ */
+async function getSchemaMigrationError() {
+  const result = await chrome.storage.local.get(SCHEMA_MIGRATION_ERROR_KEY);
+  return result[SCHEMA_MIGRATION_ERROR_KEY] || null;
+}
+
+/**
+ * Mark freshly installed storage as using the current schema (nothing to migrate)
+ * @returns {Promise<void>}
+ */
+async function initSchemaVersion() {
+  await chrome.storage.local.set({ [SCHEMA_VERSION_KEY]: CURRENT_SCHEMA_VERSION });
+}
+
+/**
+ * Write a migrated snapshot over the current storage contents
+ * @param {Object} before - Storage contents before the step
+ * @param {Object} after - Storage contents after the step
+ * @returns {Promise<void>}
+ */
+async function writeStorageSnapshot(before, after) {
+  const removedKeys = Object.keys(before).filter(key => !(key in after));
+  if (removedKeys.length > 0) {
+    await chrome.storage.local.remove(removedKeys);
+  }
+  await chrome.storage.local.set(after);
+}
+
+/**
+ * Get the names of every account's IndexedDB database
+ * @returns {Promise<Array<string>>} Database names
+ */
+async function getAccountDatabaseNames() {
+  const databases = await indexedDB.databases();
+  return databases
+    .map(({ name }) => name)
+    .filter(name => name === INDEXED_DB_NAME || name.endsWith(`_${INDEXED_DB_NAME}`));
+}
+
+/**
+ * Copy every store of every account's IndexedDB database
+ * @returns {Promise<Object>} Records keyed by database name, then store name
+ */
+async function readIndexedSnapshot() {
+  const snapshot = {};
+  for (const name of await getAccountDatabaseNames()) {
+    snapshot[name] = {};
+    for (const storeName of Object.keys(INDEXED_STORES)) {
+      snapshot[name][storeName] = await getAllIndexedRecords(name, storeName);
     }
+  }
+  return snapshot;
+}
 
-    return true;
+/**
+ * Put IndexedDB back to a snapshot from readIndexedSnapshot()
+ * Databases created since the snapshot are emptied
+ * @param {Object} snapshot - Records keyed by database name, then store name
+ * @returns {Promise<void>}
+ */
+async function writeIndexedSnapshot(snapshot) {
+  for (const name of await getAccountDatabaseNames()) {
+    const stores = snapshot[name] || {};
+    await commitIndexedChanges(name, Object.fromEntries(Object.keys(INDEXED_STORES).map(storeName => {
+      return [storeName, { clear: true, records: stores[storeName] || [] }];
+    })));
+  }
+}
+
+/**
+ * Restore storage from the backup taken before the last migration run
+ * @returns {Promise<boolean>} True if a backup was restored
+ */
+async function restoreSchemaBackup() {
+  try {
+    return await withStorageLock(restoreSchemaBackupUnlocked);
   } catch (error) {
-    console.error('[ChatMarker] Error importing data:', error);
+    console.error('[ChatMarker] Error restoring schema backup:', error);
+    throw error;
+  }
+}
+
+/**
+ * Restore the schema backup (caller holds the storage lock)
+ * @returns {Promise<boolean>} True if a backup was restored
+ */
+async function restoreSchemaBackupUnlocked() {
+  const result = await chrome.storage.local.get(SCHEMA_BACKUP_KEY);
+  const backup = result[SCHEMA_BACKUP_KEY];
+  if (!backup) {
+    return false;
+  }
+
+  const current = await chrome.storage.local.get(null);
+  delete current[SCHEMA_BACKUP_KEY];
+  await writeStorageSnapshot(current, backup.data);
+
+  console.log(`[ChatMarker] Storage restored to schema version ${backup.fromVersion}`);
+  return true;
+}
+
+/**
+ * Upgrade stored data to CURRENT_SCHEMA_VERSION (run when the extension is updated, and
+ * retried at startup until it succeeds)
+ * A backup of chrome.storage is kept under SCHEMA_BACKUP_KEY while the steps run, and a copy
+ * of IndexedDB in memory. If a step fails, both are restored, the failure is recorded under
+ * SCHEMA_MIGRATION_ERROR_KEY and the error is rethrown. Holds the storage lock, so no writes
+ * land between steps.
+ * @returns {Promise<number>} Number of migration steps run
+ */
+function runSchemaMigrations() {
+  return withStorageLock(migrateSchema);
+}
+
+/**
+ * Run pending schema migration steps (caller holds the storage lock)
+ * @returns {Promise<number>} Number of migration steps run
+ */
+async function migrateSchema() {
+  const fromVersion = await getSchemaVersion();
+  const pending = SCHEMA_MIGRATIONS.filter(step => step.version > fromVersion);
+  if (pending.length === 0) {
+    await chrome.storage.local.remove(SCHEMA_MIGRATION_ERROR_KEY);
+    return 0;
+  }
+
+  const data = await chrome.storage.local.get(null);
+  delete data[SCHEMA_BACKUP_KEY];
+  await chrome.storage.local.set({
+    [SCHEMA_BACKUP_KEY]: { fromVersion, createdAt: Date.now(), data }
+  });
+  // Steps write IndexedDB directly, which the backup above doesn't cover
+  const indexedSnapshot = await readIndexedSnapshot();
+
+  let step = null;
+  try {
+    for (step of pending) {
+      const before = await chrome.storage.local.get(null);
+      delete before[SCHEMA_BACKUP_KEY];
+
+      const after = structuredClone(before);
+      await step.migrate(after);
+      after[SCHEMA_VERSION_KEY] = step.version;
+
+      // Each step is saved with its version, so an interrupted run resumes after it
+      await writeStorageSnapshot(before, after);
+      console.log(`[ChatMarker] Storage migrated to schema version ${step.version}: ${step.description}`);
+    }
+  } catch (error) {
+    console.error('[ChatMarker] Schema migration failed, restoring backup:', error);
+    await restoreSchemaBackupUnlocked();
+    await writeIndexedSnapshot(indexedSnapshot);
+    await chrome.storage.local.remove(SCHEMA_BACKUP_KEY);
+
+    // Recorded after the restore, which puts back the storage contents from before the run
+    await chrome.storage.local.set({
+      [SCHEMA_MIGRATION_ERROR_KEY]: {
+        fromVersion,
+        version: step.version,
+        message: error.message,
+        failedAt: Date.now()
+      }
+    });
     throw error;
   }
+
+  // The backup counts against the storage quota, and is only needed while the steps run
+  await chrome.storage.local.remove([SCHEMA_BACKUP_KEY, SCHEMA_MIGRATION_ERROR_KEY]);
+  return pending.length;
 }
 
 // Export all functions
 if (typeof module !== 'undefined' && module.exports) {
   // Node.js environment (for testing)
   module.exports = {
-    generateMessageId,
-    simpleHash,
-    saveMarker,
-    getMarker,
-    getAllMarkers,
-    getMarkersArray,
-    updateMarker,
-    deleteMarker,
-    deleteMarkers,
-    clearAllMarkers,
+    getTrashedChatMarkers,
+    getTrashedChatMarker,
+    restoreChatMarker,
+    deleteTrashedChatMarkers,
+    purgeExpiredTrash,
+    getChatMarkerHistory,
+    exportChatMarker,
     saveReminder,
     getReminder,
     getAllReminders,
     getActiveReminders,
     deleteReminder,
+    getTombstones,
+    addTombstones,
+    removeTombstone,
+    purgeExpiredTombstones,
+    getSyncOutbox,
+    addToSyncOutbox,
+    countSyncOutbox,
+    createCollectionMap,
+    getSyncDocs,
+    buildSyncDocsUpdate,
+    saveIndexedSyncDocs,
+    getAccountDatabaseName,
+    getChatMarkersByLabel,
+    saveChatNote,
+    deleteChatNote,
+    getChatNotes,
+    normalizeChatNotes,
+    mapFieldText,
+    getAccountStorageKey,
+    getAccountStorageKeys,
+    getStorageAccountId,
+    getStorageKeys,
+    getAccountItemCounts,
+    moveAccountData,
+    withStorageLock,
+    runStorageTransaction,
+    getSchemaVersion,
+    getSchemaMigrationError,
+    initSchemaVersion,
+    restoreSchemaBackup,
+    runSchemaMigrations,
+    foldLegacyMarkers,
     getSettings,
     updateSettings,
     getLabels,
     saveLabels,
-    searchMarkers,
-    filterMarkers,
+    deleteLabel,
+    getLabelEmoji,
+    getLabelParentId,
+    getLabelTree,
+    getLabelDescendantIds,
+    normalizeTag,
+    normalizeTags,
+    getAllTags,
+    getVault,
+    getVaultStatus,
+    enableVault,
+    disableVault,
+    unlockVault,
+    lockVault,
+    setVaultAutoLock,
+    openVaultRecords,
+    openChatMarker,
+    hasSealedNotes,
+    parseQuery,
+    createQueryContext,
+    evaluateQuery,
+    getQuerySuggestions,
+    getSearchRelevance,
+    normalizeSearchText,
+    tokenizeSearchText,
+    findSearchWordRanges,
+    buildSearchIndexRecord,
+    refreshSearchIndex,
+    getSearchIndex,
+    createSearchIndex,
+    searchIndexText,
+    getSavedSearches,
+    saveSavedSearches,
+    matchesSavedSearch,
+    sortChatMarkers,
+    searchChatMarkers,
     getStorageStats,
     exportData,
     importData